@@ -10,6 +10,10 @@ export default function AuthLayout() {
     >
       <Stack.Screen name="sign-in" />
       <Stack.Screen name="sign-up" />
+      <Stack.Screen name="forgot-password" />
+      <Stack.Screen name="reset-password" />
+      <Stack.Screen name="verify-email" />
+      <Stack.Screen name="magic-link" />
     </Stack>
   );
 }
\ No newline at end of file
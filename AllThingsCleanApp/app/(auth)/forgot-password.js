@@ -0,0 +1,236 @@
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useState } from 'react';
+import {
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View
+} from 'react-native';
+import ApiService from '../../services/api';
+
+export default function ForgotPasswordScreen() {
+  const params = useLocalSearchParams();
+  const [email, setEmail] = useState(params.email || '');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const router = useRouter();
+
+  const handleSendLink = async () => {
+    if (!email) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await ApiService.forgotPassword(email);
+
+      if (response.success) {
+        setSent(true);
+      } else {
+        Alert.alert('Error', response.message || 'Could not send reset link');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'An error occurred sending the reset link');
+      console.error('Forgot password error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToSignIn = () => {
+    router.back();
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Logo/Brand Section */}
+        <View style={styles.logoContainer}>
+          <Text style={styles.brandName}>AllThingsClean</Text>
+          <Text style={styles.tagline}>Premium Vacuum & Appliance</Text>
+        </View>
+
+        <View style={styles.formContainer}>
+          <Text style={styles.welcomeText}>Forgot Password</Text>
+
+          {sent ? (
+            <>
+              <Text style={styles.subtitle}>
+                If an account exists for {email}, we&apos;ve sent a link to reset your password.
+                Open it on this device to choose a new one.
+              </Text>
+
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={handleBackToSignIn}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.primaryButtonText}>Back to Sign In</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.linkButton}
+                onPress={handleSendLink}
+                disabled={loading}
+              >
+                <Text style={styles.linkText}>
+                  {loading ? 'Sending...' : 'Didn’t get it? Send again'}
+                </Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <Text style={styles.subtitle}>
+                Enter your email and we&apos;ll send you a link to reset your password
+              </Text>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Email</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter your email"
+                  placeholderTextColor="#999"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!loading}
+                />
+              </View>
+
+              <TouchableOpacity
+                style={[styles.primaryButton, loading && styles.buttonDisabled]}
+                onPress={handleSendLink}
+                activeOpacity={0.8}
+                disabled={loading}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {loading ? 'Sending...' : 'Send Reset Link'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.linkButton}
+                onPress={handleBackToSignIn}
+                disabled={loading}
+              >
+                <Text style={styles.linkText}>Back to Sign In</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+    paddingTop: 60,
+  },
+  logoContainer: {
+    alignItems: 'center',
+    marginBottom: 48,
+  },
+  brandName: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#1a1a1a',
+    letterSpacing: -0.5,
+  },
+  tagline: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  formContainer: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  welcomeText: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 24,
+    lineHeight: 20,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1a1a1a',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  primaryButton: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+  },
+  linkButton: {
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,157 @@
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+import ApiService from '../../services/api';
+
+// Opened from the emailed sign-in link: allthingscleanapp://magic-link?token=...
+export default function MagicLinkScreen() {
+  const { token } = useLocalSearchParams();
+  const { signIn } = useAuth();
+  const [error, setError] = useState(token ? '' : 'This sign-in link is missing its token');
+  const usedTokenRef = useRef(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    // The link works once: don't spend it again if signIn or the router change
+    if (!token || usedTokenRef.current === token) return;
+    usedTokenRef.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await ApiService.verifyMagicLink(token);
+
+        // Accounts with 2FA still need their code
+        if (response.twoFactorRequired) {
+          router.replace({
+            pathname: '/(auth)/sign-in',
+            params: { challengeToken: response.challengeToken },
+          });
+          return;
+        }
+
+        await signIn(response.token, response.user, response.refreshToken);
+        router.replace('/(tabs)');
+      } catch (err) {
+        setError(err.message || 'This sign-in link is invalid or has expired');
+        console.error('Magic link sign in error:', err);
+      }
+    };
+
+    verify();
+  }, [token, signIn, router]);
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.scrollContent}
+      showsVerticalScrollIndicator={false}
+    >
+      {/* Logo/Brand Section */}
+      <View style={styles.logoContainer}>
+        <Text style={styles.brandName}>AllThingsClean</Text>
+        <Text style={styles.tagline}>Premium Vacuum & Appliance</Text>
+      </View>
+
+      <View style={styles.formContainer}>
+        {error ? (
+          <>
+            <Text style={styles.welcomeText}>Link not valid</Text>
+            <Text style={styles.subtitle}>
+              {error}. Sign-in links work once and expire after a short time, so ask for a new one.
+            </Text>
+
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => router.replace('/(auth)/sign-in')}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.primaryButtonText}>Back to Sign In</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <View style={styles.centered}>
+            <ActivityIndicator size="large" color="#1a1a1a" />
+            <Text style={styles.subtitle}>Signing you in...</Text>
+          </View>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+    paddingTop: 60,
+  },
+  logoContainer: {
+    alignItems: 'center',
+    marginBottom: 48,
+  },
+  brandName: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#1a1a1a',
+    letterSpacing: -0.5,
+  },
+  tagline: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  formContainer: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  welcomeText: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 24,
+    lineHeight: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+  },
+});
@@ -1,4 +1,4 @@
-import { useRouter } from 'expo-router';
+import { useLocalSearchParams, useRouter } from 'expo-router';
 import { useEffect, useState } from 'react';
 import {
   Alert,
@@ -15,10 +15,15 @@ import { useAuth } from '../../context/AuthContext';
 import ApiService from '../../services/api';
 
 export default function SignInScreen() {
-  const [email, setEmail] = useState('');
+  const params = useLocalSearchParams();
+  const [email, setEmail] = useState(params.email || '');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [guestLoading, setGuestLoading] = useState(false);
+  const [linkLoading, setLinkLoading] = useState(false);
+  // Set when the account has 2FA on and the password (or magic link) step passed
+  const [challengeToken, setChallengeToken] = useState(params.challengeToken || null);
+  const [code, setCode] = useState('');
   const router = useRouter();
   const { signIn } = useAuth();
 
@@ -40,27 +45,81 @@ export default function SignInScreen() {
     try {
       const response = await ApiService.signIn(email, password);
       
-      if (response.success) {
-        await signIn(response.token, response.user);
+      if (response.success && response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        setCode('');
+      } else if (response.success) {
+        await signIn(response.token, response.user, response.refreshToken);
         router.replace('/(tabs)');
       } else {
         Alert.alert('Error', response.message || 'Invalid credentials');
       }
     } catch (error) {
-      Alert.alert('Error', 'An error occurred during sign in');
+      // 423 = account locked, 429 = too many attempts; the server explains how long to wait
+      if (error.status === 423 || error.status === 429) {
+        Alert.alert(
+          error.status === 423 ? 'Account Locked' : 'Too Many Attempts',
+          error.message,
+          [
+            { text: 'OK', style: 'cancel' },
+            { text: 'Reset Password', onPress: handleForgotPassword },
+          ]
+        );
+      } else {
+        Alert.alert('Error', error.message || 'An error occurred during sign in');
+      }
       console.error('Sign in error:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!code.trim()) {
+      Alert.alert('Error', 'Please enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await ApiService.verifyTwoFactorSignIn(challengeToken, code.trim());
+
+      await signIn(response.token, response.user, response.refreshToken);
+      if (response.backupCodesRemaining !== undefined) {
+        Alert.alert(
+          'Backup Code Used',
+          `You have ${response.backupCodesRemaining} backup codes left. You can make new ones in Account Settings.`
+        );
+      }
+      router.replace('/(tabs)');
+    } catch (error) {
+      if (error.data?.code === 'CHALLENGE_EXPIRED') {
+        setChallengeToken(null);
+        Alert.alert('Session Expired', error.message);
+      } else if (error.status === 423 || error.status === 429) {
+        setChallengeToken(null);
+        Alert.alert(error.status === 423 ? 'Account Locked' : 'Too Many Attempts', error.message);
+      } else {
+        Alert.alert('Error', error.message || 'Invalid code');
+      }
+      console.error('Two-factor sign in error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelCode = () => {
+    setChallengeToken(null);
+    setCode('');
+  };
+
   const handleGuestLogin = async () => {
     setGuestLoading(true);
     try {
       const response = await ApiService.getGuestSession();
       
       if (response.success) {
-        await signIn(response.token, response.user);
+        await signIn(response.token, response.user, response.refreshToken);
         router.replace('/(tabs)');
       }
     } catch (error) {
@@ -71,8 +130,29 @@ export default function SignInScreen() {
     }
   };
 
+  const handleEmailLink = async () => {
+    if (!email) {
+      Alert.alert('Error', 'Please enter your email address');
+      return;
+    }
+
+    setLinkLoading(true);
+    try {
+      const response = await ApiService.requestMagicLink(email.trim());
+      Alert.alert(
+        'Check Your Email',
+        `${response.message}. Open it on this phone to sign in.`
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not send a sign-in link');
+      console.error('Magic link error:', error);
+    } finally {
+      setLinkLoading(false);
+    }
+  };
+
   const handleForgotPassword = () => {
-    Alert.alert('Forgot Password', 'Password reset functionality coming soon!');
+    router.push({ pathname: '/(auth)/forgot-password', params: { email } });
   };
 
   const handleCreateAccount = () => {
@@ -95,88 +175,146 @@ export default function SignInScreen() {
           <Text style={styles.tagline}>Premium Vacuum & Appliance</Text>
         </View>
 
-        {/* Sign In Form */}
-        <View style={styles.formContainer}>
-          <Text style={styles.welcomeText}>Welcome Back</Text>
-          <Text style={styles.subtitle}>Sign in to your account</Text>
+        {/* Sign In Form (or the 2FA code step once the password is accepted) */}
+        {challengeToken ? (
+          <View style={styles.formContainer}>
+            <Text style={styles.welcomeText}>Two-Factor Code</Text>
+            <Text style={styles.subtitle}>
+              Enter the 6-digit code from your authenticator app, or one of your backup codes
+            </Text>
 
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Email</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your email"
-              placeholderTextColor="#999"
-              value={email}
-              onChangeText={setEmail}
-              keyboardType="email-address"
-              autoCapitalize="none"
-              autoCorrect={false}
-              editable={!loading && !guestLoading}
-            />
-          </View>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Code</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="123456"
+                placeholderTextColor="#999"
+                value={code}
+                onChangeText={setCode}
+                keyboardType="number-pad"
+                textContentType="oneTimeCode"
+                autoComplete="one-time-code"
+                autoCapitalize="none"
+                autoCorrect={false}
+                autoFocus
+                editable={!loading}
+              />
+            </View>
 
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your password"
-              placeholderTextColor="#999"
-              value={password}
-              onChangeText={setPassword}
-              secureTextEntry
-              autoCapitalize="none"
-              editable={!loading && !guestLoading}
-            />
+            <TouchableOpacity 
+              style={[styles.signInButton, loading && styles.buttonDisabled]}
+              onPress={handleVerifyCode}
+              activeOpacity={0.8}
+              disabled={loading}
+            >
+              <Text style={styles.signInButtonText}>
+                {loading ? 'Verifying...' : 'Verify'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity 
+              style={styles.createAccountButton}
+              onPress={handleCancelCode}
+              disabled={loading}
+            >
+              <Text style={styles.createAccountText}>Back to Sign In</Text>
+            </TouchableOpacity>
           </View>
+        ) : (
+          <View style={styles.formContainer}>
+            <Text style={styles.welcomeText}>Welcome Back</Text>
+            <Text style={styles.subtitle}>Sign in to your account</Text>
 
-          <TouchableOpacity 
-            style={styles.forgotPassword}
-            onPress={handleForgotPassword}
-            disabled={loading || guestLoading}
-          >
-            <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
-          </TouchableOpacity>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Email</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your email"
+                placeholderTextColor="#999"
+                value={email}
+                onChangeText={setEmail}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!loading && !guestLoading}
+              />
+            </View>
 
-          <TouchableOpacity 
-            style={[styles.signInButton, (loading || guestLoading) && styles.buttonDisabled]}
-            onPress={handleSignIn}
-            activeOpacity={0.8}
-            disabled={loading || guestLoading}
-          >
-            <Text style={styles.signInButtonText}>
-              {loading ? 'Signing In...' : 'Sign In'}
-            </Text>
-          </TouchableOpacity>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Password</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your password"
+                placeholderTextColor="#999"
+                value={password}
+                onChangeText={setPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!loading && !guestLoading}
+              />
+            </View>
 
-          <View style={styles.divider}>
-            <View style={styles.dividerLine} />
-            <Text style={styles.dividerText}>OR</Text>
-            <View style={styles.dividerLine} />
-          </View>
+            <TouchableOpacity 
+              style={styles.forgotPassword}
+              onPress={handleForgotPassword}
+              disabled={loading || guestLoading}
+            >
+              <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+            </TouchableOpacity>
 
-          {/* Guest Mode Button (visible in development) */}
-          {__DEV__ && (
             <TouchableOpacity 
-              style={[styles.guestButton, (loading || guestLoading) && styles.buttonDisabled]}
-              onPress={handleGuestLogin}
+              style={[styles.signInButton, (loading || guestLoading) && styles.buttonDisabled]}
+              onPress={handleSignIn}
               activeOpacity={0.8}
               disabled={loading || guestLoading}
             >
-              <Text style={styles.guestButtonText}>
-                {guestLoading ? 'Loading...' : '🎭 Continue as Guest'}
+              <Text style={styles.signInButtonText}>
+                {loading ? 'Signing In...' : 'Sign In'}
               </Text>
             </TouchableOpacity>
-          )}
 
-          <TouchableOpacity 
-            style={styles.createAccountButton}
-            onPress={handleCreateAccount}
-            activeOpacity={0.8}
-            disabled={loading || guestLoading}
-          >
-            <Text style={styles.createAccountText}>Create New Account</Text>
-          </TouchableOpacity>
-        </View>
+            {/* Passwordless sign-in: only the email field is needed */}
+            <TouchableOpacity 
+              style={[styles.emailLinkButton, (loading || linkLoading) && styles.buttonDisabled]}
+              onPress={handleEmailLink}
+              activeOpacity={0.8}
+              disabled={loading || guestLoading || linkLoading}
+            >
+              <Text style={styles.emailLinkText}>
+                {linkLoading ? 'Sending...' : '✉️ Email Me a Link Instead'}
+              </Text>
+            </TouchableOpacity>
+
+            <View style={styles.divider}>
+              <View style={styles.dividerLine} />
+              <Text style={styles.dividerText}>OR</Text>
+              <View style={styles.dividerLine} />
+            </View>
+
+            {/* Guest Mode Button (visible in development) */}
+            {__DEV__ && (
+              <TouchableOpacity 
+                style={[styles.guestButton, (loading || guestLoading) && styles.buttonDisabled]}
+                onPress={handleGuestLogin}
+                activeOpacity={0.8}
+                disabled={loading || guestLoading}
+              >
+                <Text style={styles.guestButtonText}>
+                  {guestLoading ? 'Loading...' : '🎭 Continue as Guest'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity 
+              style={styles.createAccountButton}
+              onPress={handleCreateAccount}
+              activeOpacity={0.8}
+              disabled={loading || guestLoading}
+            >
+              <Text style={styles.createAccountText}>Create New Account</Text>
+            </TouchableOpacity>
+          </View>
+        )}
 
         {/* Footer */}
         <View style={styles.footer}>
@@ -288,6 +426,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     letterSpacing: 0.5,
   },
+  emailLinkButton: {
+    marginTop: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  emailLinkText: {
+    color: '#4a90e2',
+    fontSize: 15,
+    fontWeight: '500',
+  },
   divider: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -21,7 +21,8 @@ export default function SignUpScreen() {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const router = useRouter();
-  const { signIn } = useAuth();
+  const { signIn, user, token } = useAuth();
+  const isGuest = !!user?.isGuest;
 
   const handleSignUp = async () => {
     if (!name || !email || !password || !confirmPassword) {
@@ -41,16 +42,19 @@ export default function SignUpScreen() {
 
     setLoading(true);
     try {
-      const response = await ApiService.signUp({ name, email, password });
+      // Guests keep their account (cart, favorites, orders) and just add credentials
+      const response = isGuest
+        ? await ApiService.upgradeGuestAccount({ name, email, password }, token)
+        : await ApiService.signUp({ name, email, password });
       
       if (response.success) {
-        await signIn(response.token, response.user);
-        router.replace('/(tabs)');
+        await signIn(response.token, response.user, response.refreshToken);
+        router.replace({ pathname: '/(auth)/verify-email', params: { email: response.user.email } });
       } else {
         Alert.alert('Error', response.message || 'Sign up failed');
       }
     } catch (error) {
-      Alert.alert('Error', 'An error occurred during sign up');
+      Alert.alert('Error', error.message || 'An error occurred during sign up');
       console.error('Sign up error:', error);
     } finally {
       setLoading(false);
@@ -80,7 +84,9 @@ export default function SignUpScreen() {
         {/* Sign Up Form */}
         <View style={styles.formContainer}>
           <Text style={styles.welcomeText}>Create Account</Text>
-          <Text style={styles.subtitle}>Join us today</Text>
+          <Text style={styles.subtitle}>
+            {isGuest ? 'Save your cart and orders to a new account' : 'Join us today'}
+          </Text>
 
           <View style={styles.inputContainer}>
             <Text style={styles.label}>Full Name</Text>
@@ -0,0 +1,232 @@
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+import ApiService from '../../services/api';
+
+// Shown after sign-up ("check your inbox"), and opened from the emailed
+// link: allthingscleanapp://verify-email?token=...
+export default function VerifyEmailScreen() {
+  const { token: verificationToken, email } = useLocalSearchParams();
+  const { token, user, updateUser } = useAuth();
+  const [status, setStatus] = useState(verificationToken ? 'verifying' : 'pending');
+  const [message, setMessage] = useState('');
+  const [resending, setResending] = useState(false);
+  const verifiedTokenRef = useRef(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    // The link works once: don't spend it again when the signed-in user changes
+    if (!verificationToken || verifiedTokenRef.current === verificationToken) return;
+    verifiedTokenRef.current = verificationToken;
+
+    const verify = async () => {
+      try {
+        const response = await ApiService.verifyEmail(verificationToken);
+        setStatus('verified');
+        setMessage(response.message);
+
+        // Keep the signed-in user's badge in sync if this was their address
+        if (user && response.user?.id === user.id) {
+          await updateUser({ ...user, ...response.user });
+        }
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.message || 'This verification link is invalid or has expired');
+        console.error('Verify email error:', error);
+      }
+    };
+
+    verify();
+  }, [verificationToken, user, updateUser]);
+
+  const handleResend = async () => {
+    if (!token) {
+      Alert.alert('Sign In Required', 'Sign in to get a new verification link');
+      return;
+    }
+
+    setResending(true);
+    try {
+      const response = await ApiService.resendVerificationEmail(token);
+      Alert.alert('Link Sent', response.message);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not send a new link');
+      console.error('Resend verification error:', error);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const handleContinue = () => {
+    router.replace(token ? '/(tabs)' : '/(auth)/sign-in');
+  };
+
+  const address = email || user?.email;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.scrollContent}
+      showsVerticalScrollIndicator={false}
+    >
+      {/* Logo/Brand Section */}
+      <View style={styles.logoContainer}>
+        <Text style={styles.brandName}>AllThingsClean</Text>
+        <Text style={styles.tagline}>Premium Vacuum & Appliance</Text>
+      </View>
+
+      <View style={styles.formContainer}>
+        {status === 'verifying' && (
+          <View style={styles.centered}>
+            <ActivityIndicator size="large" color="#1a1a1a" />
+            <Text style={styles.subtitle}>Confirming your email...</Text>
+          </View>
+        )}
+
+        {status === 'pending' && (
+          <>
+            <Text style={styles.icon}>📬</Text>
+            <Text style={styles.welcomeText}>Check your inbox</Text>
+            <Text style={styles.subtitle}>
+              We sent a confirmation link to {address || 'your email'}. Open it on this
+              device to confirm your address. You can keep browsing in the meantime,
+              but you&apos;ll need to confirm before placing an order.
+            </Text>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <Text style={styles.icon}>✅</Text>
+            <Text style={styles.welcomeText}>Email confirmed</Text>
+            <Text style={styles.subtitle}>{message}</Text>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <Text style={styles.icon}>⚠️</Text>
+            <Text style={styles.welcomeText}>Link not valid</Text>
+            <Text style={styles.subtitle}>{message}</Text>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleContinue}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.primaryButtonText}>
+              {token ? 'Continue Shopping' : 'Sign In'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {(status === 'pending' || status === 'failed') && (
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={handleResend}
+            disabled={resending}
+          >
+            <Text style={styles.linkText}>
+              {resending ? 'Sending...' : 'Send a new link'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+    paddingTop: 60,
+  },
+  logoContainer: {
+    alignItems: 'center',
+    marginBottom: 48,
+  },
+  brandName: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#1a1a1a',
+    letterSpacing: -0.5,
+  },
+  tagline: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  formContainer: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  centered: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  icon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  welcomeText: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 24,
+    lineHeight: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+  },
+  linkButton: {
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
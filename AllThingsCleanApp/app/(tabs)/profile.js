@@ -43,12 +43,25 @@ export default function ProfileScreen() {
         </View>
 
         <View style={styles.menuSection}>
+          {user?.isGuest && (
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => router.push('/(auth)/sign-up')}
+            >
+              <Text style={styles.menuItemText}>Create Account</Text>
+              <Text style={styles.menuItemArrow}>›</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity style={styles.menuItem}>
             <Text style={styles.menuItemText}>Orders</Text>
             <Text style={styles.menuItemArrow}>›</Text>
           </TouchableOpacity>
           
-          <TouchableOpacity style={styles.menuItem}>
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={() => router.push('/account-settings')}
+          >
             <Text style={styles.menuItemText}>Account Settings</Text>
             <Text style={styles.menuItemArrow}>›</Text>
           </TouchableOpacity>
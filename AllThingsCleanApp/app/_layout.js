@@ -31,6 +31,17 @@ export default function RootLayout() {
             headerTintColor: '#1a1a1a',
           }} 
         />
+        <Stack.Screen 
+          name="account-settings" 
+          options={{ 
+            headerShown: true,
+            title: 'Account Settings',
+            headerStyle: {
+              backgroundColor: '#fff',
+            },
+            headerTintColor: '#1a1a1a',
+          }} 
+        />
       </Stack>
     </AuthProvider>
   );
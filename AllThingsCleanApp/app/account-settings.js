@@ -0,0 +1,606 @@
+import { useRouter } from 'expo-router';
+import { useState } from 'react';
+import {
+  Alert,
+  KeyboardAvoidingView,
+  Linking,
+  Platform,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import ApiService from '../services/api';
+
+export default function AccountSettingsScreen() {
+  const { token, user, updateUser, signOut } = useAuth();
+  const router = useRouter();
+
+  const [name, setName] = useState(user?.name || '');
+  const [phone, setPhone] = useState(user?.phone || '');
+  const [avatar, setAvatar] = useState(user?.avatar || '');
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  // Two-factor enrolment: secret/otpauthUrl are set while setup is in progress
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const handleSaveProfile = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter your name');
+      return;
+    }
+
+    setSavingProfile(true);
+    try {
+      const response = await ApiService.updateProfile(
+        { name: name.trim(), phone: phone.trim(), avatar: avatar.trim() },
+        token
+      );
+      await updateUser(response.user);
+      Alert.alert('Saved', 'Your profile has been updated');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not update your profile');
+      console.error('Update profile error:', error);
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleChangePassword = async () => {
+    if (!currentPassword || !newPassword) {
+      Alert.alert('Error', 'Please fill in all password fields');
+      return;
+    }
+
+    if (newPassword.length < 6) {
+      Alert.alert('Error', 'Password must be at least 6 characters');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return;
+    }
+
+    setChangingPassword(true);
+    try {
+      await ApiService.changePassword(currentPassword, newPassword, token);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      Alert.alert('Password Changed', 'Your other devices have been signed out');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not change your password');
+      console.error('Change password error:', error);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const handleStartTwoFactor = async () => {
+    setTwoFactorLoading(true);
+    try {
+      const response = await ApiService.setupTwoFactor(token);
+      setTwoFactorSetup({ secret: response.secret, otpauthUrl: response.otpauthUrl });
+      setTwoFactorCode('');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not start two-factor setup');
+      console.error('Two-factor setup error:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleOpenAuthenticator = async () => {
+    try {
+      await Linking.openURL(twoFactorSetup.otpauthUrl);
+    } catch (error) {
+      Alert.alert('No Authenticator App', 'Enter the setup key in your authenticator app manually');
+      console.error('Open authenticator error:', error);
+    }
+  };
+
+  const handleEnableTwoFactor = async () => {
+    if (!twoFactorCode.trim()) {
+      Alert.alert('Error', 'Please enter the code from your authenticator app');
+      return;
+    }
+
+    setTwoFactorLoading(true);
+    try {
+      const response = await ApiService.enableTwoFactor(twoFactorCode.trim(), token);
+      await updateUser(response.user);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      setBackupCodes(response.backupCodes);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not turn on two-factor authentication');
+      console.error('Two-factor enable error:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleRegenerateBackupCodes = async () => {
+    if (!twoFactorCode.trim()) {
+      Alert.alert('Error', 'Please enter a code from your authenticator app');
+      return;
+    }
+
+    setTwoFactorLoading(true);
+    try {
+      const response = await ApiService.regenerateBackupCodes(twoFactorCode.trim(), token);
+      setTwoFactorCode('');
+      setBackupCodes(response.backupCodes);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not generate backup codes');
+      console.error('Backup codes error:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleDisableTwoFactor = async () => {
+    if (!twoFactorPassword || !twoFactorCode.trim()) {
+      Alert.alert('Error', 'Please enter your password and a code');
+      return;
+    }
+
+    setTwoFactorLoading(true);
+    try {
+      const response = await ApiService.disableTwoFactor(twoFactorPassword, twoFactorCode.trim(), token);
+      await updateUser(response.user);
+      setTwoFactorPassword('');
+      setTwoFactorCode('');
+      setBackupCodes(null);
+      Alert.alert('Two-Factor Off', response.message);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not turn off two-factor authentication');
+      console.error('Two-factor disable error:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const deleteAccount = async () => {
+    setDeleting(true);
+    try {
+      await ApiService.deleteAccount(deletePassword, token);
+      await signOut({ revoke: false });
+      router.replace('/(auth)/sign-in');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not delete your account');
+      console.error('Delete account error:', error);
+      setDeleting(false);
+    }
+  };
+
+  const handleDeleteAccount = () => {
+    if (!user?.isGuest && !deletePassword) {
+      Alert.alert('Error', 'Please enter your password to delete your account');
+      return;
+    }
+
+    Alert.alert(
+      'Delete Account',
+      'This permanently deletes your account and signs you out everywhere. Your past orders are kept by the store. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: deleteAccount },
+      ]
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Profile */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Profile</Text>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Name</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Enter your name"
+              placeholderTextColor="#999"
+              value={name}
+              onChangeText={setName}
+              autoCapitalize="words"
+              editable={!savingProfile}
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Phone</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Enter your phone number"
+              placeholderTextColor="#999"
+              value={phone}
+              onChangeText={setPhone}
+              keyboardType="phone-pad"
+              editable={!savingProfile}
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Avatar URL</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="https://..."
+              placeholderTextColor="#999"
+              value={avatar}
+              onChangeText={setAvatar}
+              keyboardType="url"
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!savingProfile}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.primaryButton, savingProfile && styles.buttonDisabled]}
+            onPress={handleSaveProfile}
+            activeOpacity={0.8}
+            disabled={savingProfile}
+          >
+            <Text style={styles.primaryButtonText}>
+              {savingProfile ? 'Saving...' : 'Save Profile'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Password (guests don't have one they know) */}
+        {!user?.isGuest && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Change Password</Text>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Current Password</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your current password"
+                placeholderTextColor="#999"
+                value={currentPassword}
+                onChangeText={setCurrentPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!changingPassword}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>New Password</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="At least 6 characters"
+                placeholderTextColor="#999"
+                value={newPassword}
+                onChangeText={setNewPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!changingPassword}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Confirm New Password</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Re-enter your new password"
+                placeholderTextColor="#999"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!changingPassword}
+              />
+            </View>
+
+            <TouchableOpacity
+              style={[styles.primaryButton, changingPassword && styles.buttonDisabled]}
+              onPress={handleChangePassword}
+              activeOpacity={0.8}
+              disabled={changingPassword}
+            >
+              <Text style={styles.primaryButtonText}>
+                {changingPassword ? 'Changing...' : 'Change Password'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Two-Factor Authentication */}
+        {!user?.isGuest && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Two-Factor Authentication</Text>
+
+            {backupCodes && (
+              <View style={styles.codesBox}>
+                <Text style={styles.sectionText}>
+                  Save these backup codes somewhere safe. Each one works once if you lose your phone.
+                </Text>
+                <Text style={styles.codesText} selectable>
+                  {backupCodes.join('\n')}
+                </Text>
+                <TouchableOpacity style={styles.linkButton} onPress={() => setBackupCodes(null)}>
+                  <Text style={styles.linkText}>I&apos;ve saved them</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {!user?.twoFactorEnabled && !twoFactorSetup && (
+              <>
+                <Text style={styles.sectionText}>
+                  Protect your account with a code from an authenticator app when you sign in.
+                </Text>
+                <TouchableOpacity
+                  style={[styles.primaryButton, twoFactorLoading && styles.buttonDisabled]}
+                  onPress={handleStartTwoFactor}
+                  activeOpacity={0.8}
+                  disabled={twoFactorLoading}
+                >
+                  <Text style={styles.primaryButtonText}>
+                    {twoFactorLoading ? 'Starting...' : 'Set Up Two-Factor'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            {!user?.twoFactorEnabled && twoFactorSetup && (
+              <>
+                <Text style={styles.sectionText}>
+                  Add this key to your authenticator app, then enter the 6-digit code it shows.
+                </Text>
+                <Text style={styles.codesText} selectable>
+                  {twoFactorSetup.secret}
+                </Text>
+                <TouchableOpacity style={styles.linkButton} onPress={handleOpenAuthenticator}>
+                  <Text style={styles.linkText}>Open in authenticator app</Text>
+                </TouchableOpacity>
+
+                <View style={styles.inputContainer}>
+                  <Text style={styles.label}>Code</Text>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="123456"
+                    placeholderTextColor="#999"
+                    value={twoFactorCode}
+                    onChangeText={setTwoFactorCode}
+                    keyboardType="number-pad"
+                    editable={!twoFactorLoading}
+                  />
+                </View>
+
+                <TouchableOpacity
+                  style={[styles.primaryButton, twoFactorLoading && styles.buttonDisabled]}
+                  onPress={handleEnableTwoFactor}
+                  activeOpacity={0.8}
+                  disabled={twoFactorLoading}
+                >
+                  <Text style={styles.primaryButtonText}>
+                    {twoFactorLoading ? 'Checking...' : 'Turn On'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            {user?.twoFactorEnabled && (
+              <>
+                <Text style={styles.sectionText}>
+                  Two-factor authentication is on. Enter a current code to make new backup codes,
+                  or your password and a code to turn it off.
+                </Text>
+
+                <View style={styles.inputContainer}>
+                  <Text style={styles.label}>Code</Text>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="123456"
+                    placeholderTextColor="#999"
+                    value={twoFactorCode}
+                    onChangeText={setTwoFactorCode}
+                    keyboardType="number-pad"
+                    editable={!twoFactorLoading}
+                  />
+                </View>
+
+                <TouchableOpacity
+                  style={[styles.primaryButton, twoFactorLoading && styles.buttonDisabled]}
+                  onPress={handleRegenerateBackupCodes}
+                  activeOpacity={0.8}
+                  disabled={twoFactorLoading}
+                >
+                  <Text style={styles.primaryButtonText}>New Backup Codes</Text>
+                </TouchableOpacity>
+
+                {/* Staff accounts must keep 2FA on */}
+                {user?.role === 'customer' && (
+                  <>
+                    <View style={[styles.inputContainer, styles.spacedTop]}>
+                      <Text style={styles.label}>Password</Text>
+                      <TextInput
+                        style={styles.input}
+                        placeholder="Enter your password"
+                        placeholderTextColor="#999"
+                        value={twoFactorPassword}
+                        onChangeText={setTwoFactorPassword}
+                        secureTextEntry
+                        autoCapitalize="none"
+                        editable={!twoFactorLoading}
+                      />
+                    </View>
+
+                    <TouchableOpacity
+                      style={[styles.deleteButton, twoFactorLoading && styles.buttonDisabled]}
+                      onPress={handleDisableTwoFactor}
+                      disabled={twoFactorLoading}
+                    >
+                      <Text style={styles.deleteButtonText}>Turn Off Two-Factor</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </>
+            )}
+          </View>
+        )}
+
+        {/* Delete Account */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Delete Account</Text>
+          <Text style={styles.sectionText}>
+            Removes your account and signs you out on every device.
+          </Text>
+
+          {!user?.isGuest && (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Password</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Enter your password to confirm"
+                placeholderTextColor="#999"
+                value={deletePassword}
+                onChangeText={setDeletePassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!deleting}
+              />
+            </View>
+          )}
+
+          <TouchableOpacity
+            style={[styles.deleteButton, deleting && styles.buttonDisabled]}
+            onPress={handleDeleteAccount}
+            disabled={deleting}
+          >
+            <Text style={styles.deleteButtonText}>
+              {deleting ? 'Deleting...' : 'Delete Account'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContent: {
+    paddingVertical: 16,
+  },
+  section: {
+    backgroundColor: '#fff',
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 16,
+  },
+  sectionText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#1a1a1a',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  primaryButton: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+  },
+  spacedTop: {
+    marginTop: 24,
+  },
+  codesBox: {
+    marginBottom: 16,
+  },
+  codesText: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: 16,
+    color: '#1a1a1a',
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    lineHeight: 24,
+  },
+  linkButton: {
+    paddingVertical: 8,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  linkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  deleteButton: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#f44336',
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#f44336',
+  },
+});
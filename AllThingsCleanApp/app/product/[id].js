@@ -79,6 +79,21 @@ export default function ProductDetailScreen() {
             <Text style={styles.sectionTitle}>Description</Text>
             <Text style={styles.description}>{product.description}</Text>
           </View>
+
+          {product.specifications?.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Specifications</Text>
+              {product.specifications.map((spec, index) => (
+                <View
+                  key={spec.name}
+                  style={[styles.specRow, index % 2 === 0 && styles.specRowShaded]}
+                >
+                  <Text style={styles.specLabel}>{spec.label}</Text>
+                  <Text style={styles.specValue}>{spec.display}</Text>
+                </View>
+              ))}
+            </View>
+          )}
         </View>
       </ScrollView>
 
@@ -168,6 +183,27 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 24,
   },
+  specRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  specRowShaded: {
+    backgroundColor: '#f8f9fa',
+  },
+  specLabel: {
+    fontSize: 14,
+    color: '#666',
+    flex: 1,
+  },
+  specValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'right',
+  },
   footer: {
     padding: 16,
     borderTopWidth: 1,
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import ApiService from '../services/api';
 
 const AuthContext = createContext({});
 
@@ -7,16 +8,24 @@ export function AuthProvider({ children }) {
   const [token, setToken] = useState(null);
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const refreshTokenRef = useRef(null);
 
   useEffect(() => {
     loadStoredAuth();
   }, []);
 
+  // Let the API layer renew expired access tokens without bothering the user
+  useEffect(() => {
+    ApiService.setSessionHandlers({ refresh: refreshSession });
+    return () => ApiService.setSessionHandlers({ refresh: null });
+  });
+
   const loadStoredAuth = async () => {
     try {
       const storedToken = await AsyncStorage.getItem('userToken');
       const storedUser = await AsyncStorage.getItem('userData');
-      
+      refreshTokenRef.current = await AsyncStorage.getItem('refreshToken');
+
       if (storedToken) {
         setToken(storedToken);
         if (storedUser) {
@@ -30,10 +39,50 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const signIn = async (authToken, userData) => {
+  const clearStoredAuth = async () => {
+    await AsyncStorage.multiRemove(['userToken', 'userData', 'refreshToken']);
+    refreshTokenRef.current = null;
+    setToken(null);
+    setUser(null);
+  };
+
+  // Exchange the refresh token for a new pair; resolves to the new access token or null
+  const refreshSession = async () => {
+    if (!refreshTokenRef.current) return null;
+
+    try {
+      const response = await ApiService.refreshSession(refreshTokenRef.current);
+
+      await AsyncStorage.setItem('userToken', response.token);
+      await AsyncStorage.setItem('refreshToken', response.refreshToken);
+      refreshTokenRef.current = response.refreshToken;
+      setToken(response.token);
+
+      if (response.user) {
+        await AsyncStorage.setItem('userData', JSON.stringify(response.user));
+        setUser(response.user);
+      }
+
+      return response.token;
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+
+      // Refresh token was rejected: the session is gone, so sign out locally
+      if (error.status === 401 || error.status === 400) {
+        await clearStoredAuth();
+      }
+      return null;
+    }
+  };
+
+  const signIn = async (authToken, userData, refreshToken) => {
     try {
       await AsyncStorage.setItem('userToken', authToken);
       await AsyncStorage.setItem('userData', JSON.stringify(userData));
+      if (refreshToken) {
+        await AsyncStorage.setItem('refreshToken', refreshToken);
+      }
+      refreshTokenRef.current = refreshToken || null;
       setToken(authToken);
       setUser(userData);
     } catch (error) {
@@ -42,12 +91,19 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const signOut = async () => {
+  // Pass { revoke: false } when the server session is already gone (e.g. account deleted)
+  const signOut = async ({ revoke = true } = {}) => {
+    // Revoke the session on the server; sign out locally even if that fails
+    if (revoke && token) {
+      try {
+        await ApiService.signOut(token);
+      } catch (error) {
+        console.error('Error revoking session:', error);
+      }
+    }
+
     try {
-      await AsyncStorage.removeItem('userToken');
-      await AsyncStorage.removeItem('userData');
-      setToken(null);
-      setUser(null);
+      await clearStoredAuth();
     } catch (error) {
       console.error('Error removing auth:', error);
       throw error;
@@ -73,6 +129,7 @@ export function AuthProvider({ children }) {
         signIn,
         signOut,
         updateUser,
+        refreshSession,
       }}
     >
       {children}
@@ -89,4 +146,3 @@ export function useAuth() {
 }
 
 export { AuthContext };
-
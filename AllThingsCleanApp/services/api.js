@@ -1,5 +1,7 @@
 // services/api.js - API Service for connecting React Native to Backend
 
+import { Platform } from 'react-native';
+
 // Enable mock mode when backend is not available
 const USE_MOCK_DATA = false; // Set to false when backend is ready
 
@@ -167,23 +169,57 @@ const getMockResponse = (endpoint, options) => {
   };
 };
 
+// Session hooks registered by AuthContext (see setSessionHandlers)
+let sessionHandlers = {
+  refresh: null,
+};
+let refreshInFlight = null;
+
+// Refresh the session once, sharing the result between concurrent callers
+const refreshAccessToken = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = sessionHandlers.refresh().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
 // Helper method for making API calls
-const request = async (endpoint, options = {}) => {
+const request = async (endpoint, options = {}, isRetry = false) => {
   const url = `${API_BASE_URL}${endpoint}`;
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
+      'X-Client-Platform': Platform.OS,
       ...options.headers,
     },
-    ...options,
   };
 
   try {
     const response = await fetch(url, config);
     const data = await response.json();
 
+    // Access token expired or was rotated: refresh silently and replay once
+    if (response.status === 401 && !isRetry && config.headers.Authorization && sessionHandlers.refresh) {
+      const newToken = await refreshAccessToken();
+      if (newToken) {
+        return await request(endpoint, {
+          ...options,
+          headers: {
+            ...options.headers,
+            Authorization: `Bearer ${newToken}`,
+          },
+        }, true);
+      }
+    }
+
     if (!response.ok) {
-      throw new Error(data.message || 'Something went wrong');
+      const error = new Error(data.message || 'Something went wrong');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -202,6 +238,17 @@ const request = async (endpoint, options = {}) => {
 
 // API Service Object with all methods
 const ApiService = {
+  // Session Handling
+
+  /**
+   * Register how to refresh the session when a request comes back 401.
+   * refresh() should resolve to the new access token, or null if the
+   * session could not be renewed.
+   */
+  setSessionHandlers: (handlers) => {
+    sessionHandlers = { ...sessionHandlers, ...handlers };
+  },
+
   // Product Methods
   
   getProducts: async (params = {}) => {
@@ -284,6 +331,27 @@ const ApiService = {
     });
   },
 
+  verifyTwoFactorSignIn: async (challengeToken, code) => {
+    return await request('/auth/signin/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+  },
+
+  requestMagicLink: async (email) => {
+    return await request('/auth/magic-link', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  verifyMagicLink: async (token) => {
+    return await request('/auth/magic-link/verify', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
   signUp: async (userData) => {
     // If mock mode enabled, use mock data
     if (__DEV__ && USE_MOCK_DATA) {
@@ -306,18 +374,161 @@ const ApiService = {
     });
   },
 
+  updateProfile: async (profileData, token) => {
+    return await request('/auth/profile', {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(profileData),
+    });
+  },
+
+  changePassword: async (currentPassword, newPassword, token) => {
+    return await request('/auth/change-password', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  },
+
+  deleteAccount: async (password, token) => {
+    return await request('/auth/account', {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ password }),
+    });
+  },
+
+  setupTwoFactor: async (token) => {
+    return await request('/auth/2fa/setup', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  enableTwoFactor: async (code, token) => {
+    return await request('/auth/2fa/enable', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  disableTwoFactor: async (password, code, token) => {
+    return await request('/auth/2fa/disable', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ password, code }),
+    });
+  },
+
+  regenerateBackupCodes: async (code, token) => {
+    return await request('/auth/2fa/backup-codes', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  refreshSession: async (refreshToken) => {
+    return await request('/auth/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken }),
+    });
+  },
+
+  signOut: async (token) => {
+    return await request('/auth/signout', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  getSessions: async (token) => {
+    return await request('/auth/sessions', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  revokeSession: async (sessionId, token) => {
+    return await request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  revokeOtherSessions: async (token) => {
+    return await request('/auth/sessions', {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  verifyEmail: async (token) => {
+    return await request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerificationEmail: async (token) => {
+    return await request('/auth/verify-email/resend', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  forgotPassword: async (email) => {
+    return await request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: async (token, password) => {
+    return await request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
   getGuestSession: async () => {
-    return {
-      success: true,
-      token: 'guest-token-' + Date.now(),
-      user: {
-        id: 'guest',
-        name: 'Guest User',
-        email: 'guest@allthingsclean.com',
-        isGuest: true,
+    return await request('/auth/guest', {
+      method: 'POST',
+    });
+  },
+
+  upgradeGuestAccount: async (userData, token) => {
+    return await request('/auth/guest/upgrade', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
       },
-      message: 'Guest session created',
-    };
+      body: JSON.stringify(userData),
+    });
   },
 
   // Cart Methods
@@ -372,6 +583,35 @@ const ApiService = {
     });
   },
 
+  createDraftOrder: async (draftData, token) => {
+    return await request('/orders/drafts', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(draftData),
+    });
+  },
+
+  updateDraftOrder: async (draftId, changes, token) => {
+    return await request(`/orders/drafts/${draftId}`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(changes),
+    });
+  },
+
+  completeDraftOrder: async (draftId, token) => {
+    return await request(`/orders/drafts/${draftId}/complete`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
   getOrders: async (token) => {
     return await request('/orders', {
       headers: {
@@ -380,6 +620,22 @@ const ApiService = {
     });
   },
 
+  getMyOrders: async (token) => {
+    return await request('/me/orders', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
+  getMyCustomer: async (token) => {
+    return await request('/me/customer', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+  },
+
   getOrderById: async (orderId, token) => {
     return await request(`/orders/${orderId}`, {
       headers: {
@@ -0,0 +1,36 @@
+// config/permissions.js - Roles and what each one is allowed to do
+
+const ROLES = ['customer', 'staff', 'admin'];
+
+// Customers get no global permissions: they can only reach their own
+// orders and customer record, which the routes check by ownership.
+// Permissions not granted to staff (shopify:manage, sync:run,
+// users:manage) are admin-only.
+const ROLE_PERMISSIONS = {
+  customer: [],
+  staff: [
+    'customers:read',
+    'customers:write',
+    'orders:read',
+    'orders:write',
+    'orders:refund',
+    'inventory:write',
+    'locations:read',
+    'stats:read',
+  ],
+  admin: ['*'],
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+function roleHasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+};
@@ -0,0 +1,56 @@
+// config/productSpecs.js - Which Shopify metafields are product specifications, and how to label them
+//
+// Each entry maps a metafield (namespace + key, on a product or a variant) to
+// a spec shown in the app. unit is only needed for plain number metafields:
+// dimension, volume and weight metafields carry their own. Specs are listed in
+// the order given here, under name (the key unless set), which must not
+// contain dots. Set PRODUCT_SPECS_FILE to a JSON file of the same shape to
+// replace the defaults.
+//
+// Specs are read whenever a product is synced. Shopify sends no webhook and
+// doesn't bump the product's updated_at when only a metafield changes, so
+// such edits are picked up by the next full sync (?full=true, or
+// SYNC_CRON_FULL), not by webhooks or incremental syncs.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRODUCT_SPECS = [
+  { namespace: 'specs', key: 'suction_power', label: 'Suction power', unit: 'W' },
+  { namespace: 'specs', key: 'filtration', label: 'Filtration' },
+  { namespace: 'specs', key: 'cord_length', label: 'Cord length', unit: 'm' },
+  { namespace: 'specs', key: 'tank_capacity', label: 'Tank capacity', unit: 'L' },
+  { namespace: 'specs', key: 'battery_runtime', label: 'Battery runtime', unit: 'min' },
+  { namespace: 'specs', key: 'noise_level', label: 'Noise level', unit: 'dB' },
+  { namespace: 'specs', key: 'weight', label: 'Weight', unit: 'kg' },
+  { namespace: 'specs', key: 'warranty', label: 'Warranty', unit: 'years' },
+];
+
+function loadProductSpecs() {
+  const file = process.env.PRODUCT_SPECS_FILE;
+  const specs = file
+    ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+    : DEFAULT_PRODUCT_SPECS;
+
+  return specs.map((spec, position) => {
+    const name = spec.name || spec.key;
+    if (!spec.namespace || !spec.key || !spec.label || name.includes('.')) {
+      throw new Error(`Invalid product spec ${JSON.stringify(spec)}${file ? ` in ${file}` : ''}`);
+    }
+    return { ...spec, name, position };
+  });
+}
+
+const PRODUCT_SPECS = loadProductSpecs();
+
+/**
+ * Find the spec a metafield maps to (undefined when it isn't one)
+ */
+function findProductSpec(namespace, key) {
+  return PRODUCT_SPECS.find(spec => spec.namespace === namespace && spec.key === key);
+}
+
+module.exports = {
+  PRODUCT_SPECS,
+  findProductSpec,
+};
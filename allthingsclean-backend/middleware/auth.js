@@ -0,0 +1,117 @@
+// middleware/auth.js - Authentication middleware
+
+const tokenService = require('../services/tokens');
+const sessionService = require('../services/sessions');
+const User = require('../models/User');
+const { roleHasPermission } = require('../config/permissions');
+
+/**
+ * Require a valid access token for an active session
+ * Loads the authenticated user into req.user and the session into req.session
+ */
+async function requireAuth(req, res, next) {
+  const token = tokenService.fromHeader(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  let payload;
+  try {
+    payload = tokenService.verify(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
+      message: error.name === 'TokenExpiredError'
+        ? 'Session expired, please sign in again'
+        : 'Invalid session token',
+    });
+  }
+
+  try {
+    const session = await sessionService.findForAccessToken(payload);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session is no longer valid, please sign in again',
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account no longer exists',
+      });
+    }
+
+    await sessionService.touch(session);
+
+    req.user = user;
+    req.session = session;
+    req.auth = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a permission from the user's role (use after requireAuth)
+ * @param {string} permission - e.g. 'orders:write' (see config/permissions.js)
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    if (!roleHasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+      });
+    }
+
+    // The role grants it, but staff permissions wait for 2FA to be on
+    if (!req.user.can(permission)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Turn on two-factor authentication to use staff features',
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require a confirmed email address (use after requireAuth)
+ * Gates actions like placing orders and writing reviews
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please confirm your email address first',
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  requirePermission,
+  requireVerifiedEmail,
+};
@@ -0,0 +1,76 @@
+// models/AuthToken.js - Single-use, expiring tokens sent to users (password reset, email verification, magic links)
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'magic_link'],
+    required: true,
+  },
+  // Only the SHA-256 of the token is stored; the raw value goes out by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Static method to issue a new token (replaces any outstanding token for the same purpose)
+authTokenSchema.statics.issue = async function(user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Static method to redeem a token exactly once; returns the token document or null
+authTokenSchema.statics.consume = function(token, purpose) {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
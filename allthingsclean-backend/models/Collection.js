@@ -0,0 +1,104 @@
+// models/Collection.js - Shopify collection (custom or smart) and the products in it
+
+const mongoose = require('mongoose');
+
+const collectionSchema = new mongoose.Schema({
+  // Shopify Integration
+  shopifyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ['custom', 'smart'],
+    default: 'custom',
+  },
+
+  // Basic Info
+  title: {
+    type: String,
+    required: true,
+  },
+  handle: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  imageUrl: String,
+
+  // Shopify's sort order for the collection (manual, best-selling, alpha-asc, ...)
+  sortOrder: {
+    type: String,
+    default: 'manual',
+  },
+
+  // Smart collection conditions (products matching them are added by Shopify)
+  rules: [{
+    _id: false,
+    column: String,
+    relation: String,
+    condition: String,
+  }],
+  disjunctive: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Unpublished collections are kept but not shown in the app
+  published: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  publishedAt: Date,
+
+  // Shopify ids of the products in the collection, in the collection's order
+  productIds: [{
+    type: String,
+    index: true,
+  }],
+
+  // Shopify's updated_at (membership changes don't touch it)
+  lastUpdated: Date,
+}, {
+  timestamps: true,
+});
+
+// Static method to get the collections shown in the app, by title
+collectionSchema.statics.findPublished = function() {
+  return this.find({ published: true }).sort({ title: 1 });
+};
+
+// Static method to find a published collection by handle, or by title for category names
+collectionSchema.statics.findByHandleOrTitle = function(value) {
+  return this.findOne({
+    published: true,
+    $or: [{ handle: value.toLowerCase() }, { title: value }],
+  });
+};
+
+// Method to get public collection data (without the product id list)
+collectionSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    shopifyId: this.shopifyId,
+    handle: this.handle,
+    title: this.title,
+    description: this.description,
+    imageUrl: this.imageUrl,
+    type: this.type,
+    sortOrder: this.sortOrder,
+    productCount: this.productIds.length,
+  };
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
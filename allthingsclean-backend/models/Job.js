@@ -0,0 +1,156 @@
+// models/Job.js - Background job queue entry (see services/jobQueue.js)
+
+const mongoose = require('mongoose');
+
+// Only the first item errors are kept; errorCount has the full number
+const MAX_JOB_ERRORS = 100;
+
+const jobErrorSchema = new mongoose.Schema({
+  item: String, // e.g. 'products:632910392'
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+  },
+
+  // Who or what asked for it: a user, or a schedule name for cron jobs
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  schedule: String,
+  // Stops the same scheduled run being queued twice (e.g. by two server instances)
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+
+  // Progress reported by the handler while it runs
+  progress: {
+    stage: String,
+    current: { type: Number, default: 0 },
+    total: Number,
+    detail: mongoose.Schema.Types.Mixed,
+  },
+  result: mongoose.Schema.Types.Mixed,
+  // Why the whole job failed, vs. itemErrors for single records that did
+  error: String,
+  itemErrors: [jobErrorSchema],
+  errorCount: {
+    type: Number,
+    default: 0,
+  },
+
+  // Timings
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+
+  // Worker lock: a job whose lock runs out (crashed worker) is picked up again
+  lockedBy: String,
+  lockedUntil: Date,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ createdAt: -1 });
+
+// Static method to claim the next job that is due (or abandoned by a dead worker)
+jobSchema.statics.claimNext = function(workerId, lockMs, types) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to record a per-item error (keeps the first MAX_JOB_ERRORS)
+jobSchema.statics.addError = function(jobId, item, message) {
+  return this.updateOne(
+    { _id: jobId },
+    {
+      $push: { itemErrors: { $each: [{ item, message, at: new Date() }], $slice: MAX_JOB_ERRORS } },
+      $inc: { errorCount: 1 },
+    }
+  );
+};
+
+// Virtual for whether the job has finished one way or another
+jobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+// Method to get public job info
+jobSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    params: this.params,
+    status: this.status,
+    cancelRequested: this.cancelRequested,
+    schedule: this.schedule,
+    createdBy: this.createdBy,
+    progress: this.progress,
+    result: this.result,
+    error: this.error,
+    itemErrors: this.itemErrors,
+    errorCount: this.errorCount,
+    attempts: this.attempts,
+    createdAt: this.createdAt,
+    runAt: this.runAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    durationMs: this.durationMs,
+  };
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,47 @@
+// models/LoginAttempt.js - Failed sign-in counters per account and per client IP,
+// and password reset requests per client IP
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // 'account:<email>', 'ip:<address>' or 'password_reset:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip', 'password_reset'],
+    required: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Latest attempt counted (a failure until it's known to have succeeded)
+  lastFailureAt: Date,
+
+  // Hard lockout once the failure threshold is reached
+  lockedUntil: Date,
+
+  // Counters are forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to build the key for an account or IP counter
+loginAttemptSchema.statics.keyFor = function(scope, value) {
+  return `${scope}:${String(value).trim().toLowerCase()}`;
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -3,6 +3,8 @@
 const mongoose = require('mongoose');
 
 const orderItemSchema = new mongoose.Schema({
+  // Shopify line item ID (refunds and fulfillments refer to it)
+  lineItemId: String,
   productId: {
     type: String,
     required: true,
@@ -43,6 +45,65 @@ const addressSchema = new mongoose.Schema({
   phone: String,
 }, { _id: false });
 
+const refundItemSchema = new mongoose.Schema({
+  lineItemId: String,
+  productId: String,
+  variantId: String,
+  name: String,
+  quantity: {
+    type: Number,
+    min: 1,
+  },
+  subtotal: Number,
+  tax: Number,
+  // no_restock, cancel (never shipped) or return (sent back)
+  restockType: String,
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  shopifyId: String,
+  items: [refundItemSchema],
+  // Money given back (successful refund transactions)
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  shipping: {
+    type: Number,
+    default: 0,
+  },
+  restock: {
+    type: Boolean,
+    default: false,
+  },
+  note: String,
+  dateCreated: Date,
+}, { _id: false });
+
+const fulfillmentItemSchema = new mongoose.Schema({
+  lineItemId: String,
+  productId: String,
+  variantId: String,
+  name: String,
+  quantity: Number,
+}, { _id: false });
+
+const fulfillmentSchema = new mongoose.Schema({
+  shopifyId: String,
+  name: String, // #1001.1
+  // pending, open, success, cancelled, error or failure
+  status: String,
+  // Carrier progress, when Shopify tracks it (in_transit, delivered, ...)
+  shipmentStatus: String,
+  trackingCompany: String,
+  trackingNumber: String,
+  trackingUrl: String,
+  items: [fulfillmentItemSchema],
+  locationId: String,
+  dateCreated: Date,
+  dateUpdated: Date,
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   // Shopify Integration
   shopifyId: {
@@ -111,7 +172,7 @@ const orderSchema = new mongoose.Schema({
   // Order Status
   status: {
     type: String,
-    enum: ['pending', 'authorized', 'paid', 'partially_paid', 'refunded', 'voided', 'cancelled'],
+    enum: ['pending', 'authorized', 'paid', 'partially_paid', 'partially_refunded', 'refunded', 'voided', 'cancelled'],
     default: 'pending',
     index: true,
   },
@@ -132,7 +193,13 @@ const orderSchema = new mongoose.Schema({
     default: 'unknown',
   },
   
-  // Tracking
+  // Refunds
+  refunds: [refundSchema],
+
+  // Shipments
+  fulfillments: [fulfillmentSchema],
+
+  // Tracking (of the latest shipment)
   trackingNumber: String,
   trackingCompany: String,
   trackingUrl: String,
@@ -177,6 +244,11 @@ orderSchema.virtual('itemCount').get(function() {
   return this.items.reduce((sum, item) => sum + item.quantity, 0);
 });
 
+// Virtual for the money refunded so far
+orderSchema.virtual('totalRefunded').get(function() {
+  return (this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+});
+
 // Pre-save middleware to update lastUpdated
 orderSchema.pre('save', function(next) {
   this.lastUpdated = new Date();
@@ -230,10 +302,10 @@ orderSchema.statics.getRecent = function(limit = 10) {
   return this.find().sort({ dateCreated: -1 }).limit(limit);
 };
 
-// Static method to calculate total revenue
+// Static method to calculate total revenue (less refunds)
 orderSchema.statics.calculateRevenue = async function(startDate, endDate) {
   const match = {
-    status: 'paid',
+    status: { $in: ['paid', 'partially_refunded'] },
   };
   
   if (startDate || endDate) {
@@ -244,7 +316,12 @@ orderSchema.statics.calculateRevenue = async function(startDate, endDate) {
   
   const result = await this.aggregate([
     { $match: match },
-    { $group: { _id: null, total: { $sum: '$total' } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $subtract: ['$total', { $sum: '$refunds.amount' }] } },
+      },
+    },
   ]);
   
   return result[0]?.total || 0;
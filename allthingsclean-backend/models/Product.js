@@ -2,6 +2,14 @@
 
 const mongoose = require('mongoose');
 
+// One technical specification from a metafield (see config/productSpecs.js)
+const specSchema = new mongoose.Schema({
+  label: String,
+  value: mongoose.Schema.Types.Mixed, // number, string, boolean or list
+  unit: String,
+  position: Number, // order in the spec table
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   // Shopify Integration
   shopifyId: {
@@ -89,7 +97,19 @@ const productSchema = new mongoose.Schema({
     price: Number,
     sku: String,
     inventoryQuantity: Number,
+    specs: {
+      type: Map,
+      of: specSchema,
+      default: {},
+    },
   }],
+
+  // Technical specifications, keyed by spec name (e.g. specs.get('suction_power'))
+  specs: {
+    type: Map,
+    of: specSchema,
+    default: {},
+  },
   
   // Product Flags
   isNew: {
@@ -170,6 +190,30 @@ productSchema.methods.getDiscountPercentage = function() {
   return Math.round(((this.compareAtPrice - this.price) / this.compareAtPrice) * 100);
 };
 
+// Instance method to get the spec table rows, in display order
+// A variant's own specs (e.g. tank capacity per size) replace the product's
+productSchema.methods.getSpecifications = function(variantId) {
+  const specs = new Map(this.specs);
+  const variant = variantId && this.variants.find(v => String(v.id) === String(variantId));
+  variant?.specs?.forEach((spec, name) => specs.set(name, spec));
+
+  const format = value => {
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  };
+
+  return [...specs.entries()]
+    .sort(([, a], [, b]) => a.position - b.position)
+    .map(([name, spec]) => ({
+      name,
+      label: spec.label,
+      value: spec.value,
+      unit: spec.unit,
+      display: spec.unit && typeof spec.value === 'number' ? `${format(spec.value)} ${spec.unit}` : format(spec.value),
+    }));
+};
+
 // Static method to get products by category
 productSchema.statics.findByCategory = function(category) {
   return this.find({ category, inStock: true }).sort({ popularity: -1 });
@@ -0,0 +1,120 @@
+// models/ReconciliationReport.js - Differences found between Shopify and MongoDB
+
+const mongoose = require('mongoose');
+
+// Longest id list kept per category; the counts always cover everything
+const MAX_REPORTED_IDS = 1000;
+
+const entityResultSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ['products', 'customers', 'orders', 'collections'],
+    required: true,
+  },
+  shopifyCount: { type: Number, default: 0 },
+  localCount: { type: Number, default: 0 },
+
+  // In Shopify but not in MongoDB (e.g. a missed create webhook)
+  missing: [String],
+  missingCount: { type: Number, default: 0 },
+  // In MongoDB but no longer in Shopify (e.g. deleted while the server was down)
+  orphaned: [String],
+  orphanedCount: { type: Number, default: 0 },
+  // Changed in Shopify after our copy was written
+  stale: [{
+    _id: false,
+    shopifyId: String,
+    shopifyUpdatedAt: Date,
+    localUpdatedAt: Date,
+  }],
+  staleCount: { type: Number, default: 0 },
+
+  // Only when run with repair
+  repaired: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+    // Orphans Shopify still has (left out of a partial listing), left alone
+    kept: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  error: String,
+  durationMs: Number,
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  repair: {
+    type: Boolean,
+    default: false,
+  },
+  entities: [entityResultSchema],
+  error: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  durationMs: Number,
+}, {
+  timestamps: true,
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Virtual for the total number of differences found
+reconciliationReportSchema.virtual('driftCount').get(function() {
+  return this.entities.reduce(
+    (sum, result) => sum + result.missingCount + result.orphanedCount + result.staleCount,
+    0
+  );
+});
+
+// Method to get a short version for report lists (counts, no id lists)
+reconciliationReportSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    store: this.store,
+    status: this.status,
+    repair: this.repair,
+    driftCount: this.driftCount,
+    entities: this.entities.map(result => ({
+      entity: result.entity,
+      shopifyCount: result.shopifyCount,
+      localCount: result.localCount,
+      missingCount: result.missingCount,
+      orphanedCount: result.orphanedCount,
+      staleCount: result.staleCount,
+      repaired: result.repaired,
+      error: result.error,
+    })),
+    error: this.error,
+    job: this.job,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    durationMs: this.durationMs,
+  };
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
+module.exports.MAX_REPORTED_IDS = MAX_REPORTED_IDS;
@@ -0,0 +1,106 @@
+// models/Session.js - Server-side sign-in sessions (one per device)
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  // Current short-lived access token (the JWT's jti)
+  accessTokenId: {
+    type: String,
+    required: true,
+  },
+  accessExpiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Rotating refresh token (SHA-256 only, never the raw value)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Previous refresh token, kept to detect replay of a rotated token
+  previousRefreshTokenHash: {
+    type: String,
+    index: true,
+    sparse: true,
+  },
+  refreshExpiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Device metadata
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  platform: {
+    type: String,
+    default: '',
+  },
+  deviceName: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+
+  // Activity
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: String,
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes sessions once their refresh token can no longer be used
+sessionSchema.index({ refreshExpiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Instance method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.refreshExpiresAt > new Date();
+};
+
+// Instance method to get the device-list view of a session
+sessionSchema.methods.toPublicJSON = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    platform: this.platform,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    current: currentSessionId ? this._id.equals(currentSessionId) : false,
+  };
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    refreshExpiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,67 @@
+// models/SyncState.js - Checkpoint of the last successful Shopify sync per entity and store
+
+const mongoose = require('mongoose');
+
+const countsSchema = new mongoose.Schema({
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+}, { _id: false });
+
+const syncStateSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ['products', 'customers', 'orders', 'collections'],
+    required: true,
+  },
+  // Store host, e.g. 'your-store.myshopify.com'
+  store: {
+    type: String,
+    required: true,
+  },
+
+  // Highest Shopify updated_at synced without failures; incremental runs
+  // ask for records with updated_at_min at this point
+  lastUpdatedAt: Date,
+
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastMode: {
+    type: String,
+    enum: ['full', 'incremental'],
+  },
+  lastCounts: countsSchema,
+  lastError: String,
+}, {
+  timestamps: true,
+});
+
+syncStateSchema.index({ entity: 1, store: 1 }, { unique: true });
+
+// Static method to get the checkpoint for an entity, creating it on first use
+syncStateSchema.statics.forEntity = function(entity, store) {
+  return this.findOneAndUpdate(
+    { entity, store },
+    { $setOnInsert: { entity, store } },
+    { upsert: true, new: true }
+  );
+};
+
+// Method to get public sync state (without internal fields)
+syncStateSchema.methods.toPublicJSON = function() {
+  return {
+    entity: this.entity,
+    store: this.store,
+    lastUpdatedAt: this.lastUpdatedAt,
+    lastRunAt: this.lastRunAt,
+    lastSuccessAt: this.lastSuccessAt,
+    lastMode: this.lastMode,
+    lastCounts: this.lastCounts,
+    lastError: this.lastError,
+  };
+};
+
+const SyncState = mongoose.model('SyncState', syncStateSchema);
+
+module.exports = SyncState;
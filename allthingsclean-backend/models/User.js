@@ -1,6 +1,56 @@
 // models/User.js - User Schema for Authentication
 
+const crypto = require('crypto');
+const { promisify } = require('util');
 const mongoose = require('mongoose');
+const { ROLES, roleHasPermission } = require('../config/permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Staff and admins must use 2FA before their permissions take effect
+const STAFF_TWO_FACTOR_REQUIRED = process.env.STAFF_TWO_FACTOR_REQUIRED !== 'false';
+
+// scrypt parameters for new hashes (stored alongside each hash so they can change later)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const HASH_PREFIX = 'scrypt';
+
+// Stored format: scrypt$N$r$p$salt$hash (salt and hash base64)
+const HASH_FORMAT = /^scrypt\$\d+\$\d+\$\d+\$[A-Za-z0-9+/]+={0,2}\$[A-Za-z0-9+/]+={0,2}$/;
+
+function isHashedPassword(value) {
+  return typeof value === 'string' && HASH_FORMAT.test(value);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// A stored value scrypt can't work with (bad parameters) is a failed check, not an error
+async function verifyHashedPassword(stored, candidate) {
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const actual = await scrypt(candidate, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N),
+      r: parseInt(r),
+      p: parseInt(p),
+    });
+    return crypto.timingSafeEqual(expected, actual);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Legacy rows hold plaintext; compare digests so lengths match for timingSafeEqual
+function verifyPlaintextPassword(stored, candidate) {
+  const expected = crypto.createHash('sha256').update(String(stored)).digest();
+  const actual = crypto.createHash('sha256').update(String(candidate)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
 
 const userSchema = new mongoose.Schema({
   // Basic Info
@@ -17,6 +67,13 @@ const userSchema = new mongoose.Schema({
     trim: true,
     index: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
   password: {
     type: String,
     required: true,
@@ -28,6 +85,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'customer',
+    index: true,
+  },
   
   // Profile
   phone: {
@@ -39,6 +102,24 @@ const userSchema = new mongoose.Schema({
     default: '',
   },
   
+  // Two-factor authentication (TOTP); secrets are encrypted, backup codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: String,
+    // Secret waiting for the first valid code before 2FA is switched on
+    pendingSecret: String,
+    // Last accepted time step, so a code can't be used twice
+    lastUsedCounter: {
+      type: Number,
+      default: -1,
+    },
+    backupCodes: [String],
+    enabledAt: Date,
+  },
+  
   // Linked Shopify Customer
   shopifyCustomerId: {
     type: String,
@@ -49,6 +130,9 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
   },
+  lastActiveAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -67,9 +151,64 @@ userSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to check password (simple comparison - in production use bcrypt)
-userSchema.methods.comparePassword = function(candidatePassword) {
-  return this.password === candidatePassword;
+// Hash password whenever it is set or changed (whatever it looks like), and
+// any plaintext left from before passwords were hashed (setting the same
+// value again isn't a change)
+userSchema.pre('save', async function() {
+  if (!this.isModified('password') && !this.needsPasswordRehash()) return;
+  this.password = await hashPassword(this.password);
+});
+
+// Instance method to check password (constant-time, supports legacy plaintext rows)
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!candidatePassword) return false;
+
+  if (isHashedPassword(this.password)) {
+    return verifyHashedPassword(this.password, candidatePassword);
+  }
+
+  return verifyPlaintextPassword(this.password, candidatePassword);
+};
+
+// Instance method to check if the stored password predates hashing
+userSchema.methods.needsPasswordRehash = function() {
+  return !isHashedPassword(this.password);
+};
+
+// Instance method to record that the user proved they own their email address
+userSchema.methods.markEmailVerified = function() {
+  if (this.emailVerified) return;
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
+// Instance method to switch two-factor authentication off and forget its secrets
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    lastUsedCounter: -1,
+    backupCodes: [],
+  };
+};
+
+// Instance method to check whether the user's role obliges them to have 2FA on
+userSchema.methods.isTwoFactorRequired = function() {
+  return STAFF_TWO_FACTOR_REQUIRED && this.role !== 'customer';
+};
+
+// Instance method to check a permission granted by the user's role. Staff
+// permissions only take effect once 2FA is on, wherever they're checked.
+userSchema.methods.can = function(permission) {
+  if (this.isTwoFactorRequired() && !this.twoFactor?.enabled) return false;
+  return roleHasPermission(this.role, permission);
+};
+
+// Instance method to get the Shopify customer the user may act as. The link
+// only counts once the email is verified: it grants access to that
+// customer's orders, and accounts linked before verification existed may
+// still hold one.
+userSchema.methods.linkedCustomerId = function() {
+  return !this.isGuest && this.emailVerified ? this.shopifyCustomerId || null : null;
 };
 
 // Instance method to get public profile (without password)
@@ -78,13 +217,27 @@ userSchema.methods.toPublicJSON = function() {
     id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: this.emailVerified,
     phone: this.phone,
     avatar: this.avatar,
     isGuest: this.isGuest,
+    role: this.role,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     createdAt: this.createdAt,
   };
 };
 
+// Static method to find guests with no activity since the cutoff date
+userSchema.statics.findInactiveGuests = function(cutoff) {
+  return this.find({
+    isGuest: true,
+    $or: [
+      { lastActiveAt: { $lt: cutoff } },
+      { lastActiveAt: { $exists: false }, createdAt: { $lt: cutoff } },
+    ],
+  });
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -0,0 +1,140 @@
+// routes/admin.js - User administration routes
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const loginThrottle = require('../services/loginThrottle');
+const sessionService = require('../services/sessions');
+const { ROLES } = require('../config/permissions');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Every admin route needs a signed-in user with users:manage
+router.use(requireAuth, requirePermission('users:manage'));
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's role (customer, staff, admin)
+ */
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.isGuest && role !== 'customer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Guest accounts cannot be given staff roles',
+      });
+    }
+
+    // Don't let the last admin lock everyone out
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last admin',
+        });
+      }
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      message: `Role updated to ${role}`,
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred updating the role',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Clear a sign-in lockout or back-off on a user's account
+ */
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const wasLocked = await loginThrottle.unlock(user.email);
+
+    res.json({
+      success: true,
+      unlocked: wasLocked,
+      message: wasLocked ? `Unlocked ${user.email}` : `${user.email} was not locked`,
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred unlocking the account',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/2fa/reset
+ * Turn off a user's two-factor authentication (lost phone and backup codes)
+ * and sign them out everywhere
+ */
+router.post('/users/:id/2fa/reset', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+    await sessionService.revokeAllForUser(user._id, { reason: 'two_factor_reset' });
+
+    console.log(`🔐 ${req.user.email} reset two-factor authentication for ${user.email}`);
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      message: `Two-factor authentication reset for ${user.email}`,
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred resetting two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
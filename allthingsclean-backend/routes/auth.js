@@ -1,12 +1,73 @@
 // routes/auth.js - Authentication Routes
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const mailer = require('../services/mailer');
+const sessionService = require('../services/sessions');
+const tokenService = require('../services/tokens');
+const totpService = require('../services/totp');
+const customerLink = require('../services/customerLink');
+const loginThrottle = require('../services/loginThrottle');
+const { SessionError } = require('../services/sessions');
+const { requireAuth } = require('../middleware/auth');
 
-// Generate simple token (in production, use JWT)
-function generateToken() {
-  return 'token_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAGIC_LINK_COOLDOWN_MS = 60 * 1000;
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000;
+const PHONE_PATTERN = /^[+\d\s().-]{0,30}$/;
+
+// Email a verification link; a mail failure must not fail the request that triggered it
+async function sendVerificationEmail(user) {
+  try {
+    const token = await AuthToken.issue(
+      user,
+      'email_verification',
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await mailer.sendEmailVerification(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+    return true;
+  } catch (error) {
+    console.error(`Error sending verification email to ${user.email}:`, error);
+    return false;
+  }
+}
+
+// Start a session for the user and build the token fields of the response
+async function startSession(user, req) {
+  const { token, refreshToken, expiresIn } = await sessionService.create(user, req);
+  return { token, refreshToken, expiresIn };
+}
+
+// Record a successful sign-in (all factors checked) and start the session
+async function completeSignIn(user, req) {
+  user.lastLogin = new Date();
+  user.lastActiveAt = user.lastLogin;
+  await user.save();
+
+  // Link to the matching Shopify customer if that hasn't happened yet
+  customerLink.linkUserInBackground(user);
+
+  return startSession(user, req);
+}
+
+// Response asking for the second factor; POST /signin/2fa finishes the sign-in
+function twoFactorChallenge(user) {
+  const challenge = tokenService.signTwoFactorChallenge(user);
+  return {
+    success: true,
+    twoFactorRequired: true,
+    challengeToken: challenge.token,
+    expiresAt: challenge.expiresAt,
+    message: 'Enter the code from your authenticator app',
+  };
 }
 
 /**
@@ -25,39 +86,232 @@ router.post('/signin', async (req, res) => {
       });
     }
 
-    // Find user
+    // Refuse while the account or this client is backing off or locked out
+    const blocked = await loginThrottle.check(email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        code: blocked.code,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter,
+        lockedUntil: blocked.lockedUntil,
+      });
+    }
+
+    // Find user and check password
     const user = await User.findByEmail(email);
-    if (!user) {
+    if (!user || !(await user.comparePassword(password))) {
+      await loginThrottle.recordFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Check password
-    if (!user.comparePassword(password)) {
+    // Re-hash accounts created before passwords were hashed (saving does it)
+    if (user.needsPasswordRehash()) {
+      await user.save();
+    }
+
+    // With 2FA on, the password only earns a challenge for the code step
+    if (user.twoFactor?.enabled) {
+      await loginThrottle.release(email, req.ip);
+      return res.json(twoFactorChallenge(user));
+    }
+
+    await loginThrottle.recordSuccess(email, req.ip);
+
+    const tokens = await completeSignIn(user, req);
+
+    // Return success
+    res.json({
+      success: true,
+      ...tokens,
+      user: user.toPublicJSON(),
+      message: 'Sign in successful',
+    });
+  } catch (error) {
+    console.error('Sign in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during sign in',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/signin/2fa
+ * Finish signing in with an authenticator or backup code
+ */
+router.post('/signin/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required',
+      });
+    }
+
+    let payload;
+    try {
+      payload = tokenService.verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password',
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Sign-in attempt expired, please sign in again',
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Sign-in attempt expired, please sign in again',
+      });
+    }
+
+    // Wrong codes count towards the same back-off and lockout as wrong passwords
+    const blocked = await loginThrottle.check(user.email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        code: blocked.code,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter,
+        lockedUntil: blocked.lockedUntil,
+      });
+    }
+
+    const method = await totpService.verifyUserCode(user, code);
+    if (!method) {
+      await loginThrottle.recordFailure(user.email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    await loginThrottle.recordSuccess(user.email, req.ip);
+
+    const tokens = await completeSignIn(user, req);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: user.toPublicJSON(),
+      ...(method === 'backup' && { backupCodesRemaining: user.twoFactor.backupCodes.length }),
+      message: 'Sign in successful',
+    });
+  } catch (error) {
+    console.error('Two-factor sign in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during sign in',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Email a single-use sign-in link (passwordless sign-in)
+ */
+router.post('/magic-link', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    // Same answer whether or not the account exists, as with forgot-password
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a sign-in link has been sent',
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user || user.isGuest) {
+      return res.json(response);
+    }
+
+    // Don't let the endpoint be used to flood someone's inbox
+    const lastToken = await AuthToken.findOne({ userId: user._id, purpose: 'magic_link' })
+      .sort({ createdAt: -1 });
+    if (lastToken && Date.now() - lastToken.createdAt < MAGIC_LINK_COOLDOWN_MS) {
+      return res.json(response);
+    }
+
+    const token = await AuthToken.issue(user, 'magic_link', MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+    await mailer.sendMagicLink(user, token, MAGIC_LINK_TTL_MINUTES);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred sending the sign-in link',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Exchange an emailed sign-in link for a session
+ */
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in token is required',
+      });
+    }
+
+    const magicToken = await AuthToken.consume(token, 'magic_link');
+    const user = magicToken && await User.findById(magicToken.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in link is invalid or has expired',
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    // Opening the link proves the address is theirs
+    user.markEmailVerified();
     await user.save();
 
-    // Generate token
-    const token = generateToken();
+    // The link replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user));
+    }
+
+    await loginThrottle.recordSuccess(user.email);
+
+    const tokens = await completeSignIn(user, req);
 
-    // Return success
     res.json({
       success: true,
-      token: token,
+      ...tokens,
       user: user.toPublicJSON(),
       message: 'Sign in successful',
     });
   } catch (error) {
-    console.error('Sign in error:', error);
+    console.error('Magic link verify error:', error);
     res.status(500).json({
       success: false,
       message: 'An error occurred during sign in',
@@ -98,23 +352,25 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Create new user
-    // NOTE: In production, hash the password with bcrypt!
+    // Create new user (password is hashed on save)
     const user = new User({
       name,
       email: email.toLowerCase(),
-      password, // Should be hashed in production!
+      password,
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken();
+    // Ask the user to confirm their address (Shopify linking waits for this)
+    await sendVerificationEmail(user);
+
+    // Start session
+    const tokens = await startSession(user, req);
 
     // Return success
     res.status(201).json({
       success: true,
-      token: token,
+      ...tokens,
       user: user.toPublicJSON(),
       message: 'Account created successfully',
     });
@@ -134,24 +390,25 @@ router.post('/signup', async (req, res) => {
  */
 router.post('/guest', async (req, res) => {
   try {
-    // Create guest user
-    const guestEmail = `guest_${Date.now()}@allthingsclean.com`;
+    // Create guest user (random credentials: guests can only use their session)
+    const guestEmail = `guest_${crypto.randomBytes(8).toString('hex')}@allthingsclean.com`;
     const user = new User({
       name: 'Guest User',
       email: guestEmail,
-      password: 'guest_' + Math.random().toString(36),
+      password: crypto.randomBytes(24).toString('hex'),
       isGuest: true,
+      lastActiveAt: new Date(),
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken();
+    // Start session
+    const tokens = await startSession(user, req);
 
     // Return success
     res.json({
       success: true,
-      token: token,
+      ...tokens,
       user: user.toPublicJSON(),
       message: 'Guest session created',
     });
@@ -165,22 +422,84 @@ router.post('/guest', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/guest/upgrade
+ * Turn the current guest into a full account, keeping the same user record
+ */
+router.post('/guest/upgrade', requireAuth, async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+    const user = req.user;
+
+    if (!user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is already a full account',
+      });
+    }
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email, and password are required',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists',
+      });
+    }
+
+    const guestEmail = user.email;
+
+    user.name = name;
+    user.email = email.toLowerCase();
+    user.password = password;
+    user.isGuest = false;
+    await user.save();
+
+    // Orders placed as a guest follow the account to its real email
+    await Order.updateMany({ customerEmail: guestEmail }, { customerEmail: user.email });
+    await sendVerificationEmail(user);
+
+    // Re-issue tokens so they no longer carry the guest flag
+    const tokens = await sessionService.reissue(user, req.session);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: user.toPublicJSON(),
+      message: 'Account created successfully',
+    });
+  } catch (error) {
+    console.error('Guest upgrade error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred upgrading the guest account',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/auth/profile
  * Get user profile (requires token)
  */
-router.get('/profile', async (req, res) => {
+router.get('/profile', requireAuth, async (req, res) => {
   try {
-    // In a real app, you'd verify the token and get user ID from it
-    // For now, just return mock profile
     res.json({
       success: true,
-      user: {
-        id: 'user123',
-        name: 'Test User',
-        email: 'test@example.com',
-        isGuest: false,
-      },
+      user: req.user.toPublicJSON(),
     });
   } catch (error) {
     console.error('Profile error:', error);
@@ -193,21 +512,716 @@ router.get('/profile', async (req, res) => {
 });
 
 /**
- * POST /api/auth/signout
- * Sign out user
+ * PUT /api/auth/profile
+ * Update the current user's name, phone and avatar
+ */
+router.put('/profile', requireAuth, async (req, res) => {
+  try {
+    const { name, phone, avatar } = req.body;
+    const user = req.user;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty',
+      });
+    }
+
+    if (phone !== undefined && (typeof phone !== 'string' || !PHONE_PATTERN.test(phone))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number can only contain digits, spaces and + ( ) - .',
+      });
+    }
+
+    if (avatar !== undefined && (typeof avatar !== 'string' || (avatar && !/^https?:\/\//.test(avatar)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar must be an http(s) URL',
+      });
+    }
+
+    if (name !== undefined) user.name = name.trim();
+    if (phone !== undefined) user.phone = phone.trim();
+    if (avatar !== undefined) user.avatar = avatar;
+
+    const shopifyFieldsChanged = user.isModified('name') || user.isModified('phone');
+    await user.save();
+
+    // Keep the linked Shopify customer's contact details in step
+    if (shopifyFieldsChanged) {
+      customerLink.syncProfileInBackground(user);
+    }
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      message: 'Profile updated',
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred updating profile',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the password (requires the current one); other devices are signed out
  */
-router.post('/signout', async (req, res) => {
+router.post('/change-password', requireAuth, async (req, res) => {
   try {
-    // In a real app, you'd invalidate the token
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create an account before setting a password',
+      });
+    }
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required',
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const revoked = await sessionService.revokeAllForUser(user._id, {
+      except: req.session._id,
+      reason: 'password_changed',
+    });
+
     res.json({
       success: true,
-      message: 'Signed out successfully',
+      revoked,
+      message: 'Password changed',
     });
   } catch (error) {
-    console.error('Sign out error:', error);
+    console.error('Change password error:', error);
     res.status(500).json({
       success: false,
-      message: 'An error occurred during sign out',
+      message: 'An error occurred changing the password',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start two-factor enrolment: returns a new secret and its provisioning URI
+ */
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create an account before turning on two-factor authentication',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on',
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: totpService.provisioningUri(secret, user.email),
+      message: 'Add this key to your authenticator app, then confirm with a code',
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred setting up two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code from the authenticator app; returns backup codes once
+ */
+router.post('/2fa/enable', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+    const counter = totpService.verify(secret, code);
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your phone and try again.',
+      });
+    }
+
+    const { codes, hashes } = totpService.generateBackupCodes();
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      lastUsedCounter: counter,
+      backupCodes: hashes,
+      enabledAt: new Date(),
+    };
+    await user.save();
+
+    res.json({
+      success: true,
+      backupCodes: codes,
+      user: user.toPublicJSON(),
+      message: 'Two-factor authentication is on. Keep your backup codes somewhere safe.',
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred turning on two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off (requires the password and a current code)
+ */
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on',
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for staff accounts',
+      });
+    }
+
+    if (!(await user.comparePassword(password)) || !(await totpService.verifyUserCode(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or code is incorrect',
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      message: 'Two-factor authentication is off',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred turning off two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replace the backup codes (requires a current code); the old ones stop working
+ */
+router.post('/2fa/backup-codes', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on',
+      });
+    }
+
+    if (!(await totpService.verifyUserCode(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    const { codes, hashes } = totpService.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      backupCodes: codes,
+      message: 'New backup codes generated',
+    });
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred generating backup codes',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/account
+ * Permanently delete the current user (requires the password for full accounts)
+ */
+router.delete('/account', requireAuth, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const user = req.user;
+
+    if (!user.isGuest && !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    // Scrub the Shopify customer first: if Shopify is unreachable the account
+    // stays put so the user can retry, rather than leaving their details behind
+    try {
+      await customerLink.anonymiseCustomer(user);
+    } catch (error) {
+      console.error(`Error anonymising Shopify customer for user ${user._id}:`, error);
+      return res.status(502).json({
+        success: false,
+        message: 'Could not remove your store customer record. Please try again later.',
+      });
+    }
+
+    await Promise.all([
+      Session.deleteMany({ userId: user._id }),
+      AuthToken.deleteMany({ userId: user._id }),
+      loginThrottle.unlock(user.email),
+    ]);
+    await User.deleteOne({ _id: user._id });
+
+    console.log(`🗑️  Deleted user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Account deleted',
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred deleting the account',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    // Limit how many resets one client can ask for, whichever accounts they're for
+    const blocked = await loginThrottle.checkResetRequest(req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        success: false,
+        code: blocked.code,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter,
+      });
+    }
+
+    // Always answer the same way so the endpoint can't be used to probe for accounts
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user || user.isGuest) {
+      return res.json(response);
+    }
+
+    // Don't let the endpoint be used to flood someone's inbox
+    const lastToken = await AuthToken.findOne({ userId: user._id, purpose: 'password_reset' })
+      .sort({ createdAt: -1 });
+    if (lastToken && Date.now() - lastToken.createdAt < PASSWORD_RESET_COOLDOWN_MS) {
+      return res.json(response);
+    }
+
+    const token = await AuthToken.issue(
+      user,
+      'password_reset',
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+    await mailer.sendPasswordReset(user, token, PASSWORD_RESET_TTL_MINUTES);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred requesting a password reset',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const resetToken = await AuthToken.consume(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired',
+      });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired',
+      });
+    }
+
+    // Following the emailed link also proves the address is theirs
+    user.password = password;
+    user.markEmailVerified();
+    await user.save();
+    customerLink.linkUserInBackground(user);
+
+    // Sign out every device that may have been using the old password
+    await sessionService.revokeAllForUser(user._id, { reason: 'password_reset' });
+    // Proving control of the inbox also lifts any sign-in lockout
+    await loginThrottle.unlock(user.email);
+
+    res.json({
+      success: true,
+      message: 'Password updated. You can now sign in.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred resetting the password',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address using the emailed token
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    const verificationToken = await AuthToken.consume(token, 'email_verification');
+    const user = verificationToken && await User.findById(verificationToken.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired',
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    // Now that we know the address is theirs, connect their Shopify customer
+    customerLink.linkUserInBackground(user);
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      message: 'Email address confirmed',
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred verifying the email address',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification link to the current user
+ */
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create an account before verifying an email address',
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already confirmed',
+      });
+    }
+
+    const lastToken = await AuthToken.findOne({ userId: user._id, purpose: 'email_verification' })
+      .sort({ createdAt: -1 });
+    if (lastToken && Date.now() - lastToken.createdAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'A link was just sent. Please wait a minute before asking again.',
+      });
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification link sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred sending the verification email',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair (the old refresh token stops working)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const { user, token, refreshToken: nextRefreshToken, expiresIn } =
+      await sessionService.refresh(refreshToken, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: nextRefreshToken,
+      expiresIn,
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred refreshing the session',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/signout
+ * Sign out user (revokes the current session)
+ */
+router.post('/signout', requireAuth, async (req, res) => {
+  try {
+    await sessionService.revoke(req.session, 'signed_out');
+
+    res.json({
+      success: true,
+      message: 'Signed out successfully',
+    });
+  } catch (error) {
+    console.error('Sign out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during sign out',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the signed-in devices for the current user
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => session.toPublicJSON(req.session._id)),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred fetching sessions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the current user's devices
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Device signed out',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred revoking the session',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out all of the current user's other devices
+ */
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user._id, {
+      except: req.session._id,
+      reason: 'revoked_by_user',
+    });
+
+    res.json({
+      success: true,
+      revoked,
+      message: `Signed out ${revoked} other device${revoked === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred revoking sessions',
       error: error.message,
     });
   }
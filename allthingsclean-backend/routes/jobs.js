@@ -0,0 +1,132 @@
+// routes/jobs.js - Background job status and cancellation
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Jobs are sync runs for now, so they share the sync permission
+router.use(requireAuth, requirePermission('sync:run'));
+
+const JOB_STATUSES = Job.schema.path('status').enumValues;
+
+/**
+ * GET /api/jobs
+ * List jobs, newest first (?status=running&type=shopify.sync&page=1&limit=20)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${JOB_STATUSES.join(', ')}`,
+        });
+      }
+      filter.status = status;
+    }
+    if (type) filter.type = type;
+
+    const pageSize = Math.min(100, parseInt(limit) || 20);
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * pageSize;
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .select('-itemErrors')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      Job.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs.map(job => {
+        const { itemErrors, ...summary } = job.toPublicJSON();
+        return summary;
+      }),
+      pagination: {
+        page: Math.max(1, parseInt(page) || 1),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list jobs',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * One job with its progress, result, item errors and timings
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    res.json({ success: true, data: job.toPublicJSON() });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued job, or ask a running one to stop at its next progress update
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const exists = mongoose.isValidObjectId(req.params.id) && await Job.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job has already finished',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job.toPublicJSON(),
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Job will stop shortly',
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// routes/me.js - The signed-in user's own Shopify data
+
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const customerLink = require('../services/customerLink');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+/**
+ * Make sure the user is linked to a Shopify customer, linking now if needed
+ * Returns the Shopify customer id or null (guests, Shopify not configured)
+ */
+async function ensureLinked(user) {
+  if (user.linkedCustomerId()) return user.linkedCustomerId();
+
+  try {
+    return await customerLink.linkUser(user);
+  } catch (error) {
+    console.error(`Error linking user ${user._id} to Shopify:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * GET /api/me/customer
+ * Get the Shopify-synced customer record for the current user
+ */
+router.get('/customer', async (req, res) => {
+  try {
+    const shopifyCustomerId = await ensureLinked(req.user);
+    const customer = shopifyCustomerId
+      ? await Customer.findOne({ shopifyId: shopifyCustomerId })
+      : null;
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customer record is linked to this account yet',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer,
+    });
+  } catch (error) {
+    console.error('My customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred fetching your customer record',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/me/orders
+ * Get orders placed under the current user's Shopify customer
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const shopifyCustomerId = await ensureLinked(req.user);
+    const orders = shopifyCustomerId ? await Order.findByCustomer(shopifyCustomerId) : [];
+
+    res.json({
+      success: true,
+      data: orders,
+    });
+  } catch (error) {
+    console.error('My orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred fetching your orders',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
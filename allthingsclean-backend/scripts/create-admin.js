@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// scripts/create-admin.js - Create (or promote) an admin user
+//
+// Usage:
+//   npm run create-admin -- --email owner@example.com --name "Store Owner"
+//
+// The password is read from ADMIN_PASSWORD, or prompted for when not set.
+// If the email already belongs to a user, that user is promoted to admin
+// (and their password is only changed when one is given).
+// The admin must turn on two-factor authentication (POST /api/auth/2fa/setup)
+// before admin routes accept them, unless STAFF_TWO_FACTOR_REQUIRED=false.
+
+require('dotenv').config();
+
+const readline = require('readline');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.email) {
+    console.error('Usage: npm run create-admin -- --email <email> [--name <name>]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/allthingsclean');
+
+  let user = await User.findByEmail(args.email);
+  let password = process.env.ADMIN_PASSWORD;
+
+  if (!user && !password) {
+    password = await prompt('Password for new admin: ');
+  }
+
+  if (password && password.length < 6) {
+    throw new Error('Password must be at least 6 characters');
+  }
+
+  if (user) {
+    user.role = 'admin';
+    user.isGuest = false;
+    user.markEmailVerified();
+    if (args.name) user.name = args.name;
+    if (password) user.password = password;
+    await user.save();
+    console.log(`✅ Promoted ${user.email} to admin`);
+  } else {
+    user = await User.create({
+      name: args.name || 'Admin',
+      email: args.email.toLowerCase(),
+      password,
+      role: 'admin',
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    console.log(`✅ Created admin ${user.email}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Could not create admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// scripts/reconcile.js - Compare Shopify with MongoDB from the command line
+//
+// Usage:
+//   npm run reconcile                                  (report only, every entity)
+//   npm run reconcile -- --entities products,orders --repair
+//
+// Runs in this process rather than through the job queue, prints a summary
+// and stores the report like POST /api/shopify/reconcile does.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const reconciliation = require('../services/reconciliation');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--repair') {
+      args.repair = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/allthingsclean');
+
+  const report = await reconciliation.run({
+    entities: args.entities ? args.entities.split(',') : null,
+    repair: Boolean(args.repair),
+  });
+
+  console.log('');
+  for (const result of report.entities) {
+    if (result.error) {
+      console.log(`❌ ${result.entity}: ${result.error}`);
+      continue;
+    }
+
+    console.log(`${result.entity}: ${result.shopifyCount} in Shopify, ${result.localCount} local`);
+    console.log(`   missing ${result.missingCount}, orphaned ${result.orphanedCount}, stale ${result.staleCount}`);
+    if (report.repair) {
+      const { created, updated, deleted, kept, failed } = result.repaired;
+      console.log(`   repaired: ${created} created, ${updated} updated, ${deleted} deleted, ${kept} kept, ${failed} failed`);
+    }
+  }
+  console.log('');
+  console.log(`Report ${report._id}: ${report.driftCount} difference(s)`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,13 +8,32 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const shopifyService = require('./services/shopify');
 const shopifyWebhookHandler = require('./services/shopifyWebhookHandler');
+const shopifySync = require('./services/shopifySync');
+const jobQueue = require('./services/jobQueue');
+const syncJobs = require('./services/syncJobs');
+const reconciliation = require('./services/reconciliation');
+const draftOrders = require('./services/draftOrders');
+const { DraftOrderError } = require('./services/draftOrders');
+const refunds = require('./services/refunds');
+const { RefundError } = require('./services/refunds');
+const fulfillments = require('./services/fulfillments');
+const { FulfillmentError } = require('./services/fulfillments');
+const { ShopifyValidationError, ShopifyNotFoundError } = require('./services/shopifyErrors');
+const guestCleanup = require('./services/guestCleanup');
+const { requireAuth, requirePermission, requireVerifiedEmail } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ===== MIDDLEWARE =====
+app.set('trust proxy', 1); // Behind Railway's proxy: use X-Forwarded-For for req.ip
 app.use(cors());
-app.use(express.json());
+// Keep the raw bytes too: Shopify signs webhook bodies exactly as sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -24,18 +43,28 @@ app.use((req, res, next) => {
 });
 
 // ===== DATABASE CONNECTION =====
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/allthingsclean', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ MongoDB connected'))
-.catch(err => console.error('❌ MongoDB connection error:', err));
+// Only when run directly: tests require the app without a database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/allthingsclean', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('✅ MongoDB connected');
+    guestCleanup.start();
+    jobQueue.start();
+    syncJobs.start();
+  })
+  .catch(err => console.error('❌ MongoDB connection error:', err));
+}
 
 // ===== MODELS =====
 const Product = require('./models/Product');
 const Customer = require('./models/Customer');
 const Order = require('./models/Order');
+const Collection = require('./models/Collection');
 const User = require('./models/User');
+const ReconciliationReport = require('./models/ReconciliationReport');
 
 // ===== HEALTH CHECK =====
 app.get('/', (req, res) => {
@@ -60,10 +89,19 @@ app.get('/api/health', (req, res) => {
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
 
+const adminRoutes = require('./routes/admin');
+app.use('/api/admin', adminRoutes);
+
+const meRoutes = require('./routes/me');
+app.use('/api/me', meRoutes);
+
+const jobRoutes = require('./routes/jobs');
+app.use('/api/jobs', jobRoutes);
+
 /**
  * Test Shopify connection
  */
-app.get('/api/shopify/test', async (req, res) => {
+app.get('/api/shopify/test', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     const result = await shopifyService.testConnection();
     res.json(result);
@@ -75,7 +113,7 @@ app.get('/api/shopify/test', async (req, res) => {
 /**
  * Get shop info
  */
-app.get('/api/shopify/shop', async (req, res) => {
+app.get('/api/shopify/shop', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     const shop = await shopifyService.getShopInfo();
     res.json({ success: true, shop });
@@ -86,9 +124,9 @@ app.get('/api/shopify/shop', async (req, res) => {
 
 /**
  * Webhook endpoint - receives events from Shopify
- * IMPORTANT: This must handle raw body for HMAC verification
+ * IMPORTANT: The HMAC is checked against the raw body kept by express.json above
  */
-app.post('/api/shopify/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+app.post('/api/shopify/webhook', async (req, res) => {
   try {
     // Get headers
     const hmac = req.headers['x-shopify-hmac-sha256'];
@@ -98,16 +136,14 @@ app.post('/api/shopify/webhook', express.raw({ type: 'application/json' }), asyn
     console.log(`📥 Webhook received from ${shop}: ${topic}`);
 
     // Verify webhook signature
-    const rawBody = req.body.toString('utf8');
-    const isValid = shopifyWebhookHandler.verifyWebhook(rawBody, hmac);
+    const isValid = Boolean(req.rawBody) && shopifyWebhookHandler.verifyWebhook(req.rawBody, hmac);
 
     if (!isValid) {
       console.error('❌ Invalid webhook signature');
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    // Parse the body
-    const data = JSON.parse(rawBody);
+    const data = req.body;
 
     // Process webhook asynchronously
     shopifyWebhookHandler.handleWebhook(topic, data)
@@ -124,11 +160,12 @@ app.post('/api/shopify/webhook', express.raw({ type: 'application/json' }), asyn
 /**
  * Register all webhooks with Shopify
  */
-app.post('/api/shopify/webhooks/register', async (req, res) => {
+app.post('/api/shopify/webhooks/register', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     const baseUrl = process.env.PUBLIC_URL || 'https://your-domain.com';
     
-    if (baseUrl.includes('localhost')) {
+    // The local simulator can deliver to localhost; a real store can't
+    if (baseUrl.includes('localhost') && !process.env.SHOPIFY_BASE_URL) {
       return res.status(400).json({
         success: false,
         error: 'Cannot register webhooks with localhost URL. Please deploy your backend or use ngrok.',
@@ -152,7 +189,7 @@ app.post('/api/shopify/webhooks/register', async (req, res) => {
 /**
  * Get all registered webhooks
  */
-app.get('/api/shopify/webhooks', async (req, res) => {
+app.get('/api/shopify/webhooks', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     const webhooks = await shopifyService.getWebhooks();
     res.json({ 
@@ -168,7 +205,7 @@ app.get('/api/shopify/webhooks', async (req, res) => {
 /**
  * Delete a specific webhook
  */
-app.delete('/api/shopify/webhooks/:id', async (req, res) => {
+app.delete('/api/shopify/webhooks/:id', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     await shopifyService.deleteWebhook(req.params.id);
     res.json({ success: true, message: 'Webhook deleted successfully' });
@@ -180,7 +217,7 @@ app.delete('/api/shopify/webhooks/:id', async (req, res) => {
 /**
  * Delete all webhooks
  */
-app.delete('/api/shopify/webhooks', async (req, res) => {
+app.delete('/api/shopify/webhooks', requireAuth, requirePermission('shopify:manage'), async (req, res) => {
   try {
     const webhooks = await shopifyService.getWebhooks();
     
@@ -199,196 +236,158 @@ app.delete('/api/shopify/webhooks', async (req, res) => {
 
 // ===== MANUAL SYNC ROUTES =====
 
+// Options shared by the sync routes:
+// ?full=true ignores the checkpoint and re-pulls everything,
+// ?bulk=true reads a GraphQL bulk export instead of paging through REST
+function syncOptions(req) {
+  return {
+    full: req.query.full === 'true',
+    bulk: req.query.bulk === 'true',
+  };
+}
+
 /**
- * Sync all products from Shopify
+ * Get the last sync checkpoint and result for each entity
  */
-app.post('/api/shopify/sync/products', async (req, res) => {
+app.get('/api/shopify/sync/state', requireAuth, requirePermission('sync:run'), async (req, res) => {
   try {
-    console.log('🔄 Starting product sync from Shopify...');
-    
-    const products = await shopifyService.getProducts({ limit: 250 });
-    
-    let synced = 0;
-    let errors = 0;
-    
-    for (const product of products) {
-      try {
-        await shopifyWebhookHandler.handleProductUpdate(product);
-        synced++;
-      } catch (error) {
-        console.error(`Error syncing product ${product.id}:`, error);
-        errors++;
-      }
-    }
-    
-    console.log(`✅ Product sync complete: ${synced} synced, ${errors} errors`);
-    
-    res.json({ 
-      success: true, 
-      synced, 
-      errors, 
-      total: products.length,
-      message: `Synced ${synced} of ${products.length} products`
+    const states = await shopifySync.getStates();
+    res.json({ success: true, data: states });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Queue a sync job and point the caller at it; GET /api/jobs/:id reports progress
+async function queueSync(req, res, entities) {
+  try {
+    const job = await syncJobs.enqueueSync(
+      { entities, ...syncOptions(req) },
+      { createdBy: req.user._id }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      job: job.toPublicJSON(),
+      message: 'Sync queued',
     });
   } catch (error) {
-    console.error('Product sync error:', error);
+    console.error('Queue sync error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
+}
+
+/**
+ * Sync products, customers, orders or collections from Shopify (runs as a background job)
+ * Incremental (records updated since the last sync) unless ?full=true
+ */
+app.post('/api/shopify/sync/:entity(products|customers|orders|collections)', requireAuth, requirePermission('sync:run'), (req, res) => {
+  queueSync(req, res, [req.params.entity]);
 });
 
 /**
- * Sync all customers from Shopify
+ * Sync all data (products, customers, orders, collections) as a background job
  */
-app.post('/api/shopify/sync/customers', async (req, res) => {
+app.post('/api/shopify/sync/all', requireAuth, requirePermission('sync:run'), (req, res) => {
+  queueSync(req, res, null);
+});
+
+// ===== RECONCILIATION ROUTES =====
+
+/**
+ * Compare Shopify with MongoDB (runs as a background job)
+ * ?entities=products,orders limits what is checked; ?repair=true fixes what differs.
+ * The job result points at the stored report.
+ */
+app.post('/api/shopify/reconcile', requireAuth, requirePermission('sync:run'), async (req, res) => {
   try {
-    console.log('🔄 Starting customer sync from Shopify...');
-    
-    const customers = await shopifyService.getCustomers({ limit: 250 });
-    
-    let synced = 0;
-    let errors = 0;
-    
-    for (const customer of customers) {
-      try {
-        await shopifyWebhookHandler.handleCustomerUpdate(customer);
-        synced++;
-      } catch (error) {
-        console.error(`Error syncing customer ${customer.id}:`, error);
-        errors++;
-      }
+    const entities = req.query.entities ? req.query.entities.split(',').map(e => e.trim()) : null;
+    const unknown = (entities || []).filter(entity => !reconciliation.entities.includes(entity));
+
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown entities: ${unknown.join(', ')}. Use: ${reconciliation.entities.join(', ')}`,
+      });
     }
-    
-    console.log(`✅ Customer sync complete: ${synced} synced, ${errors} errors`);
-    
-    res.json({ 
-      success: true, 
-      synced, 
-      errors, 
-      total: customers.length,
-      message: `Synced ${synced} of ${customers.length} customers`
+
+    const job = await syncJobs.enqueueReconcile(
+      { entities, repair: req.query.repair === 'true' },
+      { createdBy: req.user._id }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      job: job.toPublicJSON(),
+      message: 'Reconciliation queued',
     });
   } catch (error) {
-    console.error('Customer sync error:', error);
+    console.error('Queue reconciliation error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Sync all orders from Shopify
+ * Get stored reconciliation reports, newest first (counts only)
  */
-app.post('/api/shopify/sync/orders', async (req, res) => {
+app.get('/api/shopify/reconcile/reports', requireAuth, requirePermission('sync:run'), async (req, res) => {
   try {
-    console.log('🔄 Starting order sync from Shopify...');
-    
-    const orders = await shopifyService.getOrders({ limit: 250, status: 'any' });
-    
-    let synced = 0;
-    let errors = 0;
-    
-    for (const order of orders) {
-      try {
-        await shopifyWebhookHandler.handleOrderUpdate(order);
-        synced++;
-      } catch (error) {
-        console.error(`Error syncing order ${order.id}:`, error);
-        errors++;
-      }
-    }
-    
-    console.log(`✅ Order sync complete: ${synced} synced, ${errors} errors`);
-    
-    res.json({ 
-      success: true, 
-      synced, 
-      errors, 
-      total: orders.length,
-      message: `Synced ${synced} of ${orders.length} orders`
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+    const { reports, total } = await reconciliation.listReports({ page, limit });
+
+    res.json({
+      success: true,
+      data: reports.map(report => report.toSummaryJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
     });
   } catch (error) {
-    console.error('Order sync error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Sync all data (products, customers, orders)
+ * Get one reconciliation report with the ids of the records that differ
  */
-app.post('/api/shopify/sync/all', async (req, res) => {
+app.get('/api/shopify/reconcile/reports/:id', requireAuth, requirePermission('sync:run'), async (req, res) => {
   try {
-    console.log('🔄 Starting full sync from Shopify...');
-    
-    const results = {
-      products: { synced: 0, errors: 0, total: 0 },
-      customers: { synced: 0, errors: 0, total: 0 },
-      orders: { synced: 0, errors: 0, total: 0 },
-    };
+    const report = mongoose.isValidObjectId(req.params.id)
+      && await ReconciliationReport.findById(req.params.id);
 
-    // Sync products
-    try {
-      const products = await shopifyService.getProducts({ limit: 250 });
-      results.products.total = products.length;
-      
-      for (const product of products) {
-        try {
-          await shopifyWebhookHandler.handleProductUpdate(product);
-          results.products.synced++;
-        } catch (error) {
-          results.products.errors++;
-        }
-      }
-    } catch (error) {
-      console.error('Error syncing products:', error);
-    }
-
-    // Sync customers
-    try {
-      const customers = await shopifyService.getCustomers({ limit: 250 });
-      results.customers.total = customers.length;
-      
-      for (const customer of customers) {
-        try {
-          await shopifyWebhookHandler.handleCustomerUpdate(customer);
-          results.customers.synced++;
-        } catch (error) {
-          results.customers.errors++;
-        }
-      }
-    } catch (error) {
-      console.error('Error syncing customers:', error);
-    }
-
-    // Sync orders
-    try {
-      const orders = await shopifyService.getOrders({ limit: 250 });
-      results.orders.total = orders.length;
-      
-      for (const order of orders) {
-        try {
-          await shopifyWebhookHandler.handleOrderUpdate(order);
-          results.orders.synced++;
-        } catch (error) {
-          results.orders.errors++;
-        }
-      }
-    } catch (error) {
-      console.error('Error syncing orders:', error);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
     }
 
-    console.log('✅ Full sync complete:', results);
-    
-    res.json({ 
-      success: true, 
-      results,
-      message: 'Full sync completed'
+    res.json({
+      success: true,
+      data: { ...report.toSummaryJSON(), entities: report.entities },
     });
   } catch (error) {
-    console.error('Full sync error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ===== PRODUCT API ROUTES =====
 
+// ?sortBy= values for product lists
+const PRODUCT_SORTS = {
+  'name': { name: 1 },
+  'price-asc': { price: 1 },
+  'price-desc': { price: -1 },
+  'newest': { dateAdded: -1 },
+  'popular': { popularity: -1 },
+};
+
 /**
  * Get all products with filtering and pagination
  */
@@ -418,7 +417,13 @@ app.get('/api/products', async (req, res) => {
     }
 
     if (category && category !== 'All') {
-      query.category = category;
+      // Categories curated as Shopify collections win over product_type
+      const collection = await Collection.findByHandleOrTitle(category);
+      if (collection) {
+        query.shopifyId = { $in: collection.productIds };
+      } else {
+        query.category = category;
+      }
     }
 
     if (minPrice || maxPrice) {
@@ -432,26 +437,7 @@ app.get('/api/products', async (req, res) => {
     }
 
     // Build sort
-    let sort = {};
-    switch (sortBy) {
-      case 'name':
-        sort.name = 1;
-        break;
-      case 'price-asc':
-        sort.price = 1;
-        break;
-      case 'price-desc':
-        sort.price = -1;
-        break;
-      case 'newest':
-        sort.dateAdded = -1;
-        break;
-      case 'popular':
-        sort.popularity = -1;
-        break;
-      default:
-        sort.name = 1;
-    }
+    const sort = PRODUCT_SORTS[sortBy] || PRODUCT_SORTS.name;
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -486,6 +472,7 @@ app.get('/api/products', async (req, res) => {
 
 /**
  * Get single product by ID
+ * Includes the spec table rows as specifications (?variant= adds that variant's own specs)
  */
 app.get('/api/products/:id', async (req, res) => {
   try {
@@ -500,7 +487,10 @@ app.get('/api/products/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: product,
+      data: {
+        ...product.toJSON(),
+        specifications: product.getSpecifications(req.query.variant),
+      },
     });
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -535,9 +525,18 @@ app.get('/api/products/featured/list', async (req, res) => {
 
 /**
  * Get all categories
+ * The titles of the published Shopify collections, or product types until any are synced
  */
 app.get('/api/categories', async (req, res) => {
   try {
+    const collections = await Collection.findPublished().select('title');
+    if (collections.length > 0) {
+      return res.json({
+        success: true,
+        data: collections.map(collection => collection.title),
+      });
+    }
+
     const categories = await Product.distinct('category');
     
     res.json({
@@ -554,6 +553,92 @@ app.get('/api/categories', async (req, res) => {
   }
 });
 
+// ===== COLLECTION ROUTES =====
+
+/**
+ * Get all published collections
+ */
+app.get('/api/collections', async (req, res) => {
+  try {
+    const collections = await Collection.findPublished();
+
+    res.json({
+      success: true,
+      data: collections.map(collection => collection.toPublicJSON()),
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get the products in a collection
+ * In the collection's own order unless ?sortBy= is given (same values as /api/products)
+ */
+app.get('/api/collections/:handle/products', async (req, res) => {
+  try {
+    const { sortBy, inStock, page = 1, limit = 20 } = req.query;
+
+    const collection = await Collection.findOne({ handle: req.params.handle, published: true });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    const query = { shopifyId: { $in: collection.productIds } };
+    if (inStock !== undefined) {
+      query.inStock = inStock === 'true';
+    }
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+    const total = await Product.countDocuments(query);
+
+    let products;
+    if (sortBy && PRODUCT_SORTS[sortBy]) {
+      products = await Product.find(query).sort(PRODUCT_SORTS[sortBy]).skip(skip).limit(pageSize);
+    } else {
+      // Collection order: sort the (id-only) matches by position, then load one page
+      const position = new Map(collection.productIds.map((id, index) => [id, index]));
+      const matches = await Product.find(query).select('shopifyId').lean();
+      const pageIds = matches
+        .sort((a, b) => position.get(a.shopifyId) - position.get(b.shopifyId))
+        .slice(skip, skip + pageSize)
+        .map(product => product.shopifyId);
+
+      const found = await Product.find({ shopifyId: { $in: pageIds } });
+      products = found.sort((a, b) => position.get(a.shopifyId) - position.get(b.shopifyId));
+    }
+
+    res.json({
+      success: true,
+      collection: collection.toPublicJSON(),
+      data: products,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching collection products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection products',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Get all brands
  */
@@ -610,7 +695,7 @@ app.get('/api/products/:id/inventory', async (req, res) => {
 /**
  * Update inventory quantity for a product
  */
-app.put('/api/products/:id/inventory', async (req, res) => {
+app.put('/api/products/:id/inventory', requireAuth, requirePermission('inventory:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -678,7 +763,7 @@ app.put('/api/products/:id/inventory', async (req, res) => {
 /**
  * Adjust inventory (add or subtract)
  */
-app.post('/api/products/:id/inventory/adjust', async (req, res) => {
+app.post('/api/products/:id/inventory/adjust', requireAuth, requirePermission('inventory:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -748,7 +833,7 @@ app.post('/api/products/:id/inventory/adjust', async (req, res) => {
 /**
  * Get all locations
  */
-app.get('/api/locations', async (req, res) => {
+app.get('/api/locations', requireAuth, requirePermission('locations:read'), async (req, res) => {
   try {
     const locations = await shopifyService.getLocations();
     
@@ -764,12 +849,23 @@ app.get('/api/locations', async (req, res) => {
   }
 });
 
+// ===== OWNERSHIP HELPERS =====
+
+// Customers only reach records linked to their account through shopifyCustomerId
+function ownsCustomer(user, customer) {
+  return !!user.linkedCustomerId() && customer.shopifyId === user.linkedCustomerId();
+}
+
+function ownsOrder(user, order) {
+  return !!user.linkedCustomerId() && order.customerId === user.linkedCustomerId();
+}
+
 // ===== CUSTOMER API ROUTES =====
 
 /**
  * Get all customers
  */
-app.get('/api/customers', async (req, res) => {
+app.get('/api/customers', requireAuth, requirePermission('customers:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -802,11 +898,11 @@ app.get('/api/customers', async (req, res) => {
 /**
  * Get customer by ID
  */
-app.get('/api/customers/:id', async (req, res) => {
+app.get('/api/customers/:id', requireAuth, async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
     
-    if (!customer) {
+    if (!customer || (!req.user.can('customers:read') && !ownsCustomer(req.user, customer))) {
       return res.status(404).json({
         success: false,
         message: 'Customer not found',
@@ -828,7 +924,7 @@ app.get('/api/customers/:id', async (req, res) => {
 /**
  * Create a new customer in Shopify
  */
-app.post('/api/customers', async (req, res) => {
+app.post('/api/customers', requireAuth, requirePermission('customers:write'), async (req, res) => {
   try {
     const { firstName, lastName, email, phone, address, tags, note } = req.body;
 
@@ -884,27 +980,29 @@ app.post('/api/customers', async (req, res) => {
 /**
  * Update customer in Shopify
  */
-app.put('/api/customers/:id', async (req, res) => {
+app.put('/api/customers/:id', requireAuth, async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
     
-    if (!customer) {
+    const isStaff = req.user.can('customers:write');
+
+    if (!customer || (!isStaff && !ownsCustomer(req.user, customer))) {
       return res.status(404).json({
         success: false,
         message: 'Customer not found',
       });
     }
 
-    const { firstName, lastName, email, phone, tags, note } = req.body;
+    const { firstName, lastName, phone, address, email, tags, note } = req.body;
 
-    // Update in Shopify
+    // Customers edit their own contact details; the email (which accounts are
+    // linked and verified by), tags and notes can only be changed by staff
     const shopifyCustomer = await shopifyService.updateCustomer(customer.shopifyId, {
       firstName,
       lastName,
-      email,
       phone,
-      tags,
-      note,
+      address,
+      ...(isStaff ? { email, tags, note } : {}),
     });
 
     // Sync to our database
@@ -932,7 +1030,7 @@ app.put('/api/customers/:id', async (req, res) => {
 /**
  * Get all orders
  */
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', requireAuth, async (req, res) => {
   try {
     const { page = 1, limit = 50, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -942,6 +1040,11 @@ app.get('/api/orders', async (req, res) => {
       query.status = status;
     }
 
+    // Customers only see their own orders (none until their account is linked)
+    if (!req.user.can('orders:read')) {
+      query.customerId = { $in: [req.user.linkedCustomerId()].filter(Boolean) };
+    }
+
     const orders = await Order.find(query)
       .sort({ dateCreated: -1 })
       .skip(skip)
@@ -970,11 +1073,11 @@ app.get('/api/orders', async (req, res) => {
 /**
  * Get order by ID
  */
-app.get('/api/orders/:id', async (req, res) => {
+app.get('/api/orders/:id', requireAuth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
-    if (!order) {
+    if (!order || (!req.user.can('orders:read') && !ownsOrder(req.user, order))) {
       return res.status(404).json({
         success: false,
         message: 'Order not found',
@@ -993,56 +1096,196 @@ app.get('/api/orders/:id', async (req, res) => {
   }
 });
 
+// Who an order or draft is for: staff may order for any customer (customerId),
+// customers only for themselves
+async function orderCustomer(req) {
+  const isStaff = req.user.can('orders:write');
+
+  if (!isStaff) {
+    return {
+      isStaff,
+      customer: req.user.linkedCustomerId() ? { id: req.user.linkedCustomerId() } : null,
+      email: req.user.email,
+    };
+  }
+
+  let customer = null;
+  if (req.body.customerId) {
+    const customerDoc = await Customer.findById(req.body.customerId);
+    if (customerDoc) {
+      customer = { id: customerDoc.shopifyId };
+    }
+  }
+  return { isStaff, customer, email: req.body.email };
+}
+
+// Cart and checkout fields a draft takes from the request body; prices,
+// discounts and shipping charges can only be set by staff
+function draftOrderFields(req, isStaff) {
+  const { items, shippingAddress, billingAddress, note, tags, discount, shippingLine } = req.body;
+  return {
+    items,
+    shippingAddress,
+    billingAddress,
+    note,
+    tags,
+    discount: isStaff ? discount : undefined,
+    shippingLine: isStaff ? shippingLine : undefined,
+  };
+}
+
+// Draft checkout errors: ours carry a status, Shopify rejects bad input with 422
+function draftOrderErrorResponse(res, error, action) {
+  if (error instanceof DraftOrderError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error instanceof ShopifyValidationError) {
+    return res.status(422).json({ success: false, message: error.message, errors: error.errors });
+  }
+  if (error instanceof ShopifyNotFoundError) {
+    return res.status(404).json({ success: false, message: 'Draft order not found' });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
 /**
  * Create a new order in Shopify
+ * Goes through a draft order so Shopify calculates taxes and discounts.
+ * Staff may pass financialStatus: 'paid'; otherwise payment is pending.
  */
-app.post('/api/orders', async (req, res) => {
+app.post('/api/orders', requireAuth, requireVerifiedEmail, async (req, res) => {
   try {
-    const { 
-      customerId, 
-      email, 
-      items, 
-      shippingAddress, 
-      billingAddress, 
-      note, 
-      tags,
-      financialStatus 
-    } = req.body;
+    const { isStaff, customer, email } = await orderCustomer(req);
 
-    // Validate required fields
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order must contain at least one item',
-      });
-    }
+    const draft = await draftOrders.create(
+      { customer, email, ...draftOrderFields(req, isStaff) },
+      { allowCustomItems: isStaff }
+    );
+    const order = await draftOrders.complete(draft.id, {
+      paymentPending: !(isStaff && req.body.financialStatus === 'paid'),
+    });
 
-    // Get customer if customerId provided
-    let customer = null;
-    if (customerId) {
-      const customerDoc = await Customer.findById(customerId);
-      if (customerDoc) {
-        customer = { id: customerDoc.shopifyId };
-      }
-    }
+    res.status(201).json({
+      success: true,
+      data: order,
+      message: 'Order created successfully',
+    });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Create order');
+  }
+});
 
-    // Create order in Shopify
-    const shopifyOrder = await shopifyService.createOrder({
-      customer,
-      email,
-      items,
-      shippingAddress,
-      billingAddress,
-      note,
-      tags,
-      financialStatus: financialStatus || 'pending',
+// ===== DRAFT ORDER (CHECKOUT) ROUTES =====
+
+// Load a draft the user may work with; sends the 404 and resolves to null otherwise
+async function loadDraftOrder(req, res) {
+  const draft = await shopifyService.getDraftOrder(req.params.draftId);
+
+  if (!req.user.can('orders:write') && !draftOrders.isOwnedBy(req.user, draft)) {
+    res.status(404).json({ success: false, message: 'Draft order not found' });
+    return null;
+  }
+  return draft;
+}
+
+/**
+ * Start a checkout: create a draft order from the cart
+ * Returns Shopify's totals (subtotal, discount, shipping, tax, total)
+ */
+app.post('/api/orders/drafts', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { isStaff, customer, email } = await orderCustomer(req);
+
+    const draft = await draftOrders.create(
+      { customer, email, ...draftOrderFields(req, isStaff) },
+      { allowCustomItems: isStaff }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: draftOrders.summarize(draft),
     });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Create draft order');
+  }
+});
 
-    // Sync to our database
-    await shopifyWebhookHandler.handleOrderUpdate(shopifyOrder);
+/**
+ * Get a draft order and its totals
+ */
+app.get('/api/orders/drafts/:draftId', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadDraftOrder(req, res);
+    if (!draft) return;
 
-    // Get from our database
-    const order = await Order.findOne({ shopifyId: shopifyOrder.id.toString() });
+    res.json({
+      success: true,
+      data: draftOrders.summarize(draft),
+    });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Get draft order');
+  }
+});
+
+/**
+ * Change a draft order (items, addresses, note...) and recalculate its totals
+ */
+app.put('/api/orders/drafts/:draftId', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadDraftOrder(req, res);
+    if (!draft) return;
+
+    const isStaff = req.user.can('orders:write');
+    const updated = await draftOrders.recalculate(
+      draft.id,
+      draftOrderFields(req, isStaff),
+      { allowCustomItems: isStaff }
+    );
+
+    res.json({
+      success: true,
+      data: draftOrders.summarize(updated),
+    });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Recalculate draft order');
+  }
+});
+
+/**
+ * Email an invoice to pay for the draft through Shopify's checkout
+ * Staff may send it elsewhere (to) and add subject and customMessage.
+ */
+app.post('/api/orders/drafts/:draftId/invoice', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadDraftOrder(req, res);
+    if (!draft) return;
+
+    const { to, subject, customMessage } = req.user.can('orders:write') ? req.body : {};
+    const sent = await draftOrders.sendInvoice(draft.id, { to, subject, customMessage });
+
+    res.json({
+      success: true,
+      data: draftOrders.summarize(sent),
+      message: 'Invoice sent',
+    });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Send invoice');
+  }
+});
+
+/**
+ * Place the order: complete the draft and sync the order
+ * Staff may pass paymentPending: false to mark it paid; customers' orders are always pending.
+ */
+app.post('/api/orders/drafts/:draftId/complete', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const draft = await loadDraftOrder(req, res);
+    if (!draft) return;
+
+    const paymentPending = !(req.user.can('orders:write') && req.body.paymentPending === false);
+    const order = await draftOrders.complete(draft.id, { paymentPending });
 
     res.status(201).json({
       success: true,
@@ -1050,18 +1293,33 @@ app.post('/api/orders', async (req, res) => {
       message: 'Order created successfully',
     });
   } catch (error) {
-    console.error('Create order error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    draftOrderErrorResponse(res, error, 'Complete draft order');
+  }
+});
+
+/**
+ * Discard an open draft order
+ */
+app.delete('/api/orders/drafts/:draftId', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadDraftOrder(req, res);
+    if (!draft) return;
+
+    await draftOrders.discard(draft.id);
+
+    res.json({
+      success: true,
+      message: 'Draft order deleted',
     });
+  } catch (error) {
+    draftOrderErrorResponse(res, error, 'Delete draft order');
   }
 });
 
 /**
  * Update order in Shopify
  */
-app.put('/api/orders/:id', async (req, res) => {
+app.put('/api/orders/:id', requireAuth, requirePermission('orders:write'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
@@ -1104,17 +1362,25 @@ app.put('/api/orders/:id', async (req, res) => {
 /**
  * Cancel an order
  */
-app.post('/api/orders/:id/cancel', async (req, res) => {
+app.post('/api/orders/:id/cancel', requireAuth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
-    if (!order) {
+    if (!order || (!req.user.can('orders:write') && !ownsOrder(req.user, order))) {
       return res.status(404).json({
         success: false,
         message: 'Order not found',
       });
     }
 
+    // Customers can only cancel their own orders before they ship
+    if (!req.user.can('orders:write') && !order.canBeCancelled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order can no longer be cancelled',
+      });
+    }
+
     const { reason } = req.body;
 
     // Cancel in Shopify
@@ -1143,12 +1409,149 @@ app.post('/api/orders/:id/cancel', async (req, res) => {
   }
 });
 
+// ===== REFUND ROUTES =====
+
+// Refund errors: ours carry a status, Shopify rejects what can't be refunded with 422
+function refundErrorResponse(res, error, action) {
+  if (error instanceof RefundError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error instanceof ShopifyValidationError) {
+    return res.status(422).json({ success: false, message: error.message, errors: error.errors });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// What to refund, from the request body
+function refundFields(req) {
+  const { items, shipping, restock } = req.body;
+  return { items, shipping, restock: restock === true };
+}
+
+/**
+ * Work out what a refund would give back, without making it
+ * Body: { items: [{ lineItemId or variantId, quantity }], shipping: true or an amount, restock }
+ */
+app.post('/api/orders/:id/refunds/calculate', requireAuth, requirePermission('orders:refund'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const calculation = await refunds.calculate(order.shopifyId, refundFields(req));
+
+    res.json({
+      success: true,
+      data: calculation,
+    });
+  } catch (error) {
+    refundErrorResponse(res, error, 'Calculate refund');
+  }
+});
+
+/**
+ * Refund an order in Shopify, optionally restocking the items
+ * Body: as calculate, plus { note, notify }
+ */
+app.post('/api/orders/:id/refunds', requireAuth, requirePermission('orders:refund'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const refund = await refunds.create(order.shopifyId, {
+      ...refundFields(req),
+      note: req.body.note,
+      notify: req.body.notify === true,
+    });
+
+    // Get updated order
+    const refundedOrder = await Order.findById(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        refund,
+        order: refundedOrder,
+      },
+      message: 'Refund created successfully',
+    });
+  } catch (error) {
+    refundErrorResponse(res, error, 'Create refund');
+  }
+});
+
+// ===== FULFILLMENT ROUTES =====
+
+/**
+ * Mark items of an order shipped in Shopify, with tracking
+ * Body: { items: [{ lineItemId or variantId, quantity }] (everything left when omitted),
+ *   tracking: { number, company, url }, notifyCustomer }
+ */
+app.post('/api/orders/:id/fulfillments', requireAuth, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { items, tracking, notifyCustomer } = req.body;
+
+    const fulfillment = await fulfillments.create(order.shopifyId, {
+      items,
+      tracking,
+      notifyCustomer: notifyCustomer === true,
+    });
+
+    // Get updated order
+    const fulfilledOrder = await Order.findById(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        fulfillment,
+        order: fulfilledOrder,
+      },
+      message: 'Items marked as shipped',
+    });
+  } catch (error) {
+    if (error instanceof FulfillmentError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error instanceof ShopifyValidationError) {
+      return res.status(422).json({ success: false, message: error.message, errors: error.errors });
+    }
+
+    console.error('Create fulfillment error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // ===== STATS & ANALYTICS =====
 
 /**
  * Get dashboard statistics
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireAuth, requirePermission('stats:read'), async (req, res) => {
   try {
     const [
       totalProducts,
@@ -1164,10 +1567,7 @@ app.get('/api/stats', async (req, res) => {
       Product.countDocuments({ stockQuantity: { $lt: 10, $gt: 0 } })
     ]);
 
-    const totalRevenue = await Order.aggregate([
-      { $match: { status: 'paid' } },
-      { $group: { _id: null, total: { $sum: '$total' } } }
-    ]);
+    const totalRevenue = await Order.calculateRevenue();
 
     res.json({
       success: true,
@@ -1184,7 +1584,7 @@ app.get('/api/stats', async (req, res) => {
           total: totalOrders,
         },
         revenue: {
-          total: totalRevenue[0]?.total || 0,
+          total: totalRevenue,
         }
       }
     });
@@ -1219,7 +1619,7 @@ app.use((err, req, res, next) => {
 
 // ===== START SERVER =====
 
-app.listen(PORT, () => {
+if (require.main === module) app.listen(PORT, () => {
   console.log('');
   console.log('🚀 AllThingsClean API Server Started');
   console.log('=====================================');
@@ -1234,8 +1634,10 @@ app.listen(PORT, () => {
   console.log('   POST /api/shopify/webhook');
   console.log('   POST /api/shopify/sync/products');
   console.log('   POST /api/shopify/sync/all');
+  console.log('   GET  /api/jobs/:id');
   console.log('   GET  /api/products');
   console.log('   GET  /api/categories');
+  console.log('   GET  /api/collections');
   console.log('   GET  /api/stats');
   console.log('');
 });
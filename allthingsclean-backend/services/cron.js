@@ -0,0 +1,127 @@
+// services/cron.js - Run tasks on cron-style schedules
+//
+// Expressions have the usual five fields: minute hour day-of-month month day-of-week,
+// each *, a number, a range (1-5), a step (*/15, 0-30/10) or a list of those.
+// Times are in the server's local time zone. As in cron, when both day fields
+// are restricted a day matching either one counts.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${text}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end) : step ? max : from;
+    const increment = step ? parseInt(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name}: "${text}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parse a cron expression into a matcher
+ * @returns {{ expression: string, matches: (date: Date) => boolean }}
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  return {
+    expression,
+    matches(date) {
+      const domMatch = dayOfMonth.values.has(date.getDate());
+      const dowMatch = dayOfWeek.values.has(date.getDay());
+      const dayMatch = dayOfMonth.any || dayOfWeek.any ? domMatch && dowMatch : domMatch || dowMatch;
+
+      return minute.values.has(date.getMinutes())
+        && hour.values.has(date.getHours())
+        && month.values.has(date.getMonth() + 1)
+        && dayMatch;
+    },
+  };
+}
+
+class CronService {
+  constructor() {
+    this.tasks = [];
+    this.timer = null;
+    this.lastTick = null;
+  }
+
+  /**
+   * Run task(date) every minute the expression matches
+   * The date passed in is the start of that minute, handy as a dedupe key.
+   */
+  schedule(name, expression, task) {
+    this.tasks.push({ name, cron: parseCron(expression), task });
+    console.log(`⏰ Scheduled ${name}: ${expression}`);
+  }
+
+  /**
+   * Check the schedules at the top of every minute
+   */
+  start() {
+    if (this.timer) return;
+
+    const wait = () => {
+      const msToNextMinute = 60 * 1000 - (Date.now() % (60 * 1000));
+      this.timer = setTimeout(() => {
+        this.tick(new Date());
+        wait();
+      }, msToNextMinute);
+      this.timer.unref();
+    };
+
+    wait();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  tick(now) {
+    const minute = new Date(now);
+    minute.setSeconds(0, 0);
+
+    // Timers can fire early or twice; each minute runs once
+    if (this.lastTick && minute.getTime() <= this.lastTick.getTime()) return;
+    this.lastTick = minute;
+
+    for (const { name, cron, task } of this.tasks) {
+      if (!cron.matches(minute)) continue;
+
+      Promise.resolve()
+        .then(() => task(minute))
+        .catch(error => console.error(`Scheduled task ${name} failed:`, error));
+    }
+  }
+}
+
+module.exports = new CronService();
+module.exports.parseCron = parseCron;
@@ -0,0 +1,106 @@
+// services/customerLink.js - Link app users to their Shopify customer record
+
+const shopifyService = require('./shopify');
+const shopifyWebhookHandler = require('./shopifyWebhookHandler');
+
+class CustomerLinkService {
+  /**
+   * Find (or create) the Shopify customer for a user's email and store the link
+   * Returns the Shopify customer id, or null when the user can't be linked
+   *
+   * Only verified emails are linked: the link grants access to that
+   * customer's orders, so the user must prove they own the address.
+   */
+  async linkUser(user) {
+    if (user.isGuest || !user.emailVerified || !shopifyService.accessToken) return null;
+    if (user.shopifyCustomerId) return user.shopifyCustomerId;
+
+    let shopifyCustomer = await shopifyService.searchCustomerByEmail(user.email);
+
+    // Shopify's search is free text, not an exact lookup: a near miss would
+    // hand this user someone else's record and orders
+    if (shopifyCustomer && shopifyCustomer.email?.toLowerCase() !== user.email.toLowerCase()) {
+      shopifyCustomer = null;
+    }
+
+    if (!shopifyCustomer) {
+      const [firstName, ...rest] = (user.name || '').trim().split(/\s+/);
+      shopifyCustomer = await shopifyService.createCustomer({
+        firstName,
+        lastName: rest.join(' '),
+        email: user.email,
+        phone: user.phone || undefined,
+        tags: ['app'],
+      });
+      console.log(`🔗 Created Shopify customer ${shopifyCustomer.id} for ${user.email}`);
+    }
+
+    // Keep our Customer collection in step so /api/me/customer has data right away
+    await shopifyWebhookHandler.handleCustomerUpdate(shopifyCustomer);
+
+    user.shopifyCustomerId = shopifyCustomer.id.toString();
+    await user.updateOne({ shopifyCustomerId: user.shopifyCustomerId });
+
+    console.log(`🔗 Linked user ${user._id} to Shopify customer ${user.shopifyCustomerId}`);
+    return user.shopifyCustomerId;
+  }
+
+  /**
+   * Link without holding up the caller; Shopify being down must not block sign-in
+   */
+  linkUserInBackground(user) {
+    if (user.isGuest || !user.emailVerified || user.shopifyCustomerId) return;
+
+    this.linkUser(user)
+      .catch(error => console.error(`Error linking user ${user._id} to Shopify:`, error.message));
+  }
+
+  /**
+   * Push profile changes (name, phone) to the linked Shopify customer
+   */
+  async syncProfile(user) {
+    if (!user.shopifyCustomerId || !shopifyService.accessToken) return;
+
+    const [firstName, ...rest] = (user.name || '').trim().split(/\s+/);
+    const shopifyCustomer = await shopifyService.updateCustomer(user.shopifyCustomerId, {
+      firstName,
+      lastName: rest.join(' '),
+      phone: user.phone || null,
+    });
+
+    await shopifyWebhookHandler.handleCustomerUpdate(shopifyCustomer);
+  }
+
+  syncProfileInBackground(user) {
+    this.syncProfile(user)
+      .catch(error => console.error(`Error syncing profile of user ${user._id} to Shopify:`, error.message));
+  }
+
+  /**
+   * Anonymise the linked Shopify customer when the app account is deleted
+   *
+   * Shopify keeps customers that have orders, so the record is scrubbed of
+   * personal details rather than removed; the order history stays intact.
+   * The email is swapped for a placeholder on our own domain because both
+   * Shopify and our Customer model expect every customer to have one.
+   */
+  async anonymiseCustomer(user) {
+    if (!user.shopifyCustomerId || !shopifyService.accessToken) return null;
+
+    const shopifyCustomer = await shopifyService.updateCustomer(user.shopifyCustomerId, {
+      firstName: 'Deleted',
+      lastName: 'Customer',
+      email: `deleted_${user.shopifyCustomerId}@allthingsclean.com`,
+      phone: null,
+      note: `App account deleted ${new Date().toISOString().slice(0, 10)}`,
+      tags: ['app-account-deleted'],
+    });
+
+    await shopifyWebhookHandler.handleCustomerUpdate(shopifyCustomer);
+
+    console.log(`🔗 Anonymised Shopify customer ${user.shopifyCustomerId} for deleted user ${user._id}`);
+    return user.shopifyCustomerId;
+  }
+}
+
+module.exports = new CustomerLinkService();
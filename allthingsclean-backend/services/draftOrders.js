@@ -0,0 +1,206 @@
+// services/draftOrders.js - Checkout through Shopify draft orders
+//
+// A cart becomes a draft order, which Shopify prices: taxes, discounts and
+// shipping included. The draft can be changed (and so recalculated) until it
+// is completed, which turns it into a real order, paid or with payment
+// pending, that is then synced into the Order model. Customers can also be
+// emailed an invoice to pay for the draft through Shopify's checkout instead.
+
+const mongoose = require('mongoose');
+const shopifyService = require('./shopify');
+const shopifyWebhookHandler = require('./shopifyWebhookHandler');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+class DraftOrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DraftOrderError';
+    this.status = status;
+  }
+}
+
+const money = value => parseFloat(value || 0);
+
+class DraftOrderService {
+  /**
+   * Create a draft order from cart items
+   * @param {Object} data - { customer, email, items, shippingAddress, billingAddress, note, tags,
+   *   discount, shippingLine } (see ShopifyService.createDraftOrder)
+   * @param {Object} options
+   * @param {boolean} options.allowCustomItems - Accept items that aren't in the catalog, with their own price
+   * @returns {Promise<Object>} the Shopify draft order
+   */
+  async create(data, { allowCustomItems = false } = {}) {
+    if (!data.items || data.items.length === 0) {
+      throw new DraftOrderError('Order must contain at least one item');
+    }
+
+    return shopifyService.createDraftOrder({
+      ...data,
+      items: await this.resolveItems(data.items, { allowCustomItems }),
+      useCustomerDefaultAddress: Boolean(data.customer?.id && !data.shippingAddress) || undefined,
+    });
+  }
+
+  /**
+   * Apply changes (items, addresses, discount...) to an open draft and return it recalculated
+   */
+  async recalculate(draftOrderId, changes = {}, { allowCustomItems = false } = {}) {
+    const draft = await this.getOpen(draftOrderId);
+
+    if (changes.items) {
+      if (changes.items.length === 0) {
+        throw new DraftOrderError('Order must contain at least one item');
+      }
+      changes = { ...changes, items: await this.resolveItems(changes.items, { allowCustomItems }) };
+    }
+
+    return shopifyService.updateDraftOrder(draft.id, changes);
+  }
+
+  /**
+   * Email the customer an invoice with a link to pay through Shopify
+   */
+  async sendInvoice(draftOrderId, options = {}) {
+    const draft = await this.getOpen(draftOrderId);
+    await shopifyService.sendDraftOrderInvoice(draft.id, options);
+    return shopifyService.getDraftOrder(draft.id);
+  }
+
+  /**
+   * Complete a draft into an order and sync it into MongoDB
+   * Completing an already completed draft returns its order, so retries are safe.
+   * @param {Object} options
+   * @param {boolean} options.paymentPending - Leave the order unpaid (otherwise it's marked paid)
+   * @returns {Promise<Order>}
+   */
+  async complete(draftOrderId, { paymentPending = true } = {}) {
+    let draft = await shopifyService.getDraftOrder(draftOrderId);
+
+    if (draft.status !== 'completed') {
+      draft = await shopifyService.completeDraftOrder(draft.id, { paymentPending });
+    }
+
+    const shopifyOrder = await shopifyService.getOrderById(draft.order_id);
+    await shopifyWebhookHandler.handleOrderUpdate(shopifyOrder);
+
+    console.log(`✅ Draft order ${draft.id} completed as order ${shopifyOrder.id}`);
+
+    return this.findOrder(shopifyOrder.id);
+  }
+
+  /**
+   * Delete an open draft
+   */
+  async discard(draftOrderId) {
+    const draft = await this.getOpen(draftOrderId);
+    await shopifyService.deleteDraftOrder(draft.id);
+  }
+
+  /**
+   * Check a customer may see and change a draft: it's for their customer record or
+   * their email, once they have proved they own that email
+   */
+  isOwnedBy(user, draft) {
+    if (!user.emailVerified) return false;
+    if (user.shopifyCustomerId && draft.customer?.id?.toString() === user.shopifyCustomerId) return true;
+    return Boolean(user.email && draft.email && draft.email.toLowerCase() === user.email.toLowerCase());
+  }
+
+  /**
+   * The totals Shopify calculated, in our camelCase format
+   */
+  summarize(draft) {
+    return {
+      id: draft.id.toString(),
+      name: draft.name,
+      status: draft.status,
+      email: draft.email,
+      items: (draft.line_items || []).map(item => ({
+        productId: item.product_id?.toString(),
+        variantId: item.variant_id?.toString(),
+        name: item.name,
+        quantity: item.quantity,
+        price: money(item.price),
+        discount: money(item.applied_discount?.amount),
+        total: money(item.price) * item.quantity - money(item.applied_discount?.amount),
+        sku: item.sku,
+      })),
+      subtotal: money(draft.subtotal_price),
+      discount: money(draft.applied_discount?.amount),
+      shipping: money(draft.shipping_line?.price),
+      tax: money(draft.total_tax),
+      taxLines: (draft.tax_lines || []).map(line => ({
+        title: line.title,
+        rate: line.rate,
+        amount: money(line.price),
+      })),
+      taxesIncluded: Boolean(draft.taxes_included),
+      total: money(draft.total_price),
+      currency: draft.currency,
+      invoiceUrl: draft.invoice_url,
+      invoiceSentAt: draft.invoice_sent_at,
+      orderId: draft.order_id?.toString() || null,
+      createdAt: draft.created_at,
+      updatedAt: draft.updated_at,
+    };
+  }
+
+  async getOpen(draftOrderId) {
+    const draft = await shopifyService.getDraftOrder(draftOrderId);
+    if (draft.status === 'completed') {
+      throw new DraftOrderError('This draft order has already been completed', 409);
+    }
+    return draft;
+  }
+
+  /**
+   * Turn cart items into draft line items. Cart items name a variant
+   * (variantId) or a product (productId: ours or Shopify's, for its first
+   * variant); anything else is a custom item.
+   */
+  async resolveItems(items, { allowCustomItems = false } = {}) {
+    return Promise.all(items.map(async item => {
+      const quantity = item.quantity === undefined ? 1 : parseInt(item.quantity);
+      if (!(quantity >= 1)) {
+        throw new DraftOrderError('Item quantities must be at least 1');
+      }
+
+      if (item.variantId) {
+        return { variantId: item.variantId, quantity };
+      }
+
+      if (item.productId) {
+        const product = await this.findProduct(item.productId);
+        const variantId = product?.variants[0]?.id;
+        if (!variantId) {
+          throw new DraftOrderError(`Product ${item.productId} not found`, 404);
+        }
+        return { variantId, quantity };
+      }
+
+      if (!allowCustomItems) {
+        throw new DraftOrderError('Each item needs a variantId or productId');
+      }
+      if (!(item.title || item.name) || item.price === undefined) {
+        throw new DraftOrderError('Custom items need a title and price');
+      }
+      return { title: item.title || item.name, price: item.price, sku: item.sku, quantity };
+    }));
+  }
+
+  findProduct(productId) {
+    const id = String(productId);
+    return Product.findOne(mongoose.isValidObjectId(id) && !/^\d+$/.test(id) ? { _id: id } : { shopifyId: id })
+      .select('variants')
+      .lean();
+  }
+
+  findOrder(shopifyOrderId) {
+    return Order.findOne({ shopifyId: shopifyOrderId.toString() });
+  }
+}
+
+module.exports = new DraftOrderService();
+module.exports.DraftOrderError = DraftOrderError;
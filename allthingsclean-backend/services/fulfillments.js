@@ -0,0 +1,111 @@
+// services/fulfillments.js - Mark order items shipped in Shopify, with tracking
+//
+// Shopify ships through fulfillment orders: each groups what one location has
+// left to send. Items asked for (all that's left when none are) are matched
+// to their fulfillment order line items, and one fulfillment is created for
+// them. The order is synced again afterwards, so its fulfillments, tracking
+// and fulfillment status are up to date.
+
+const shopifyService = require('./shopify');
+const shopifyWebhookHandler = require('./shopifyWebhookHandler');
+
+class FulfillmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FulfillmentError';
+    this.status = status;
+  }
+}
+
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+class FulfillmentService {
+  /**
+   * Ship items of an order
+   * @param {string} shopifyOrderId
+   * @param {Object} data - { items: [{ lineItemId or variantId, quantity }] (all that's left when empty),
+   *   tracking: { number, company, url }, notifyCustomer }
+   * @returns {Promise<Object>} the fulfillment, as stored on the Order
+   */
+  async create(shopifyOrderId, { items = [], tracking, notifyCustomer = false } = {}) {
+    const fulfillmentOrders = (await shopifyService.getFulfillmentOrders(shopifyOrderId))
+      .filter(fulfillmentOrder => OPEN_STATUSES.includes(fulfillmentOrder.status));
+
+    if (fulfillmentOrders.length === 0) {
+      throw new FulfillmentError('This order has nothing left to ship', 409);
+    }
+
+    const toShip = items.length
+      ? this.allocate(fulfillmentOrders, items)
+      : fulfillmentOrders.map(fulfillmentOrder => ({ fulfillmentOrder }));
+
+    const locations = new Set(toShip.map(({ fulfillmentOrder }) => fulfillmentOrder.assigned_location_id));
+    if (locations.size > 1) {
+      throw new FulfillmentError('These items ship from different locations; fulfill them separately');
+    }
+
+    const fulfillment = await shopifyService.createFulfillment({
+      fulfillmentOrders: toShip.map(({ fulfillmentOrder, items: foItems }) => ({ id: fulfillmentOrder.id, items: foItems })),
+      tracking,
+      notifyCustomer,
+    });
+
+    await shopifyWebhookHandler.handleOrderUpdate(await shopifyService.getOrderById(shopifyOrderId));
+
+    console.log(`✅ Fulfillment ${fulfillment.id} created on order ${shopifyOrderId}`);
+
+    return shopifyWebhookHandler.convertShopifyFulfillment(fulfillment);
+  }
+
+  /**
+   * Match requested items to fulfillment order line items, taking from the
+   * first fulfillment orders that still have them to ship. An item asked for
+   * twice (or by line item and by variant) only gets what the first left.
+   * Returns [{ fulfillmentOrder, items: [{ id, quantity }] }].
+   */
+  allocate(fulfillmentOrders, items) {
+    const shipping = new Map();
+    // Units already allocated, per fulfillment order line item
+    const taken = new Map();
+    const available = lineItem => lineItem.fulfillable_quantity - (taken.get(lineItem.id) || 0);
+
+    for (const item of items) {
+      const matches = fulfillmentOrders.flatMap(fulfillmentOrder => fulfillmentOrder.line_items
+        .filter(li => (item.lineItemId
+          ? li.line_item_id.toString() === String(item.lineItemId)
+          : item.variantId && li.variant_id?.toString() === String(item.variantId)))
+        .map(lineItem => ({ fulfillmentOrder, lineItem })));
+      if (matches.length === 0) {
+        throw new FulfillmentError(`Item ${item.lineItemId || item.variantId} is not on this order`);
+      }
+
+      const left = matches.reduce((sum, { lineItem }) => sum + available(lineItem), 0);
+      let quantity = item.quantity === undefined ? left : parseInt(item.quantity);
+      if (!(quantity >= 1) || quantity > left) {
+        throw new FulfillmentError(`Only ${left} of item ${item.lineItemId || item.variantId} left to ship`);
+      }
+
+      for (const { fulfillmentOrder, lineItem } of matches) {
+        const take = Math.min(quantity, available(lineItem));
+        if (take === 0) continue;
+
+        if (!shipping.has(fulfillmentOrder.id)) {
+          shipping.set(fulfillmentOrder.id, { fulfillmentOrder, items: new Map() });
+        }
+        const foItems = shipping.get(fulfillmentOrder.id).items;
+        foItems.set(lineItem.id, (foItems.get(lineItem.id) || 0) + take);
+        taken.set(lineItem.id, (taken.get(lineItem.id) || 0) + take);
+        quantity -= take;
+        if (quantity === 0) break;
+      }
+    }
+
+    return [...shipping.values()].map(({ fulfillmentOrder, items: foItems }) => ({
+      fulfillmentOrder,
+      items: [...foItems].map(([id, quantity]) => ({ id, quantity })),
+    }));
+  }
+}
+
+module.exports = new FulfillmentService();
+module.exports.FulfillmentError = FulfillmentError;
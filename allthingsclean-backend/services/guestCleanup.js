@@ -0,0 +1,60 @@
+// services/guestCleanup.js - Remove guest accounts nobody has used for a while
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+
+const CLEANUP_CONFIG = {
+  inactiveDays: parseInt(process.env.GUEST_INACTIVE_DAYS) || 30,
+  intervalHours: parseInt(process.env.GUEST_CLEANUP_INTERVAL_HOURS) || 24,
+};
+
+class GuestCleanupService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Delete guest users (and their sessions) inactive for more than `days` days
+   * Orders placed by guests are kept: they belong to the store's history
+   */
+  async cleanupInactiveGuests(days = CLEANUP_CONFIG.inactiveDays) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const guests = await User.findInactiveGuests(cutoff).select('_id');
+    const ids = guests.map(guest => guest._id);
+
+    if (ids.length === 0) {
+      return { removed: 0 };
+    }
+
+    await Promise.all([
+      Session.deleteMany({ userId: { $in: ids } }),
+      AuthToken.deleteMany({ userId: { $in: ids } }),
+    ]);
+    const result = await User.deleteMany({ _id: { $in: ids }, isGuest: true });
+
+    console.log(`🧹 Removed ${result.deletedCount} guest accounts inactive for ${days}+ days`);
+    return { removed: result.deletedCount };
+  }
+
+  /**
+   * Run the cleanup now and then on a fixed interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.cleanupInactiveGuests()
+      .catch(error => console.error('Guest cleanup error:', error));
+
+    run();
+    this.timer = setInterval(run, CLEANUP_CONFIG.intervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new GuestCleanupService();
@@ -0,0 +1,250 @@
+// services/jobQueue.js - MongoDB-backed background job queue and worker
+//
+// Long-running work (like a full Shopify sync) is queued as a Job document
+// and picked up by the worker loop, so HTTP requests return straight away.
+// Any server instance can run the worker: jobs are claimed atomically and
+// locked, and a job whose lock runs out (its worker died) is claimed again.
+// The lock is renewed on a timer while a job runs, so a handler that waits a
+// long time without writing progress (a bulk export) keeps it; a worker that
+// lost the lock anyway writes nothing more to the job.
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const JOB_CONFIG = {
+  pollIntervalMs: (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 5) * 1000,
+  lockMs: 5 * 60 * 1000,
+  lockRenewIntervalMs: 60 * 1000,
+  // How often progress is written back (and cancellation checked)
+  progressIntervalMs: 1000,
+  maxAttempts: 3,
+};
+
+// Thrown inside a handler when someone cancelled its job
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Thrown inside a handler when its lock ran out and another worker claimed the job
+class JobLockLostError extends Error {
+  constructor() {
+    super('Job lock lost to another worker');
+    this.name = 'JobLockLostError';
+  }
+}
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.working = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * The handler gets (params, context) and resolves to the job's result.
+   * context.progress({ stage, current, total, detail }) records progress and
+   * throws JobCancelledError once the job is cancelled; context.itemError(item, error)
+   * records a failure of one item without failing the job.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} options - createdBy (user id), schedule (name), dedupeKey, runAt
+   * With a dedupeKey, queueing the same key again returns the existing job.
+   */
+  async enqueue(type, params = {}, { createdBy, schedule, dedupeKey, runAt } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    try {
+      const job = await Job.create({ type, params, createdBy, schedule, dedupeKey, runAt });
+      console.log(`📋 Job queued: ${type} (${job._id})`);
+      return job;
+    } catch (error) {
+      if (error.code === 11000 && dedupeKey) {
+        return Job.findOne({ dedupeKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a job: queued jobs stop at once, running ones at their next progress update
+   * Resolves to the updated job, or null if it had already finished
+   */
+  async cancel(jobId) {
+    const queued = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+      { new: true }
+    );
+    if (queued) return queued;
+
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Poll for jobs on a fixed interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const poll = () => this.work().catch(error => console.error('Job worker error:', error));
+
+    poll();
+    this.timer = setInterval(poll, JOB_CONFIG.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run due jobs one after another until none are left
+   */
+  async work() {
+    if (this.working) return;
+    this.working = true;
+
+    try {
+      let job;
+      while ((job = await Job.claimNext(this.workerId, JOB_CONFIG.lockMs, [...this.handlers.keys()]))) {
+        await this.run(job);
+      }
+    } finally {
+      this.working = false;
+    }
+  }
+
+  async run(job) {
+    if (job.cancelRequested) {
+      return this.finish(job, 'cancelled');
+    }
+    if (job.attempts > JOB_CONFIG.maxAttempts) {
+      return this.finish(job, 'failed', { error: `Gave up after ${JOB_CONFIG.maxAttempts} attempts` });
+    }
+
+    console.log(`▶️  Job started: ${job.type} (${job._id}), attempt ${job.attempts}`);
+
+    const renewal = setInterval(() => {
+      this.renewLock(job)
+        .then(held => held || clearInterval(renewal))
+        .catch(error => console.error(`Job ${job._id} lock renewal failed:`, error));
+    }, JOB_CONFIG.lockRenewIntervalMs);
+    renewal.unref();
+
+    try {
+      const result = await this.handlers.get(job.type)(job.params || {}, this.createContext(job));
+      await this.finish(job, 'completed', { result });
+    } catch (error) {
+      if (error instanceof JobLockLostError) {
+        console.warn(`Job ${job._id} stopped: another worker has claimed it`);
+      } else if (error instanceof JobCancelledError) {
+        await this.finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job._id} failed:`, error);
+        await this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  /**
+   * Filter matching a job only while this worker's claim on it holds
+   * (a later claim, even by the same worker, counts another attempt)
+   */
+  lockFilter(job) {
+    return { _id: job._id, lockedBy: this.workerId, attempts: job.attempts };
+  }
+
+  /**
+   * Push the lock's expiry back; resolves to false once the lock is lost
+   */
+  async renewLock(job) {
+    const { matchedCount } = await Job.updateOne(
+      { ...this.lockFilter(job), status: 'running' },
+      { $set: { lockedUntil: new Date(Date.now() + JOB_CONFIG.lockMs) } }
+    );
+    if (matchedCount === 0) {
+      console.warn(`Job ${job._id} lock lost: another worker has claimed it`);
+    }
+    return matchedCount > 0;
+  }
+
+  createContext(job) {
+    const progress = { current: 0 };
+    let lastWrite = 0;
+
+    return {
+      job,
+
+      progress: async (update, { force = false } = {}) => {
+        Object.assign(progress, update);
+        if (!force && Date.now() - lastWrite < JOB_CONFIG.progressIntervalMs) return;
+        lastWrite = Date.now();
+
+        // Writing progress also renews the lock, so a busy job isn't taken for dead
+        const current = await Job.findOneAndUpdate(
+          this.lockFilter(job),
+          { $set: { progress, lockedUntil: new Date(Date.now() + JOB_CONFIG.lockMs) } },
+          { new: true, projection: { cancelRequested: 1 } }
+        );
+
+        if (!current) {
+          throw new JobLockLostError();
+        }
+        if (current.cancelRequested) {
+          throw new JobCancelledError();
+        }
+      },
+
+      itemError: (item, error) => Job.addError(job._id, item, error.message || String(error)),
+    };
+  }
+
+  async finish(job, status, fields = {}) {
+    const finishedAt = new Date();
+
+    const { matchedCount } = await Job.updateOne(
+      this.lockFilter(job),
+      {
+        $set: {
+          status,
+          finishedAt,
+          durationMs: finishedAt - job.startedAt,
+          lockedUntil: null,
+          ...fields,
+        },
+      }
+    );
+
+    // Another worker has the job now; its run decides the outcome
+    if (matchedCount === 0) {
+      console.warn(`Job ${job._id} ${status} after losing its lock; result discarded`);
+      return;
+    }
+
+    console.log(`⏹️  Job ${status}: ${job.type} (${job._id})`);
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JobCancelledError = JobCancelledError;
+module.exports.JobLockLostError = JobLockLostError;
+module.exports.JOB_CONFIG = JOB_CONFIG;
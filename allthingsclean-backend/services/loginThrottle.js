@@ -0,0 +1,235 @@
+// services/loginThrottle.js - Brute-force protection for sign-in
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+const THROTTLE_CONFIG = {
+  // Failures allowed before back-off starts
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  // Failures before a temporary lockout
+  accountLockThreshold: parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10,
+  ipLockThreshold: parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50,
+  lockDurationMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 30) * 60 * 1000,
+  // Counters reset after this long without a failure
+  windowMs: 24 * 60 * 60 * 1000,
+  // Password reset emails one client IP may ask for per window
+  resetRequestLimit: parseInt(process.env.PASSWORD_RESET_IP_LIMIT) || 10,
+  resetWindowMs: 60 * 60 * 1000,
+};
+
+class LoginThrottleService {
+  /**
+   * Back-off delay after a given number of failures
+   */
+  getDelay(failures) {
+    const over = failures - THROTTLE_CONFIG.freeAttempts;
+    if (over < 0) return 0;
+    return Math.min(THROTTLE_CONFIG.baseDelayMs * 2 ** over, THROTTLE_CONFIG.maxDelayMs);
+  }
+
+  /**
+   * Check whether a sign-in attempt may proceed, counting it as a failure
+   * until recordSuccess or release says otherwise. Counting and deciding are
+   * one atomic update, so parallel guesses each see the ones started before
+   * them and can't all slip in before the first failure is recorded.
+   * Returns null when allowed, otherwise { status, code, message, retryAfter }
+   */
+  async check(email, ip) {
+    const now = new Date();
+    const [account, client] = await Promise.all([
+      this.reserve('account', email, now),
+      ip ? this.reserve('ip', ip, now) : null,
+    ]);
+
+    const blocked = this.decide(account, client, now);
+    if (blocked) {
+      // Refused attempts aren't guesses: they count towards neither the
+      // lockout nor the back-off
+      await Promise.all([
+        this.unreserve('account', email, account, now),
+        ip && this.unreserve('ip', ip, client, now),
+      ]);
+    }
+    return blocked;
+  }
+
+  /**
+   * Count an attempt, returning the counter as it was before it
+   * (null for a first attempt)
+   */
+  reserve(scope, value, now) {
+    return LoginAttempt.findOneAndUpdate(
+      { key: LoginAttempt.keyFor(scope, value) },
+      {
+        $inc: { failures: 1 },
+        $set: { scope, lastFailureAt: now, expiresAt: new Date(now.getTime() + THROTTLE_CONFIG.windowMs) },
+      },
+      { upsert: true, new: false }
+    );
+  }
+
+  /**
+   * Undo reserve, putting the previous attempt's time back unless another
+   * attempt has been counted since
+   */
+  async unreserve(scope, value, previous, now) {
+    const key = LoginAttempt.keyFor(scope, value);
+    const restored = await LoginAttempt.updateOne(
+      { key, lastFailureAt: now },
+      { $inc: { failures: -1 }, $set: { lastFailureAt: previous?.lastFailureAt || null } }
+    );
+    if (restored.matchedCount === 0) {
+      await LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    }
+  }
+
+  decide(account, client, now) {
+    if (account?.lockedUntil > now) {
+      return this.blocked(423, 'ACCOUNT_LOCKED', account.lockedUntil,
+        'Too many failed sign-in attempts. This account is temporarily locked');
+    }
+
+    if (client?.lockedUntil > now) {
+      return this.blocked(429, 'TOO_MANY_ATTEMPTS', client.lockedUntil,
+        'Too many failed sign-in attempts from this network');
+    }
+
+    // Each attempt past the free ones waits out the back-off from the one
+    // before it, whether that one has finished or is still being checked
+    const waitUntil = [account, client]
+      .filter(attempt => attempt?.lastFailureAt)
+      .map(attempt => new Date(attempt.lastFailureAt.getTime() + this.getDelay(attempt.failures)))
+      .filter(date => date > now)
+      .sort((a, b) => b - a)[0];
+
+    if (waitUntil) {
+      return this.blocked(429, 'TOO_MANY_ATTEMPTS', waitUntil,
+        'Too many failed sign-in attempts');
+    }
+
+    return null;
+  }
+
+  blocked(status, code, until, message) {
+    const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+    const wait = retryAfter >= 60
+      ? `${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}`
+      : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+
+    return {
+      status,
+      code,
+      retryAfter,
+      lockedUntil: until,
+      message: `${message}. Please try again in ${wait}.`,
+    };
+  }
+
+  /**
+   * Settle a checked attempt as failed: check already counted it, so this
+   * only locks the account or IP when its counter is at the threshold
+   */
+  async recordFailure(email, ip) {
+    const updates = [this.lockAtThreshold('account', email, THROTTLE_CONFIG.accountLockThreshold)];
+    if (ip) {
+      updates.push(this.lockAtThreshold('ip', ip, THROTTLE_CONFIG.ipLockThreshold));
+    }
+    await Promise.all(updates);
+  }
+
+  async lockAtThreshold(scope, value, lockThreshold) {
+    // Lock at the threshold and again at every multiple of it
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key: LoginAttempt.keyFor(scope, value), failures: { $mod: [lockThreshold, 0] } },
+      { $set: { lockedUntil: new Date(Date.now() + THROTTLE_CONFIG.lockDurationMs) } },
+      { new: true }
+    );
+
+    if (attempt) {
+      console.warn(`🔒 Sign-in locked for ${attempt.key} after ${attempt.failures} failures`);
+    }
+  }
+
+  /**
+   * Take back a checked attempt that wasn't a failure (a right password
+   * still waiting for its second factor)
+   */
+  async release(email, ip) {
+    await Promise.all([
+      this.giveBack('account', email),
+      ip && this.giveBack('ip', ip),
+    ]);
+  }
+
+  /**
+   * Uncount an attempt that was let through and turned out not to fail. Its
+   * back-off was over when it started, so the next attempt needn't wait
+   * either (reserve moved lastFailureAt to when it started).
+   */
+  async giveBack(scope, value) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key: LoginAttempt.keyFor(scope, value), failures: { $gt: 0 } },
+      { $inc: { failures: -1 } },
+      { new: true }
+    );
+    if (!attempt) return;
+
+    await LoginAttempt.updateOne(
+      { key: attempt.key },
+      { $min: { lastFailureAt: new Date(Date.now() - this.getDelay(attempt.failures)) } }
+    );
+  }
+
+  /**
+   * Count a password reset request from a client IP, so one client can't
+   * mail out resets for account after account
+   * Returns null when allowed, otherwise { status, code, message, retryAfter }
+   */
+  async checkResetRequest(ip) {
+    if (!ip) return null;
+
+    const now = new Date();
+    const key = LoginAttempt.keyFor('password_reset', ip);
+
+    // The window is fixed from the first request; start a new one once it's over
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+    const requests = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $setOnInsert: { scope: 'password_reset', expiresAt: new Date(now.getTime() + THROTTLE_CONFIG.resetWindowMs) },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (requests.failures > THROTTLE_CONFIG.resetRequestLimit) {
+      return this.blocked(429, 'TOO_MANY_REQUESTS', requests.expiresAt,
+        'Too many password reset requests from this network');
+    }
+    return null;
+  }
+
+  /**
+   * Clear the account counter after a successful sign-in, and take back the
+   * attempt from the IP counter when it was checked
+   * (the IP counter is kept so one valid login can't reset an attacker's budget)
+   */
+  async recordSuccess(email, ip) {
+    await Promise.all([
+      LoginAttempt.deleteOne({ key: LoginAttempt.keyFor('account', email) }),
+      ip && this.giveBack('ip', ip),
+    ]);
+  }
+
+  /**
+   * Remove any lockout or back-off on an account
+   */
+  async unlock(email) {
+    const result = await LoginAttempt.deleteOne({ key: LoginAttempt.keyFor('account', email) });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,157 @@
+// services/mailer.js - Outgoing email with pluggable transports
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_CONFIG = {
+  from: process.env.MAIL_FROM || 'AllThingsClean <no-reply@allthingsclean.com>',
+  transport: process.env.MAIL_TRANSPORT || 'outbox',
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+  appScheme: process.env.APP_SCHEME || 'allthingscleanapp',
+};
+
+/**
+ * Default transport: writes each message as an .eml file to a local directory
+ * so mail can be inspected offline without an SMTP server
+ */
+function createOutboxTransport(dir = MAIL_CONFIG.outboxDir) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.eml`);
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+      ].join('\r\n');
+
+      await fs.promises.writeFile(file, contents, 'utf8');
+      return { id, file };
+    },
+  };
+}
+
+/**
+ * Transport that only logs messages (useful for tests and quick local runs)
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: `console-${Date.now()}` };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport,
+};
+
+class Mailer {
+  constructor() {
+    const factory = TRANSPORTS[MAIL_CONFIG.transport] || createOutboxTransport;
+    this.transport = factory();
+  }
+
+  /**
+   * Replace the active transport (anything with an async send(message) method)
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Send a plain-text email
+   */
+  async send({ to, subject, text }) {
+    const message = { from: MAIL_CONFIG.from, to, subject, text };
+    const info = await this.transport.send(message);
+    console.log(`📧 Mail sent via ${this.transport.name || 'custom'} transport: ${subject} -> ${to}`);
+    return info;
+  }
+
+  /**
+   * Build a deep link into the mobile app
+   */
+  appLink(route, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `${MAIL_CONFIG.appScheme}://${route}${query ? `?${query}` : ''}`;
+  }
+
+  // ===== AUTH EMAILS =====
+
+  async sendEmailVerification(user, token, expiresInHours) {
+    const link = this.appLink('verify-email', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your AllThingsClean email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Thanks for creating an AllThingsClean account. Please confirm your email address by opening this link on your phone:',
+        '',
+        link,
+        '',
+        `This link expires in ${expiresInHours} hours. You'll need a confirmed email to place orders.`,
+      ].join('\n'),
+    });
+  }
+
+  async sendMagicLink(user, token, expiresInMinutes) {
+    const link = this.appLink('magic-link', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Your AllThingsClean sign-in link',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Open the link below on your phone to sign in to AllThingsClean. No password needed:',
+        '',
+        link,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not ask to sign in, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = this.appLink('reset-password', { token });
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your AllThingsClean password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Open the link below on your phone to choose a new one:',
+        '',
+        link,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+}
+
+const mailer = new Mailer();
+
+module.exports = mailer;
+module.exports.createOutboxTransport = createOutboxTransport;
+module.exports.createConsoleTransport = createConsoleTransport;
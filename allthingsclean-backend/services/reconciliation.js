@@ -0,0 +1,224 @@
+// services/reconciliation.js - Find (and optionally fix) drift between Shopify and MongoDB
+//
+// Webhooks get missed, and deletes made while the server is down never arrive.
+// Reconciliation lists every id and updated_at on both sides and reports:
+//   missing  - in Shopify, not stored locally
+//   orphaned - stored locally, gone from Shopify
+//   stale    - changed in Shopify after the local copy was written
+// With repair, missing and stale records are fetched and saved again and
+// orphaned ones are deleted, once Shopify confirms (404) they are gone: a
+// listing can be partial, e.g. /orders.json only reaches back 60 days
+// without the read_all_orders scope. Every run is kept as a
+// ReconciliationReport.
+
+const shopifyService = require('./shopify');
+const { ENTITIES } = require('./shopifySync');
+const { JobCancelledError, JobLockLostError } = require('./jobQueue');
+const { ShopifyNotFoundError } = require('./shopifyErrors');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { MAX_REPORTED_IDS } = require('../models/ReconciliationReport');
+
+class ReconciliationService {
+  get entities() {
+    return Object.keys(ENTITIES);
+  }
+
+  /**
+   * Reconcile the given entities (all by default) and store the report
+   * @param {Object} options
+   * @param {string[]} options.entities - Subset of 'products', 'customers', 'orders', 'collections'
+   * @param {boolean} options.repair - Fix the differences found
+   * @param {ObjectId} options.createdBy - User who asked for it
+   * @param {ObjectId} options.jobId - Job running it, if any
+   * @param {Function} options.onProgress - Called with ({ stage, detail }) as work is done
+   * @param {Function} options.onError - Called with (item, error) when a repair fails
+   * @returns {Promise<ReconciliationReport>}
+   */
+  async run({ entities, repair = false, createdBy, jobId, onProgress, onError } = {}) {
+    const selected = entities?.length ? entities : this.entities;
+    const unknown = selected.filter(entity => !ENTITIES[entity]);
+    if (unknown.length) {
+      throw new Error(`Unknown entities: ${unknown.join(', ')}`);
+    }
+
+    const report = await ReconciliationReport.create({
+      store: shopifyService.store,
+      repair,
+      createdBy,
+      job: jobId,
+    });
+
+    console.log(`🔍 Reconciling ${selected.join(', ')}${repair ? ' (with repair)' : ''}`);
+
+    try {
+      for (const entity of selected) {
+        const started = Date.now();
+
+        try {
+          const result = await this.reconcileEntity(entity, { repair, onProgress, onError });
+          report.entities.push({ ...result, durationMs: Date.now() - started });
+        } catch (error) {
+          if (error instanceof JobCancelledError || error instanceof JobLockLostError) throw error;
+
+          console.error(`Error reconciling ${entity}:`, error);
+          report.entities.push({ entity, error: error.message, durationMs: Date.now() - started });
+        }
+
+        // Keep what we have so far, in case a later entity takes a while
+        await report.save();
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      throw error;
+    } finally {
+      report.finishedAt = new Date();
+      report.durationMs = report.finishedAt - report.startedAt;
+      await report.save();
+      console.log(`✅ Reconciliation ${report.status}: ${report.driftCount} difference(s) found`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Compare one entity; resolves to its entry for the report
+   */
+  async reconcileEntity(entity, { repair = false, onProgress, onError } = {}) {
+    const config = ENTITIES[entity];
+
+    await onProgress?.({ stage: entity, detail: { step: 'listing' } });
+    const [remote, local] = await Promise.all([this.loadShopify(config), this.loadLocal(config)]);
+    const { missing, orphaned, stale } = this.diff(remote, local);
+
+    const result = {
+      entity,
+      shopifyCount: remote.size,
+      localCount: local.size,
+      missing: missing.slice(0, MAX_REPORTED_IDS),
+      missingCount: missing.length,
+      orphaned: orphaned.slice(0, MAX_REPORTED_IDS),
+      orphanedCount: orphaned.length,
+      stale: stale.slice(0, MAX_REPORTED_IDS),
+      staleCount: stale.length,
+    };
+
+    if (repair) {
+      result.repaired = await this.repair(entity, config, { missing, orphaned, stale }, { onProgress, onError });
+    }
+
+    return result;
+  }
+
+  /**
+   * Work out what differs between Shopify (id -> updated_at) and MongoDB (id -> updated_at)
+   */
+  diff(remote, local) {
+    const missing = [];
+    const stale = [];
+
+    for (const [shopifyId, shopifyUpdatedAt] of remote) {
+      if (!local.has(shopifyId)) {
+        missing.push(shopifyId);
+        continue;
+      }
+
+      // Local copies written after Shopify's timestamp (local edits) are fine
+      const localUpdatedAt = local.get(shopifyId);
+      if (shopifyUpdatedAt && (!localUpdatedAt || shopifyUpdatedAt > localUpdatedAt)) {
+        stale.push({ shopifyId, shopifyUpdatedAt, localUpdatedAt });
+      }
+    }
+
+    const orphaned = [...local.keys()].filter(shopifyId => !remote.has(shopifyId));
+
+    return { missing, orphaned, stale };
+  }
+
+  async repair(entity, config, { missing, orphaned, stale }, { onProgress, onError } = {}) {
+    const repaired = { created: 0, updated: 0, deleted: 0, kept: 0, failed: 0 };
+    const total = missing.length + orphaned.length + stale.length;
+    let done = 0;
+
+    // fix resolves to the counter to bump
+    const attempt = async (shopifyId, fix) => {
+      try {
+        repaired[await fix()]++;
+      } catch (error) {
+        console.error(`Error repairing ${entity} ${shopifyId}:`, error);
+        repaired.failed++;
+        await onError?.(`${entity}:${shopifyId}`, error);
+      }
+      done++;
+      await onProgress?.({ stage: entity, detail: { step: 'repairing', done, total } });
+    };
+
+    for (const shopifyId of missing) {
+      await attempt(shopifyId, async () => {
+        await config.save(await config.fetch(shopifyId));
+        return 'created';
+      });
+    }
+    for (const { shopifyId } of stale) {
+      await attempt(shopifyId, async () => {
+        await config.save(await config.fetch(shopifyId));
+        return 'updated';
+      });
+    }
+    for (const shopifyId of orphaned) {
+      await attempt(shopifyId, async () => {
+        if (await this.existsInShopify(config, shopifyId)) return 'kept';
+        await config.remove(shopifyId);
+        return 'deleted';
+      });
+    }
+
+    return repaired;
+  }
+
+  // Whether Shopify still has a record its listing left out
+  async existsInShopify(config, shopifyId) {
+    try {
+      await config.fetch(shopifyId);
+      return true;
+    } catch (error) {
+      if (error instanceof ShopifyNotFoundError) return false;
+      throw error;
+    }
+  }
+
+  // Every id in Shopify with its updated_at, fetching only those two fields
+  async loadShopify(config) {
+    const records = new Map();
+    for await (const record of config.iterate({ fields: 'id,updated_at' })) {
+      records.set(record.id.toString(), record.updated_at ? new Date(record.updated_at) : null);
+    }
+    return records;
+  }
+
+  // Every locally stored shopifyId with the Shopify updated_at it was written from
+  async loadLocal(config) {
+    const records = new Map();
+    const cursor = config.model.find({}, { shopifyId: 1, [config.updatedField]: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+      records.set(doc.shopifyId, doc[config.updatedField] || null);
+    }
+    return records;
+  }
+
+  /**
+   * Stored reports, newest first
+   */
+  async listReports({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find().sort({ createdAt: -1 }).skip(skip).limit(limit),
+      ReconciliationReport.countDocuments(),
+    ]);
+    return { reports, total };
+  }
+}
+
+module.exports = new ReconciliationService();
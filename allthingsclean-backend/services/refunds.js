@@ -0,0 +1,140 @@
+// services/refunds.js - Refund orders through Shopify
+//
+// Shopify works a refund out first (calculate): it prices the items and
+// shipping being refunded and suggests the transactions that give the money
+// back, which are then used to create it. Refunded items can go back in stock
+// at the primary location. The order is synced again afterwards, so its
+// refunds and financial status are up to date.
+
+const shopifyService = require('./shopify');
+const shopifyWebhookHandler = require('./shopifyWebhookHandler');
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const money = value => parseFloat(value || 0);
+
+class RefundService {
+  /**
+   * Work out what a refund would give back, without making it
+   * @param {string} shopifyOrderId
+   * @param {Object} data - { items: [{ lineItemId or variantId, quantity }], shipping: true (all of it)
+   *   or an amount, restock }
+   * @returns {Promise<Object>} see summarize
+   */
+  async calculate(shopifyOrderId, data) {
+    const refund = await this.toRefund(shopifyOrderId, data);
+    return this.summarize(await shopifyService.calculateRefund(shopifyOrderId, refund));
+  }
+
+  /**
+   * Refund an order for the amount Shopify calculates, and sync the order
+   * @param {string} shopifyOrderId
+   * @param {Object} data - as calculate, plus { note, notify: email the customer }
+   * @returns {Promise<Object>} the refund, as stored on the Order
+   */
+  async create(shopifyOrderId, { note, notify = false, ...data }) {
+    const refund = await this.toRefund(shopifyOrderId, data);
+    const calculation = await shopifyService.calculateRefund(shopifyOrderId, refund);
+
+    // Unpaid orders get no suggested transactions; a refund can still restock them
+    const transactions = (calculation.transactions || []).filter(transaction => money(transaction.amount) > 0);
+    if (transactions.length === 0 && !refund.items.some(item => item.restockType !== 'no_restock')) {
+      throw new RefundError('There is nothing to refund on this order');
+    }
+
+    const created = await shopifyService.createRefund(shopifyOrderId, {
+      ...refund,
+      transactions,
+      currency: calculation.currency,
+      note,
+      notify,
+    });
+
+    await shopifyWebhookHandler.handleOrderUpdate(await shopifyService.getOrderById(shopifyOrderId));
+
+    console.log(`✅ Refund ${created.id} created on order ${shopifyOrderId}`);
+
+    return shopifyWebhookHandler.convertShopifyRefund(created);
+  }
+
+  /**
+   * Turn the request into refund line items against the order in Shopify.
+   * Restocked units that were never shipped are cancelled, others returned.
+   */
+  async toRefund(shopifyOrderId, { items = [], shipping, restock = false }) {
+    if (items.length === 0 && !shipping) {
+      throw new RefundError('Choose items or shipping to refund');
+    }
+
+    const order = await shopifyService.getOrderById(shopifyOrderId);
+    const location = restock && items.length ? await shopifyService.getPrimaryLocation() : null;
+
+    const refundItems = items.map(item => {
+      const lineItem = order.line_items.find(li =>
+        (item.lineItemId && li.id.toString() === String(item.lineItemId))
+        || (!item.lineItemId && item.variantId && li.variant_id?.toString() === String(item.variantId)));
+      if (!lineItem) {
+        throw new RefundError(`Item ${item.lineItemId || item.variantId} is not on this order`);
+      }
+
+      const quantity = item.quantity === undefined ? lineItem.quantity : parseInt(item.quantity);
+      if (!(quantity >= 1)) {
+        throw new RefundError('Refunded quantities must be at least 1');
+      }
+
+      let restockType = 'no_restock';
+      if (restock) {
+        restockType = quantity <= (lineItem.fulfillable_quantity || 0) ? 'cancel' : 'return';
+      }
+
+      return {
+        lineItemId: lineItem.id,
+        quantity,
+        restockType,
+        locationId: location?.id,
+      };
+    });
+
+    let shippingRefund;
+    if (shipping === true) {
+      shippingRefund = { fullRefund: true };
+    } else if (shipping) {
+      shippingRefund = { amount: shipping };
+    }
+
+    return { items: refundItems, shipping: shippingRefund };
+  }
+
+  /**
+   * A calculated refund in our camelCase format
+   */
+  summarize(calculation) {
+    const items = (calculation.refund_line_items || []).map(item => ({
+      lineItemId: item.line_item_id?.toString(),
+      name: item.line_item?.name,
+      quantity: item.quantity,
+      subtotal: money(item.subtotal),
+      tax: money(item.total_tax),
+      restockType: item.restock_type,
+    }));
+    const transactions = calculation.transactions || [];
+
+    return {
+      items,
+      shipping: money(calculation.shipping?.amount),
+      shippingTax: money(calculation.shipping?.tax),
+      amount: Math.round(transactions.reduce((sum, transaction) => sum + money(transaction.amount), 0) * 100) / 100,
+      maximumRefundable: money(transactions[0]?.maximum_refundable),
+      currency: calculation.currency,
+    };
+  }
+}
+
+module.exports = new RefundService();
+module.exports.RefundError = RefundError;
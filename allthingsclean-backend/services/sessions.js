@@ -0,0 +1,177 @@
+// services/sessions.js - Session lifecycle: sign-in, refresh rotation and revocation
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const tokenService = require('./tokens');
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+class SessionService {
+  /**
+   * Read device metadata from the incoming request
+   */
+  getDeviceInfo(req) {
+    return {
+      userAgent: (req.headers['user-agent'] || '').substring(0, 300),
+      platform: (req.headers['x-client-platform'] || '').substring(0, 50),
+      deviceName: (req.body?.deviceName || req.headers['x-device-name'] || '').substring(0, 100),
+      ip: req.ip || '',
+    };
+  }
+
+  /**
+   * Build the token payload returned to the client
+   */
+  issueTokens(user, session) {
+    const tokenId = tokenService.generateTokenId();
+    const access = tokenService.signAccessToken(user, session, tokenId);
+    const refresh = tokenService.generateRefreshToken();
+
+    session.accessTokenId = tokenId;
+    session.accessExpiresAt = access.expiresAt;
+    session.refreshTokenHash = tokenService.hash(refresh.token);
+    session.refreshExpiresAt = refresh.expiresAt;
+
+    return {
+      token: access.token,
+      refreshToken: refresh.token,
+      expiresIn: Math.floor((access.expiresAt - Date.now()) / 1000),
+    };
+  }
+
+  /**
+   * Start a new session for a user (sign-in, sign-up, guest)
+   */
+  async create(user, req) {
+    const session = new Session({
+      userId: user._id,
+      ...this.getDeviceInfo(req),
+    });
+
+    const tokens = this.issueTokens(user, session);
+    await session.save();
+
+    return { session, ...tokens };
+  }
+
+  /**
+   * Issue a fresh token pair for an existing session (e.g. after the user's claims changed)
+   */
+  async reissue(user, session) {
+    const tokens = this.issueTokens(user, session);
+    await session.save();
+    return tokens;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * The presented refresh token is rotated and can't be used again
+   */
+  async refresh(refreshToken, req) {
+    if (!refreshToken) {
+      throw new SessionError('Refresh token is required', 400);
+    }
+
+    const tokenHash = tokenService.hash(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated token being replayed means it leaked: kill that session
+      const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+      if (reused && !reused.revokedAt) {
+        await this.revoke(reused, 'refresh_token_reuse');
+        console.warn(`⚠️  Refresh token reuse detected, session ${reused._id} revoked`);
+      }
+      throw new SessionError('Invalid refresh token');
+    }
+
+    if (!session.isActive()) {
+      throw new SessionError('Session expired, please sign in again');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await this.revoke(session, 'user_deleted');
+      throw new SessionError('Account no longer exists');
+    }
+
+    // Keep device details from sign-in unless the client sends newer ones
+    const device = this.getDeviceInfo(req);
+    session.userAgent = device.userAgent || session.userAgent;
+    session.platform = device.platform || session.platform;
+    session.deviceName = device.deviceName || session.deviceName;
+    session.ip = device.ip || session.ip;
+
+    session.previousRefreshTokenHash = tokenHash;
+    session.lastUsedAt = new Date();
+
+    const tokens = this.issueTokens(user, session);
+    await session.save();
+    await User.updateOne({ _id: user._id }, { lastActiveAt: session.lastUsedAt });
+
+    return { session, user, ...tokens };
+  }
+
+  /**
+   * Look up the session an access token belongs to
+   * Returns null if it was revoked or the token was superseded by a refresh
+   */
+  async findForAccessToken(payload) {
+    if (!payload.sid) return null;
+
+    const session = await Session.findById(payload.sid);
+    if (!session || !session.isActive() || session.accessTokenId !== payload.jti) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity on a session and its user (throttled to one write per minute)
+   */
+  async touch(session) {
+    if (Date.now() - session.lastUsedAt < 60 * 1000) return;
+
+    session.lastUsedAt = new Date();
+    await Promise.all([
+      Session.updateOne({ _id: session._id }, { lastUsedAt: session.lastUsedAt }),
+      User.updateOne({ _id: session.userId }, { lastActiveAt: session.lastUsedAt }),
+    ]);
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(session, reason = 'signed_out') {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one (e.g. the current device)
+   */
+  async revokeAllForUser(userId, { except, reason = 'revoked' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) {
+      filter._id = { $ne: except };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
@@ -1,54 +1,319 @@
 // services/shopify.js - Shopify API Integration
 
 const fetch = require('node-fetch');
+const LeakyBucketScheduler = require('./shopifyScheduler');
+const {
+  ShopifyGraphQLError,
+  ShopifyNetworkError,
+  ShopifyRateLimitError,
+  errorFromResponse,
+} = require('./shopifyErrors');
+
+// Reasons Shopify accepts when cancelling an order
+const CANCEL_REASONS = ['customer', 'inventory', 'fraud', 'declined', 'other'];
 
 const SHOPIFY_CONFIG = {
   shopName: process.env.SHOPIFY_SHOP_NAME, // e.g., 'your-store'
   accessToken: process.env.SHOPIFY_ACCESS_TOKEN, // Admin API access token
   apiVersion: '2024-01', // Current stable version
+  // Send requests somewhere other than the store, e.g. the local simulator (http://localhost:4000)
+  baseUrl: process.env.SHOPIFY_BASE_URL,
+  maxRetries: parseInt(process.env.SHOPIFY_MAX_RETRIES ?? '4'),
+  maxConcurrent: parseInt(process.env.SHOPIFY_MAX_CONCURRENCY) || 4,
 };
 
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Points assumed for a GraphQL query until Shopify reports its actual cost
+const DEFAULT_GRAPHQL_COST = 50;
+// Shopify refuses single queries that would cost more than this
+const MAX_GRAPHQL_QUERY_COST = 1000;
+
+const PRODUCT_METAFIELDS_QUERY = `query ProductMetafields($id: ID!, $keys: [String!], $metafieldCount: Int!, $variantCount: Int!, $after: String) {
+  product(id: $id) {
+    metafields(first: $metafieldCount, keys: $keys) {
+      edges { node { namespace key value type } }
+    }
+    variants(first: $variantCount, after: $after) {
+      edges {
+        node {
+          legacyResourceId
+          metafields(first: $metafieldCount, keys: $keys) {
+            edges { node { namespace key value type } }
+          }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+}`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Drop undefined fields so partial updates only touch what was given (null still clears)
+function withoutUndefined(object) {
+  Object.keys(object).forEach(key => object[key] === undefined && delete object[key]);
+  return object;
+}
+
+/**
+ * Parse a Link header into page_info cursors: { next, previous }
+ * e.g. <https://shop/admin/api/2024-01/products.json?limit=250&page_info=abc>; rel="next"
+ */
+function parseLinkHeader(header) {
+  const cursors = {};
+  if (!header) return cursors;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>;\s*rel="(next|previous)"/);
+    if (match) {
+      cursors[match[2]] = new URL(match[1]).searchParams.get('page_info');
+    }
+  }
+
+  return cursors;
+}
+
 class ShopifyService {
   constructor() {
-    this.baseURL = `https://${SHOPIFY_CONFIG.shopName}.myshopify.com/admin/api/${SHOPIFY_CONFIG.apiVersion}`;
+    const origin = SHOPIFY_CONFIG.baseUrl
+      ? SHOPIFY_CONFIG.baseUrl.replace(/\/+$/, '')
+      : `https://${SHOPIFY_CONFIG.shopName}.myshopify.com`;
+    this.baseURL = `${origin}/admin/api/${SHOPIFY_CONFIG.apiVersion}`;
     this.accessToken = SHOPIFY_CONFIG.accessToken;
+    this.primaryLocation = null;
+    this.scheduler = new LeakyBucketScheduler({ maxConcurrent: SHOPIFY_CONFIG.maxConcurrent });
+    this.graphqlScheduler = new LeakyBucketScheduler({
+      bucketSize: 1000,
+      leakRate: 50,
+      maxConcurrent: SHOPIFY_CONFIG.maxConcurrent,
+      reserve: 0,
+    });
+    this.retryOptions = {
+      maxRetries: SHOPIFY_CONFIG.maxRetries,
+      baseDelayMs: 500,
+      maxDelayMs: 30 * 1000,
+    };
+  }
+
+  /**
+   * Host of the store (or simulator) requests go to, e.g. 'your-store.myshopify.com'
+   */
+  get store() {
+    return new URL(this.baseURL).host;
   }
 
   /**
    * Make authenticated API request to Shopify
+   * Resolves to the parsed JSON; the response headers are attached to it as a
+   * non-enumerable `headers` property (needed for Link pagination)
+   *
+   * Requests go through the leaky-bucket scheduler. 429s are always retried
+   * (after Retry-After); 5xx and network errors are retried for idempotent
+   * requests only, since a POST may have gone through before failing. Pass
+   * `retry: true` for POSTs that are safe to repeat, and `retry: false` for
+   * PUTs that aren't (ones that act, like completing a draft order).
+   * Failures reject with a ShopifyError subclass (see shopifyErrors.js).
    */
   async request(endpoint, options = {}) {
+    const { retry, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const idempotent = retry ?? IDEMPOTENT_METHODS.includes(method);
+
+    return this.withRetries(`${method} ${endpoint}`, idempotent, this.scheduler, () =>
+      this.scheduler.schedule(() => this.send(endpoint, fetchOptions))
+    );
+  }
+
+  /**
+   * Run a GraphQL Admin API query or mutation and resolve to its `data`
+   * Shares auth, API version and retries with request(), but GraphQL is
+   * rate-limited by query cost, so it has its own bucket. `cost` is the
+   * estimate used before Shopify reports the real throttle status.
+   * Queries are retried like GET requests; mutations only with `retry: true`.
+   */
+  async graphql(query, variables = {}, { cost = DEFAULT_GRAPHQL_COST, retry } = {}) {
+    const idempotent = retry ?? !/^\s*mutation\b/.test(query);
+
+    return this.withRetries('GraphQL request', idempotent, this.graphqlScheduler, () =>
+      this.graphqlScheduler.schedule(() => this.sendGraphQL(query, variables), cost)
+    );
+  }
+
+  /**
+   * Call attempt() until it succeeds or fails in a way that shouldn't be retried
+   */
+  async withRetries(label, idempotent, scheduler, attempt) {
+    for (let retries = 0; ; retries++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        const rateLimited = error instanceof ShopifyRateLimitError;
+        const canRetry = rateLimited || (error.retryable && idempotent);
+
+        if (!canRetry || retries >= this.retryOptions.maxRetries) {
+          console.error('Shopify API Error:', error.message);
+          throw error;
+        }
+
+        const delay = rateLimited && error.retryAfter !== undefined
+          ? error.retryAfter * 1000
+          : this.backoffDelay(retries);
+
+        console.warn(`${error.name} on ${label}, retry ${retries + 1} in ${Math.round(delay)}ms`);
+
+        if (rateLimited) {
+          // Everyone waits, not just this request
+          scheduler.pause(delay);
+        } else {
+          await sleep(delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send one HTTP request (no retries) and turn failures into typed errors
+   */
+  async send(endpoint, options) {
     const url = `${this.baseURL}${endpoint}`;
+    const method = options.method || 'GET';
     const config = {
+      ...options,
       headers: {
         'X-Shopify-Access-Token': this.accessToken,
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     };
 
+    console.log(`Shopify API Request: ${method} ${endpoint}`);
+
+    let response;
     try {
-      console.log(`Shopify API Request: ${options.method || 'GET'} ${endpoint}`);
-      const response = await fetch(url, config);
-      
-      // Check rate limit
-      const rateLimitRemaining = response.headers.get('X-Shopify-Shop-Api-Call-Limit');
-      if (rateLimitRemaining) {
-        console.log(`Rate limit: ${rateLimitRemaining}`);
-      }
+      response = await fetch(url, config);
+    } catch (error) {
+      throw new ShopifyNetworkError(`Shopify API Error: ${error.message}`, {
+        method,
+        endpoint,
+        cause: error,
+      });
+    }
+
+    // Keep the scheduler's view of the call limit in step with Shopify's
+    this.scheduler.updateFromHeader(response.headers.get('X-Shopify-Shop-Api-Call-Limit'));
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      throw errorFromResponse(response.status, errorText, {
+        method,
+        endpoint,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+      });
+    }
+
+    const data = await response.json();
+    Object.defineProperty(data, 'headers', { value: response.headers, enumerable: false });
+    return data;
+  }
+
+  /**
+   * Send one GraphQL request and unwrap the response
+   * Errors come back with a 200 status, so they are checked here; a THROTTLED
+   * error becomes a ShopifyRateLimitError with the wait needed for the query.
+   */
+  async sendGraphQL(query, variables) {
+    const result = await this.send('/graphql.json', {
+      method: 'POST',
+      body: JSON.stringify({ query, variables }),
+    });
+
+    const cost = result.extensions?.cost;
+    const throttle = cost?.throttleStatus;
+    if (throttle) {
+      this.graphqlScheduler.update(
+        throttle.maximumAvailable - throttle.currentlyAvailable,
+        throttle.maximumAvailable,
+        throttle.restoreRate
+      );
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Shopify API Error: ${response.status} - ${errorText}`);
+    if (result.errors?.length) {
+      const details = {
+        method: 'POST',
+        endpoint: '/graphql.json',
+        body: JSON.stringify(result.errors),
+      };
+
+      if (result.errors.some(error => error.extensions?.code === 'THROTTLED')) {
+        const retryAfter = throttle && cost.requestedQueryCost
+          ? Math.max(0, cost.requestedQueryCost - throttle.currentlyAvailable) / throttle.restoreRate
+          : undefined;
+        throw new ShopifyRateLimitError('Shopify GraphQL Error: Throttled', { ...details, retryAfter });
       }
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Shopify API Error:', error);
-      throw error;
+      throw new ShopifyGraphQLError(
+        `Shopify GraphQL Error: ${result.errors.map(error => error.message).join('; ')}`,
+        { ...details, errors: result.errors, data: result.data }
+      );
     }
+
+    return result.data;
+  }
+
+  /**
+   * Exponential back-off with jitter: 50-100% of base * 2^attempt, capped
+   */
+  backoffDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.retryOptions;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  // ===== PAGINATION =====
+
+  /**
+   * Iterate over every page of a list endpoint, following page_info cursors
+   * from the Link header. Yields one array of records per page.
+   * @param {string} resource - e.g. 'products' (for /products.json) or 'collections/123/products'
+   * @param {Object} params - Filters for the first page (limit defaults to 250)
+   */
+  async *paginate(resource, params = {}) {
+    const limit = params.limit || 250;
+    const key = resource.split('/').pop(); // records sit under the last path segment
+    let query = new URLSearchParams({ ...params, limit });
+
+    while (query) {
+      const response = await this.request(`/${resource}.json?${query}`);
+      yield response[key] || [];
+
+      // Later pages take only the cursor (and fields): Shopify rejects filters alongside page_info
+      const nextPageInfo = parseLinkHeader(response.headers?.get('Link')).next;
+      query = nextPageInfo
+        ? new URLSearchParams({ limit, page_info: nextPageInfo, ...(params.fields && { fields: params.fields }) })
+        : null;
+    }
+  }
+
+  /**
+   * Iterate over every record of a list endpoint, one at a time
+   */
+  async *iterate(resource, params = {}) {
+    for await (const page of this.paginate(resource, params)) {
+      yield* page;
+    }
+  }
+
+  /**
+   * Collect every record of a list endpoint into an array
+   */
+  async getAll(resource, params = {}) {
+    let all = [];
+    for await (const page of this.paginate(resource, params)) {
+      all = all.concat(page);
+    }
+    return all;
   }
 
   // ===== PRODUCT METHODS =====
@@ -76,35 +341,17 @@ class ShopifyService {
   }
 
   /**
-   * Get products with pagination
+   * Get every product (follows pagination)
    */
-  async getAllProducts() {
-    let allProducts = [];
-    let pageInfo = null;
-    let hasNextPage = true;
-
-    while (hasNextPage) {
-      const params = pageInfo 
-        ? { limit: 250, page_info: pageInfo }
-        : { limit: 250 };
-
-      const queryParams = new URLSearchParams(params);
-      const response = await this.request(`/products.json?${queryParams}`);
-      
-      allProducts = allProducts.concat(response.products || []);
-
-      // Check for next page (Link header)
-      const linkHeader = response.headers?.get('Link');
-      hasNextPage = linkHeader && linkHeader.includes('rel="next"');
-      
-      if (hasNextPage) {
-        // Extract page_info from Link header
-        const nextMatch = linkHeader.match(/page_info=([^&>]+)/);
-        pageInfo = nextMatch ? nextMatch[1] : null;
-      }
-    }
+  async getAllProducts(params = {}) {
+    return this.getAll('products', params);
+  }
 
-    return allProducts;
+  /**
+   * Iterate over every product without holding the whole catalog in memory
+   */
+  iterateProducts(params = {}) {
+    return this.iterate('products', params);
   }
 
   /**
@@ -131,6 +378,109 @@ class ShopifyService {
     }));
   }
 
+  /**
+   * Get the metafields of a product or variant (follows pagination)
+   * @param {string} ownerResource - 'products' or 'variants'
+   */
+  async getMetafields(ownerResource, ownerId, params = {}) {
+    return this.getAll(`${ownerResource}/${ownerId}/metafields`, params);
+  }
+
+  /**
+   * Get chosen metafields of a product and all its variants in one GraphQL
+   * query (another per page of variants, for products with very many)
+   * @param {Array<string>} keys - 'namespace.key' of each metafield wanted
+   * @returns {Promise<Object|null>} { metafields, variants: Map of variant id -> metafields },
+   *   in the REST shape; null when the product doesn't exist
+   */
+  async getProductMetafields(productId, keys) {
+    // Each variant costs a point plus one per metafield; keep a page under the cap
+    const metafieldCount = keys.length;
+    const variantCount = Math.max(1, Math.min(100, Math.floor((MAX_GRAPHQL_QUERY_COST - metafieldCount - 2) / (metafieldCount + 1))));
+    const toRest = connection => connection.edges.map(({ node }) => node);
+
+    let metafields = [];
+    const variants = new Map();
+    let after = null;
+
+    do {
+      const { product } = await this.graphql(
+        PRODUCT_METAFIELDS_QUERY,
+        { id: `gid://shopify/Product/${productId}`, keys, metafieldCount, variantCount, after },
+        { cost: 2 + metafieldCount + variantCount * (metafieldCount + 1) }
+      );
+      if (!product) return null;
+
+      metafields = toRest(product.metafields);
+      for (const variant of toRest(product.variants)) {
+        variants.set(String(variant.legacyResourceId), toRest(variant.metafields));
+      }
+      after = product.variants.pageInfo.hasNextPage ? product.variants.pageInfo.endCursor : null;
+    } while (after);
+
+    return { metafields, variants };
+  }
+
+  // ===== LOCATION & INVENTORY METHODS =====
+
+  /**
+   * Get all locations
+   */
+  async getLocations() {
+    const response = await this.request('/locations.json');
+    return response.locations || [];
+  }
+
+  /**
+   * Get the shop's primary location (cached; it rarely changes)
+   */
+  async getPrimaryLocation() {
+    if (this.primaryLocation) return this.primaryLocation;
+
+    const [shop, locations] = await Promise.all([this.getShopInfo(), this.getLocations()]);
+    const location = locations.find(loc => loc.id === shop.primary_location_id)
+      || locations.find(loc => loc.active)
+      || locations[0];
+
+    if (!location) {
+      throw new Error('Shopify store has no locations');
+    }
+
+    this.primaryLocation = location;
+    return location;
+  }
+
+  /**
+   * Set the available quantity of an inventory item at a location
+   */
+  async updateInventoryLevel(inventoryItemId, locationId, available) {
+    const response = await this.request('/inventory_levels/set.json', {
+      method: 'POST',
+      retry: true, // setting an absolute quantity is safe to repeat
+      body: JSON.stringify({
+        inventory_item_id: inventoryItemId,
+        location_id: locationId,
+        available,
+      }),
+    });
+    return response.inventory_level;
+  }
+
+  /**
+   * Add to (or subtract from, with a negative number) the available quantity at a location
+   */
+  async adjustInventoryLevel(inventoryItemId, locationId, adjustment) {
+    const response = await this.request('/inventory_levels/adjust.json', {
+      method: 'POST',
+      body: JSON.stringify({
+        inventory_item_id: inventoryItemId,
+        location_id: locationId,
+        available_adjustment: adjustment,
+      }),
+    });
+    return response.inventory_level;
+  }
+
   // ===== CUSTOMER METHODS =====
 
   /**
@@ -146,6 +496,20 @@ class ShopifyService {
     return response.customers || [];
   }
 
+  /**
+   * Get every customer (follows pagination)
+   */
+  async getAllCustomers(params = {}) {
+    return this.getAll('customers', params);
+  }
+
+  /**
+   * Iterate over every customer
+   */
+  iterateCustomers(params = {}) {
+    return this.iterate('customers', params);
+  }
+
   /**
    * Get single customer by ID
    */
@@ -162,6 +526,81 @@ class ShopifyService {
     return response.customers?.[0] || null;
   }
 
+  /**
+   * Create a customer
+   * @param {Object} data - { firstName, lastName, email, phone, address, tags, note }
+   */
+  async createCustomer(data) {
+    const response = await this.request('/customers.json', {
+      method: 'POST',
+      body: JSON.stringify({ customer: this.toShopifyCustomer(data) }),
+    });
+    return response.customer;
+  }
+
+  /**
+   * Update a customer (only the fields given are changed; null clears a field)
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {Object} data - same fields as createCustomer
+   */
+  async updateCustomer(customerId, data) {
+    const response = await this.request(`/customers/${customerId}.json`, {
+      method: 'PUT',
+      body: JSON.stringify({ customer: { id: customerId, ...this.toShopifyCustomer(data) } }),
+    });
+    return response.customer;
+  }
+
+  /**
+   * Map our camelCase customer fields to Shopify's format (undefined fields are left out)
+   */
+  toShopifyCustomer(data) {
+    const customer = {
+      first_name: data.firstName,
+      last_name: data.lastName,
+      email: data.email,
+      phone: data.phone,
+      note: data.note,
+      tags: Array.isArray(data.tags) ? data.tags.join(', ') : data.tags,
+    };
+
+    if (data.address) {
+      customer.addresses = [{
+        ...this.toShopifyAddress({
+          firstName: data.firstName,
+          lastName: data.lastName,
+          phone: data.phone,
+          ...data.address,
+        }),
+        default: true,
+      }];
+    }
+
+    return withoutUndefined(customer);
+  }
+
+  /**
+   * Map a camelCase address to Shopify's format
+   */
+  toShopifyAddress(address) {
+    if (!address) return undefined;
+
+    return withoutUndefined({
+      first_name: address.firstName,
+      last_name: address.lastName,
+      company: address.company,
+      address1: address.address1,
+      address2: address.address2,
+      city: address.city,
+      province: address.province,
+      province_code: address.provinceCode,
+      country: address.country,
+      country_code: address.countryCode,
+      zip: address.zip,
+      phone: address.phone,
+    });
+  }
+
   // ===== ORDER METHODS =====
 
   /**
@@ -178,6 +617,20 @@ class ShopifyService {
     return response.orders || [];
   }
 
+  /**
+   * Get every order, any status unless one is given (follows pagination)
+   */
+  async getAllOrders(params = {}) {
+    return this.getAll('orders', { status: 'any', ...params });
+  }
+
+  /**
+   * Iterate over every order, any status unless one is given
+   */
+  iterateOrders(params = {}) {
+    return this.iterate('orders', { status: 'any', ...params });
+  }
+
   /**
    * Get single order by ID
    */
@@ -194,34 +647,342 @@ class ShopifyService {
     return response.orders || [];
   }
 
-  // ===== COLLECTION (CATEGORY) METHODS =====
+  /**
+   * Create an order
+   * @param {Object} data - { customer: { id }, email, items: [{ variantId, quantity, price, title, sku }],
+   *   shippingAddress, billingAddress, note, tags, financialStatus, sendReceipt }
+   */
+  async createOrder(data) {
+    const response = await this.request('/orders.json', {
+      method: 'POST',
+      body: JSON.stringify({ order: this.toShopifyOrder(data) }),
+    });
+    return response.order;
+  }
 
   /**
-   * Get all collections (categories)
+   * Update an order (Shopify only allows a few fields to change after creation)
+   * @param {Object} data - { note, tags, email, shippingAddress }
    */
-  async getCollections(params = {}) {
-    const queryParams = new URLSearchParams({
-      limit: params.limit || 250,
-      ...params,
+  async updateOrder(orderId, data) {
+    const order = withoutUndefined({
+      id: orderId,
+      note: data.note,
+      tags: Array.isArray(data.tags) ? data.tags.join(', ') : data.tags,
+      email: data.email,
+      shipping_address: this.toShopifyAddress(data.shippingAddress),
+    });
+
+    const response = await this.request(`/orders/${orderId}.json`, {
+      method: 'PUT',
+      body: JSON.stringify({ order }),
+    });
+    return response.order;
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} reason - customer, inventory, fraud, declined or other
+   * @param {Object} options - { email: notify the customer, restock }
+   */
+  async cancelOrder(orderId, reason = 'other', options = {}) {
+    const body = withoutUndefined({
+      reason: CANCEL_REASONS.includes(reason) ? reason : 'other',
+      email: options.email,
+      restock: options.restock,
+    });
+
+    const response = await this.request(`/orders/${orderId}/cancel.json`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+    return response.order;
+  }
+
+  /**
+   * Map our camelCase order fields to Shopify's format
+   */
+  toShopifyOrder(data) {
+    return withoutUndefined({
+      customer: data.customer?.id ? { id: data.customer.id } : undefined,
+      email: data.email,
+      line_items: (data.items || []).map(item => withoutUndefined({
+        variant_id: item.variantId,
+        quantity: parseInt(item.quantity) || 1,
+        // Custom (non-catalog) items need a title and price
+        title: item.variantId ? undefined : (item.title || item.name),
+        price: item.price !== undefined ? String(item.price) : undefined,
+        sku: item.sku,
+      })),
+      shipping_address: this.toShopifyAddress(data.shippingAddress),
+      billing_address: this.toShopifyAddress(data.billingAddress),
+      note: data.note,
+      tags: Array.isArray(data.tags) ? data.tags.join(', ') : data.tags,
+      financial_status: data.financialStatus,
+      send_receipt: data.sendReceipt,
+      // Take stock like a storefront order would
+      inventory_behaviour: 'decrement_obeying_policy',
+    });
+  }
+
+  // ===== DRAFT ORDER METHODS =====
+
+  /**
+   * Create a draft order; Shopify works out taxes, discounts and totals
+   * @param {Object} data - { customer: { id }, email, items: [{ variantId, quantity, title, price, sku }],
+   *   shippingAddress, billingAddress, useCustomerDefaultAddress, note, tags,
+   *   discount: { value, valueType, title }, shippingLine: { title, price } }
+   */
+  async createDraftOrder(data) {
+    const response = await this.request('/draft_orders.json', {
+      method: 'POST',
+      body: JSON.stringify({ draft_order: this.toShopifyDraftOrder(data) }),
+    });
+    return response.draft_order;
+  }
+
+  /**
+   * Get single draft order by ID
+   */
+  async getDraftOrder(draftOrderId) {
+    const response = await this.request(`/draft_orders/${draftOrderId}.json`);
+    return response.draft_order;
+  }
+
+  /**
+   * Update a draft order; the totals are recalculated (same fields as createDraftOrder)
+   */
+  async updateDraftOrder(draftOrderId, data) {
+    const response = await this.request(`/draft_orders/${draftOrderId}.json`, {
+      method: 'PUT',
+      body: JSON.stringify({ draft_order: { id: draftOrderId, ...this.toShopifyDraftOrder(data) } }),
+    });
+    return response.draft_order;
+  }
+
+  /**
+   * Email the customer a link to pay for the draft order
+   * @param {Object} options - { to, subject, customMessage } (Shopify's defaults when left out)
+   */
+  async sendDraftOrderInvoice(draftOrderId, options = {}) {
+    const response = await this.request(`/draft_orders/${draftOrderId}/send_invoice.json`, {
+      method: 'POST',
+      body: JSON.stringify({
+        draft_order_invoice: withoutUndefined({
+          to: options.to,
+          subject: options.subject,
+          custom_message: options.customMessage,
+        }),
+      }),
+    });
+    return response.draft_order_invoice;
+  }
+
+  /**
+   * Turn a draft order into an order, marked paid unless paymentPending
+   * Resolves to the completed draft; its order_id is the new order.
+   */
+  async completeDraftOrder(draftOrderId, { paymentPending = false } = {}) {
+    const response = await this.request(
+      `/draft_orders/${draftOrderId}/complete.json?payment_pending=${paymentPending}`,
+      // A repeat after a timeout could place the order twice
+      { method: 'PUT', retry: false }
+    );
+    return response.draft_order;
+  }
+
+  /**
+   * Delete a draft order (completed ones can't be deleted)
+   */
+  async deleteDraftOrder(draftOrderId) {
+    await this.request(`/draft_orders/${draftOrderId}.json`, {
+      method: 'DELETE',
+    });
+    return true;
+  }
+
+  /**
+   * Map our camelCase draft order fields to Shopify's format
+   * Only fields that are given are sent, so updates leave the rest alone.
+   */
+  toShopifyDraftOrder(data) {
+    return withoutUndefined({
+      customer: data.customer?.id ? { id: data.customer.id } : undefined,
+      email: data.email,
+      line_items: data.items?.map(item => withoutUndefined({
+        variant_id: item.variantId,
+        quantity: parseInt(item.quantity) || 1,
+        // Catalog items are priced by Shopify; custom items need a title and price
+        title: item.variantId ? undefined : (item.title || item.name),
+        price: item.variantId || item.price === undefined ? undefined : String(item.price),
+        sku: item.sku,
+      })),
+      shipping_address: this.toShopifyAddress(data.shippingAddress),
+      billing_address: this.toShopifyAddress(data.billingAddress),
+      use_customer_default_address: data.useCustomerDefaultAddress,
+      note: data.note,
+      tags: Array.isArray(data.tags) ? data.tags.join(', ') : data.tags,
+      applied_discount: data.discount ? withoutUndefined({
+        value: String(data.discount.value),
+        value_type: data.discount.valueType === 'percentage' ? 'percentage' : 'fixed_amount',
+        title: data.discount.title,
+        description: data.discount.description,
+      }) : undefined,
+      shipping_line: data.shippingLine ? {
+        title: data.shippingLine.title || 'Shipping',
+        price: String(data.shippingLine.price),
+        custom: true,
+      } : undefined,
+    });
+  }
+
+  // ===== REFUND METHODS =====
+
+  /**
+   * Get every refund made on an order
+   */
+  async getOrderRefunds(orderId) {
+    return this.getAll(`orders/${orderId}/refunds`);
+  }
+
+  /**
+   * Ask Shopify what a refund would be worth, without making it
+   * Resolves to the refund with its priced line items, shipping and the
+   * suggested transactions (kind: 'suggested_refund') to pass to createRefund.
+   * @param {Object} data - { items: [{ lineItemId, quantity, restockType, locationId }],
+   *   shipping: { fullRefund } or { amount } }
+   */
+  async calculateRefund(orderId, data) {
+    const response = await this.request(`/orders/${orderId}/refunds/calculate.json`, {
+      method: 'POST',
+      body: JSON.stringify({ refund: this.toShopifyRefund(data) }),
+      retry: false,
+    });
+    return response.refund;
+  }
+
+  /**
+   * Refund an order: give money back (transactions) and/or restock items
+   * @param {Object} data - as calculateRefund, plus { transactions, currency, note, notify }
+   */
+  async createRefund(orderId, data) {
+    // Never repeated: a refund that went through before failing would be paid out twice
+    const response = await this.request(`/orders/${orderId}/refunds.json`, {
+      method: 'POST',
+      body: JSON.stringify({ refund: this.toShopifyRefund(data) }),
+      retry: false,
     });
+    return response.refund;
+  }
+
+  /**
+   * Map our camelCase refund fields to Shopify's format
+   */
+  toShopifyRefund(data) {
+    let shipping;
+    if (data.shipping?.fullRefund) {
+      shipping = { full_refund: true };
+    } else if (data.shipping?.amount !== undefined) {
+      shipping = { amount: String(data.shipping.amount) };
+    }
+
+    return withoutUndefined({
+      currency: data.currency,
+      notify: data.notify,
+      note: data.note,
+      shipping,
+      refund_line_items: (data.items || []).map(item => withoutUndefined({
+        line_item_id: item.lineItemId,
+        quantity: item.quantity,
+        restock_type: item.restockType || 'no_restock',
+        location_id: item.locationId,
+      })),
+      transactions: data.transactions?.map(transaction => withoutUndefined({
+        parent_id: transaction.parent_id,
+        amount: transaction.amount,
+        kind: 'refund',
+        gateway: transaction.gateway,
+      })),
+    });
+  }
+
+  // ===== FULFILLMENT METHODS =====
+
+  /**
+   * Get an order's fulfillment orders: what is left to ship, grouped by the location shipping it
+   */
+  async getFulfillmentOrders(orderId) {
+    return this.getAll(`orders/${orderId}/fulfillment_orders`);
+  }
+
+  /**
+   * Get every fulfillment (shipment) of an order
+   */
+  async getOrderFulfillments(orderId) {
+    return this.getAll(`orders/${orderId}/fulfillments`);
+  }
+
+  /**
+   * Mark items shipped. All fulfillment orders must be from the same location.
+   * @param {Object} data - { fulfillmentOrders: [{ id, items: [{ id, quantity }] }] (no items: all that's left),
+   *   tracking: { number, company, url }, notifyCustomer }
+   */
+  async createFulfillment(data) {
+    const fulfillment = withoutUndefined({
+      line_items_by_fulfillment_order: data.fulfillmentOrders.map(fulfillmentOrder => withoutUndefined({
+        fulfillment_order_id: fulfillmentOrder.id,
+        fulfillment_order_line_items: fulfillmentOrder.items?.map(item => ({ id: item.id, quantity: item.quantity })),
+      })),
+      tracking_info: data.tracking ? withoutUndefined({
+        number: data.tracking.number,
+        company: data.tracking.company,
+        url: data.tracking.url,
+      }) : undefined,
+      notify_customer: data.notifyCustomer,
+    });
+
+    // Never repeated: the customer could be told twice that the items shipped
+    const response = await this.request('/fulfillments.json', {
+      method: 'POST',
+      body: JSON.stringify({ fulfillment }),
+      retry: false,
+    });
+    return response.fulfillment;
+  }
 
-    // Get custom collections
-    const customResponse = await this.request(`/custom_collections.json?${queryParams}`);
-    const customCollections = customResponse.custom_collections || [];
+  // ===== COLLECTION (CATEGORY) METHODS =====
 
-    // Get smart collections
-    const smartResponse = await this.request(`/smart_collections.json?${queryParams}`);
-    const smartCollections = smartResponse.smart_collections || [];
+  /**
+   * Get all collections (categories), custom and smart
+   */
+  async getCollections(params = {}) {
+    const customCollections = await this.getAll('custom_collections', params);
+    const smartCollections = await this.getAll('smart_collections', params);
 
     return [...customCollections, ...smartCollections];
   }
 
   /**
-   * Get products in a collection
+   * Iterate over every collection, custom ones first
    */
-  async getCollectionProducts(collectionId) {
-    const response = await this.request(`/collections/${collectionId}/products.json`);
-    return response.products || [];
+  async *iterateCollections(params = {}) {
+    yield* this.iterate('custom_collections', params);
+    yield* this.iterate('smart_collections', params);
+  }
+
+  /**
+   * Get single collection by ID (custom or smart)
+   */
+  async getCollectionById(collectionId) {
+    const response = await this.request(`/collections/${collectionId}.json`);
+    return response.collection;
+  }
+
+  /**
+   * Get products in a collection, in the collection's sort order (follows pagination)
+   */
+  async getCollectionProducts(collectionId, params = {}) {
+    return this.getAll(`collections/${collectionId}/products`, params);
   }
 
   // ===== WEBHOOK METHODS =====
@@ -275,6 +1036,12 @@ class ShopifyService {
       'orders/create',
       'orders/updated',
       'orders/cancelled',
+      'refunds/create',
+      'fulfillments/create',
+      'fulfillments/update',
+      'collections/create',
+      'collections/update',
+      'collections/delete',
     ];
 
     const webhooks = [];
@@ -325,4 +1092,6 @@ class ShopifyService {
   }
 }
 
-module.exports = new ShopifyService();
\ No newline at end of file
+module.exports = new ShopifyService();
+module.exports.parseLinkHeader = parseLinkHeader;
+module.exports.errors = require('./shopifyErrors');
\ No newline at end of file
@@ -0,0 +1,398 @@
+// services/shopifyBulk.js - Bulk catalog export through the GraphQL Admin API
+//
+// A bulk operation runs a query server-side and leaves the result as a JSONL
+// file: one object per line, with nested connection nodes (variants, images,
+// metafields, line items) on their own lines pointing back via __parentId.
+// Records are rebuilt from those lines and reshaped to match the REST
+// payloads, so they can go straight into the existing convertShopify* mappers.
+
+const fetch = require('node-fetch');
+const readline = require('readline');
+const shopifyService = require('./shopify');
+const { ShopifyError, ShopifyNetworkError, errorFromResponse } = require('./shopifyErrors');
+
+const QUERIES = {
+  products: `{
+    products {
+      edges {
+        node {
+          id
+          title
+          vendor
+          productType
+          descriptionHtml
+          tags
+          createdAt
+          updatedAt
+          images {
+            edges { node { id url } }
+          }
+          metafields {
+            edges { node { id namespace key value type } }
+          }
+          variants {
+            edges {
+              node {
+                id title price compareAtPrice sku barcode inventoryQuantity
+                metafields {
+                  edges { node { id namespace key value type } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`,
+
+  customers: `{
+    customers {
+      edges {
+        node {
+          id
+          firstName
+          lastName
+          email
+          phone
+          numberOfOrders
+          amountSpent { amount }
+          defaultAddress { address1 address2 city province country zip }
+          tags
+          createdAt
+          updatedAt
+        }
+      }
+    }
+  }`,
+
+  orders: `{
+    orders {
+      edges {
+        node {
+          id
+          name
+          email
+          customer { id firstName lastName }
+          displayFinancialStatus
+          displayFulfillmentStatus
+          subtotalPriceSet { shopMoney { amount } }
+          totalTaxSet { shopMoney { amount } }
+          totalShippingPriceSet { shopMoney { amount } }
+          totalDiscountsSet { shopMoney { amount } }
+          totalPriceSet { shopMoney { amount } }
+          currencyCode
+          shippingAddress { firstName lastName address1 address2 city province country zip phone }
+          billingAddress { firstName lastName address1 address2 city province country zip phone }
+          createdAt
+          updatedAt
+          lineItems {
+            edges {
+              node {
+                id
+                name
+                quantity
+                sku
+                originalUnitPriceSet { shopMoney { amount } }
+                variant { id }
+                product { id }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`,
+};
+
+const RUN_QUERY = `mutation bulkOperationRunQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const OPERATION_QUERY = `query bulkOperation($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+  }
+}`;
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// gid://shopify/Product/123 -> 123 (REST ids are numbers)
+function legacyId(gid) {
+  if (!gid) return undefined;
+  return Number(String(gid).split('/').pop());
+}
+
+// gid://shopify/ProductVariant/123 -> 'ProductVariant'
+function gidType(gid) {
+  return String(gid).split('/').slice(-2, -1)[0];
+}
+
+const money = set => set?.shopMoney?.amount;
+
+// GraphQL address fields are camelCase; REST ones are snake_case
+function toRestAddress(address) {
+  if (!address) return null;
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    country: address.country,
+    zip: address.zip,
+    phone: address.phone,
+  };
+}
+
+const FULFILLMENT_STATUSES = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+};
+
+class ShopifyBulkService {
+  constructor() {
+    this.pollInterval = 2000;
+    this.timeout = 60 * 60 * 1000;
+  }
+
+  /**
+   * Start a bulk query. Shopify runs one bulk query per shop at a time,
+   * so this fails if another is still running.
+   */
+  async start(query) {
+    const data = await shopifyService.graphql(RUN_QUERY, { query });
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+    if (userErrors?.length) {
+      throw new ShopifyError(
+        `Bulk operation not started: ${userErrors.map(error => error.message).join('; ')}`,
+        { method: 'POST', endpoint: '/graphql.json', body: JSON.stringify(userErrors) }
+      );
+    }
+
+    console.log(`📦 Bulk operation started: ${bulkOperation.id}`);
+    return bulkOperation;
+  }
+
+  /**
+   * Get the current state of a bulk operation
+   */
+  async getOperation(id) {
+    const data = await shopifyService.graphql(OPERATION_QUERY, { id }, { cost: 1 });
+    return data.node;
+  }
+
+  /**
+   * Poll a bulk operation until it finishes; resolves to the finished operation
+   */
+  async waitForCompletion(id, { interval = this.pollInterval, timeout = this.timeout } = {}) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const operation = await this.getOperation(id);
+
+      if (operation.status === 'COMPLETED') {
+        console.log(`✅ Bulk operation ${id} completed: ${operation.objectCount} objects`);
+        return operation;
+      }
+
+      if (FINISHED_STATUSES.includes(operation.status)) {
+        throw new ShopifyError(
+          `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`,
+          { endpoint: '/graphql.json' }
+        );
+      }
+
+      if (Date.now() >= deadline) {
+        throw new ShopifyError(`Bulk operation ${id} still ${operation.status.toLowerCase()} after ${timeout}ms`, {
+          endpoint: '/graphql.json',
+        });
+      }
+
+      await sleep(interval);
+    }
+  }
+
+  /**
+   * Stream a bulk result file, yielding each top-level object with its
+   * nested nodes gathered into `children`. Shopify writes children straight
+   * after their parent, so only one record is held in memory at a time.
+   */
+  async *readResults(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new ShopifyNetworkError(`Bulk result download failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      throw errorFromResponse(response.status, await response.text(), { method: 'GET', endpoint: 'bulk result' });
+    }
+
+    const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+    let current = null;
+    let ids = new Set(); // the current record and its children, for grandchildren like variant metafields
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const object = JSON.parse(line);
+
+      if (object.__parentId) {
+        if (current && ids.has(object.__parentId)) {
+          current.children.push(object);
+          ids.add(object.id);
+        } else {
+          console.warn(`Skipping bulk line for unknown parent ${object.__parentId}`);
+        }
+        continue;
+      }
+
+      if (current) yield current;
+      current = { ...object, children: [] };
+      ids = new Set([object.id]);
+    }
+
+    if (current) yield current;
+  }
+
+  /**
+   * Export every record of a resource (products, customers or orders),
+   * yielding them in REST shape. A completed operation with no url simply
+   * had nothing to export.
+   * @param {Object} options
+   * @param {Date} options.updatedAtMin - Only records updated at or after this time
+   */
+  async *exportRecords(resource, { updatedAtMin } = {}) {
+    const toRest = this.converters[resource];
+    if (!toRest) {
+      throw new Error(`Unsupported bulk resource: ${resource}`);
+    }
+
+    let query = QUERIES[resource];
+    if (updatedAtMin) {
+      const filter = JSON.stringify(`updated_at:>='${new Date(updatedAtMin).toISOString()}'`);
+      query = query.replace(`${resource} {`, `${resource}(query: ${filter}) {`);
+    }
+
+    const started = await this.start(query);
+    const operation = await this.waitForCompletion(started.id);
+    if (!operation.url) return;
+
+    for await (const record of this.readResults(operation.url)) {
+      yield toRest(record);
+    }
+  }
+
+  exportProducts() {
+    return this.exportRecords('products');
+  }
+
+  exportCustomers() {
+    return this.exportRecords('customers');
+  }
+
+  exportOrders() {
+    return this.exportRecords('orders');
+  }
+
+  get converters() {
+    return {
+      products: record => this.toRestProduct(record),
+      customers: record => this.toRestCustomer(record),
+      orders: record => this.toRestOrder(record),
+    };
+  }
+
+  // ===== GRAPHQL -> REST SHAPES =====
+
+  toRestProduct(product) {
+    const variants = product.children.filter(child => gidType(child.id) === 'ProductVariant');
+    const images = product.children.filter(child => gidType(child.id) === 'ProductImage');
+    const metafieldsOf = owner => product.children
+      .filter(child => gidType(child.id) === 'Metafield' && child.__parentId === owner.id)
+      .map(({ namespace, key, value, type }) => ({ namespace, key, value, type }));
+
+    return {
+      id: legacyId(product.id),
+      title: product.title,
+      vendor: product.vendor,
+      product_type: product.productType,
+      body_html: product.descriptionHtml,
+      tags: product.tags.join(', '),
+      created_at: product.createdAt,
+      updated_at: product.updatedAt,
+      images: images.map(image => ({ id: legacyId(image.id), src: image.url })),
+      metafields: metafieldsOf(product),
+      variants: variants.map(variant => ({
+        id: legacyId(variant.id),
+        title: variant.title,
+        price: variant.price,
+        compare_at_price: variant.compareAtPrice,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        inventory_quantity: variant.inventoryQuantity,
+        metafields: metafieldsOf(variant),
+      })),
+    };
+  }
+
+  toRestCustomer(customer) {
+    return {
+      id: legacyId(customer.id),
+      first_name: customer.firstName,
+      last_name: customer.lastName,
+      email: customer.email,
+      phone: customer.phone,
+      orders_count: Number(customer.numberOfOrders || 0),
+      total_spent: customer.amountSpent?.amount,
+      default_address: toRestAddress(customer.defaultAddress) || undefined,
+      tags: customer.tags.join(', '),
+      created_at: customer.createdAt,
+      updated_at: customer.updatedAt,
+    };
+  }
+
+  toRestOrder(order) {
+    return {
+      id: legacyId(order.id),
+      order_number: parseInt(order.name.replace(/\D/g, '')) || undefined,
+      email: order.email,
+      customer: order.customer && {
+        id: legacyId(order.customer.id),
+        first_name: order.customer.firstName,
+        last_name: order.customer.lastName,
+      },
+      financial_status: order.displayFinancialStatus?.toLowerCase(),
+      fulfillment_status: FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+      subtotal_price: money(order.subtotalPriceSet),
+      total_tax: money(order.totalTaxSet),
+      total_shipping_price_set: { shop_money: { amount: money(order.totalShippingPriceSet) } },
+      total_discounts: money(order.totalDiscountsSet),
+      total_price: money(order.totalPriceSet),
+      currency: order.currencyCode,
+      shipping_address: toRestAddress(order.shippingAddress),
+      billing_address: toRestAddress(order.billingAddress),
+      created_at: order.createdAt,
+      updated_at: order.updatedAt,
+      line_items: order.children.map(item => ({
+        id: legacyId(item.id),
+        product_id: legacyId(item.product?.id),
+        variant_id: legacyId(item.variant?.id),
+        name: item.name,
+        quantity: item.quantity,
+        price: money(item.originalUnitPriceSet),
+        sku: item.sku,
+      })),
+    };
+  }
+}
+
+module.exports = new ShopifyBulkService();
+module.exports.QUERIES = QUERIES;
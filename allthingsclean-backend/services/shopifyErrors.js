@@ -0,0 +1,110 @@
+// services/shopifyErrors.js - Typed errors for Shopify Admin API failures
+
+/**
+ * Base class for every error raised by ShopifyService
+ * status is the HTTP status (undefined for network errors), body the raw response text
+ */
+class ShopifyError extends Error {
+  constructor(message, { status, body, method, endpoint } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+  }
+
+  // Whether trying the same request again later could succeed
+  get retryable() {
+    return false;
+  }
+}
+
+// 401/403: bad access token or missing API scope
+class ShopifyAuthError extends ShopifyError {}
+
+// 404: the record (or endpoint) doesn't exist
+class ShopifyNotFoundError extends ShopifyError {}
+
+// 422: Shopify rejected the data; `errors` holds its field messages
+class ShopifyValidationError extends ShopifyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = parseErrors(details.body);
+  }
+}
+
+// 429: over the API call limit; retryAfter is in seconds
+class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// 5xx: something went wrong on Shopify's side
+class ShopifyServerError extends ShopifyError {
+  get retryable() {
+    return true;
+  }
+}
+
+// The request never got a response (DNS, connection reset, timeout)
+class ShopifyNetworkError extends ShopifyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.cause = details.cause;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// GraphQL request came back with `errors` (HTTP status is 200 for these)
+class ShopifyGraphQLError extends ShopifyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors;
+    this.data = details.data;
+  }
+}
+
+function parseErrors(body) {
+  try {
+    return JSON.parse(body).errors;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Build the right error class for a failed response
+ */
+function errorFromResponse(status, body, details = {}) {
+  const message = `Shopify API Error: ${status} - ${body}`;
+  const info = { ...details, status, body };
+
+  if (status === 401 || status === 403) return new ShopifyAuthError(message, info);
+  if (status === 404) return new ShopifyNotFoundError(message, info);
+  if (status === 422) return new ShopifyValidationError(message, info);
+  if (status === 429) return new ShopifyRateLimitError(message, info);
+  if (status >= 500) return new ShopifyServerError(message, info);
+  return new ShopifyError(message, info);
+}
+
+module.exports = {
+  ShopifyError,
+  ShopifyAuthError,
+  ShopifyNotFoundError,
+  ShopifyValidationError,
+  ShopifyRateLimitError,
+  ShopifyServerError,
+  ShopifyNetworkError,
+  ShopifyGraphQLError,
+  errorFromResponse,
+};
@@ -0,0 +1,123 @@
+// services/shopifyScheduler.js - Leaky-bucket request scheduler for the Shopify Admin API
+//
+// Shopify's REST limit is a leaky bucket: each request adds one to the bucket,
+// which drains at a fixed rate (2/s on standard plans, bucket of 40). Every
+// response reports the current level in X-Shopify-Shop-Api-Call-Limit, e.g. "32/40".
+// The scheduler keeps its own estimate of the level, corrects it from that
+// header, and holds requests back before the bucket overflows.
+//
+// GraphQL works the same way with query cost points instead of requests
+// (1000-point bucket restoring 50/s), so tasks can be given a cost.
+
+class LeakyBucketScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.bucketSize - Requests the bucket holds (updated from responses)
+   * @param {number} options.leakRate - Requests drained per second
+   * @param {number} options.maxConcurrent - Requests allowed in flight at once
+   * @param {number} options.reserve - Slots left free for other clients of the same shop
+   */
+  constructor({ bucketSize = 40, leakRate = 2, maxConcurrent = 4, reserve = 2 } = {}) {
+    this.bucketSize = bucketSize;
+    this.leakRate = leakRate;
+    this.maxConcurrent = maxConcurrent;
+    this.reserve = reserve;
+
+    this.level = 0;
+    this.lastLeak = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Run a task (a function returning a promise) when the bucket has room
+   * for its cost
+   */
+  schedule(task, cost = 1) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, cost, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Correct the estimated level from what Shopify reported
+   */
+  update(level, bucketSize = this.bucketSize, leakRate = this.leakRate) {
+    this.leak();
+    this.level = level;
+    this.bucketSize = bucketSize;
+    this.leakRate = leakRate;
+  }
+
+  /**
+   * Correct the estimated level from an X-Shopify-Shop-Api-Call-Limit header
+   */
+  updateFromHeader(header) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(header || '').trim());
+    if (!match) return;
+
+    this.update(parseInt(match[1]), parseInt(match[2]));
+  }
+
+  /**
+   * Hold every request for a while (after a 429 with Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    // The bucket is full as far as Shopify is concerned
+    this.level = Math.max(this.level, this.bucketSize);
+    this.lastLeak = this.pausedUntil;
+  }
+
+  // Drain the bucket for the time passed since the last check
+  leak() {
+    const now = Date.now();
+    if (now > this.lastLeak) {
+      this.level = Math.max(0, this.level - ((now - this.lastLeak) / 1000) * this.leakRate);
+      this.lastLeak = now;
+    }
+  }
+
+  // Milliseconds until a request of the given cost may start
+  waitTime(cost = 1) {
+    const paused = this.pausedUntil - Date.now();
+    if (paused > 0) return paused;
+
+    this.leak();
+    const overflow = this.level + cost - Math.max(cost, this.bucketSize - this.reserve);
+    return overflow > 0 ? Math.ceil((overflow / this.leakRate) * 1000) : 0;
+  }
+
+  // Start queued tasks while there is room, otherwise wake up when there will be
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const wait = this.waitTime(this.queue[0].cost);
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+
+      const { task, cost, resolve, reject } = this.queue.shift();
+      this.level += cost;
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
+
+module.exports = LeakyBucketScheduler;
@@ -0,0 +1,173 @@
+// services/shopifySync.js - Pull products, customers, orders and collections from Shopify into MongoDB
+//
+// Incremental by default: each entity has a SyncState checkpoint holding the
+// highest Shopify updated_at already synced, and only records updated since
+// then are requested (updated_at_min). A full run re-pulls everything and
+// compares timestamps so untouched records are left alone.
+
+const shopifyService = require('./shopify');
+const shopifyBulk = require('./shopifyBulk');
+const shopifyWebhookHandler = require('./shopifyWebhookHandler');
+const SyncState = require('../models/SyncState');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const Collection = require('../models/Collection');
+
+// How each entity is read from Shopify and stored locally. updatedField is the
+// local field holding Shopify's updated_at, used to spot unchanged records.
+// fetch and remove are used by reconciliation to repair single records.
+const ENTITIES = {
+  products: {
+    model: Product,
+    updatedField: 'lastUpdated',
+    iterate: params => shopifyService.iterateProducts(params),
+    fetch: id => shopifyService.getProductById(id),
+    save: record => shopifyWebhookHandler.handleProductUpdate(record),
+    remove: id => shopifyWebhookHandler.handleProductDelete({ id }),
+  },
+  customers: {
+    model: Customer,
+    updatedField: 'lastUpdated',
+    iterate: params => shopifyService.iterateCustomers(params),
+    fetch: id => shopifyService.getCustomerById(id),
+    save: record => shopifyWebhookHandler.handleCustomerUpdate(record),
+    remove: id => shopifyWebhookHandler.handleCustomerDelete({ id }),
+  },
+  orders: {
+    model: Order,
+    updatedField: 'dateUpdated',
+    iterate: params => shopifyService.iterateOrders(params),
+    fetch: id => shopifyService.getOrderById(id),
+    save: record => shopifyWebhookHandler.handleOrderUpdate(record),
+    // Shopify only deletes orders on request, so there is no webhook handler for it
+    remove: id => Order.findOneAndDelete({ shopifyId: id.toString() }),
+  },
+  collections: {
+    model: Collection,
+    updatedField: 'lastUpdated',
+    // Adding or removing products doesn't change a collection's updated_at, so
+    // every run re-pulls and saves them all to refresh membership. There is no
+    // bulk export for them either.
+    incremental: false,
+    bulk: false,
+    iterate: params => shopifyService.iterateCollections(params),
+    fetch: id => shopifyService.getCollectionById(id),
+    save: record => shopifyWebhookHandler.handleCollectionUpdate(record),
+    remove: id => shopifyWebhookHandler.handleCollectionDelete({ id }),
+  },
+};
+
+class ShopifySyncService {
+  get entities() {
+    return Object.keys(ENTITIES);
+  }
+
+  /**
+   * Sync one entity
+   * @param {string} entity - 'products', 'customers', 'orders' or 'collections'
+   * @param {Object} options
+   * @param {boolean} options.full - Ignore the checkpoint and re-pull everything
+   * @param {boolean} options.bulk - Read a GraphQL bulk export instead of paging through REST
+   * @param {Function} options.onProgress - Called with the running counts after each record
+   * @param {Function} options.onError - Called with (record, error) when a record fails
+   * @returns {Promise<Object>} counts ({ created, updated, unchanged, failed, total }) plus mode and since
+   */
+  async syncEntity(entity, { full = false, bulk = false, onProgress, onError } = {}) {
+    const config = ENTITIES[entity];
+    if (!config) {
+      throw new Error(`Unknown sync entity: ${entity}`);
+    }
+
+    const state = await this.loadState(entity);
+    const since = !full && config.incremental !== false && state.lastUpdatedAt ? state.lastUpdatedAt : null;
+    const mode = since ? 'incremental' : 'full';
+
+    console.log(`🔄 ${mode === 'full' ? 'Full' : 'Incremental'} ${entity} sync${since ? ` since ${since.toISOString()}` : ''}`);
+
+    const counts = { created: 0, updated: 0, unchanged: 0, failed: 0, total: 0 };
+    let newest = null;
+    let oldestFailure = null;
+
+    state.lastRunAt = new Date();
+    state.lastMode = mode;
+
+    try {
+      const records = bulk && config.bulk !== false
+        ? shopifyBulk.exportRecords(entity, { updatedAtMin: since })
+        : config.iterate(since ? { updated_at_min: since.toISOString() } : {});
+
+      for await (const record of records) {
+        counts.total++;
+        const updatedAt = record.updated_at ? new Date(record.updated_at) : null;
+
+        try {
+          counts[await this.upsert(config, record)]++;
+          if (updatedAt && (!newest || updatedAt > newest)) newest = updatedAt;
+        } catch (error) {
+          console.error(`Error syncing ${entity} ${record.id}:`, error);
+          counts.failed++;
+          if (updatedAt && (!oldestFailure || updatedAt < oldestFailure)) oldestFailure = updatedAt;
+          await onError?.(record, error);
+        }
+
+        await onProgress?.(counts);
+      }
+    } catch (error) {
+      // The pull itself broke off (or the job was cancelled): keep the old
+      // checkpoint so nothing is skipped
+      state.lastCounts = counts;
+      state.lastError = error.message;
+      await state.save();
+      throw error;
+    }
+
+    // updated_at_min is inclusive, so stopping at the oldest failure retries it next time
+    const checkpoint = oldestFailure && (!newest || oldestFailure < newest) ? oldestFailure : newest;
+    if (checkpoint && (!state.lastUpdatedAt || checkpoint > state.lastUpdatedAt || full)) {
+      state.lastUpdatedAt = checkpoint;
+    }
+
+    state.lastCounts = counts;
+    state.lastError = counts.failed > 0 ? `${counts.failed} record(s) failed` : undefined;
+    if (counts.failed === 0) state.lastSuccessAt = state.lastRunAt;
+    await state.save();
+
+    console.log(`✅ ${entity} sync complete: ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+
+    return { ...counts, mode, since };
+  }
+
+  /**
+   * Get the checkpoints for this store
+   */
+  async getStates() {
+    const states = await SyncState.find({ store: shopifyService.store }).sort({ entity: 1 });
+    return states.map(state => state.toPublicJSON());
+  }
+
+  // Store one record; resolves to which counter it belongs in
+  async upsert(config, record) {
+    const existing = await this.findExisting(config, record.id.toString());
+    const updatedAt = record.updated_at ? new Date(record.updated_at).getTime() : null;
+
+    if (config.incremental !== false && existing && updatedAt
+      && existing[config.updatedField]?.getTime() === updatedAt) {
+      return 'unchanged';
+    }
+
+    await config.save(record);
+    return existing ? 'updated' : 'created';
+  }
+
+  findExisting(config, shopifyId) {
+    return config.model.findOne({ shopifyId }).select(config.updatedField).lean();
+  }
+
+  loadState(entity) {
+    return SyncState.forEntity(entity, shopifyService.store);
+  }
+}
+
+module.exports = new ShopifySyncService();
+module.exports.ENTITIES = ENTITIES;
@@ -5,6 +5,21 @@ const shopifyService = require('./shopify');
 const Product = require('../models/Product');
 const Customer = require('../models/Customer');
 const Order = require('../models/Order');
+const Collection = require('../models/Collection');
+const { PRODUCT_SPECS, findProductSpec } = require('../config/productSpecs');
+
+// Measurement metafield units that read differently in the app (ml, cm, kg... stay as they are)
+const METAFIELD_UNITS = {
+  l: 'L',
+  m3: 'm³',
+  us_fl_oz: 'fl oz',
+  us_gal: 'gal',
+  imp_fl_oz: 'fl oz',
+  imp_gal: 'gal',
+};
+
+// Add up Shopify money strings without float drift
+const sumMoney = amounts => Math.round(amounts.reduce((sum, amount) => sum + parseFloat(amount || 0), 0) * 100) / 100;
 
 class ShopifyWebhookHandler {
   /**
@@ -55,6 +70,24 @@ class ShopifyWebhookHandler {
           await this.handleOrderCancelled(data);
           break;
 
+        case 'refunds/create':
+          await this.handleRefundCreate(data);
+          break;
+
+        case 'fulfillments/create':
+        case 'fulfillments/update':
+          await this.handleFulfillmentUpdate(data);
+          break;
+
+        case 'collections/create':
+        case 'collections/update':
+          await this.handleCollectionUpdate(data);
+          break;
+
+        case 'collections/delete':
+          await this.handleCollectionDelete(data);
+          break;
+
         default:
           console.log(`Unhandled webhook topic: ${topic}`);
       }
@@ -72,7 +105,15 @@ class ShopifyWebhookHandler {
     console.log(`Syncing product: ${shopifyProduct.id}`);
 
     try {
-      const productData = this.convertShopifyProduct(shopifyProduct);
+      let productData;
+      try {
+        productData = this.convertShopifyProduct(await this.withMetafields(shopifyProduct));
+      } catch (error) {
+        // A GraphQL outage or throttle mustn't stop the catalog syncing; the
+        // stored specs stay until a later sync fetches them
+        console.error(`Error fetching metafields of product ${shopifyProduct.id}, keeping its specs:`, error.message);
+        productData = await this.keepStoredSpecs(this.convertShopifyProduct(shopifyProduct));
+      }
 
       await Product.findOneAndUpdate(
         { shopifyId: shopifyProduct.id.toString() },
@@ -92,6 +133,10 @@ class ShopifyWebhookHandler {
     console.log(`Deleting product: ${productId}`);
 
     await Product.findOneAndDelete({ shopifyId: productId.toString() });
+    await Collection.updateMany(
+      { productIds: productId.toString() },
+      { $pull: { productIds: productId.toString() } }
+    );
 
     console.log(`✅ Product ${productId} deleted`);
   }
@@ -127,7 +172,9 @@ class ShopifyWebhookHandler {
         price: parseFloat(v.price),
         sku: v.sku,
         inventoryQuantity: v.inventory_quantity,
+        specs: this.convertMetafields(v.metafields),
       })) || [],
+      specs: this.convertMetafields(product.metafields),
       isNew: product.tags?.includes('new') || false,
       isFeatured: product.tags?.includes('featured') || false,
       dateAdded: product.created_at,
@@ -135,6 +182,168 @@ class ShopifyWebhookHandler {
     };
   }
 
+  // Webhook and REST payloads leave metafields out (bulk exports include them),
+  // so fetch the spec metafields of the product and its variants together
+  async withMetafields(product) {
+    if (product.metafields || PRODUCT_SPECS.length === 0) return product;
+
+    const keys = PRODUCT_SPECS.map(spec => `${spec.namespace}.${spec.key}`);
+    const found = await shopifyService.getProductMetafields(product.id, keys);
+
+    return {
+      ...product,
+      metafields: found?.metafields || [],
+      variants: (product.variants || []).map(variant => ({
+        ...variant,
+        metafields: found?.variants.get(String(variant.id)) || [],
+      })),
+    };
+  }
+
+  // Product data with the specs already stored for it (and its variants),
+  // for when their metafields couldn't be fetched
+  async keepStoredSpecs(productData) {
+    const stored = await Product.findOne({ shopifyId: productData.shopifyId }).lean();
+    const storedVariants = new Map((stored?.variants || []).map(variant => [String(variant.id), variant]));
+
+    return {
+      ...productData,
+      specs: stored?.specs || {},
+      variants: productData.variants.map(variant => ({
+        ...variant,
+        specs: storedVariants.get(String(variant.id))?.specs || {},
+      })),
+    };
+  }
+
+  /**
+   * Turn the metafields listed in config/productSpecs.js into specs
+   * ({ name: { label, value, unit, position } }); others are ignored
+   */
+  convertMetafields(metafields = []) {
+    const specs = {};
+
+    for (const metafield of metafields) {
+      const spec = findProductSpec(metafield.namespace, metafield.key);
+      if (!spec) continue;
+
+      const { value, unit } = this.parseMetafieldValue(metafield);
+      specs[spec.name] = {
+        label: spec.label,
+        value,
+        unit: unit || spec.unit,
+        position: spec.position,
+      };
+    }
+
+    return specs;
+  }
+
+  // Metafield values are strings; typed ones hold numbers, booleans or JSON
+  parseMetafieldValue({ type = '', value }) {
+    const parseJSON = () => {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    };
+    // '{"value":1.2,"unit":"l"}' -> 1.2 and 'L'
+    const measurement = parsed => ({ value: Number(parsed.value), unit: METAFIELD_UNITS[parsed.unit] || parsed.unit });
+
+    switch (type) {
+      case 'number_integer':
+      case 'number_decimal':
+        return { value: Number(value) };
+      case 'boolean':
+        return { value: value === true || value === 'true' };
+      case 'dimension':
+      case 'volume':
+      case 'weight': {
+        const parsed = parseJSON();
+        return parsed && typeof parsed === 'object' ? measurement(parsed) : { value: parsed };
+      }
+      case 'rating':
+        return { value: Number(parseJSON()?.value ?? value) };
+      case 'json':
+        return { value: parseJSON() };
+      default:
+        if (type.startsWith('list.')) {
+          const items = parseJSON();
+          if (!Array.isArray(items)) return { value: items };
+
+          // Lists of measurements become '1.2 L' style strings
+          return {
+            value: items.map(item => {
+              if (!item || typeof item !== 'object') return item;
+              const { value: amount, unit } = measurement(item);
+              return `${amount} ${unit}`;
+            }),
+          };
+        }
+        return { value };
+    }
+  }
+
+  // ===== COLLECTION HANDLERS =====
+
+  // Collection webhooks carry no products, so membership is fetched each time
+  async handleCollectionUpdate(shopifyCollection) {
+    console.log(`Syncing collection: ${shopifyCollection.id}`);
+
+    try {
+      const products = await shopifyService.getCollectionProducts(shopifyCollection.id, { fields: 'id' });
+      const collectionData = {
+        ...this.convertShopifyCollection(shopifyCollection),
+        productIds: products.map(product => product.id.toString()),
+      };
+
+      await Collection.findOneAndUpdate(
+        { shopifyId: shopifyCollection.id.toString() },
+        collectionData,
+        { upsert: true, new: true }
+      );
+
+      console.log(`✅ Collection ${shopifyCollection.id} synced (${products.length} products)`);
+    } catch (error) {
+      console.error(`Error syncing collection ${shopifyCollection.id}:`, error);
+      throw error;
+    }
+  }
+
+  async handleCollectionDelete(data) {
+    const collectionId = data.id;
+    console.log(`Deleting collection: ${collectionId}`);
+
+    await Collection.findOneAndDelete({ shopifyId: collectionId.toString() });
+
+    console.log(`✅ Collection ${collectionId} deleted`);
+  }
+
+  convertShopifyCollection(collection) {
+    // Only smart collections have rules; /collections/:id.json also says which it is
+    const type = collection.collection_type || (collection.rules ? 'smart' : 'custom');
+
+    return {
+      shopifyId: collection.id.toString(),
+      type,
+      title: collection.title,
+      handle: collection.handle,
+      description: collection.body_html || '',
+      imageUrl: collection.image?.src,
+      sortOrder: collection.sort_order || 'manual',
+      rules: (collection.rules || []).map(rule => ({
+        column: rule.column,
+        relation: rule.relation,
+        condition: rule.condition,
+      })),
+      disjunctive: Boolean(collection.disjunctive),
+      published: Boolean(collection.published_at),
+      publishedAt: collection.published_at,
+      lastUpdated: collection.updated_at,
+    };
+  }
+
   // ===== CUSTOMER HANDLERS =====
 
   async handleCustomerUpdate(shopifyCustomer) {
@@ -196,7 +405,7 @@ class ShopifyWebhookHandler {
     console.log(`Syncing order: ${shopifyOrder.id}`);
 
     try {
-      const orderData = this.convertShopifyOrder(shopifyOrder);
+      const orderData = this.convertShopifyOrder(await this.withFulfillments(await this.withRefunds(shopifyOrder)));
 
       await Order.findOneAndUpdate(
         { shopifyId: shopifyOrder.id.toString() },
@@ -226,7 +435,106 @@ class ShopifyWebhookHandler {
     console.log(`✅ Order ${shopifyOrder.id} marked as cancelled`);
   }
 
+  // Refund payloads don't carry the order's new financial status, so the
+  // whole order is fetched and synced again
+  async handleRefundCreate(refund) {
+    console.log(`Refund created: ${refund.id} on order ${refund.order_id}`);
+
+    const shopifyOrder = await shopifyService.getOrderById(refund.order_id);
+    await this.handleOrderUpdate(shopifyOrder);
+  }
+
+  // REST and webhook orders include their refunds; bulk exports leave them
+  // out, so fetch them for orders that have had money refunded. Other orders
+  // without refunds in the payload keep the ones already stored.
+  async withRefunds(order) {
+    if (order.refunds || !['refunded', 'partially_refunded'].includes(order.financial_status)) return order;
+
+    return { ...order, refunds: await shopifyService.getOrderRefunds(order.id) };
+  }
+
+  // Shipping items changes the order's fulfillment status, which fulfillment
+  // payloads don't carry either
+  async handleFulfillmentUpdate(fulfillment) {
+    console.log(`Fulfillment ${fulfillment.status}: ${fulfillment.id} on order ${fulfillment.order_id}`);
+
+    const shopifyOrder = await shopifyService.getOrderById(fulfillment.order_id);
+    await this.handleOrderUpdate(shopifyOrder);
+  }
+
+  // As withRefunds, for orders that have shipped
+  async withFulfillments(order) {
+    if (order.fulfillments || !['fulfilled', 'partial'].includes(order.fulfillment_status)) return order;
+
+    return { ...order, fulfillments: await shopifyService.getOrderFulfillments(order.id) };
+  }
+
+  convertShopifyFulfillment(fulfillment) {
+    return {
+      shopifyId: fulfillment.id.toString(),
+      name: fulfillment.name,
+      status: fulfillment.status,
+      shipmentStatus: fulfillment.shipment_status,
+      trackingCompany: fulfillment.tracking_company,
+      trackingNumber: fulfillment.tracking_number,
+      trackingUrl: fulfillment.tracking_url,
+      items: (fulfillment.line_items || []).map(item => ({
+        lineItemId: item.id?.toString(),
+        productId: item.product_id?.toString(),
+        variantId: item.variant_id?.toString(),
+        name: item.name,
+        quantity: item.quantity,
+      })),
+      locationId: fulfillment.location_id?.toString(),
+      dateCreated: fulfillment.created_at,
+      dateUpdated: fulfillment.updated_at,
+    };
+  }
+
+  // The order's tracking fields follow its latest successful shipment
+  convertTracking(fulfillments, fulfillmentStatus) {
+    const shipped = fulfillments.filter(fulfillment => fulfillment.status === 'success');
+    const latest = shipped[shipped.length - 1];
+
+    return {
+      trackingNumber: latest?.trackingNumber || null,
+      trackingCompany: latest?.trackingCompany || null,
+      trackingUrl: latest?.trackingUrl || null,
+      dateFulfilled: fulfillmentStatus === 'fulfilled' ? latest?.dateCreated || null : null,
+    };
+  }
+
+  convertShopifyRefund(refund) {
+    const items = (refund.refund_line_items || []).map(item => ({
+      lineItemId: item.line_item_id?.toString(),
+      productId: item.line_item?.product_id?.toString(),
+      variantId: item.line_item?.variant_id?.toString(),
+      name: item.line_item?.name,
+      quantity: item.quantity,
+      subtotal: parseFloat(item.subtotal || 0),
+      tax: parseFloat(item.total_tax || 0),
+      restockType: item.restock_type,
+    }));
+
+    return {
+      shopifyId: refund.id.toString(),
+      items,
+      amount: sumMoney((refund.transactions || [])
+        .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+        .map(transaction => transaction.amount)),
+      // Shipping refunds are negative order adjustments
+      shipping: sumMoney((refund.order_adjustments || [])
+        .filter(adjustment => adjustment.kind === 'shipping_refund')
+        .map(adjustment => -parseFloat(adjustment.amount))),
+      restock: Boolean(refund.restock) || items.some(item => item.restockType && item.restockType !== 'no_restock'),
+      note: refund.note,
+      dateCreated: refund.created_at,
+    };
+  }
+
   convertShopifyOrder(order) {
+    const fulfillments = order.fulfillments?.map(fulfillment => this.convertShopifyFulfillment(fulfillment));
+
     return {
       shopifyId: order.id.toString(),
       orderNumber: order.order_number,
@@ -234,6 +542,7 @@ class ShopifyWebhookHandler {
       customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
       customerEmail: order.email,
       items: order.line_items?.map(item => ({
+        lineItemId: item.id?.toString(),
         productId: item.product_id?.toString(),
         variantId: item.variant_id?.toString(),
         name: item.name,
@@ -245,12 +554,17 @@ class ShopifyWebhookHandler {
       subtotal: parseFloat(order.subtotal_price || 0),
       tax: parseFloat(order.total_tax || 0),
       shipping: parseFloat(order.total_shipping_price_set?.shop_money?.amount || 0),
+      discount: parseFloat(order.total_discounts || 0),
       total: parseFloat(order.total_price || 0),
       currency: order.currency,
       status: order.financial_status, // pending, paid, refunded, etc.
       fulfillmentStatus: order.fulfillment_status, // fulfilled, partial, unfulfilled
       shippingAddress: order.shipping_address,
       billingAddress: order.billing_address,
+      refunds: order.refunds?.map(refund => this.convertShopifyRefund(refund)),
+      // Without fulfillments in the payload, the stored shipments are kept
+      fulfillments,
+      ...(fulfillments ? this.convertTracking(fulfillments, order.fulfillment_status) : {}),
       dateCreated: order.created_at,
       dateUpdated: order.updated_at,
       lastUpdated: new Date(),
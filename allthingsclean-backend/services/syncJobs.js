@@ -0,0 +1,107 @@
+// services/syncJobs.js - Shopify sync and reconciliation as background jobs, plus the nightly schedule
+
+const jobQueue = require('./jobQueue');
+const cron = require('./cron');
+const shopifySync = require('./shopifySync');
+const reconciliation = require('./reconciliation');
+
+const SYNC_JOB = 'shopify.sync';
+const RECONCILE_JOB = 'shopify.reconcile';
+
+const SYNC_SCHEDULE = {
+  // Nightly at 03:00 server time; set SYNC_CRON=off to disable
+  cron: process.env.SYNC_CRON || '0 3 * * *',
+  full: process.env.SYNC_CRON_FULL === 'true',
+};
+
+/**
+ * Sync each requested entity in turn, reporting progress as it goes
+ * params: { entities, full, bulk }. One entity failing doesn't stop the
+ * others; cancelling the job (or losing it to another worker) does.
+ */
+async function runSync(params, job) {
+  const entities = params.entities?.length ? params.entities : shopifySync.entities;
+  const results = {};
+
+  for (const [index, entity] of entities.entries()) {
+    const started = Date.now();
+    const stage = { stage: entity, current: index, total: entities.length };
+    await job.progress({ ...stage, detail: { entity, counts: null } }, { force: true });
+
+    try {
+      const result = await shopifySync.syncEntity(entity, {
+        full: params.full,
+        bulk: params.bulk,
+        onProgress: counts => job.progress({ ...stage, detail: { entity, counts } }),
+        onError: (record, error) => job.itemError(`${entity}:${record.id}`, error),
+      });
+      results[entity] = { ...result, durationMs: Date.now() - started };
+    } catch (error) {
+      if (error instanceof jobQueue.JobCancelledError || error instanceof jobQueue.JobLockLostError) throw error;
+
+      console.error(`Error syncing ${entity}:`, error);
+      results[entity] = { error: error.message, durationMs: Date.now() - started };
+    }
+  }
+
+  await job.progress({ stage: 'done', current: entities.length, total: entities.length }, { force: true });
+  return results;
+}
+
+jobQueue.register(SYNC_JOB, runSync);
+
+/**
+ * Compare Shopify with MongoDB and store a report
+ * params: { entities, repair }
+ */
+async function runReconcile(params, job) {
+  const report = await reconciliation.run({
+    entities: params.entities,
+    repair: params.repair,
+    createdBy: job.job.createdBy,
+    jobId: job.job._id,
+    onProgress: update => job.progress(update),
+    onError: (item, error) => job.itemError(item, error),
+  });
+
+  return { reportId: report._id, driftCount: report.driftCount };
+}
+
+jobQueue.register(RECONCILE_JOB, runReconcile);
+
+/**
+ * Queue a sync
+ */
+function enqueueSync({ entities, full = false, bulk = false } = {}, options = {}) {
+  return jobQueue.enqueue(SYNC_JOB, { entities, full, bulk }, options);
+}
+
+/**
+ * Queue a reconciliation
+ */
+function enqueueReconcile({ entities, repair = false } = {}, options = {}) {
+  return jobQueue.enqueue(RECONCILE_JOB, { entities, repair }, options);
+}
+
+/**
+ * Put the nightly sync on the cron schedule
+ */
+function start() {
+  if (SYNC_SCHEDULE.cron === 'off') return;
+
+  cron.schedule('nightly-sync', SYNC_SCHEDULE.cron, minute => enqueueSync(
+    { full: SYNC_SCHEDULE.full },
+    { schedule: 'nightly-sync', dedupeKey: `nightly-sync:${minute.toISOString()}` }
+  ));
+  cron.start();
+}
+
+module.exports = {
+  SYNC_JOB,
+  RECONCILE_JOB,
+  runSync,
+  runReconcile,
+  enqueueSync,
+  enqueueReconcile,
+  start,
+};
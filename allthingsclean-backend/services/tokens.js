@@ -0,0 +1,119 @@
+// services/tokens.js - Signed access tokens (JWT) and opaque refresh tokens
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_CONFIG = {
+  secret: process.env.JWT_SECRET,
+  accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  challengeExpiresIn: '5m',
+  challengeAudience: 'two-factor-challenge',
+  issuer: 'allthingsclean-api',
+};
+
+class TokenService {
+  /**
+   * Get the signing secret, failing loudly if it was never configured
+   */
+  getSecret() {
+    if (!TOKEN_CONFIG.secret) {
+      throw new Error('JWT_SECRET is not configured (check .env)');
+    }
+    return TOKEN_CONFIG.secret;
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @param {string} tokenId - Unique id (jti) recorded on the session
+   */
+  signAccessToken(user, session, tokenId) {
+    const token = jwt.sign(
+      { sub: user._id.toString(), sid: session._id.toString(), guest: !!user.isGuest },
+      this.getSecret(),
+      {
+        expiresIn: TOKEN_CONFIG.accessExpiresIn,
+        issuer: TOKEN_CONFIG.issuer,
+        jwtid: tokenId,
+      }
+    );
+
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verify an access token and return its payload
+   * Throws if the token is malformed, tampered with or expired
+   */
+  verify(token) {
+    return jwt.verify(token, this.getSecret(), {
+      issuer: TOKEN_CONFIG.issuer,
+    });
+  }
+
+  /**
+   * Sign a short-lived token proving the password step of sign-in passed
+   * It carries its own audience, so it can't be used as an access token or vice versa
+   */
+  signTwoFactorChallenge(user) {
+    const token = jwt.sign({ sub: user._id.toString() }, this.getSecret(), {
+      expiresIn: TOKEN_CONFIG.challengeExpiresIn,
+      issuer: TOKEN_CONFIG.issuer,
+      audience: TOKEN_CONFIG.challengeAudience,
+    });
+
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verify a two-factor challenge token and return its payload
+   */
+  verifyTwoFactorChallenge(token) {
+    return jwt.verify(token, this.getSecret(), {
+      issuer: TOKEN_CONFIG.issuer,
+      audience: TOKEN_CONFIG.challengeAudience,
+    });
+  }
+
+  /**
+   * Generate a new random id for an access token
+   */
+  generateTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Generate a new opaque refresh token and its expiry
+   */
+  generateRefreshToken() {
+    return {
+      token: crypto.randomBytes(48).toString('base64url'),
+      expiresAt: new Date(Date.now() + TOKEN_CONFIG.refreshTtlDays * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * Hash an opaque token for storage
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Extract a bearer token from an Authorization header
+   */
+  fromHeader(authorization) {
+    if (!authorization) return null;
+
+    const [scheme, token] = authorization.split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+
+    return token;
+  }
+}
+
+module.exports = new TokenService();
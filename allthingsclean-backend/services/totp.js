@@ -0,0 +1,231 @@
+// services/totp.js - Time-based one-time passwords (RFC 6238) and recovery codes
+
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const TOTP_CONFIG = {
+  issuer: process.env.TOTP_ISSUER || 'AllThingsClean',
+  digits: 6,
+  periodSeconds: 30,
+  // Accept codes from one step either side to allow for clock drift
+  window: 1,
+  backupCodeCount: 10,
+  encryptionKey: process.env.ENCRYPTION_KEY,
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+class TotpService {
+  /**
+   * Generate a new random shared secret (base32, 160 bits as RFC 4226 recommends)
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Time step number for a moment in time
+   */
+  counterAt(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_CONFIG.periodSeconds);
+  }
+
+  /**
+   * HOTP (RFC 4226) value for a counter
+   */
+  generateForCounter(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+  }
+
+  /**
+   * Current code for a secret
+   */
+  generate(secret, time = Date.now()) {
+    return this.generateForCounter(secret, this.counterAt(time));
+  }
+
+  /**
+   * Check a code against the secret
+   * Returns the matching time step (store it to stop the code being replayed) or null
+   * @param {number} lastUsedCounter - Steps at or before this one are rejected
+   */
+  verify(secret, code, { lastUsedCounter = -1, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(normalized)) return null;
+
+    const current = this.counterAt(time);
+    for (let step = -TOTP_CONFIG.window; step <= TOTP_CONFIG.window; step++) {
+      const counter = current + step;
+      if (counter <= lastUsedCounter) continue;
+
+      const expected = this.generateForCounter(secret, counter);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (usually shown as a QR code)
+   */
+  provisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_CONFIG.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_CONFIG.digits),
+      period: String(TOTP_CONFIG.periodSeconds),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Check a sign-in code for a user with 2FA on: an authenticator code or an unused backup code
+   * Returns 'totp', 'backup' or null. The code is used up in the database as
+   * it's checked, so parallel requests can't both get in with it; user is
+   * brought up to date without leaving anything for a later save to write.
+   */
+  async verifyUserCode(user, code) {
+    const twoFactor = user.twoFactor;
+    if (!twoFactor?.enabled || !twoFactor.secret || !code) return null;
+
+    const counter = this.verify(this.decryptSecret(twoFactor.secret), code, {
+      lastUsedCounter: twoFactor.lastUsedCounter,
+    });
+    if (counter !== null) {
+      const consumed = await User.findOneAndUpdate(
+        { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.lastUsedCounter': { $lt: counter } },
+        { $set: { 'twoFactor.lastUsedCounter': counter } },
+        { new: true }
+      );
+      if (!consumed) return null;
+
+      twoFactor.lastUsedCounter = counter;
+      user.unmarkModified('twoFactor.lastUsedCounter');
+      return 'totp';
+    }
+
+    const hash = this.hashBackupCode(code);
+    if (!twoFactor.backupCodes.includes(hash)) return null;
+
+    const consumed = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } },
+      { new: true }
+    );
+    if (!consumed) return null;
+
+    twoFactor.backupCodes = consumed.twoFactor.backupCodes;
+    user.unmarkModified('twoFactor.backupCodes');
+    return 'backup';
+  }
+
+  // ===== BACKUP CODES =====
+
+  /**
+   * Generate single-use recovery codes; returns the codes to show once and the hashes to store
+   */
+  generateBackupCodes(count = TOTP_CONFIG.backupCodeCount) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // ===== SECRET STORAGE =====
+  // Secrets are stored encrypted (AES-256-GCM keyed from ENCRYPTION_KEY)
+  // so a database dump alone can't be used to mint codes.
+
+  getKey() {
+    if (!TOTP_CONFIG.encryptionKey) {
+      throw new Error('ENCRYPTION_KEY is not configured (check .env)');
+    }
+    return crypto.createHash('sha256').update(TOTP_CONFIG.encryptionKey).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), encrypted].map(part =>
+      Buffer.isBuffer(part) ? part.toString('base64') : part
+    ).join(':');
+  }
+
+  decryptSecret(stored) {
+    const [, iv, tag, encrypted] = stored.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+}
+
+module.exports = new TotpService();
+module.exports.base32Encode = base32Encode;
+module.exports.base32Decode = base32Decode;
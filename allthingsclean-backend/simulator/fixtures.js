@@ -0,0 +1,292 @@
+// simulator/fixtures.js - Seed data for the local Shopify simulator
+//
+// Returns fresh objects on every call so each simulator starts from the same
+// state. Shapes follow the REST Admin API (snake_case, numeric ids, prices as strings).
+
+const CREATED_AT = '2024-01-15T10:00:00-05:00';
+
+function variant(id, productId, inventoryItemId, { title = 'Default Title', price, compareAtPrice = null, sku, barcode = null }) {
+  return {
+    id,
+    product_id: productId,
+    title,
+    price,
+    compare_at_price: compareAtPrice,
+    sku,
+    barcode,
+    inventory_item_id: inventoryItemId,
+    inventory_quantity: 0, // filled in from inventory levels
+    inventory_policy: 'deny',
+    inventory_management: 'shopify',
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+  };
+}
+
+function product(id, { title, vendor, productType, tags, bodyHtml, variants, image }) {
+  return {
+    id,
+    title,
+    body_html: bodyHtml,
+    vendor,
+    product_type: productType,
+    handle: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    tags,
+    status: 'active',
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+    variants,
+    images: image ? [{ id: id * 10, product_id: id, position: 1, src: image }] : [],
+  };
+}
+
+function metafield(id, ownerResource, ownerId, namespace, key, type, value) {
+  return {
+    id,
+    namespace,
+    key,
+    value,
+    type,
+    owner_id: ownerId,
+    owner_resource: ownerResource,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+  };
+}
+
+function collection(id, { title, sortOrder, bodyHtml = '', published = true, rules, disjunctive }) {
+  return {
+    id,
+    title,
+    handle: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    body_html: bodyHtml,
+    sort_order: sortOrder,
+    published_at: published ? CREATED_AT : null,
+    published_scope: 'web',
+    updated_at: CREATED_AT,
+    image: null,
+    ...(rules && { rules, disjunctive }),
+  };
+}
+
+function createFixtures() {
+  const shop = {
+    id: 548380009,
+    name: 'AllThingsClean Simulator',
+    email: 'owner@allthingsclean.test',
+    domain: 'allthingsclean-simulator.myshopify.com',
+    myshopify_domain: 'allthingsclean-simulator.myshopify.com',
+    currency: 'CAD',
+    country_code: 'CA',
+    timezone: '(GMT-05:00) America/Toronto',
+    primary_location_id: 7001,
+    plan_name: 'partner_test',
+  };
+
+  const locations = [
+    { id: 7001, name: 'Main Store', address1: '100 King St W', city: 'Toronto', country_code: 'CA', active: true },
+    { id: 7002, name: 'Warehouse', address1: '2 Industrial Rd', city: 'Mississauga', country_code: 'CA', active: true },
+  ];
+
+  const products = [
+    product(1001, {
+      title: 'Microfiber Spin Mop',
+      vendor: 'SparkleCo',
+      productType: 'Floor Care',
+      tags: 'featured, floors',
+      bodyHtml: '<p>Spin mop with a washable microfiber head.</p>',
+      image: 'https://picsum.photos/seed/mop/400',
+      variants: [variant(2001, 1001, 3001, { price: '39.99', compareAtPrice: '49.99', sku: 'MOP-SPIN', barcode: '0627843001' })],
+    }),
+    product(1002, {
+      title: 'All-Purpose Cleaner',
+      vendor: 'GreenHome',
+      productType: 'Sprays',
+      tags: 'new, eco',
+      bodyHtml: '<p>Plant-based cleaner for every surface.</p>',
+      image: 'https://picsum.photos/seed/spray/400',
+      variants: [
+        variant(2002, 1002, 3002, { title: '500 ml', price: '8.99', sku: 'APC-500' }),
+        variant(2003, 1002, 3003, { title: '1 L', price: '14.99', sku: 'APC-1000' }),
+      ],
+    }),
+    product(1003, {
+      title: 'Scrub Brush Set',
+      vendor: 'SparkleCo',
+      productType: 'Brushes',
+      tags: 'kitchen',
+      bodyHtml: '<p>Three brushes for dishes, grout and tiles.</p>',
+      image: 'https://picsum.photos/seed/brush/400',
+      variants: [variant(2004, 1003, 3004, { price: '12.50', sku: 'BRUSH-SET' })],
+    }),
+    product(1004, {
+      title: 'Glass Cleaner',
+      vendor: 'GreenHome',
+      productType: 'Sprays',
+      tags: 'eco',
+      bodyHtml: '<p>Streak-free finish for windows and mirrors.</p>',
+      image: 'https://picsum.photos/seed/glass/400',
+      variants: [variant(2005, 1004, 3005, { price: '6.99', sku: 'GLASS-750' })],
+    }),
+    product(1005, {
+      title: 'Cordless Stick Vacuum',
+      vendor: 'TidyTech',
+      productType: 'Vacuums',
+      tags: 'featured, new',
+      bodyHtml: '<p>Lightweight vacuum with a 40 minute battery.</p>',
+      image: 'https://picsum.photos/seed/vacuum/400',
+      variants: [variant(2006, 1005, 3006, { price: '249.00', compareAtPrice: '299.00', sku: 'VAC-STICK' })],
+    }),
+    product(1006, {
+      title: 'Rubber Gloves',
+      vendor: 'SparkleCo',
+      productType: 'Accessories',
+      tags: '',
+      bodyHtml: '<p>Reusable latex-free gloves.</p>',
+      variants: [
+        variant(2007, 1006, 3007, { title: 'Medium', price: '4.99', sku: 'GLOVE-M' }),
+        variant(2008, 1006, 3008, { title: 'Large', price: '4.99', sku: 'GLOVE-L' }),
+      ],
+    }),
+  ];
+
+  // available quantity per inventory item, per location
+  const inventoryLevels = [
+    [3001, 7001, 12], [3001, 7002, 30],
+    [3002, 7001, 40], [3003, 7001, 25],
+    [3004, 7001, 8],
+    [3005, 7001, 0], [3005, 7002, 18],
+    [3006, 7001, 3],
+    [3007, 7001, 50], [3008, 7001, 0],
+  ].map(([inventoryItemId, locationId, available]) => ({
+    inventory_item_id: inventoryItemId,
+    location_id: locationId,
+    available,
+    updated_at: CREATED_AT,
+  }));
+
+  const address = {
+    address1: '1 Yonge St',
+    city: 'Toronto',
+    province: 'Ontario',
+    province_code: 'ON',
+    country: 'Canada',
+    country_code: 'CA',
+    zip: 'M5E 1E5',
+  };
+
+  const customers = [
+    {
+      id: 5001,
+      email: 'ada@example.com',
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      phone: '+14165550101',
+      orders_count: 1,
+      total_spent: '54.98',
+      tags: 'vip',
+      note: null,
+      state: 'enabled',
+      default_address: { id: 6001, customer_id: 5001, first_name: 'Ada', last_name: 'Lovelace', ...address, default: true },
+      created_at: CREATED_AT,
+      updated_at: CREATED_AT,
+    },
+    {
+      id: 5002,
+      email: 'grace@example.com',
+      first_name: 'Grace',
+      last_name: 'Hopper',
+      phone: null,
+      orders_count: 1,
+      total_spent: '12.50',
+      tags: '',
+      note: null,
+      state: 'enabled',
+      default_address: null,
+      created_at: CREATED_AT,
+      updated_at: CREATED_AT,
+    },
+    {
+      id: 5003,
+      email: 'alan@example.com',
+      first_name: 'Alan',
+      last_name: 'Turing',
+      phone: null,
+      orders_count: 0,
+      total_spent: '0.00',
+      tags: '',
+      note: null,
+      state: 'enabled',
+      default_address: null,
+      created_at: CREATED_AT,
+      updated_at: CREATED_AT,
+    },
+  ];
+
+  // Spec metafields (see config/productSpecs.js) plus one the app ignores
+  const metafields = [
+    metafield(8001, 'product', 1005, 'specs', 'suction_power', 'number_integer', '150'),
+    metafield(8002, 'product', 1005, 'specs', 'filtration', 'single_line_text_field', 'HEPA H13'),
+    metafield(8003, 'product', 1005, 'specs', 'battery_runtime', 'number_integer', '40'),
+    metafield(8004, 'product', 1005, 'specs', 'noise_level', 'number_decimal', '72.5'),
+    metafield(8005, 'product', 1005, 'specs', 'weight', 'weight', '{"value":2.4,"unit":"kg"}'),
+    metafield(8006, 'variant', 2002, 'specs', 'tank_capacity', 'volume', '{"value":500,"unit":"ml"}'),
+    metafield(8007, 'variant', 2003, 'specs', 'tank_capacity', 'volume', '{"value":1,"unit":"l"}'),
+    metafield(8008, 'product', 1001, 'custom', 'care_instructions', 'multi_line_text_field', 'Machine wash the mop head.'),
+  ];
+
+  // Custom collections hold the products listed in collects; smart ones match their rules
+  const customCollections = [
+    collection(6001, { title: 'Featured Picks', sortOrder: 'manual', bodyHtml: '<p>Our favourites this season.</p>' }),
+    collection(6002, { title: 'Kitchen', sortOrder: 'alpha-asc' }),
+    collection(6003, { title: 'Clearance', sortOrder: 'manual', published: false }),
+  ];
+
+  const collects = [
+    { collection_id: 6001, product_id: 1005, position: 1 },
+    { collection_id: 6001, product_id: 1001, position: 2 },
+    { collection_id: 6002, product_id: 1003, position: 1 },
+    { collection_id: 6002, product_id: 1002, position: 2 },
+    { collection_id: 6003, product_id: 1006, position: 1 },
+  ];
+
+  const smartCollections = [
+    collection(6101, {
+      title: 'Eco Friendly',
+      sortOrder: 'alpha-asc',
+      rules: [{ column: 'tag', relation: 'equals', condition: 'eco' }],
+      disjunctive: false,
+    }),
+  ];
+
+  const orders = [
+    {
+      customerId: 5001,
+      lineItems: [{ variantId: 2001, quantity: 1 }, { variantId: 2003, quantity: 1 }],
+      financialStatus: 'paid',
+      fulfillmentStatus: 'fulfilled',
+      tracking: { company: 'Canada Post', number: '7023210039414604' },
+    },
+    {
+      customerId: 5002,
+      lineItems: [{ variantId: 2004, quantity: 1 }],
+      financialStatus: 'pending',
+      fulfillmentStatus: null,
+    },
+  ];
+
+  return {
+    shop,
+    locations,
+    products,
+    inventoryLevels,
+    metafields,
+    customers,
+    customCollections,
+    collects,
+    smartCollections,
+    orders,
+  };
+}
+
+module.exports = createFixtures;
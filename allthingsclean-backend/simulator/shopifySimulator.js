@@ -0,0 +1,1540 @@
+#!/usr/bin/env node
+// simulator/shopifySimulator.js - Local stand-in for the Shopify Admin REST API
+//
+// Usage: npm run simulator   (then set SHOPIFY_BASE_URL=http://localhost:4000 for the backend)
+//
+// Implements the endpoints ShopifyService calls (shop, locations, products,
+// metafields, customers, orders, refunds, fulfillments, draft_orders,
+// inventory_levels, collections, webhooks) against in-memory fixture state, so sync, webhook and inventory
+// routes can run without a live store.
+// Like the real API it paginates with Link headers, reports and enforces the
+// call limit, and sends HMAC-signed webhooks when data changes. Of GraphQL,
+// only the ProductMetafields query is answered; bulk operations are not
+// simulated.
+
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+const createFixtures = require('./fixtures');
+
+const API_VERSION = '2024-01';
+const MAX_PAGE_SIZE = 250;
+
+const now = () => new Date().toISOString();
+
+// Opaque page_info cursors carry the position and the filters of the first page
+const encodeCursor = state => Buffer.from(JSON.stringify(state)).toString('base64url');
+const decodeCursor = cursor => JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+// A payload the real API would reject with a 4xx
+class SimulatorError extends Error {
+  constructor(status, errors) {
+    super(JSON.stringify(errors));
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const toMoney = amount => (Math.round(amount * 100) / 100).toFixed(2);
+
+// Draft orders are taxed at one flat rate (Ontario HST), shipping included
+const TAX_LINE = { title: 'HST', rate: 0.13 };
+
+class ShopifySimulator {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessToken - Token clients must send (any token when unset)
+   * @param {string} options.webhookUrl - Always receives every webhook topic
+   * @param {string} options.webhookSecret - Signs webhook bodies (X-Shopify-Hmac-Sha256)
+   * @param {number} options.bucketSize - Call-limit bucket size
+   * @param {number} options.leakRate - Calls drained from the bucket per second
+   */
+  constructor(options = {}) {
+    this.accessToken = options.accessToken ?? process.env.SHOPIFY_ACCESS_TOKEN;
+    this.webhookUrl = options.webhookUrl ?? process.env.SHOPIFY_SIMULATOR_WEBHOOK_URL;
+    this.webhookSecret = options.webhookSecret
+      || process.env.SHOPIFY_WEBHOOK_SECRET
+      || process.env.SHOPIFY_API_SECRET;
+    this.bucketSize = options.bucketSize || 40;
+    this.leakRate = options.leakRate || 2;
+
+    this.deliveries = [];
+    this.pending = new Set();
+    this.server = null;
+
+    this.reset();
+    this.app = this.createApp();
+  }
+
+  /**
+   * Go back to the fixture data (and an empty call-limit bucket)
+   */
+  reset() {
+    const fixtures = createFixtures();
+
+    this.shop = fixtures.shop;
+    this.locations = fixtures.locations;
+    this.products = new Map(fixtures.products.map(product => [product.id, product]));
+    this.customers = new Map(fixtures.customers.map(customer => [customer.id, customer]));
+    this.inventoryLevels = fixtures.inventoryLevels;
+    this.metafields = fixtures.metafields;
+    this.customCollections = new Map(fixtures.customCollections.map(collection => [collection.id, collection]));
+    this.smartCollections = new Map(fixtures.smartCollections.map(collection => [collection.id, collection]));
+    this.collects = fixtures.collects;
+    this.orders = new Map();
+    this.fulfillmentOrders = new Map();
+    this.draftOrders = new Map();
+    this.nextDraftNumber = 1;
+    this.webhooks = new Map();
+    this.nextId = 10000;
+    this.nextOrderNumber = 1001;
+    this.bucket = { level: 0, lastLeak: Date.now() };
+    this.deliveries = [];
+
+    this.products.forEach(product => this.refreshInventoryQuantities(product));
+    fixtures.orders.forEach(spec => {
+      const order = this.buildOrder({
+        customer: { id: spec.customerId },
+        line_items: spec.lineItems.map(item => ({ variant_id: item.variantId, quantity: item.quantity })),
+        financial_status: spec.financialStatus,
+        fulfillment_status: spec.fulfillmentStatus,
+      });
+      if (spec.fulfillmentStatus === 'fulfilled') {
+        order.fulfillments.push(this.buildFulfillment(order, order.line_items.map(item => ({ lineItem: item, quantity: item.quantity })), {
+          tracking_info: spec.tracking,
+          location_id: this.shop.primary_location_id,
+        }));
+      }
+      this.orders.set(order.id, order);
+    });
+  }
+
+  // ===== SERVER =====
+
+  listen(port = 0) {
+    return new Promise(resolve => {
+      this.server = this.app.listen(port, () => resolve(this.server));
+    });
+  }
+
+  async close() {
+    await this.settle();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Wait for webhook deliveries that are still in flight
+   */
+  async settle() {
+    await Promise.all([...this.pending]);
+  }
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+
+    app.use(express.json());
+    app.use('/admin/api/:version', this.authenticate.bind(this), this.callLimit.bind(this), api);
+
+    // Shop & locations
+    api.get('/shop.json', (req, res) => res.json({ shop: this.shop }));
+    api.get('/locations.json', (req, res) => res.json({ locations: this.locations }));
+
+    // Products
+    api.get('/products.json', (req, res) => this.list(req, res, 'products', this.productFilter));
+    api.get('/products/:id.json', (req, res) => this.show(res, 'product', this.products, req.params.id));
+    api.post('/products.json', (req, res) => this.createProduct(req, res));
+    api.put('/products/:id.json', (req, res) => this.updateProduct(req, res));
+    api.delete('/products/:id.json', (req, res) => this.deleteProduct(req, res));
+    api.get('/products/:id/metafields.json', (req, res) => this.listMetafields(req, res, 'product'));
+    api.get('/variants/:id/metafields.json', (req, res) => this.listMetafields(req, res, 'variant'));
+    api.post('/graphql.json', (req, res) => this.graphql(req, res));
+
+    // Customers
+    api.get('/customers.json', (req, res) => this.list(req, res, 'customers', this.customerFilter));
+    api.get('/customers/search.json', (req, res) => this.searchCustomers(req, res));
+    api.get('/customers/:id/orders.json', (req, res) => {
+      const customerId = Number(req.params.id);
+      res.json({ orders: [...this.orders.values()].filter(order => order.customer?.id === customerId) });
+    });
+    api.get('/customers/:id.json', (req, res) => this.show(res, 'customer', this.customers, req.params.id));
+    api.post('/customers.json', (req, res) => this.createCustomer(req, res));
+    api.put('/customers/:id.json', (req, res) => this.updateCustomer(req, res));
+
+    // Orders
+    api.get('/orders.json', (req, res) => this.list(req, res, 'orders', this.orderFilter));
+    api.get('/orders/:id.json', (req, res) => this.show(res, 'order', this.orders, req.params.id));
+    api.post('/orders.json', (req, res) => this.createOrder(req, res));
+    api.put('/orders/:id.json', (req, res) => this.updateOrder(req, res));
+    api.post('/orders/:id/cancel.json', (req, res) => this.cancelOrder(req, res));
+    api.get('/orders/:id/refunds.json', (req, res) => this.listRefunds(req, res));
+    api.post('/orders/:id/refunds/calculate.json', (req, res) => this.calculateRefund(req, res));
+    api.post('/orders/:id/refunds.json', (req, res) => this.createRefund(req, res));
+    api.get('/orders/:id/fulfillment_orders.json', (req, res) => this.listFulfillmentOrders(req, res));
+    api.get('/orders/:id/fulfillments.json', (req, res) => this.listFulfillments(req, res));
+    api.post('/fulfillments.json', (req, res) => this.createFulfillment(req, res));
+
+    // Draft orders
+    api.post('/draft_orders.json', (req, res) => this.createDraftOrder(req, res));
+    api.get('/draft_orders/:id.json', (req, res) => this.show(res, 'draft_order', this.draftOrders, req.params.id));
+    api.put('/draft_orders/:id/complete.json', (req, res) => this.completeDraftOrder(req, res));
+    api.put('/draft_orders/:id.json', (req, res) => this.updateDraftOrder(req, res));
+    api.post('/draft_orders/:id/send_invoice.json', (req, res) => this.sendDraftOrderInvoice(req, res));
+    api.delete('/draft_orders/:id.json', (req, res) => this.deleteDraftOrder(req, res));
+
+    // Inventory
+    api.get('/inventory_levels.json', (req, res) => this.listInventoryLevels(req, res));
+    api.post('/inventory_levels/set.json', (req, res) => this.setInventoryLevel(req, res, false));
+    api.post('/inventory_levels/adjust.json', (req, res) => this.setInventoryLevel(req, res, true));
+
+    // Collections
+    api.get('/custom_collections.json', (req, res) =>
+      this.list(req, res, 'custom_collections', this.collectionFilter, this.customCollections));
+    api.get('/smart_collections.json', (req, res) =>
+      this.list(req, res, 'smart_collections', this.collectionFilter, this.smartCollections));
+    api.get('/collections/:id.json', (req, res) => this.showCollection(req, res));
+    api.get('/collections/:id/products.json', (req, res) => this.listCollectionProducts(req, res));
+    api.post('/custom_collections.json', (req, res) => this.createCustomCollection(req, res));
+    api.put('/custom_collections/:id.json', (req, res) => this.updateCustomCollection(req, res));
+    api.delete('/custom_collections/:id.json', (req, res) => this.deleteCustomCollection(req, res));
+
+    // Webhooks
+    api.get('/webhooks.json', (req, res) => res.json({ webhooks: [...this.webhooks.values()] }));
+    api.post('/webhooks.json', (req, res) => this.createWebhook(req, res));
+    api.delete('/webhooks/:id.json', (req, res) => {
+      if (!this.webhooks.delete(Number(req.params.id))) return this.notFound(res);
+      res.json({});
+    });
+
+    app.use((req, res) => this.notFound(res));
+
+    return app;
+  }
+
+  // ===== MIDDLEWARE =====
+
+  authenticate(req, res, next) {
+    const token = req.get('X-Shopify-Access-Token');
+    if (!token || (this.accessToken && token !== this.accessToken)) {
+      return res.status(401).json({
+        errors: '[API] Invalid API key or access token (unrecognized login or wrong password)',
+      });
+    }
+    next();
+  }
+
+  // Leaky bucket, reported in X-Shopify-Shop-Api-Call-Limit like the real API
+  callLimit(req, res, next) {
+    const elapsed = (Date.now() - this.bucket.lastLeak) / 1000;
+    this.bucket.level = Math.max(0, this.bucket.level - elapsed * this.leakRate);
+    this.bucket.lastLeak = Date.now();
+
+    if (this.bucket.level + 1 > this.bucketSize) {
+      const retryAfter = (this.bucket.level + 1 - this.bucketSize) / this.leakRate;
+      res.set('X-Shopify-Shop-Api-Call-Limit', `${this.bucketSize}/${this.bucketSize}`);
+      res.set('Retry-After', retryAfter.toFixed(1));
+      return res.status(429).json({ errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' });
+    }
+
+    this.bucket.level += 1;
+    res.set('X-Shopify-Shop-Api-Call-Limit', `${Math.ceil(this.bucket.level)}/${this.bucketSize}`);
+    next();
+  }
+
+  // ===== GENERIC HANDLERS =====
+
+  notFound(res) {
+    res.status(404).json({ errors: 'Not Found' });
+  }
+
+  show(res, key, store, id) {
+    const record = store.get(Number(id));
+    if (!record) return this.notFound(res);
+    res.json({ [key]: record });
+  }
+
+  /**
+   * Cursor-paginated list. As on Shopify, page_info can only be combined with
+   * limit and fields: the filters of the first page travel inside the cursor.
+   */
+  list(req, res, resource, filter, store = this[resource], ordered = false) {
+    const { limit = '50', page_info: pageInfo, fields, ...params } = req.query;
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 50));
+
+    let offset = 0;
+    let filters = params;
+    if (pageInfo) {
+      if (Object.keys(params).length > 0) {
+        return res.status(400).json({ errors: { page_info: ['page_info cannot be combined with other filters'] } });
+      }
+      try {
+        ({ offset, filters } = decodeCursor(pageInfo));
+      } catch (error) {
+        return res.status(400).json({ errors: { page_info: ['Invalid value.'] } });
+      }
+    }
+
+    const records = [...store.values()]
+      .filter(record => this.matchesCommonFilters(record, filters) && filter.call(this, record, filters));
+    if (!ordered) records.sort((a, b) => a.id - b.id);
+    const page = records.slice(offset, offset + pageSize);
+
+    const link = cursor =>
+      `<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?limit=${pageSize}&page_info=${encodeCursor(cursor)}>`;
+    const links = [];
+    if (offset > 0) {
+      links.push(`${link({ offset: Math.max(0, offset - pageSize), filters })}; rel="previous"`);
+    }
+    if (offset + pageSize < records.length) {
+      links.push(`${link({ offset: offset + pageSize, filters })}; rel="next"`);
+    }
+    if (links.length) res.set('Link', links.join(', '));
+
+    res.json({ [resource]: fields ? page.map(record => this.pick(record, fields)) : page });
+  }
+
+  // Only the requested top-level fields (?fields=id,updated_at)
+  pick(record, fields) {
+    return Object.fromEntries(fields.split(',')
+      .map(field => field.trim())
+      .filter(field => field in record)
+      .map(field => [field, record[field]]));
+  }
+
+  // Filters every list endpoint accepts
+  matchesCommonFilters(record, filters) {
+    if (filters.ids && !filters.ids.split(',').map(Number).includes(record.id)) return false;
+    if (filters.since_id && record.id <= Number(filters.since_id)) return false;
+    if (filters.updated_at_min && new Date(record.updated_at) < new Date(filters.updated_at_min)) return false;
+    if (filters.updated_at_max && new Date(record.updated_at) > new Date(filters.updated_at_max)) return false;
+    if (filters.created_at_min && new Date(record.created_at) < new Date(filters.created_at_min)) return false;
+    return true;
+  }
+
+  productFilter(product, filters) {
+    if (filters.title && !product.title.toLowerCase().includes(filters.title.toLowerCase())) return false;
+    if (filters.vendor && product.vendor !== filters.vendor) return false;
+    if (filters.product_type && product.product_type !== filters.product_type) return false;
+    return true;
+  }
+
+  customerFilter() {
+    return true;
+  }
+
+  orderFilter(order, filters) {
+    if (filters.financial_status && order.financial_status !== filters.financial_status) return false;
+
+    const status = filters.status || 'open';
+    if (status === 'open') return !order.cancelled_at && !order.closed_at;
+    if (status === 'closed') return Boolean(order.closed_at);
+    if (status === 'cancelled') return Boolean(order.cancelled_at);
+    return true;
+  }
+
+  // ===== PRODUCTS =====
+
+  createProduct(req, res) {
+    const input = req.body.product || {};
+    if (!input.title) {
+      return res.status(422).json({ errors: { title: ["can't be blank"] } });
+    }
+
+    const id = this.generateId();
+    const product = {
+      id,
+      title: input.title,
+      body_html: input.body_html || '',
+      vendor: input.vendor || this.shop.name,
+      product_type: input.product_type || '',
+      handle: input.handle || input.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      tags: Array.isArray(input.tags) ? input.tags.join(', ') : input.tags || '',
+      status: input.status || 'active',
+      created_at: now(),
+      updated_at: now(),
+      images: (input.images || []).map((image, index) => ({
+        id: this.generateId(),
+        product_id: id,
+        position: index + 1,
+        src: image.src,
+      })),
+      variants: (input.variants?.length ? input.variants : [{}]).map(variant => ({
+        id: this.generateId(),
+        product_id: id,
+        title: variant.title || 'Default Title',
+        price: String(variant.price ?? '0.00'),
+        compare_at_price: variant.compare_at_price ?? null,
+        sku: variant.sku || '',
+        barcode: variant.barcode ?? null,
+        inventory_item_id: this.generateId(),
+        inventory_quantity: 0,
+        inventory_policy: variant.inventory_policy || 'deny',
+        inventory_management: 'shopify',
+        created_at: now(),
+        updated_at: now(),
+      })),
+    };
+
+    this.products.set(id, product);
+    this.emit('products/create', product);
+    res.status(201).json({ product });
+  }
+
+  updateProduct(req, res) {
+    const product = this.products.get(Number(req.params.id));
+    if (!product) return this.notFound(res);
+
+    const { id, variants, images, ...changes } = req.body.product || {};
+    if (Array.isArray(changes.tags)) changes.tags = changes.tags.join(', ');
+    Object.assign(product, changes, { updated_at: now() });
+
+    (variants || []).forEach(change => {
+      const variant = product.variants.find(v => v.id === Number(change.id));
+      if (variant) Object.assign(variant, change, { id: variant.id, updated_at: now() });
+    });
+
+    this.emit('products/update', product);
+    res.json({ product });
+  }
+
+  deleteProduct(req, res) {
+    const id = Number(req.params.id);
+    if (!this.products.delete(id)) return this.notFound(res);
+    this.collects = this.collects.filter(collect => collect.product_id !== id);
+
+    this.emit('products/delete', { id });
+    res.json({});
+  }
+
+  listMetafields(req, res, ownerResource) {
+    const ownerId = Number(req.params.id);
+    const exists = ownerResource === 'product'
+      ? this.products.has(ownerId)
+      : [...this.products.values()].some(product => product.variants.some(variant => variant.id === ownerId));
+    if (!exists) return this.notFound(res);
+
+    const owned = this.metafields.filter(metafield =>
+      metafield.owner_resource === ownerResource && metafield.owner_id === ownerId);
+    this.list(req, res, 'metafields', this.metafieldFilter, owned);
+  }
+
+  /**
+   * Answer the ProductMetafields query ShopifyService sends; other GraphQL
+   * gets an error like an unknown field would
+   */
+  graphql(req, res) {
+    const { query, variables = {} } = req.body;
+    if (!/^\s*query ProductMetafields\b/.test(query || '')) {
+      return res.json({ errors: [{ message: 'Only the ProductMetafields query is simulated' }] });
+    }
+
+    const product = this.products.get(Number(String(variables.id).split('/').pop()));
+    const metafieldsOf = (ownerResource, ownerId) => ({
+      edges: this.metafields
+        .filter(metafield => metafield.owner_resource === ownerResource && metafield.owner_id === ownerId
+          && (!variables.keys || variables.keys.includes(`${metafield.namespace}.${metafield.key}`)))
+        .slice(0, variables.metafieldCount)
+        .map(({ namespace, key, value, type }) => ({ node: { namespace, key, value, type } })),
+    });
+
+    if (!product) return res.json({ data: { product: null } });
+
+    const offset = variables.after ? decodeCursor(variables.after).offset : 0;
+    const page = product.variants.slice(offset, offset + variables.variantCount);
+    const hasNextPage = offset + page.length < product.variants.length;
+
+    res.json({
+      data: {
+        product: {
+          metafields: metafieldsOf('product', product.id),
+          variants: {
+            edges: page.map(variant => ({
+              node: { legacyResourceId: String(variant.id), metafields: metafieldsOf('variant', variant.id) },
+            })),
+            pageInfo: {
+              hasNextPage,
+              endCursor: hasNextPage ? encodeCursor({ offset: offset + page.length }) : null,
+            },
+          },
+        },
+      },
+    });
+  }
+
+  metafieldFilter(metafield, filters) {
+    if (filters.namespace && metafield.namespace !== filters.namespace) return false;
+    if (filters.key && metafield.key !== filters.key) return false;
+    return true;
+  }
+
+  // ===== COLLECTIONS =====
+
+  collectionFilter(collection, filters) {
+    if (filters.handle && collection.handle !== filters.handle) return false;
+    if (filters.title && !collection.title.toLowerCase().includes(filters.title.toLowerCase())) return false;
+    if (filters.product_id && !this.collectionProducts(collection).some(product => product.id === Number(filters.product_id))) {
+      return false;
+    }
+    return true;
+  }
+
+  findCollection(id) {
+    return this.customCollections.get(Number(id)) || this.smartCollections.get(Number(id));
+  }
+
+  showCollection(req, res) {
+    const collection = this.findCollection(req.params.id);
+    if (!collection) return this.notFound(res);
+
+    const collectionType = this.smartCollections.has(collection.id) ? 'smart' : 'custom';
+    res.json({ collection: { ...collection, collection_type: collectionType, products_count: this.collectionProducts(collection).length } });
+  }
+
+  listCollectionProducts(req, res) {
+    const collection = this.findCollection(req.params.id);
+    if (!collection) return this.notFound(res);
+
+    this.list(req, res, 'products', () => true, this.collectionProducts(collection), true);
+  }
+
+  /**
+   * Products in a collection, in its sort order: collects for custom
+   * collections, rules for smart ones
+   */
+  collectionProducts(collection) {
+    const products = collection.rules
+      ? [...this.products.values()].filter(product => this.matchesRules(product, collection))
+      : this.collects
+        .filter(collect => collect.collection_id === collection.id)
+        .sort((a, b) => a.position - b.position)
+        .map(collect => this.products.get(collect.product_id))
+        .filter(Boolean);
+
+    switch (collection.sort_order) {
+      case 'alpha-asc':
+        return products.sort((a, b) => a.title.localeCompare(b.title));
+      case 'alpha-desc':
+        return products.sort((a, b) => b.title.localeCompare(a.title));
+      case 'created-desc':
+        return products.sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id);
+      case 'manual':
+        return collection.rules ? products.sort((a, b) => a.id - b.id) : products;
+      default:
+        return products.sort((a, b) => a.id - b.id);
+    }
+  }
+
+  // The common smart collection conditions (tag, title, type, vendor, variant_price)
+  matchesRules(product, { rules, disjunctive }) {
+    const matches = rule => {
+      const values = {
+        tag: product.tags ? product.tags.split(',').map(tag => tag.trim()) : [],
+        title: [product.title],
+        type: [product.product_type],
+        vendor: [product.vendor],
+        variant_price: product.variants.map(variant => variant.price),
+      }[rule.column] || [];
+      const condition = rule.condition.toLowerCase();
+
+      return values.some(value => {
+        const text = String(value ?? '').toLowerCase();
+        switch (rule.relation) {
+          case 'equals': return text === condition;
+          case 'not_equals': return text !== condition;
+          case 'contains': return text.includes(condition);
+          case 'not_contains': return !text.includes(condition);
+          case 'starts_with': return text.startsWith(condition);
+          case 'ends_with': return text.endsWith(condition);
+          case 'greater_than': return parseFloat(text) > parseFloat(condition);
+          case 'less_than': return parseFloat(text) < parseFloat(condition);
+          default: return false;
+        }
+      });
+    };
+
+    return disjunctive ? rules.some(matches) : rules.every(matches);
+  }
+
+  // collects: [{ product_id }] adds products at the end of the collection
+  addCollects(collection, collects = []) {
+    const unknown = collects.find(collect => !this.products.has(Number(collect.product_id)));
+    if (unknown) {
+      throw new SimulatorError(422, { collects: [`product ${unknown.product_id} does not exist`] });
+    }
+
+    for (const { product_id: productId } of collects) {
+      if (this.collects.some(c => c.collection_id === collection.id && c.product_id === Number(productId))) continue;
+
+      const position = this.collects.filter(c => c.collection_id === collection.id).length + 1;
+      this.collects.push({ collection_id: collection.id, product_id: Number(productId), position });
+    }
+  }
+
+  createCustomCollection(req, res) {
+    const { collects, ...input } = req.body.custom_collection || {};
+    if (!input.title) {
+      return res.status(422).json({ errors: { title: ["can't be blank"] } });
+    }
+
+    const collection = {
+      id: this.generateId(),
+      title: input.title,
+      handle: input.handle || input.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      body_html: input.body_html || '',
+      sort_order: input.sort_order || 'manual',
+      published_at: input.published === false ? null : now(),
+      published_scope: 'web',
+      updated_at: now(),
+      image: input.image || null,
+    };
+
+    try {
+      this.addCollects(collection, collects);
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    this.customCollections.set(collection.id, collection);
+    this.emit('collections/create', collection);
+    res.status(201).json({ custom_collection: collection });
+  }
+
+  updateCustomCollection(req, res) {
+    const collection = this.customCollections.get(Number(req.params.id));
+    if (!collection) return this.notFound(res);
+
+    const { id, collects, published, ...changes } = req.body.custom_collection || {};
+    try {
+      this.addCollects(collection, collects);
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    if (published !== undefined) changes.published_at = published ? collection.published_at || now() : null;
+    Object.assign(collection, changes, { updated_at: now() });
+
+    this.emit('collections/update', collection);
+    res.json({ custom_collection: collection });
+  }
+
+  deleteCustomCollection(req, res) {
+    const id = Number(req.params.id);
+    if (!this.customCollections.delete(id)) return this.notFound(res);
+
+    this.collects = this.collects.filter(collect => collect.collection_id !== id);
+    this.emit('collections/delete', { id });
+    res.json({});
+  }
+
+  // ===== CUSTOMERS =====
+
+  searchCustomers(req, res) {
+    const query = String(req.query.query || '').toLowerCase();
+    const match = /^email:(.+)$/.exec(query);
+
+    const customers = [...this.customers.values()].filter(customer => match
+      ? customer.email?.toLowerCase() === match[1]
+      : [customer.email, customer.first_name, customer.last_name].some(value => value?.toLowerCase().includes(query)));
+
+    res.json({ customers });
+  }
+
+  emailTaken(email, exceptId) {
+    return Boolean(email) && [...this.customers.values()].some(customer =>
+      customer.id !== exceptId && customer.email?.toLowerCase() === email.toLowerCase());
+  }
+
+  createCustomer(req, res) {
+    const { addresses, ...input } = req.body.customer || {};
+
+    if (!input.email && !input.phone && !input.first_name && !input.last_name) {
+      return res.status(422).json({ errors: { customer: ['must have a name, phone number or email address'] } });
+    }
+    if (this.emailTaken(input.email)) {
+      return res.status(422).json({ errors: { email: ['has already been taken'] } });
+    }
+
+    const id = this.generateId();
+    const defaultAddress = addresses?.length
+      ? { id: this.generateId(), customer_id: id, ...addresses[0], default: true }
+      : null;
+
+    const customer = {
+      id,
+      email: input.email || null,
+      first_name: input.first_name || null,
+      last_name: input.last_name || null,
+      phone: input.phone || null,
+      orders_count: 0,
+      total_spent: '0.00',
+      tags: input.tags || '',
+      note: input.note || null,
+      state: 'disabled',
+      default_address: defaultAddress,
+      created_at: now(),
+      updated_at: now(),
+    };
+
+    this.customers.set(id, customer);
+    this.emit('customers/create', customer);
+    res.status(201).json({ customer });
+  }
+
+  updateCustomer(req, res) {
+    const customer = this.customers.get(Number(req.params.id));
+    if (!customer) return this.notFound(res);
+
+    const { id, addresses, ...changes } = req.body.customer || {};
+    if (this.emailTaken(changes.email, customer.id)) {
+      return res.status(422).json({ errors: { email: ['has already been taken'] } });
+    }
+
+    Object.assign(customer, changes, { updated_at: now() });
+    if (addresses?.length) {
+      customer.default_address = { ...customer.default_address, ...addresses[0], customer_id: customer.id, default: true };
+    }
+
+    this.emit('customers/update', customer);
+    res.json({ customer });
+  }
+
+  // ===== ORDERS =====
+
+  // Catalog items take the variant's title, SKU and (unless given) price
+  buildLineItems(lineItems) {
+    return lineItems.map(item => {
+      const variantId = item.variant_id ? Number(item.variant_id) : null;
+      const product = variantId && [...this.products.values()].find(p => p.variants.some(v => v.id === variantId));
+      const variant = product?.variants.find(v => v.id === variantId);
+
+      if (variantId && !variant) {
+        throw new SimulatorError(422, { line_items: [`variant ${variantId} does not exist`] });
+      }
+      if (!variant && !item.title) {
+        throw new SimulatorError(422, { line_items: ['custom items need a title'] });
+      }
+
+      return {
+        id: this.generateId(),
+        variant_id: variant?.id ?? null,
+        product_id: product?.id ?? null,
+        title: variant ? product.title : item.title,
+        variant_title: variant && variant.title !== 'Default Title' ? variant.title : null,
+        name: variant && variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : (product?.title || item.title),
+        sku: item.sku ?? variant?.sku ?? null,
+        quantity: parseInt(item.quantity) || 1,
+        price: toMoney(parseFloat(item.price ?? variant?.price ?? 0)),
+        inventory_item_id: variant?.inventory_item_id,
+      };
+    });
+  }
+
+  /**
+   * Turn an order payload into a stored order, pricing line items from their variants
+   * Throws a SimulatorError for payloads Shopify would reject.
+   */
+  buildOrder(input) {
+    if (!input.line_items?.length) {
+      throw new SimulatorError(422, { line_items: ['must have at least one line item'] });
+    }
+
+    const lineItems = this.buildLineItems(input.line_items);
+    const customer = input.customer?.id ? this.customers.get(Number(input.customer.id)) : null;
+    const subtotal = lineItems.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+    const orderNumber = this.nextOrderNumber++;
+    const fulfilled = input.fulfillment_status === 'fulfilled';
+
+    return {
+      id: this.generateId(),
+      order_number: orderNumber,
+      name: `#${orderNumber}`,
+      email: input.email || customer?.email || null,
+      customer: customer ? { ...customer } : null,
+      line_items: lineItems.map(item => ({ ...item, fulfillable_quantity: fulfilled ? 0 : item.quantity })),
+      subtotal_price: toMoney(subtotal),
+      total_tax: '0.00',
+      total_shipping_price_set: { shop_money: { amount: '0.00', currency_code: this.shop.currency } },
+      total_price: toMoney(subtotal),
+      currency: this.shop.currency,
+      financial_status: input.financial_status || 'paid',
+      fulfillment_status: input.fulfillment_status || null,
+      shipping_address: input.shipping_address || null,
+      billing_address: input.billing_address || null,
+      note: input.note || null,
+      tags: input.tags || '',
+      cancelled_at: null,
+      cancel_reason: null,
+      closed_at: null,
+      refunds: [],
+      fulfillments: [],
+      created_at: now(),
+      updated_at: now(),
+    };
+  }
+
+  createOrder(req, res) {
+    const input = req.body.order || {};
+
+    let order;
+    try {
+      order = this.buildOrder(input);
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    // Storefront-style orders take stock from the primary location
+    this.placeOrder(order, { takeStock: Boolean(input.inventory_behaviour?.startsWith('decrement')) });
+    res.status(201).json({ order });
+  }
+
+  placeOrder(order, { takeStock }) {
+    if (takeStock) {
+      order.line_items
+        .filter(item => item.inventory_item_id)
+        .forEach(item => this.adjustAvailable(item.inventory_item_id, this.shop.primary_location_id, -item.quantity));
+    }
+
+    this.orders.set(order.id, order);
+
+    if (order.customer) {
+      const customer = this.customers.get(order.customer.id);
+      customer.orders_count += 1;
+      customer.total_spent = toMoney(parseFloat(customer.total_spent) + parseFloat(order.total_price));
+      customer.updated_at = now();
+    }
+
+    this.emit('orders/create', order);
+  }
+
+  updateOrder(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+
+    // Line items and totals can't be edited through this endpoint
+    const { note, tags, email, shipping_address: shippingAddress } = req.body.order || {};
+    Object.entries({ note, tags, email, shipping_address: shippingAddress })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => { order[key] = value; });
+    order.updated_at = now();
+
+    this.emit('orders/updated', order);
+    res.json({ order });
+  }
+
+  cancelOrder(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+
+    if (order.cancelled_at) {
+      return res.status(422).json({ errors: { base: ['Order has already been cancelled'] } });
+    }
+
+    const { reason = 'other', restock } = req.body;
+    order.cancelled_at = now();
+    order.cancel_reason = reason;
+    order.closed_at = order.cancelled_at;
+    order.updated_at = order.cancelled_at;
+    if (order.financial_status === 'paid') order.financial_status = 'refunded';
+    if (order.financial_status === 'pending') order.financial_status = 'voided';
+
+    if (restock) {
+      order.line_items
+        .filter(item => item.inventory_item_id)
+        .forEach(item => this.adjustAvailable(item.inventory_item_id, this.shop.primary_location_id, item.quantity));
+    }
+
+    this.emit('orders/cancelled', order);
+    this.emit('orders/updated', order);
+    res.json({ order });
+  }
+
+  // ===== REFUNDS =====
+
+  listRefunds(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+    this.list(req, res, 'refunds', () => true, order.refunds);
+  }
+
+  calculateRefund(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+
+    try {
+      const { refundLineItems, shipping, amount } = this.priceRefund(order, req.body.refund || {});
+      const remaining = this.refundable(order);
+
+      // Unpaid orders have nothing to give back, only stock to restock
+      const transactions = ['paid', 'partially_refunded'].includes(order.financial_status) && amount > 0
+        ? [{
+          order_id: order.id,
+          kind: 'suggested_refund',
+          gateway: 'manual',
+          // The simulator keeps no transactions: refunds point at the order's notional sale
+          parent_id: order.id,
+          amount: toMoney(Math.min(amount, remaining)),
+          maximum_refundable: toMoney(remaining),
+        }]
+        : [];
+
+      res.json({
+        refund: {
+          shipping,
+          refund_line_items: refundLineItems,
+          transactions,
+          currency: order.currency,
+        },
+      });
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+  }
+
+  createRefund(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+
+    const input = req.body.refund || {};
+
+    let priced;
+    try {
+      priced = this.priceRefund(order, input);
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    const transactions = (input.transactions || []).map(transaction => ({
+      id: this.generateId(),
+      order_id: order.id,
+      kind: 'refund',
+      status: 'success',
+      gateway: transaction.gateway || 'manual',
+      parent_id: transaction.parent_id,
+      amount: toMoney(parseFloat(transaction.amount)),
+      currency: order.currency,
+      created_at: now(),
+    }));
+    const refunded = transactions.reduce((sum, transaction) => sum + parseFloat(transaction.amount), 0);
+    if (refunded > this.refundable(order) + 0.001) {
+      return res.status(422).json({ errors: { base: ['Refund amount is greater than the amount that can be refunded'] } });
+    }
+
+    const refund = {
+      id: this.generateId(),
+      order_id: order.id,
+      note: input.note || null,
+      restock: priced.refundLineItems.some(item => item.restock_type !== 'no_restock'),
+      refund_line_items: priced.refundLineItems.map(item => ({ id: this.generateId(), ...item })),
+      transactions,
+      order_adjustments: parseFloat(priced.shipping.amount) > 0
+        ? [{
+          id: this.generateId(),
+          order_id: order.id,
+          kind: 'shipping_refund',
+          reason: 'Shipping refund',
+          amount: toMoney(-parseFloat(priced.shipping.amount)),
+          tax_amount: toMoney(-parseFloat(priced.shipping.tax)),
+        }]
+        : [],
+      created_at: now(),
+    };
+
+    refund.refund_line_items.forEach(item => {
+      const lineItem = order.line_items.find(li => li.id === item.line_item_id);
+      if (item.restock_type === 'cancel') lineItem.fulfillable_quantity -= item.quantity;
+      if (item.restock_type !== 'no_restock' && lineItem.inventory_item_id) {
+        this.adjustAvailable(lineItem.inventory_item_id, item.location_id, item.quantity);
+      }
+    });
+
+    order.refunds.push(refund);
+    if (refunded > 0) {
+      order.financial_status = this.refundable(order) <= 0.001 ? 'refunded' : 'partially_refunded';
+    }
+    order.updated_at = now();
+
+    this.emit('refunds/create', refund);
+    this.emit('orders/updated', order);
+    res.status(201).json({ refund });
+  }
+
+  /**
+   * Work out what refunding some line items (and shipping) is worth: items at
+   * their price less their share of order discounts, plus the order's tax
+   * rate. Throws a SimulatorError for requests Shopify would reject.
+   */
+  priceRefund(order, input) {
+    const gross = order.line_items.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+    const discountRate = gross > 0 ? parseFloat(order.subtotal_price) / gross : 1;
+    const orderShipping = parseFloat(order.total_shipping_price_set.shop_money.amount);
+    const taxable = parseFloat(order.subtotal_price) + orderShipping;
+    const taxRate = taxable > 0 ? parseFloat(order.total_tax) / taxable : 0;
+
+    const refundLineItems = (input.refund_line_items || []).map(item => {
+      const lineItem = order.line_items.find(li => li.id === Number(item.line_item_id));
+      if (!lineItem) {
+        throw new SimulatorError(422, { refund_line_items: [`line item ${item.line_item_id} does not exist`] });
+      }
+
+      const quantity = parseInt(item.quantity);
+      const refundedQuantity = order.refunds
+        .flatMap(refund => refund.refund_line_items)
+        .filter(refunded => refunded.line_item_id === lineItem.id)
+        .reduce((sum, refunded) => sum + refunded.quantity, 0);
+      if (!(quantity >= 1) || quantity > lineItem.quantity - refundedQuantity) {
+        throw new SimulatorError(422, { refund_line_items: [`quantity for line item ${lineItem.id} cannot be refunded`] });
+      }
+
+      const restockType = item.restock_type || 'no_restock';
+      if (!['no_restock', 'cancel', 'return'].includes(restockType)) {
+        throw new SimulatorError(422, { refund_line_items: [`restock_type ${restockType} is not valid`] });
+      }
+      if (restockType === 'cancel' && quantity > lineItem.fulfillable_quantity) {
+        throw new SimulatorError(422, { refund_line_items: ['cannot cancel items that have been fulfilled'] });
+      }
+
+      const subtotal = parseFloat(lineItem.price) * quantity * discountRate;
+      return {
+        line_item_id: lineItem.id,
+        quantity,
+        restock_type: restockType,
+        location_id: restockType === 'no_restock' ? null : Number(item.location_id || this.shop.primary_location_id),
+        subtotal: toMoney(subtotal),
+        total_tax: toMoney(subtotal * taxRate),
+        line_item: { ...lineItem },
+      };
+    });
+
+    const shippingRefunded = order.refunds
+      .flatMap(refund => refund.order_adjustments)
+      .filter(adjustment => adjustment.kind === 'shipping_refund')
+      .reduce((sum, adjustment) => sum - parseFloat(adjustment.amount), 0);
+    const maximumShipping = orderShipping - shippingRefunded;
+    const shippingAmount = input.shipping?.full_refund ? maximumShipping : parseFloat(input.shipping?.amount || 0);
+    if (shippingAmount > maximumShipping + 0.001) {
+      throw new SimulatorError(422, { shipping: ['amount is greater than the shipping that can be refunded'] });
+    }
+
+    const shipping = {
+      amount: toMoney(shippingAmount),
+      tax: toMoney(shippingAmount * taxRate),
+      maximum_refundable: toMoney(maximumShipping),
+    };
+    const amount = refundLineItems.reduce((sum, item) => sum + parseFloat(item.subtotal) + parseFloat(item.total_tax), 0)
+      + parseFloat(shipping.amount) + parseFloat(shipping.tax);
+
+    return { refundLineItems, shipping, amount };
+  }
+
+  // What is left to refund of what was paid
+  refundable(order) {
+    const refunded = order.refunds
+      .flatMap(refund => refund.transactions)
+      .reduce((sum, transaction) => sum + parseFloat(transaction.amount), 0);
+    return parseFloat(order.total_price) - refunded;
+  }
+
+  // ===== FULFILLMENTS =====
+
+  /**
+   * The order's fulfillment order: every line item, shipped from the primary
+   * location. Quantities follow the order's line items (fulfillments and
+   * cancelling refunds lower them); only the ids are kept.
+   */
+  fulfillmentOrderFor(order) {
+    if (!this.fulfillmentOrders.has(order.id)) {
+      this.fulfillmentOrders.set(order.id, {
+        id: this.generateId(),
+        lineItemIds: new Map(order.line_items.map(item => [item.id, this.generateId()])),
+      });
+    }
+    const { id, lineItemIds } = this.fulfillmentOrders.get(order.id);
+
+    const lineItems = order.line_items.map(item => ({
+      id: lineItemIds.get(item.id),
+      shop_id: this.shop.id,
+      fulfillment_order_id: id,
+      line_item_id: item.id,
+      inventory_item_id: item.inventory_item_id,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      fulfillable_quantity: item.fulfillable_quantity,
+    }));
+
+    let status = 'open';
+    if (order.cancelled_at) status = 'cancelled';
+    else if (lineItems.every(item => item.fulfillable_quantity === 0)) status = 'closed';
+    else if (order.fulfillments.length) status = 'in_progress';
+
+    return {
+      id,
+      shop_id: this.shop.id,
+      order_id: order.id,
+      assigned_location_id: this.shop.primary_location_id,
+      status,
+      line_items: lineItems,
+    };
+  }
+
+  listFulfillmentOrders(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+    res.json({ fulfillment_orders: [this.fulfillmentOrderFor(order)] });
+  }
+
+  listFulfillments(req, res) {
+    const order = this.orders.get(Number(req.params.id));
+    if (!order) return this.notFound(res);
+    this.list(req, res, 'fulfillments', () => true, order.fulfillments);
+  }
+
+  createFulfillment(req, res) {
+    const input = req.body.fulfillment || {};
+    const requested = input.line_items_by_fulfillment_order || [];
+    if (requested.length !== 1) {
+      return res.status(422).json({ errors: { line_items_by_fulfillment_order: ['must name one fulfillment order'] } });
+    }
+
+    const fulfillmentOrderId = Number(requested[0].fulfillment_order_id);
+    const order = [...this.orders.values()]
+      .find(o => this.fulfillmentOrders.get(o.id)?.id === fulfillmentOrderId);
+    if (!order) return this.notFound(res);
+
+    const fulfillmentOrder = this.fulfillmentOrderFor(order);
+    if (!['open', 'in_progress'].includes(fulfillmentOrder.status)) {
+      return res.status(422).json({ errors: { base: [`Fulfillment order is ${fulfillmentOrder.status}`] } });
+    }
+
+    // No line items means everything left to ship
+    const items = requested[0].fulfillment_order_line_items
+      || fulfillmentOrder.line_items.filter(item => item.fulfillable_quantity > 0)
+        .map(item => ({ id: item.id, quantity: item.fulfillable_quantity }));
+
+    const shipped = [];
+    for (const item of items) {
+      const foLineItem = fulfillmentOrder.line_items.find(li => li.id === Number(item.id));
+      const quantity = parseInt(item.quantity);
+      if (!foLineItem || !(quantity >= 1) || quantity > foLineItem.fulfillable_quantity) {
+        return res.status(422).json({ errors: { fulfillment_order_line_items: [`invalid quantity for line item ${item.id}`] } });
+      }
+      shipped.push({ lineItem: order.line_items.find(li => li.id === foLineItem.line_item_id), quantity });
+    }
+
+    shipped.forEach(({ lineItem, quantity }) => { lineItem.fulfillable_quantity -= quantity; });
+
+    const fulfillment = this.buildFulfillment(order, shipped, { ...input, location_id: fulfillmentOrder.assigned_location_id });
+    order.fulfillments.push(fulfillment);
+    order.fulfillment_status = order.line_items.every(item => item.fulfillable_quantity === 0) ? 'fulfilled' : 'partial';
+    order.updated_at = now();
+
+    this.emit('fulfillments/create', fulfillment);
+    this.emit('orders/updated', order);
+    res.status(201).json({ fulfillment });
+  }
+
+  buildFulfillment(order, shipped, input) {
+    return {
+      id: this.generateId(),
+      order_id: order.id,
+      name: `${order.name}.${order.fulfillments.length + 1}`,
+      status: 'success',
+      service: 'manual',
+      shipment_status: null,
+      location_id: input.location_id,
+      tracking_company: input.tracking_info?.company || null,
+      tracking_number: input.tracking_info?.number || null,
+      tracking_numbers: input.tracking_info?.number ? [input.tracking_info.number] : [],
+      tracking_url: input.tracking_info?.url || null,
+      tracking_urls: input.tracking_info?.url ? [input.tracking_info.url] : [],
+      line_items: shipped.map(({ lineItem, quantity }) => ({ ...lineItem, quantity })),
+      created_at: now(),
+      updated_at: now(),
+    };
+  }
+
+  // ===== DRAFT ORDERS =====
+
+  /**
+   * Build (or rebuild, on update) a draft with its totals: catalog items at
+   * their variant price, an order-level discount, a shipping line and HST.
+   * Throws a SimulatorError for payloads Shopify would reject.
+   */
+  priceDraftOrder(draft, input) {
+    if (input.line_items) {
+      if (!input.line_items.length) {
+        throw new SimulatorError(422, { line_items: ['must have at least one line item'] });
+      }
+      // Shopify prices catalog items itself
+      draft.line_items = this.buildLineItems(input.line_items.map(item => (item.variant_id ? { ...item, price: undefined } : item)))
+        .map(({ inventory_item_id: inventoryItemId, ...item }) => ({ ...item, applied_discount: null }));
+    }
+
+    if (input.customer?.id) {
+      const customer = this.customers.get(Number(input.customer.id));
+      if (!customer) throw new SimulatorError(422, { customer: ['does not exist'] });
+      draft.customer = { ...customer };
+      draft.email = draft.email || customer.email;
+      if (input.use_customer_default_address && customer.default_address) {
+        draft.shipping_address = { ...customer.default_address };
+      }
+    }
+
+    ['email', 'shipping_address', 'billing_address', 'note', 'tags', 'applied_discount', 'shipping_line']
+      .filter(key => input[key] !== undefined)
+      .forEach(key => { draft[key] = input[key]; });
+
+    const lineTotal = draft.line_items.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+
+    let discount = 0;
+    if (draft.applied_discount) {
+      const value = parseFloat(draft.applied_discount.value) || 0;
+      discount = draft.applied_discount.value_type === 'percentage' ? lineTotal * value / 100 : Math.min(value, lineTotal);
+      draft.applied_discount = { ...draft.applied_discount, amount: toMoney(discount) };
+    }
+
+    const subtotal = lineTotal - discount;
+    const shipping = parseFloat(draft.shipping_line?.price || 0);
+    const tax = draft.tax_exempt ? 0 : (subtotal + shipping) * TAX_LINE.rate;
+
+    Object.assign(draft, {
+      subtotal_price: toMoney(subtotal),
+      total_tax: toMoney(tax),
+      tax_lines: tax ? [{ ...TAX_LINE, price: toMoney(tax) }] : [],
+      total_price: toMoney(subtotal + shipping + tax),
+      updated_at: now(),
+    });
+    return draft;
+  }
+
+  createDraftOrder(req, res) {
+    const input = req.body.draft_order || {};
+    const id = this.generateId();
+    const draft = {
+      id,
+      name: `#D${this.nextDraftNumber}`,
+      status: 'open',
+      email: null,
+      customer: null,
+      line_items: [],
+      shipping_address: null,
+      billing_address: null,
+      note: null,
+      tags: '',
+      applied_discount: null,
+      shipping_line: null,
+      taxes_included: false,
+      tax_exempt: false,
+      currency: this.shop.currency,
+      invoice_url: `https://${this.shop.domain}/${this.shop.id}/invoices/${crypto.randomBytes(16).toString('hex')}`,
+      invoice_sent_at: null,
+      order_id: null,
+      completed_at: null,
+      created_at: now(),
+    };
+
+    try {
+      this.priceDraftOrder(draft, input);
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    this.nextDraftNumber++;
+    this.draftOrders.set(id, draft);
+    this.emit('draft_orders/create', draft);
+    res.status(201).json({ draft_order: draft });
+  }
+
+  updateDraftOrder(req, res) {
+    const draft = this.draftOrders.get(Number(req.params.id));
+    if (!draft) return this.notFound(res);
+    if (draft.status === 'completed') {
+      return res.status(422).json({ errors: { base: ['This order has been paid for'] } });
+    }
+
+    try {
+      // Price a copy so a rejected update leaves the draft as it was
+      const { id, ...input } = req.body.draft_order || {};
+      this.draftOrders.set(draft.id, this.priceDraftOrder({ ...draft }, input));
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) throw error;
+      return res.status(error.status).json({ errors: error.errors });
+    }
+
+    const updated = this.draftOrders.get(draft.id);
+    this.emit('draft_orders/update', updated);
+    res.json({ draft_order: updated });
+  }
+
+  sendDraftOrderInvoice(req, res) {
+    const draft = this.draftOrders.get(Number(req.params.id));
+    if (!draft) return this.notFound(res);
+
+    const input = req.body.draft_order_invoice || {};
+    const to = input.to || draft.email;
+    if (!to) {
+      return res.status(422).json({ errors: { to: ["can't be blank"] } });
+    }
+
+    draft.status = 'invoice_sent';
+    draft.invoice_sent_at = now();
+    draft.updated_at = draft.invoice_sent_at;
+
+    res.json({
+      draft_order_invoice: {
+        to,
+        from: this.shop.email,
+        subject: input.subject || `Invoice ${draft.name}`,
+        custom_message: input.custom_message || '',
+        bcc: [],
+      },
+    });
+  }
+
+  completeDraftOrder(req, res) {
+    const draft = this.draftOrders.get(Number(req.params.id));
+    if (!draft) return this.notFound(res);
+    if (draft.status === 'completed') {
+      return res.status(422).json({ errors: { base: ['This order has been paid for'] } });
+    }
+
+    const order = this.buildOrder({
+      customer: draft.customer,
+      email: draft.email,
+      line_items: draft.line_items.map(item => ({
+        variant_id: item.variant_id,
+        title: item.title,
+        price: item.price,
+        sku: item.sku,
+        quantity: item.quantity,
+      })),
+      financial_status: req.query.payment_pending === 'true' ? 'pending' : 'paid',
+      shipping_address: draft.shipping_address,
+      billing_address: draft.billing_address,
+      note: draft.note,
+      tags: draft.tags,
+    });
+
+    Object.assign(order, {
+      subtotal_price: draft.subtotal_price,
+      total_discounts: draft.applied_discount?.amount || '0.00',
+      total_tax: draft.total_tax,
+      tax_lines: draft.tax_lines,
+      total_shipping_price_set: { shop_money: { amount: toMoney(parseFloat(draft.shipping_line?.price || 0)), currency_code: this.shop.currency } },
+      total_price: draft.total_price,
+      source_name: 'shopify_draft_order',
+    });
+
+    // Draft orders reserve no stock; completing one takes it like any order
+    this.placeOrder(order, { takeStock: true });
+
+    Object.assign(draft, { status: 'completed', order_id: order.id, completed_at: now(), updated_at: now() });
+    this.emit('draft_orders/update', draft);
+    res.json({ draft_order: draft });
+  }
+
+  deleteDraftOrder(req, res) {
+    const id = Number(req.params.id);
+    const draft = this.draftOrders.get(id);
+    if (!draft) return this.notFound(res);
+    if (draft.status === 'completed') {
+      return res.status(422).json({ errors: { base: ['Completed draft orders cannot be deleted'] } });
+    }
+
+    this.draftOrders.delete(id);
+    this.emit('draft_orders/delete', { id });
+    res.json({});
+  }
+
+  // ===== INVENTORY =====
+
+  listInventoryLevels(req, res) {
+    const itemIds = req.query.inventory_item_ids?.split(',').map(Number);
+    const locationIds = req.query.location_ids?.split(',').map(Number);
+
+    if (!itemIds && !locationIds) {
+      return res.status(422).json({ errors: { base: ['inventory_item_ids or location_ids is required'] } });
+    }
+
+    res.json({
+      inventory_levels: this.inventoryLevels.filter(level =>
+        (!itemIds || itemIds.includes(level.inventory_item_id))
+        && (!locationIds || locationIds.includes(level.location_id))),
+    });
+  }
+
+  setInventoryLevel(req, res, relative) {
+    const inventoryItemId = Number(req.body.inventory_item_id);
+    const locationId = Number(req.body.location_id);
+    const amount = Number(relative ? req.body.available_adjustment : req.body.available);
+
+    if (!this.findVariant(inventoryItemId)) return this.notFound(res);
+    if (!this.locations.some(location => location.id === locationId)) return this.notFound(res);
+    if (!Number.isInteger(amount)) {
+      return res.status(422).json({ errors: { [relative ? 'available_adjustment' : 'available']: ['must be an integer'] } });
+    }
+
+    const level = relative
+      ? this.adjustAvailable(inventoryItemId, locationId, amount)
+      : this.adjustAvailable(inventoryItemId, locationId, amount - this.available(inventoryItemId, locationId));
+
+    res.json({ inventory_level: level });
+  }
+
+  available(inventoryItemId, locationId) {
+    const level = this.inventoryLevels.find(l => l.inventory_item_id === inventoryItemId && l.location_id === locationId);
+    return level ? level.available : 0;
+  }
+
+  // Change stock at a location and let subscribers know, as Shopify does
+  adjustAvailable(inventoryItemId, locationId, delta) {
+    let level = this.inventoryLevels.find(l => l.inventory_item_id === inventoryItemId && l.location_id === locationId);
+    if (!level) {
+      level = { inventory_item_id: inventoryItemId, location_id: locationId, available: 0 };
+      this.inventoryLevels.push(level);
+    }
+
+    level.available += delta;
+    level.updated_at = now();
+
+    const product = this.findVariant(inventoryItemId)?.product;
+    if (product) {
+      this.refreshInventoryQuantities(product);
+      product.updated_at = now();
+      this.emit('inventory_levels/update', level);
+      this.emit('products/update', product);
+    }
+
+    return level;
+  }
+
+  findVariant(inventoryItemId) {
+    for (const product of this.products.values()) {
+      const variant = product.variants.find(v => v.inventory_item_id === inventoryItemId);
+      if (variant) return { product, variant };
+    }
+    return null;
+  }
+
+  // variant.inventory_quantity is the total across locations
+  refreshInventoryQuantities(product) {
+    product.variants.forEach(variant => {
+      variant.inventory_quantity = this.inventoryLevels
+        .filter(level => level.inventory_item_id === variant.inventory_item_id)
+        .reduce((sum, level) => sum + level.available, 0);
+    });
+  }
+
+  // ===== WEBHOOKS =====
+
+  createWebhook(req, res) {
+    const { topic, address, format = 'json' } = req.body.webhook || {};
+
+    if (!topic || !address) {
+      return res.status(422).json({ errors: { topic: ["can't be blank"], address: ["can't be blank"] } });
+    }
+    if ([...this.webhooks.values()].some(webhook => webhook.topic === topic && webhook.address === address)) {
+      return res.status(422).json({ errors: { address: ['for this topic has already been taken'] } });
+    }
+
+    const webhook = {
+      id: this.generateId(),
+      topic,
+      address,
+      format,
+      api_version: API_VERSION,
+      created_at: now(),
+      updated_at: now(),
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    res.status(201).json({ webhook });
+  }
+
+  /**
+   * Send a webhook to every subscription for the topic, plus webhookUrl
+   * Deliveries are fire-and-forget; each attempt is recorded in `deliveries`.
+   */
+  emit(topic, payload) {
+    const addresses = new Set([...this.webhooks.values()]
+      .filter(webhook => webhook.topic === topic)
+      .map(webhook => webhook.address));
+    if (this.webhookUrl) addresses.add(this.webhookUrl);
+
+    addresses.forEach(address => {
+      const delivery = this.deliver(address, topic, payload);
+      this.pending.add(delivery);
+      delivery.finally(() => this.pending.delete(delivery));
+    });
+  }
+
+  async deliver(address, topic, payload) {
+    const body = JSON.stringify(payload);
+    const record = { topic, address, payload, status: null, error: null };
+    this.deliveries.push(record);
+
+    if (!this.webhookSecret) {
+      record.error = 'No webhook secret configured (SHOPIFY_WEBHOOK_SECRET or SHOPIFY_API_SECRET)';
+      console.warn(`⚠️  Simulator webhook ${topic} not sent: ${record.error}`);
+      return;
+    }
+
+    const hmac = crypto.createHmac('sha256', this.webhookSecret).update(body, 'utf8').digest('base64');
+
+    try {
+      const response = await fetch(address, {
+        method: 'POST',
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Topic': topic,
+          'X-Shopify-Hmac-Sha256': hmac,
+          'X-Shopify-Shop-Domain': this.shop.myshopify_domain,
+          'X-Shopify-API-Version': API_VERSION,
+          'X-Shopify-Webhook-Id': crypto.randomUUID(),
+        },
+      });
+      record.status = response.status;
+    } catch (error) {
+      record.error = error.message;
+      console.warn(`⚠️  Simulator webhook ${topic} to ${address} failed: ${error.message}`);
+    }
+  }
+
+  generateId() {
+    return this.nextId++;
+  }
+}
+
+module.exports = ShopifySimulator;
+
+// ===== CLI =====
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = process.env.SHOPIFY_SIMULATOR_PORT || 4000;
+  const simulator = new ShopifySimulator({
+    webhookUrl: process.env.SHOPIFY_SIMULATOR_WEBHOOK_URL
+      || `http://localhost:${process.env.PORT || 3000}/api/shopify/webhook`,
+  });
+
+  simulator.listen(port).then(() => {
+    console.log('');
+    console.log('🧪 Shopify simulator running');
+    console.log('=====================================');
+    console.log(`📡 Admin API:  http://localhost:${port}/admin/api/${API_VERSION}`);
+    console.log(`📥 Webhooks:   ${simulator.webhookUrl}`);
+    console.log('');
+    console.log(`Point the backend at it with SHOPIFY_BASE_URL=http://localhost:${port}`);
+    console.log('');
+  });
+}
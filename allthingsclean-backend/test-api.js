@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 // test-api.js - Test script for AllThingsClean Backend API
+//
+// Usage: API_TOKEN=<admin access token> node test-api.js [baseUrl]
+// Shopify, customer, order and stats endpoints need an admin token
+// (from an admin with two-factor authentication turned on).
 
 const BASE_URL = process.argv[2] || 'http://localhost:3000';
+const API_TOKEN = process.env.API_TOKEN; // Session token for protected endpoints
 
 console.log('🧪 Testing AllThingsClean API');
 console.log('📡 Base URL:', BASE_URL);
@@ -23,6 +28,7 @@ async function testEndpoint(name, endpoint, options = {}) {
       method: options.method || 'GET',
       headers: {
         'Content-Type': 'application/json',
+        ...(API_TOKEN && { Authorization: `Bearer ${API_TOKEN}` }),
         ...options.headers,
       },
       body: options.body ? JSON.stringify(options.body) : undefined,
@@ -0,0 +1,1008 @@
+#!/usr/bin/env node
+// test-auth.js - Tests for sign-in, tokens, sessions and account security
+//
+// Usage: node test-auth.js   (or npm test)
+// No database is needed: the models' queries are swapped for in-memory
+// collections that understand the operators the services use.
+
+// Settings the services read when they load
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const Session = require('./models/Session');
+const AuthToken = require('./models/AuthToken');
+const LoginAttempt = require('./models/LoginAttempt');
+const Customer = require('./models/Customer');
+const Order = require('./models/Order');
+const loginThrottle = require('./services/loginThrottle');
+const tokenService = require('./services/tokens');
+const totpService = require('./services/totp');
+const { base32Encode } = require('./services/totp');
+const mailer = require('./services/mailer');
+const { requirePermission } = require('./middleware/auth');
+const shopifyService = require('./services/shopify');
+const customerLink = require('./services/customerLink');
+
+// ===== IN-MEMORY MODELS =====
+
+// Stored documents are copied in and out, like a database round trip
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] == null) object[key] = {};
+    return object[key];
+  }, doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a?._bsontype === 'ObjectId' || b?._bsontype === 'ObjectId') return a != null && b != null && String(a) === String(b);
+  // null also matches a missing field
+  return a === b || (a == null && b == null);
+}
+
+// { $gt: 1 } rather than a value to compare with
+function isOperators(condition) {
+  return !!condition && typeof condition === 'object' && !(condition instanceof Date)
+    && condition._bsontype === undefined && Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+  if (!isOperators(condition)) {
+    return Array.isArray(value) ? value.some(item => same(item, condition)) : same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt': return value != null && value > operand;
+      case '$gte': return value != null && value >= operand;
+      case '$lt': return value != null && value < operand;
+      case '$lte': return value != null && value <= operand;
+      case '$ne': return !same(value, operand);
+      case '$in': return operand.some(item => same(value, item));
+      case '$exists': return (value !== undefined) === operand;
+      case '$mod': return value % operand[0] === operand[1];
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(branch => matches(doc, branch));
+    if (path === '$and') return condition.every(branch => matches(doc, branch));
+    return matchesCondition(getPath(doc, path), condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': setPath(doc, path, undefined); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$min': if (getPath(doc, path) === undefined || value < getPath(doc, path)) setPath(doc, path, clone(value)); break;
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), ...clone(value.$each || [value])]); break;
+        case '$pull': setPath(doc, path, (getPath(doc, path) || []).filter(item => !same(item, value))); break;
+        case '$pullAll': setPath(doc, path, (getPath(doc, path) || []).filter(item => !value.some(pulled => same(item, pulled)))); break;
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+}
+
+function sorted(docs, sort) {
+  if (!sort) return docs;
+  const fields = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const [x, y] = [getPath(a, path), getPath(b, path)];
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Swap a model's MongoDB collection for an in-memory one, so its queries,
+ * saves, middleware and instance methods run as they would against a database.
+ * Every call yields to the event loop first, as a round trip would.
+ * Returns { docs, restore }: docs are the stored (raw) documents.
+ */
+function fakeCollection(Model) {
+  const docs = [];
+  const collection = Model.collection;
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const find = (filter, options = {}) => sorted(docs.filter(doc => matches(doc, filter)), options.sort);
+
+  const upsert = (filter, update) => {
+    const doc = {};
+    for (const [path, value] of Object.entries(filter)) {
+      if (!path.startsWith('$') && !isOperators(value)) setPath(doc, path, clone(value));
+    }
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    docs.push(doc);
+    return doc;
+  };
+
+  const fakes = {
+    async insertOne(doc) {
+      await tick();
+      docs.push(clone(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    async findOne(filter, options) {
+      await tick();
+      return clone(find(filter, options)[0]) || null;
+    },
+    async find(filter, options = {}) {
+      await tick();
+      const found = find(filter, options).slice(options.skip || 0, options.limit ? (options.skip || 0) + options.limit : undefined);
+      return { toArray: async () => found.map(clone) };
+    },
+    async countDocuments(filter) {
+      await tick();
+      return find(filter).length;
+    },
+    async updateOne(filter, update, options = {}) {
+      await tick();
+      const doc = find(filter)[0];
+      if (doc) applyUpdate(doc, update, false);
+      else if (options.upsert) upsert(filter, update);
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    async updateMany(filter, update) {
+      await tick();
+      const found = find(filter);
+      found.forEach(doc => applyUpdate(doc, update, false));
+      return { acknowledged: true, matchedCount: found.length, modifiedCount: found.length };
+    },
+    async findOneAndUpdate(filter, update, options = {}) {
+      await tick();
+      let doc = find(filter, options)[0];
+      const before = clone(doc) || null;
+      if (doc) applyUpdate(doc, update, false);
+      else if (options.upsert) doc = upsert(filter, update);
+      const value = options.returnDocument === 'after' ? clone(doc) || null : before;
+      return options.includeResultMetadata === false ? value : { ok: 1, value };
+    },
+    async deleteOne(filter) {
+      await tick();
+      const index = docs.indexOf(find(filter)[0]);
+      if (index >= 0) docs.splice(index, 1);
+      return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+    },
+    async deleteMany(filter) {
+      await tick();
+      const found = find(filter);
+      found.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+      return { acknowledged: true, deletedCount: found.length };
+    },
+  };
+
+  Object.assign(collection, fakes);
+  return {
+    docs,
+    restore: () => Object.keys(fakes).forEach(method => delete collection[method]),
+  };
+}
+
+/**
+ * Run the real app on a free port for the length of fn(baseUrl)
+ */
+async function withApp(fn) {
+  const app = require('./server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/api`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function call(method, url, { body, token } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const get = (url, token) => call('GET', url, { token });
+const post = (url, body, token) => call('POST', url, { body, token });
+
+/**
+ * Run fn(db) with every model the auth routes use in memory, and mail
+ * captured in db.mail instead of sent
+ */
+async function withDatabase(fn) {
+  const models = { users: User, sessions: Session, authTokens: AuthToken, loginAttempts: LoginAttempt, customers: Customer, orders: Order };
+  const collections = Object.entries(models).map(([name, Model]) => [name, fakeCollection(Model)]);
+  const mail = [];
+  const { transport } = mailer;
+  mailer.setTransport({ name: 'test', send: async message => mail.push(message) });
+
+  try {
+    await fn({ ...Object.fromEntries(collections.map(([name, { docs }]) => [name, docs])), mail });
+  } finally {
+    collections.forEach(([, collection]) => collection.restore());
+    mailer.setTransport(transport);
+  }
+}
+
+// A verified customer account, saved through the model so its password is hashed
+function createUser(fields = {}) {
+  return new User({
+    name: 'Test Customer',
+    email: 'customer@example.com',
+    password: 'correct horse',
+    emailVerified: true,
+    ...fields,
+  }).save();
+}
+
+// The token in the last emailed link
+function mailedToken(mail) {
+  return mail[mail.length - 1].text.match(/token=([\w-]+)/)[1];
+}
+
+// ===== TEST RUNNER =====
+
+const tests = [];
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// ===== ACCESS TOKENS =====
+
+test('access tokens verify, and tampered, expired or foreign tokens are refused', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const session = { _id: new mongoose.Types.ObjectId() };
+  const { token, expiresAt } = tokenService.signAccessToken(user, session, 'token-1');
+
+  const payload = tokenService.verify(token);
+  assert.deepStrictEqual([payload.sub, payload.sid, payload.jti], [String(user._id), String(session._id), 'token-1']);
+  assert.ok(expiresAt - Date.now() > 14 * 60 * 1000 && expiresAt - Date.now() <= 15 * 60 * 1000);
+
+  const [header, body] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...payload, sub: 'someone-else' })).toString('base64url');
+  assert.throws(() => tokenService.verify(`${header}.${forged}.${token.split('.')[2]}`), { name: 'JsonWebTokenError' });
+  assert.throws(() => tokenService.verify(`${header}.${body}.${'x'.repeat(43)}`), { name: 'JsonWebTokenError' });
+
+  const expired = jwt.sign({ sub: payload.sub }, process.env.JWT_SECRET, { issuer: 'allthingsclean-api', expiresIn: -1 });
+  assert.throws(() => tokenService.verify(expired), { name: 'TokenExpiredError' });
+
+  const otherIssuer = jwt.sign({ sub: payload.sub }, process.env.JWT_SECRET, { issuer: 'someone-else' });
+  assert.throws(() => tokenService.verify(otherIssuer), { name: 'JsonWebTokenError' });
+  assert.throws(() => jwt.verify(token, 'another-secret'), { name: 'JsonWebTokenError' });
+});
+
+test('requireAuth admits live sessions and refuses expired tokens and revoked sessions', () => withDatabase(async () => {
+  const user = await createUser();
+
+  await withApp(async api => {
+    const signIn = await post(`${api}/auth/signin`, { email: user.email, password: 'correct horse' });
+    assert.strictEqual(signIn.status, 200);
+    const { token } = signIn.body;
+
+    const profile = await get(`${api}/auth/profile`, token);
+    assert.strictEqual(profile.status, 200);
+    assert.strictEqual(profile.body.user.email, user.email);
+
+    assert.strictEqual((await get(`${api}/auth/profile`)).status, 401);
+    assert.strictEqual((await get(`${api}/auth/profile`, 'not-a-token')).body.code, 'TOKEN_INVALID');
+
+    // Right session and token id, but past its expiry
+    const { sid, jti } = tokenService.verify(token);
+    const expired = jwt.sign({ sub: String(user._id), sid }, process.env.JWT_SECRET,
+      { issuer: 'allthingsclean-api', jwtid: jti, expiresIn: -1 });
+    const afterExpiry = await get(`${api}/auth/profile`, expired);
+    assert.deepStrictEqual([afterExpiry.status, afterExpiry.body.code], [401, 'TOKEN_EXPIRED']);
+
+    // The password step's challenge token is no access token
+    const challenge = tokenService.signTwoFactorChallenge(user).token;
+    assert.strictEqual((await get(`${api}/auth/profile`, challenge)).body.code, 'SESSION_REVOKED');
+
+    assert.strictEqual((await post(`${api}/auth/signout`, {}, token)).status, 200);
+    const afterSignOut = await get(`${api}/auth/profile`, token);
+    assert.deepStrictEqual([afterSignOut.status, afterSignOut.body.code], [401, 'SESSION_REVOKED']);
+  });
+}));
+
+// ===== SESSIONS =====
+
+test('refreshing rotates both tokens, and replaying a used refresh token ends the session', () => withDatabase(async db => {
+  const user = await createUser();
+
+  await withApp(async api => {
+    const signIn = { email: user.email, password: 'correct horse' };
+    const phone = (await post(`${api}/auth/signin`, signIn)).body;
+    const tablet = (await post(`${api}/auth/signin`, signIn)).body;
+
+    const rotated = await post(`${api}/auth/refresh`, { refreshToken: phone.refreshToken });
+    assert.strictEqual(rotated.status, 200);
+    assert.notStrictEqual(rotated.body.refreshToken, phone.refreshToken);
+    assert.strictEqual((await get(`${api}/auth/profile`, rotated.body.token)).status, 200);
+    assert.strictEqual((await get(`${api}/auth/profile`, phone.token)).body.code, 'SESSION_REVOKED', 'the old access token is superseded');
+
+    // The old refresh token turning up again means it leaked
+    const replayed = await post(`${api}/auth/refresh`, { refreshToken: phone.refreshToken });
+    assert.strictEqual(replayed.status, 401);
+    const phoneSession = db.sessions.find(doc => String(doc._id) === tokenService.verify(phone.token).sid);
+    assert.strictEqual(phoneSession.revokedReason, 'refresh_token_reuse');
+
+    // Neither the thief's nor the owner's latest tokens work any more
+    assert.strictEqual((await post(`${api}/auth/refresh`, { refreshToken: rotated.body.refreshToken })).status, 401);
+    assert.strictEqual((await get(`${api}/auth/profile`, rotated.body.token)).body.code, 'SESSION_REVOKED');
+
+    // Other devices stay signed in
+    assert.strictEqual((await get(`${api}/auth/profile`, tablet.token)).status, 200);
+    assert.strictEqual((await post(`${api}/auth/refresh`, { refreshToken: tablet.refreshToken })).status, 200);
+
+    assert.strictEqual((await post(`${api}/auth/refresh`, { refreshToken: 'made-up' })).status, 401);
+    assert.strictEqual((await post(`${api}/auth/refresh`, {})).status, 400);
+  });
+}));
+
+// ===== PASSWORDS =====
+
+test('passwords are stored as salted scrypt hashes', () => withDatabase(async db => {
+  const user = await createUser();
+  const other = await createUser({ email: 'other@example.com' });
+  const stored = email => db.users.find(doc => doc.email === email).password;
+
+  assert.match(stored(user.email), /^scrypt\$16384\$8\$1\$[\w+/=]+\$[\w+/=]+$/);
+  assert.notStrictEqual(stored(user.email), stored(other.email), 'the same password must hash differently');
+  assert.strictEqual(await user.comparePassword('correct horse'), true);
+  assert.strictEqual(await user.comparePassword('correct horsE'), false);
+  assert.strictEqual(await user.comparePassword(''), false);
+  assert.strictEqual(user.needsPasswordRehash(), false);
+
+  // Saving other changes keeps the hash; a new password gets a new one
+  const hash = stored(user.email);
+  user.phone = '555-0100';
+  await user.save();
+  assert.strictEqual(stored(user.email), hash);
+  user.password = 'battery staple';
+  await user.save();
+  assert.notStrictEqual(stored(user.email), hash);
+  assert.strictEqual(await (await User.findById(user._id)).comparePassword('battery staple'), true);
+}));
+
+test('plaintext passwords from before hashing still sign in, and are hashed on the way', () => withDatabase(async db => {
+  const id = new mongoose.Types.ObjectId();
+  db.users.push({ _id: id, name: 'Old Customer', email: 'old@example.com', password: 'legacy-pass', emailVerified: true });
+  assert.strictEqual((await User.findById(id)).needsPasswordRehash(), true);
+
+  await withApp(async api => {
+    const wrong = await post(`${api}/auth/signin`, { email: 'old@example.com', password: 'legacy-pas' });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(db.users[0].password, 'legacy-pass');
+
+    const right = await post(`${api}/auth/signin`, { email: 'old@example.com', password: 'legacy-pass' });
+    assert.strictEqual(right.status, 200);
+    assert.match(db.users[0].password, /^scrypt\$/);
+
+    const again = await post(`${api}/auth/signin`, { email: 'old@example.com', password: 'legacy-pass' });
+    assert.strictEqual(again.status, 200);
+  });
+}));
+
+test('passwords that look like hashes are hashed, and bad stored hashes just fail to match', () => withDatabase(async db => {
+  const lookalikes = ['scrypt$hunter2', 'scrypt$16384$8$1$c2FsdA==$aGFzaA=='];
+  for (const password of lookalikes) {
+    await createUser({ email: `${lookalikes.indexOf(password)}@example.com`, password });
+  }
+  db.users.push({ _id: new mongoose.Types.ObjectId(), name: 'Broken', email: 'broken@example.com', password: 'scrypt$1$1$1$c2FsdA==$aGFzaA==', emailVerified: true });
+
+  await withApp(async api => {
+    for (const password of lookalikes) {
+      const email = `${lookalikes.indexOf(password)}@example.com`;
+      assert.notStrictEqual(db.users.find(doc => doc.email === email).password, password);
+      assert.strictEqual((await post(`${api}/auth/signin`, { email, password })).status, 200);
+    }
+
+    assert.strictEqual((await post(`${api}/auth/signin`, { email: 'broken@example.com', password: 'aGFzaA==' })).status, 401);
+  });
+}));
+
+// ===== EMAIL VERIFICATION =====
+
+test('a verification link confirms the address once, and only until it expires', () => withDatabase(async db => {
+  await withApp(async api => {
+    const signUp = await post(`${api}/auth/signup`, { name: 'New Customer', email: 'new@example.com', password: 'correct horse' });
+    assert.strictEqual(signUp.status, 201);
+    assert.strictEqual(signUp.body.user.emailVerified, false);
+    const token = mailedToken(db.mail);
+
+    const verified = await post(`${api}/auth/verify-email`, { token });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.user.emailVerified, true);
+    assert.strictEqual(db.users[0].emailVerified, true);
+    assert.strictEqual((await post(`${api}/auth/verify-email`, { token })).status, 400);
+
+    // A second account, whose link runs out before it's opened
+    await post(`${api}/auth/signup`, { name: 'Late Customer', email: 'late@example.com', password: 'correct horse' });
+    db.authTokens.find(doc => !doc.usedAt).expiresAt = new Date(Date.now() - 1000);
+    assert.strictEqual((await post(`${api}/auth/verify-email`, { token: mailedToken(db.mail) })).status, 400);
+    assert.strictEqual(db.users[1].emailVerified, false);
+  });
+}));
+
+test('verification emails can\'t be resent more than once a minute', () => withDatabase(async db => {
+  await withApp(async api => {
+    const { token } = (await post(`${api}/auth/signup`, { name: 'New Customer', email: 'new@example.com', password: 'correct horse' })).body;
+    assert.strictEqual((await post(`${api}/auth/verify-email/resend`, {}, token)).status, 429);
+
+    db.authTokens[0].createdAt = new Date(Date.now() - 61 * 1000);
+    const first = mailedToken(db.mail);
+    assert.strictEqual((await post(`${api}/auth/verify-email/resend`, {}, token)).status, 200);
+    assert.strictEqual(db.mail.length, 2);
+    assert.strictEqual((await post(`${api}/auth/verify-email`, { token: first })).status, 400, 'a new link replaces the old one');
+    assert.strictEqual((await post(`${api}/auth/verify-email`, { token: mailedToken(db.mail) })).status, 200);
+  });
+}));
+
+// ===== GUESTS =====
+
+test('a guest upgrades into a full account, keeping its record and orders', () => withDatabase(async db => {
+  await createUser({ email: 'taken@example.com' });
+
+  await withApp(async api => {
+    const guest = (await post(`${api}/auth/guest`, {})).body;
+    assert.strictEqual(guest.user.isGuest, true);
+    assert.strictEqual(tokenService.verify(guest.token).guest, true);
+    db.orders.push({ _id: new mongoose.Types.ObjectId(), shopifyId: '9001', customerEmail: guest.user.email });
+
+    const taken = await post(`${api}/auth/guest/upgrade`, { name: 'New', email: 'Taken@example.com', password: 'correct horse' }, guest.token);
+    assert.strictEqual(taken.status, 400);
+
+    const upgraded = await post(`${api}/auth/guest/upgrade`,
+      { name: 'New Customer', email: 'New@Example.com', password: 'correct horse' }, guest.token);
+    assert.strictEqual(upgraded.status, 200);
+    assert.strictEqual(upgraded.body.user.id, guest.user.id);
+    assert.deepStrictEqual([upgraded.body.user.isGuest, upgraded.body.user.email], [false, 'new@example.com']);
+    assert.strictEqual(tokenService.verify(upgraded.body.token).guest, false);
+    assert.strictEqual((await get(`${api}/auth/profile`, guest.token)).body.code, 'SESSION_REVOKED', 'the guest token is replaced');
+
+    const stored = db.users.find(doc => String(doc._id) === guest.user.id);
+    assert.match(stored.password, /^scrypt\$/);
+    assert.strictEqual(db.orders[0].customerEmail, 'new@example.com');
+    assert.strictEqual(db.mail[db.mail.length - 1].to, 'new@example.com');
+    assert.strictEqual(db.users.length, 2);
+
+    assert.strictEqual((await post(`${api}/auth/signin`, { email: 'new@example.com', password: 'correct horse' })).status, 200);
+    const again = await post(`${api}/auth/guest/upgrade`,
+      { name: 'New Customer', email: 'other@example.com', password: 'correct horse' }, upgraded.body.token);
+    assert.strictEqual(again.status, 400);
+  });
+}));
+
+// ===== TWO-FACTOR AUTHENTICATION =====
+
+test('TOTP codes match the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC's 8-digit codes, of which 6-digit codes are the last six
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.strictEqual(totpService.generate(secret, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+  }
+
+  // One step of clock drift either way, and no step twice
+  const time = 1111111111 * 1000;
+  const step = totpService.counterAt(time);
+  assert.strictEqual(totpService.verify(secret, '050471', { time }), step);
+  assert.strictEqual(totpService.verify(secret, '050 471', { time: time + 30 * 1000 }), step);
+  assert.strictEqual(totpService.verify(secret, '050471', { time: time + 60 * 1000 }), null);
+  assert.strictEqual(totpService.verify(secret, '050471', { time, lastUsedCounter: step }), null);
+  assert.strictEqual(totpService.verify(secret, '050472', { time }), null);
+});
+
+test('2FA sign-in takes each authenticator step and backup code only once', () => withDatabase(async db => {
+  const user = await createUser();
+
+  await withApp(async api => {
+    const signIn = () => post(`${api}/auth/signin`, { email: user.email, password: 'correct horse' });
+    const { token } = (await signIn()).body;
+
+    const { secret } = (await post(`${api}/auth/2fa/setup`, {}, token)).body;
+    const enrolCode = totpService.generate(secret);
+    const enabled = await post(`${api}/auth/2fa/enable`, { code: enrolCode }, token);
+    assert.strictEqual(enabled.status, 200);
+    const { backupCodes } = enabled.body;
+    assert.strictEqual(backupCodes.length, 10);
+
+    const challenge = await signIn();
+    assert.strictEqual(challenge.body.twoFactorRequired, true);
+    assert.strictEqual(challenge.body.token, undefined, 'the password alone earns no session');
+    const finish = async code => {
+      // Wrong codes back off sign-in like wrong passwords do; wait that out
+      db.loginAttempts.forEach(doc => { doc.lastFailureAt = new Date(Date.now() - 60 * 60 * 1000); });
+      return post(`${api}/auth/signin/2fa`, { challengeToken: (await signIn()).body.challengeToken, code });
+    };
+
+    assert.strictEqual((await finish(enrolCode)).status, 401, 'the code used to enrol can\'t sign in');
+    assert.strictEqual((await finish('000000')).status, 401);
+
+    const withBackup = await finish(backupCodes[0].toUpperCase());
+    assert.strictEqual(withBackup.status, 200);
+    assert.strictEqual(withBackup.body.backupCodesRemaining, 9);
+    assert.strictEqual((await finish(backupCodes[0])).status, 401);
+
+    const nextCode = totpService.generate(secret, Date.now() + 30 * 1000);
+    assert.strictEqual((await finish(nextCode)).status, 200);
+    assert.strictEqual((await finish(nextCode)).status, 401);
+  });
+}));
+
+test('parallel sign-ins can\'t share one authenticator code or backup code', () => withDatabase(async db => {
+  const secret = totpService.generateSecret();
+  const { codes, hashes } = totpService.generateBackupCodes();
+  const { _id } = await createUser({
+    twoFactor: { enabled: true, secret: totpService.encryptSecret(secret), backupCodes: hashes },
+  });
+  // Each request loads its own copy of the user, then saves it when signing in
+  const signInWith = async code => {
+    const user = await User.findById(_id);
+    const method = await totpService.verifyUserCode(user, code);
+    await user.save();
+    return method;
+  };
+
+  const step = totpService.counterAt();
+  const code = totpService.generateForCounter(secret, step);
+  const withCode = await Promise.all(Array.from({ length: 5 }, () => signInWith(code)));
+  assert.deepStrictEqual(withCode.filter(Boolean), ['totp']);
+
+  const withBackup = await Promise.all(Array.from({ length: 5 }, () => signInWith(codes[0])));
+  assert.deepStrictEqual(withBackup.filter(Boolean), ['backup']);
+
+  // Different backup codes in parallel are each used up, and none come back
+  const different = await Promise.all([signInWith(codes[1]), signInWith(codes[2])]);
+  assert.deepStrictEqual(different, ['backup', 'backup']);
+  assert.strictEqual(db.users[0].twoFactor.backupCodes.length, 7);
+  assert.strictEqual(db.users[0].twoFactor.lastUsedCounter, step);
+}));
+
+// ===== ROLES AND OWNERSHIP =====
+
+test('requirePermission checks the role, and staff permissions need 2FA on', () => {
+  const outcome = (user, permission) => {
+    let result = 'next';
+    const res = {
+      status(code) {
+        result = code;
+        return this;
+      },
+      json(body) {
+        if (body.code) result = `${result} ${body.code}`;
+      },
+    };
+    requirePermission(permission)({ user: user && new User({ name: 'U', email: 'u@example.com', password: 'x', ...user }) }, res, () => {});
+    return result;
+  };
+  const withTwoFactor = { twoFactor: { enabled: true } };
+
+  assert.strictEqual(outcome(null, 'orders:read'), 401);
+  assert.strictEqual(outcome({ role: 'customer' }, 'orders:read'), 403);
+  assert.strictEqual(outcome({ role: 'staff' }, 'orders:read'), '403 TWO_FACTOR_REQUIRED');
+  assert.strictEqual(outcome({ role: 'staff', ...withTwoFactor }, 'orders:read'), 'next');
+  assert.strictEqual(outcome({ role: 'staff', ...withTwoFactor }, 'orders:refund'), 'next');
+  assert.strictEqual(outcome({ role: 'staff', ...withTwoFactor }, 'users:manage'), 403);
+  assert.strictEqual(outcome({ role: 'admin', ...withTwoFactor }, 'users:manage'), 'next');
+  assert.strictEqual(outcome({ role: 'admin' }, 'users:manage'), '403 TWO_FACTOR_REQUIRED');
+});
+
+test('customers only reach their own customer record and orders, once verified', () => withDatabase(async db => {
+  const own = { customer: new mongoose.Types.ObjectId(), order: new mongoose.Types.ObjectId() };
+  const other = { customer: new mongoose.Types.ObjectId(), order: new mongoose.Types.ObjectId() };
+  db.customers.push(
+    { _id: own.customer, shopifyId: '5001', email: 'customer@example.com', firstName: 'Test' },
+    { _id: other.customer, shopifyId: '5002', email: 'other@example.com', firstName: 'Other' }
+  );
+  db.orders.push(
+    { _id: own.order, shopifyId: '9001', customerId: '5001', customerEmail: 'customer@example.com' },
+    { _id: other.order, shopifyId: '9002', customerId: '5002', customerEmail: 'other@example.com' }
+  );
+  await createUser({ shopifyCustomerId: '5001' });
+  await createUser({ email: 'unverified@example.com', shopifyCustomerId: '5002', emailVerified: false });
+
+  await withApp(async api => {
+    const signIn = email => post(`${api}/auth/signin`, { email, password: 'correct horse' }).then(res => res.body.token);
+    const token = await signIn('customer@example.com');
+
+    assert.strictEqual((await get(`${api}/customers/${own.customer}`, token)).body.data.shopifyId, '5001');
+    assert.strictEqual((await get(`${api}/customers/${other.customer}`, token)).status, 404);
+    assert.strictEqual((await get(`${api}/orders/${own.order}`, token)).body.data.shopifyId, '9001');
+    assert.strictEqual((await get(`${api}/orders/${other.order}`, token)).status, 404);
+    assert.strictEqual((await get(`${api}/customers`, token)).status, 403);
+
+    // A link on an unconfirmed address grants nothing
+    const unverified = await signIn('unverified@example.com');
+    assert.strictEqual((await get(`${api}/customers/${other.customer}`, unverified)).status, 404);
+    assert.strictEqual((await get(`${api}/orders/${other.order}`, unverified)).status, 404);
+  });
+}));
+
+test('staff without 2FA get no staff access on routes that check permissions inline', () => withDatabase(async db => {
+  const customer = new mongoose.Types.ObjectId();
+  const order = new mongoose.Types.ObjectId();
+  db.customers.push({ _id: customer, shopifyId: '5001', email: 'customer@example.com', firstName: 'Test' });
+  db.orders.push({ _id: order, shopifyId: '9001', customerId: '5001', customerEmail: 'customer@example.com', status: 'pending' });
+  await createUser({ email: 'staff@example.com', role: 'staff' });
+
+  await withApp(async api => {
+    const { token } = (await post(`${api}/auth/signin`, { email: 'staff@example.com', password: 'correct horse' })).body;
+
+    assert.strictEqual((await get(`${api}/customers/${customer}`, token)).status, 404);
+    assert.strictEqual((await get(`${api}/orders/${order}`, token)).status, 404);
+    assert.strictEqual((await post(`${api}/orders/${order}/cancel`, { reason: 'other' }, token)).status, 404);
+    assert.strictEqual(db.orders[0].status, 'pending');
+
+    // Once 2FA is on, the same account reaches them
+    db.users[0].twoFactor.enabled = true;
+    assert.strictEqual((await get(`${api}/customers/${customer}`, token)).body.data.shopifyId, '5001');
+  });
+}));
+
+test('users are only linked to a Shopify customer with exactly their email', () => withDatabase(async db => {
+  const found = { id: 5002, email: 'Customer@Example.com.evil.test', first_name: 'Other' };
+  const created = [];
+  const originals = {
+    accessToken: shopifyService.accessToken,
+    searchCustomerByEmail: shopifyService.searchCustomerByEmail,
+    createCustomer: shopifyService.createCustomer,
+  };
+  shopifyService.accessToken = 'test-token';
+  shopifyService.searchCustomerByEmail = async () => found;
+  shopifyService.createCustomer = async data => {
+    created.push(data);
+    return { id: 5003, email: data.email, first_name: data.firstName };
+  };
+
+  try {
+    const user = await createUser();
+    assert.strictEqual(await customerLink.linkUser(user), '5003', 'a near miss gets a customer of its own');
+    assert.strictEqual(created[0].email, 'customer@example.com');
+
+    const other = await createUser({ email: 'customer2@example.com' });
+    found.email = 'Customer2@Example.com';
+    assert.strictEqual(await customerLink.linkUser(other), '5002');
+    assert.strictEqual(created.length, 1);
+    assert.deepStrictEqual(db.users.map(doc => doc.shopifyCustomerId), ['5003', '5002']);
+  } finally {
+    Object.assign(shopifyService, originals);
+  }
+}));
+
+// ===== SIGN-IN THROTTLE =====
+
+test('parallel sign-in guesses can\'t get past the free attempts', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  try {
+    const results = await Promise.all(Array.from({ length: 10 }, () => loginThrottle.check('victim@example.com', '10.0.0.1')));
+    const allowed = results.filter(result => result === null).length;
+    assert.strictEqual(allowed, 3);
+    assert.ok(results.filter(Boolean).every(result => result.code === 'TOO_MANY_ATTEMPTS'));
+
+    // Only the attempts let through are counted
+    await Promise.all(Array.from({ length: allowed }, () => loginThrottle.recordFailure('victim@example.com', '10.0.0.1')));
+    const account = attempts.docs.find(doc => doc.key === 'account:victim@example.com');
+    assert.strictEqual(account.failures, 3);
+    assert.strictEqual(account.lockedUntil, undefined);
+  } finally {
+    attempts.restore();
+  }
+});
+
+test('failed sign-ins back off, then lock the account at the threshold', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  const account = () => attempts.docs.find(doc => doc.key === 'account:victim@example.com');
+  // Wait out the back-off by moving the last failures into the past
+  const waitOut = () => attempts.docs.forEach(doc => { doc.lastFailureAt = new Date(Date.now() - 60 * 60 * 1000); });
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual(await loginThrottle.check('victim@example.com', '10.0.0.1'), null);
+      await loginThrottle.recordFailure('victim@example.com', '10.0.0.1');
+    }
+
+    const backOff = await loginThrottle.check('victim@example.com', '10.0.0.1');
+    assert.strictEqual(backOff.status, 429);
+    assert.strictEqual(backOff.retryAfter, 1);
+    assert.strictEqual(account().failures, 3, 'refused attempts are not counted');
+
+    for (let i = 3; i < 10; i++) {
+      waitOut();
+      assert.strictEqual(await loginThrottle.check('victim@example.com', '10.0.0.1'), null);
+      await loginThrottle.recordFailure('victim@example.com', '10.0.0.1');
+    }
+
+    waitOut();
+    const locked = await loginThrottle.check('victim@example.com', '10.0.0.1');
+    assert.strictEqual(locked.status, 423);
+    assert.strictEqual(locked.code, 'ACCOUNT_LOCKED');
+    assert.strictEqual(locked.retryAfter, 30 * 60);
+
+    assert.strictEqual(await loginThrottle.unlock('victim@example.com'), true);
+    assert.strictEqual(await loginThrottle.check('victim@example.com', '10.0.0.1'), null);
+  } finally {
+    attempts.restore();
+  }
+});
+
+test('a successful sign-in clears the account counter and gives the IP its attempt back', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  try {
+    await loginThrottle.check('victim@example.com', '10.0.0.1');
+    await loginThrottle.recordFailure('victim@example.com', '10.0.0.1');
+    await loginThrottle.check('victim@example.com', '10.0.0.1');
+    await loginThrottle.recordSuccess('victim@example.com', '10.0.0.1');
+
+    assert.deepStrictEqual(attempts.docs.map(doc => [doc.key, doc.failures]), [['ip:10.0.0.1', 1]]);
+  } finally {
+    attempts.restore();
+  }
+});
+
+test('throttle keys ignore case and surrounding spaces in the email', async () => {
+  assert.strictEqual(LoginAttempt.keyFor('account', '  Victim@Example.com '), 'account:victim@example.com');
+
+  const attempts = fakeCollection(LoginAttempt);
+  try {
+    await loginThrottle.check('victim@example.com', null);
+    await loginThrottle.recordFailure('victim@example.com', null);
+    await loginThrottle.check(' VICTIM@example.com', null);
+    assert.deepStrictEqual(attempts.docs.map(doc => [doc.key, doc.failures]), [['account:victim@example.com', 2]]);
+  } finally {
+    attempts.restore();
+  }
+});
+
+test('a right password waiting for its second factor doesn\'t hold up the code step', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  try {
+    for (let i = 0; i < 5; i++) {
+      attempts.docs.forEach(doc => { doc.lastFailureAt = new Date(Date.now() - 60 * 60 * 1000); });
+      await loginThrottle.check('victim@example.com', '10.0.0.1');
+      await loginThrottle.recordFailure('victim@example.com', '10.0.0.1');
+    }
+    attempts.docs.forEach(doc => { doc.lastFailureAt = new Date(Date.now() - 60 * 60 * 1000); });
+
+    assert.strictEqual(await loginThrottle.check('victim@example.com', '10.0.0.1'), null);
+    await loginThrottle.release('victim@example.com', '10.0.0.1');
+    assert.deepStrictEqual(attempts.docs.map(doc => doc.failures), [5, 5]);
+
+    // A wrong code still counts, and backs off the next try
+    assert.strictEqual(await loginThrottle.check('victim@example.com', '10.0.0.1'), null);
+    await loginThrottle.recordFailure('victim@example.com', '10.0.0.1');
+    assert.strictEqual((await loginThrottle.check('victim@example.com', '10.0.0.1')).status, 429);
+  } finally {
+    attempts.restore();
+  }
+});
+
+// ===== PASSWORD RESET =====
+
+test('emailed tokens work once, for their purpose, until they expire or are replaced', () => withDatabase(async db => {
+  const user = await createUser();
+  const hour = 60 * 60 * 1000;
+
+  const token = await AuthToken.issue(user, 'password_reset', hour);
+  assert.strictEqual(db.authTokens[0].tokenHash.length, 64, 'only the hash is stored');
+  assert.notStrictEqual(db.authTokens[0].tokenHash, token);
+  assert.strictEqual(await AuthToken.consume(token, 'email_verification'), null);
+  assert.strictEqual(String((await AuthToken.consume(token, 'password_reset')).userId), String(user._id));
+  assert.strictEqual(await AuthToken.consume(token, 'password_reset'), null);
+
+  const expiring = await AuthToken.issue(user, 'magic_link', hour);
+  db.authTokens.find(doc => doc.purpose === 'magic_link').expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(await AuthToken.consume(expiring, 'magic_link'), null);
+
+  const replaced = await AuthToken.issue(user, 'password_reset', hour);
+  const latest = await AuthToken.issue(user, 'password_reset', hour);
+  assert.strictEqual(await AuthToken.consume(replaced, 'password_reset'), null);
+  assert.ok(await AuthToken.consume(latest, 'password_reset'));
+}));
+
+test('a reset link sets the password once and signs out every device', () => withDatabase(async db => {
+  const user = await createUser();
+
+  await withApp(async api => {
+    const signIn = await post(`${api}/auth/signin`, { email: user.email, password: 'correct horse' });
+    await post(`${api}/auth/forgot-password`, { email: user.email });
+    const token = mailedToken(db.mail);
+
+    const reset = await post(`${api}/auth/reset-password`, { token, password: 'battery staple' });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual((await get(`${api}/auth/profile`, signIn.body.token)).body.code, 'SESSION_REVOKED');
+    assert.strictEqual((await post(`${api}/auth/signin`, { email: user.email, password: 'correct horse' })).status, 401);
+    assert.strictEqual((await post(`${api}/auth/signin`, { email: user.email, password: 'battery staple' })).status, 200);
+
+    const reused = await post(`${api}/auth/reset-password`, { token, password: 'stolen link' });
+    assert.strictEqual(reused.status, 400);
+    assert.strictEqual((await post(`${api}/auth/signin`, { email: user.email, password: 'stolen link' })).status, 401);
+
+    // A link past its expiry does nothing
+    db.authTokens.forEach(doc => { doc.createdAt = new Date(Date.now() - 60 * 60 * 1000); });
+    await post(`${api}/auth/forgot-password`, { email: user.email });
+    db.authTokens.find(doc => !doc.usedAt).expiresAt = new Date(Date.now() - 1000);
+    const expired = await post(`${api}/auth/reset-password`, { token: mailedToken(db.mail), password: 'too late' });
+    assert.strictEqual(expired.status, 400);
+  });
+}));
+
+test('one client IP can only ask for so many password resets an hour', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  try {
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual(await loginThrottle.checkResetRequest('10.0.0.1'), null);
+    }
+    const blocked = await loginThrottle.checkResetRequest('10.0.0.1');
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(blocked.retryAfter > 59 * 60);
+    assert.strictEqual(await loginThrottle.checkResetRequest('10.0.0.2'), null);
+
+    // A new window starts once the old one is over
+    attempts.docs[0].expiresAt = new Date(Date.now() - 1000);
+    assert.strictEqual(await loginThrottle.checkResetRequest('10.0.0.1'), null);
+  } finally {
+    attempts.restore();
+  }
+});
+
+test('forgot-password only mails an account once a minute', async () => {
+  const attempts = fakeCollection(LoginAttempt);
+  const user = { _id: 'user-1', email: 'victim@example.com', isGuest: false };
+  const issued = [];
+  const sent = [];
+  const originals = {
+    findByEmail: User.findByEmail,
+    findOne: AuthToken.findOne,
+    issue: AuthToken.issue,
+    sendPasswordReset: mailer.sendPasswordReset,
+  };
+
+  User.findByEmail = async email => (email === user.email ? user : null);
+  AuthToken.findOne = () => ({ sort: async () => issued[issued.length - 1] });
+  AuthToken.issue = async () => {
+    issued.push({ createdAt: new Date() });
+    return `token-${issued.length}`;
+  };
+  mailer.sendPasswordReset = async (to, token) => sent.push(token);
+
+  try {
+    await withApp(async api => {
+      const first = await post(`${api}/auth/forgot-password`, { email: user.email });
+      const second = await post(`${api}/auth/forgot-password`, { email: user.email });
+      assert.strictEqual(first.status, 200);
+      assert.deepStrictEqual(second.body, first.body, 'the answer must not give the cooldown away');
+      assert.deepStrictEqual(sent, ['token-1']);
+
+      issued[0].createdAt = new Date(Date.now() - 61 * 1000);
+      await post(`${api}/auth/forgot-password`, { email: user.email });
+      assert.deepStrictEqual(sent, ['token-1', 'token-2']);
+
+      // Unknown addresses count towards the IP's limit too
+      for (let i = 0; i < 7; i++) {
+        await post(`${api}/auth/forgot-password`, { email: `nobody${i}@example.com` });
+      }
+      const limited = await post(`${api}/auth/forgot-password`, { email: user.email });
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.body.code, 'TOO_MANY_REQUESTS');
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    });
+  } finally {
+    attempts.restore();
+    Object.assign(User, { findByEmail: originals.findByEmail });
+    Object.assign(AuthToken, { findOne: originals.findOne, issue: originals.issue });
+    mailer.sendPasswordReset = originals.sendPasswordReset;
+  }
+});
+
+// ===== MAGIC LINKS =====
+
+test('a magic link signs in once, only until it expires, and is mailed once a minute', () => withDatabase(async db => {
+  await createUser({ emailVerified: false });
+
+  await withApp(async api => {
+    const sent = await post(`${api}/auth/magic-link`, { email: 'customer@example.com' });
+    const again = await post(`${api}/auth/magic-link`, { email: 'customer@example.com' });
+    assert.strictEqual(sent.status, 200);
+    assert.deepStrictEqual(again.body, sent.body, 'the answer must not give the cooldown away');
+    assert.strictEqual(db.mail.length, 1);
+    const token = mailedToken(db.mail);
+
+    const signedIn = await post(`${api}/auth/magic-link/verify`, { token });
+    assert.strictEqual(signedIn.status, 200);
+    assert.ok(signedIn.body.token);
+    assert.strictEqual(signedIn.body.user.emailVerified, true, 'opening the link proves the address');
+    assert.strictEqual((await get(`${api}/auth/profile`, signedIn.body.token)).status, 200);
+    assert.strictEqual((await post(`${api}/auth/magic-link/verify`, { token })).status, 400);
+
+    // A minute on, a new link can be sent; this one runs out before it's opened
+    db.authTokens[0].createdAt = new Date(Date.now() - 61 * 1000);
+    await post(`${api}/auth/magic-link`, { email: 'customer@example.com' });
+    assert.strictEqual(db.mail.length, 2);
+    db.authTokens.find(doc => !doc.usedAt).expiresAt = new Date(Date.now() - 1000);
+    assert.strictEqual((await post(`${api}/auth/magic-link/verify`, { token: mailedToken(db.mail) })).status, 400);
+  });
+}));
+
+// ===== RUN =====
+
+async function run() {
+  // Linking accounts to Shopify customers happens in the background; keep it offline
+  shopifyService.accessToken = null;
+
+  // Keep the output to test results
+  const log = console.log;
+  const logError = console.error;
+  const logWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      log(`❌ ${name}\n   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log = log;
+  console.error = logError;
+  console.warn = logWarn;
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run();
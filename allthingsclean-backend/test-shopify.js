@@ -0,0 +1,1615 @@
+#!/usr/bin/env node
+// test-shopify.js - Tests for ShopifyService against a local stub of the Admin API
+//
+// Usage: node test-shopify.js   (or npm test)
+// No Shopify store or database is needed: requests go to an Express stub
+// that records what it received and answers with canned responses.
+
+const assert = require('assert');
+const express = require('express');
+const shopifyService = require('./services/shopify');
+const { parseLinkHeader, errors } = require('./services/shopify');
+const LeakyBucketScheduler = require('./services/shopifyScheduler');
+const shopifyBulk = require('./services/shopifyBulk');
+const shopifyWebhookHandler = require('./services/shopifyWebhookHandler');
+const ShopifySimulator = require('./simulator/shopifySimulator');
+const shopifySync = require('./services/shopifySync');
+const syncJobs = require('./services/syncJobs');
+const jobQueue = require('./services/jobQueue');
+const { JobCancelledError, JobLockLostError, JOB_CONFIG } = require('./services/jobQueue');
+const { parseCron } = require('./services/cron');
+const reconciliation = require('./services/reconciliation');
+const Collection = require('./models/Collection');
+const Job = require('./models/Job');
+const Product = require('./models/Product');
+const draftOrders = require('./services/draftOrders');
+const { DraftOrderError } = require('./services/draftOrders');
+const refunds = require('./services/refunds');
+const { RefundError } = require('./services/refunds');
+const fulfillments = require('./services/fulfillments');
+const { FulfillmentError } = require('./services/fulfillments');
+
+const API_PREFIX = '/admin/api/2024-01';
+
+// ===== STUB SHOPIFY =====
+
+const received = [];
+const stub = express();
+stub.use(express.json());
+
+stub.use((req, res, next) => {
+  received.push({
+    method: req.method,
+    path: req.path.replace(API_PREFIX, ''),
+    body: req.body,
+    token: req.get('X-Shopify-Access-Token'),
+  });
+  if (stub.locals.callLimit) res.set('X-Shopify-Shop-Api-Call-Limit', stub.locals.callLimit);
+  next();
+});
+
+// Cursor-paginated list endpoints, like the real API: page_info is opaque,
+// and no filters other than limit are allowed alongside it
+const fixtures = {
+  products: Array.from({ length: 5 }, (_, i) => ({ id: 1000 + i, title: `Product ${i + 1}` })),
+  customers: Array.from({ length: 3 }, (_, i) => ({ id: 2000 + i, email: `c${i}@example.com` })),
+  orders: Array.from({ length: 4 }, (_, i) => ({ id: 3000 + i, name: `#${1001 + i}` })),
+};
+
+stub.get(`${API_PREFIX}/:resource(products|customers|orders).json`, (req, res) => {
+  const { resource } = req.params;
+  const { limit = '50', page_info: pageInfo, fields, ...filters } = req.query;
+
+  if (pageInfo && Object.keys(filters).length > 0) {
+    return res.status(400).json({ errors: 'page_info cannot be combined with other filters' });
+  }
+
+  const pageSize = parseInt(limit);
+  const offset = pageInfo ? parseInt(Buffer.from(pageInfo, 'base64url').toString()) : 0;
+  const page = fixtures[resource].slice(offset, offset + pageSize);
+
+  const links = [];
+  const pageUrl = cursor =>
+    `<http://${req.get('host')}${API_PREFIX}/${resource}.json?limit=${pageSize}&page_info=${Buffer.from(String(cursor)).toString('base64url')}>`;
+  if (offset + pageSize < fixtures[resource].length) links.push(`${pageUrl(offset + pageSize)}; rel="next"`);
+  if (offset > 0) links.push(`${pageUrl(Math.max(0, offset - pageSize))}; rel="previous"`);
+  if (links.length) res.set('Link', links.join(', '));
+
+  res.json({ [resource]: page });
+});
+
+stub.get(`${API_PREFIX}/shop.json`, (req, res) => {
+  res.json({ shop: { id: 1, name: 'Stub Shop', primary_location_id: 202 } });
+});
+
+stub.get(`${API_PREFIX}/locations.json`, (req, res) => {
+  res.json({
+    locations: [
+      { id: 201, name: 'Warehouse', active: true },
+      { id: 202, name: 'Main Store', active: true },
+    ],
+  });
+});
+
+stub.post(`${API_PREFIX}/inventory_levels/set.json`, (req, res) => {
+  res.json({ inventory_level: { ...req.body, updated_at: new Date().toISOString() } });
+});
+
+stub.post(`${API_PREFIX}/inventory_levels/adjust.json`, (req, res) => {
+  res.json({
+    inventory_level: {
+      inventory_item_id: req.body.inventory_item_id,
+      location_id: req.body.location_id,
+      available: 10 + req.body.available_adjustment,
+    },
+  });
+});
+
+stub.post(`${API_PREFIX}/customers.json`, (req, res) => {
+  res.status(201).json({ customer: { id: 301, ...req.body.customer } });
+});
+
+stub.put(`${API_PREFIX}/customers/:id.json`, (req, res) => {
+  res.json({ customer: { ...req.body.customer, id: Number(req.params.id) } });
+});
+
+stub.post(`${API_PREFIX}/orders.json`, (req, res) => {
+  res.status(201).json({ order: { id: 401, order_number: 1001, ...req.body.order } });
+});
+
+stub.put(`${API_PREFIX}/orders/:id.json`, (req, res) => {
+  res.json({ order: { ...req.body.order, id: Number(req.params.id) } });
+});
+
+stub.post(`${API_PREFIX}/orders/:id/cancel.json`, (req, res) => {
+  res.json({
+    order: {
+      id: Number(req.params.id),
+      cancel_reason: req.body.reason,
+      cancelled_at: new Date().toISOString(),
+    },
+  });
+});
+
+// Endpoints that fail a set number of times before answering, keyed by name
+const failures = {};
+
+stub.all(`${API_PREFIX}/flaky/:name.json`, (req, res) => {
+  const plan = failures[req.params.name] || [];
+  const next = plan.shift();
+  if (!next) return res.json({ ok: true });
+
+  if (next.retryAfter) res.set('Retry-After', next.retryAfter);
+  res.status(next.status).json({ errors: next.errors || 'Something went wrong' });
+});
+
+// GraphQL: enough of the bulk operation API to run an export, plus a
+// `throttled` query that is throttled once before it answers
+const graphql = { throttles: 0, polls: 0, bulkLines: [] };
+const throttleStatus = { maximumAvailable: 1000, currentlyAvailable: 900, restoreRate: 50 };
+
+stub.post(`${API_PREFIX}/graphql.json`, (req, res) => {
+  const { query, variables } = req.body;
+  const extensions = { cost: { requestedQueryCost: 10, throttleStatus } };
+
+  if (query.includes('throttled')) {
+    if (graphql.throttles-- > 0) {
+      return res.json({
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+        extensions: { cost: { requestedQueryCost: 10, throttleStatus: { ...throttleStatus, currentlyAvailable: 8 } } },
+      });
+    }
+    return res.json({ data: { shop: { name: 'Stub Shop' } }, extensions });
+  }
+
+  if (query.includes('bulkOperationRunQuery')) {
+    graphql.polls = 0;
+    graphql.bulkQuery = variables.query;
+    return res.json({
+      data: {
+        bulkOperationRunQuery: {
+          bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' },
+          userErrors: [],
+        },
+      },
+      extensions,
+    });
+  }
+
+  if (query.includes('BulkOperation')) {
+    const done = ++graphql.polls >= 2;
+    return res.json({
+      data: {
+        node: {
+          id: variables.id,
+          status: done ? 'COMPLETED' : 'RUNNING',
+          objectCount: done ? String(graphql.bulkLines.length) : '0',
+          url: done && graphql.bulkLines.length ? `http://${req.get('host')}/bulk/result.jsonl` : null,
+        },
+      },
+      extensions,
+    });
+  }
+
+  res.json({ errors: [{ message: 'Field \'nope\' doesn\'t exist on type \'QueryRoot\'' }] });
+});
+
+stub.get('/bulk/result.jsonl', (req, res) => {
+  res.type('application/jsonl').send(graphql.bulkLines.map(line => JSON.stringify(line)).join('\n') + '\n');
+});
+
+stub.use((req, res) => {
+  res.status(404).json({ errors: 'Not Found' });
+});
+
+// ===== TEST RUNNER =====
+
+const tests = [];
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function lastRequest() {
+  return received[received.length - 1];
+}
+
+// ===== TESTS =====
+
+test('getLocations returns the location list', async () => {
+  const locations = await shopifyService.getLocations();
+  assert.deepStrictEqual(locations.map(loc => loc.id), [201, 202]);
+  assert.strictEqual(lastRequest().token, 'stub-token');
+});
+
+test('getPrimaryLocation picks the shop\'s primary location and caches it', async () => {
+  const location = await shopifyService.getPrimaryLocation();
+  assert.strictEqual(location.id, 202);
+
+  const count = received.length;
+  await shopifyService.getPrimaryLocation();
+  assert.strictEqual(received.length, count, 'second call should not hit the API');
+});
+
+test('updateInventoryLevel sets the available quantity', async () => {
+  const level = await shopifyService.updateInventoryLevel(555, 202, 12);
+  assert.deepStrictEqual(lastRequest().body, {
+    inventory_item_id: 555,
+    location_id: 202,
+    available: 12,
+  });
+  assert.strictEqual(level.available, 12);
+});
+
+test('adjustInventoryLevel sends a relative adjustment', async () => {
+  const level = await shopifyService.adjustInventoryLevel(555, 202, -3);
+  assert.strictEqual(lastRequest().path, '/inventory_levels/adjust.json');
+  assert.strictEqual(lastRequest().body.available_adjustment, -3);
+  assert.strictEqual(level.available, 7);
+});
+
+test('createCustomer maps camelCase fields and the default address', async () => {
+  const customer = await shopifyService.createCustomer({
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    phone: '+15555550100',
+    tags: ['app', 'vip'],
+    address: { address1: '1 Main St', city: 'Toronto', zip: 'M5V 1A1' },
+  });
+
+  const sent = lastRequest().body.customer;
+  assert.strictEqual(sent.first_name, 'Ada');
+  assert.strictEqual(sent.last_name, 'Lovelace');
+  assert.strictEqual(sent.tags, 'app, vip');
+  assert.deepStrictEqual(sent.addresses, [{
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    address1: '1 Main St',
+    city: 'Toronto',
+    zip: 'M5V 1A1',
+    phone: '+15555550100',
+    default: true,
+  }]);
+  assert.strictEqual(customer.id, 301);
+});
+
+test('updateCustomer only sends the fields given', async () => {
+  await shopifyService.updateCustomer(301, { note: 'Prefers phone calls', phone: null });
+
+  assert.strictEqual(lastRequest().method, 'PUT');
+  assert.strictEqual(lastRequest().path, '/customers/301.json');
+  assert.deepStrictEqual(lastRequest().body, {
+    customer: { id: 301, note: 'Prefers phone calls', phone: null },
+  });
+});
+
+test('createOrder maps items, addresses and status', async () => {
+  const order = await shopifyService.createOrder({
+    customer: { id: '301' },
+    email: 'ada@example.com',
+    items: [
+      { variantId: '9001', quantity: '2' },
+      { title: 'Repair service', price: 49.5, quantity: 1 },
+    ],
+    shippingAddress: { firstName: 'Ada', address1: '1 Main St', countryCode: 'CA' },
+    tags: ['app'],
+    financialStatus: 'pending',
+  });
+
+  const sent = lastRequest().body.order;
+  assert.deepStrictEqual(sent.customer, { id: '301' });
+  assert.deepStrictEqual(sent.line_items, [
+    { variant_id: '9001', quantity: 2 },
+    { title: 'Repair service', price: '49.5', quantity: 1 },
+  ]);
+  assert.deepStrictEqual(sent.shipping_address, {
+    first_name: 'Ada',
+    address1: '1 Main St',
+    country_code: 'CA',
+  });
+  assert.strictEqual(sent.billing_address, undefined);
+  assert.strictEqual(sent.tags, 'app');
+  assert.strictEqual(sent.financial_status, 'pending');
+  assert.strictEqual(sent.inventory_behaviour, 'decrement_obeying_policy');
+  assert.strictEqual(order.id, 401);
+});
+
+test('createOrder leaves out the customer when there is none', async () => {
+  await shopifyService.createOrder({ customer: null, items: [{ variantId: 1, quantity: 1 }] });
+  assert.strictEqual('customer' in lastRequest().body.order, false);
+});
+
+test('updateOrder sends only the editable fields given', async () => {
+  await shopifyService.updateOrder(401, { note: 'Leave at side door', tags: undefined });
+
+  assert.strictEqual(lastRequest().path, '/orders/401.json');
+  assert.deepStrictEqual(lastRequest().body, {
+    order: { id: 401, note: 'Leave at side door' },
+  });
+});
+
+test('cancelOrder posts the reason and falls back to "other"', async () => {
+  const order = await shopifyService.cancelOrder(401, 'customer', { email: true });
+  assert.strictEqual(lastRequest().path, '/orders/401/cancel.json');
+  assert.deepStrictEqual(lastRequest().body, { reason: 'customer', email: true });
+  assert.strictEqual(order.cancel_reason, 'customer');
+
+  await shopifyService.cancelOrder(401, 'changed my mind');
+  assert.deepStrictEqual(lastRequest().body, { reason: 'other' });
+});
+
+test('API errors are thrown with the status code', async () => {
+  await assert.rejects(
+    () => shopifyService.request('/nothing-here.json'),
+    /Shopify API Error: 404/
+  );
+});
+
+test('request() exposes response headers without adding them to the JSON', async () => {
+  const response = await shopifyService.request('/products.json?limit=2');
+  assert.ok(response.headers.get('Link').includes('rel="next"'));
+  assert.deepStrictEqual(Object.keys(response), ['products']);
+});
+
+test('parseLinkHeader reads next and previous cursors', () => {
+  const cursors = parseLinkHeader(
+    '<https://shop.myshopify.com/admin/api/2024-01/products.json?limit=2&page_info=abc>; rel="previous", ' +
+    '<https://shop.myshopify.com/admin/api/2024-01/products.json?limit=2&page_info=def>; rel="next"'
+  );
+  assert.deepStrictEqual(cursors, { previous: 'abc', next: 'def' });
+  assert.deepStrictEqual(parseLinkHeader(null), {});
+});
+
+test('getAllProducts follows page_info cursors to the last page', async () => {
+  const products = await shopifyService.getAllProducts({ limit: 2 });
+  assert.deepStrictEqual(products.map(p => p.id), [1000, 1001, 1002, 1003, 1004]);
+});
+
+test('paginate only sends filters on the first page', async () => {
+  const before = received.length;
+  const pages = [];
+  for await (const page of shopifyService.paginate('orders', { limit: 3, status: 'any' })) {
+    pages.push(page.length);
+  }
+
+  assert.deepStrictEqual(pages, [3, 1]);
+  assert.strictEqual(received.length - before, 2);
+});
+
+test('iterateCustomers yields every customer one at a time', async () => {
+  const ids = [];
+  for await (const customer of shopifyService.iterateCustomers({ limit: 2 })) {
+    ids.push(customer.id);
+  }
+  assert.deepStrictEqual(ids, [2000, 2001, 2002]);
+});
+
+test('getAllOrders includes every status by default', async () => {
+  const orders = await shopifyService.getAllOrders({ limit: 250 });
+  assert.strictEqual(orders.length, 4);
+  assert.ok(received.some(r => r.path === '/orders.json'));
+});
+
+test('scheduler holds requests back once the bucket is nearly full', async () => {
+  const scheduler = new LeakyBucketScheduler({ leakRate: 20, reserve: 2 });
+  scheduler.updateFromHeader('38/40');
+  assert.ok(scheduler.waitTime() > 0, 'should wait when only the reserve is left');
+
+  const started = Date.now();
+  await scheduler.schedule(async () => {});
+  assert.ok(Date.now() - started >= 25, 'should have waited for the bucket to leak');
+});
+
+test('scheduler caps the number of requests in flight', async () => {
+  const scheduler = new LeakyBucketScheduler({ maxConcurrent: 2 });
+  let inFlight = 0;
+  let peak = 0;
+  const task = async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(task)));
+  assert.strictEqual(peak, 2);
+});
+
+test('request() tracks the call-limit header', async () => {
+  const original = shopifyService.scheduler.level;
+  stub.locals.callLimit = '12/40';
+  await shopifyService.request('/shop.json');
+  assert.ok(shopifyService.scheduler.level >= 11 && shopifyService.scheduler.level <= 12);
+  stub.locals.callLimit = undefined;
+  shopifyService.scheduler.level = original;
+});
+
+test('429 responses are retried after Retry-After', async () => {
+  failures.limited = [{ status: 429, retryAfter: '0.05' }];
+  const started = Date.now();
+  const response = await shopifyService.request('/flaky/limited.json', { method: 'POST' });
+  assert.deepStrictEqual(response, { ok: true });
+  assert.ok(Date.now() - started >= 45, 'should have waited for Retry-After');
+});
+
+test('server errors on GET are retried with back-off', async () => {
+  failures.unstable = [{ status: 503 }, { status: 500 }];
+  const before = received.length;
+  const response = await shopifyService.request('/flaky/unstable.json');
+  assert.deepStrictEqual(response, { ok: true });
+  assert.strictEqual(received.length - before, 3);
+});
+
+test('server errors on POST are not retried', async () => {
+  failures.once = [{ status: 500 }];
+  const before = received.length;
+  await assert.rejects(
+    () => shopifyService.request('/flaky/once.json', { method: 'POST' }),
+    errors.ShopifyServerError
+  );
+  assert.strictEqual(received.length - before, 1);
+});
+
+test('retry: false stops server errors on PUT being retried', async () => {
+  failures.acting = [{ status: 500 }];
+  const before = received.length;
+  await assert.rejects(
+    () => shopifyService.request('/flaky/acting.json', { method: 'PUT', retry: false }),
+    errors.ShopifyServerError
+  );
+  assert.strictEqual(received.length - before, 1);
+});
+
+test('completing drafts, refunding and fulfilling are never retried', async () => {
+  const { request } = shopifyService;
+  const options = [];
+  shopifyService.request = async (endpoint, requestOptions) => {
+    options.push(requestOptions.retry);
+    return {};
+  };
+
+  try {
+    await shopifyService.completeDraftOrder(1);
+    await shopifyService.calculateRefund(1, { items: [] });
+    await shopifyService.createRefund(1, { items: [] });
+    await shopifyService.createFulfillment({ fulfillmentOrders: [{ id: 1 }] });
+    assert.deepStrictEqual(options, [false, false, false, false]);
+  } finally {
+    shopifyService.request = request;
+  }
+});
+
+test('retries stop after maxRetries', async () => {
+  const { maxRetries } = shopifyService.retryOptions;
+  failures.down = Array.from({ length: maxRetries + 2 }, () => ({ status: 502 }));
+  await assert.rejects(() => shopifyService.request('/flaky/down.json'), errors.ShopifyServerError);
+  assert.strictEqual(failures.down.length, 1);
+});
+
+test('errors are typed by status', async () => {
+  await assert.rejects(() => shopifyService.request('/nothing-here.json'), errors.ShopifyNotFoundError);
+
+  failures.invalid = [{ status: 422, errors: { email: ['has already been taken'] } }];
+  await assert.rejects(
+    () => shopifyService.request('/flaky/invalid.json', { method: 'PUT' }),
+    error => {
+      assert.ok(error instanceof errors.ShopifyValidationError);
+      assert.deepStrictEqual(error.errors, { email: ['has already been taken'] });
+      assert.strictEqual(error.retryable, false);
+      return true;
+    }
+  );
+});
+
+test('network failures become ShopifyNetworkError', async () => {
+  const baseURL = shopifyService.baseURL;
+  const { maxRetries } = shopifyService.retryOptions;
+  shopifyService.baseURL = 'http://127.0.0.1:1/admin/api/2024-01';
+  shopifyService.retryOptions.maxRetries = 0;
+  try {
+    await assert.rejects(() => shopifyService.request('/shop.json'), errors.ShopifyNetworkError);
+  } finally {
+    shopifyService.baseURL = baseURL;
+    shopifyService.retryOptions.maxRetries = maxRetries;
+  }
+});
+
+test('graphql() returns data and tracks query cost', async () => {
+  const data = await shopifyService.graphql('query throttled { shop { name } }');
+  assert.deepStrictEqual(data, { shop: { name: 'Stub Shop' } });
+  assert.strictEqual(lastRequest().path, '/graphql.json');
+  assert.strictEqual(lastRequest().token, 'stub-token');
+  assert.ok(Math.abs(shopifyService.graphqlScheduler.level - 100) < 1);
+});
+
+test('graphql() waits out a THROTTLED error and retries', async () => {
+  graphql.throttles = 1;
+  const before = received.length;
+  const started = Date.now();
+  await shopifyService.graphql('query throttled { shop { name } }');
+  assert.strictEqual(received.length - before, 2);
+  // 2 points short at 50/s
+  assert.ok(Date.now() - started >= 35, 'should wait for enough points to restore');
+});
+
+test('graphql() errors are thrown as ShopifyGraphQLError', async () => {
+  await assert.rejects(
+    () => shopifyService.graphql('{ nope }'),
+    error => {
+      assert.ok(error instanceof errors.ShopifyGraphQLError);
+      assert.match(error.errors[0].message, /doesn't exist/);
+      return true;
+    }
+  );
+});
+
+test('bulk product export rebuilds variants and images for convertShopifyProduct', async () => {
+  graphql.bulkLines = [
+    { id: 'gid://shopify/Product/1', title: 'Mop', vendor: 'Acme', productType: 'Floor Care', descriptionHtml: '<p>Mop</p>', tags: ['new', 'featured'], createdAt: '2024-01-01T00:00:00Z', updatedAt: '2024-02-01T00:00:00Z' },
+    { id: 'gid://shopify/ProductImage/11', url: 'https://cdn.example.com/mop.jpg', __parentId: 'gid://shopify/Product/1' },
+    { id: 'gid://shopify/Metafield/31', namespace: 'specs', key: 'weight', value: '{"value":1.1,"unit":"kg"}', type: 'weight', __parentId: 'gid://shopify/Product/1' },
+    { id: 'gid://shopify/ProductVariant/21', title: 'Default', price: '19.99', compareAtPrice: '24.99', sku: 'MOP-1', barcode: null, inventoryQuantity: 7, __parentId: 'gid://shopify/Product/1' },
+    { id: 'gid://shopify/Metafield/32', namespace: 'specs', key: 'cord_length', value: '6', type: 'number_decimal', __parentId: 'gid://shopify/ProductVariant/21' },
+    { id: 'gid://shopify/Product/2', title: 'Bucket', vendor: 'Acme', productType: 'Floor Care', descriptionHtml: '', tags: [], createdAt: '2024-01-02T00:00:00Z', updatedAt: '2024-02-02T00:00:00Z' },
+    { id: 'gid://shopify/ProductVariant/22', title: 'Default', price: '9.50', compareAtPrice: null, sku: 'BKT-1', barcode: '123', inventoryQuantity: 0, __parentId: 'gid://shopify/Product/2' },
+  ];
+  shopifyBulk.pollInterval = 5;
+
+  const products = [];
+  for await (const product of shopifyBulk.exportProducts()) {
+    products.push(shopifyWebhookHandler.convertShopifyProduct(product));
+  }
+
+  assert.ok(graphql.bulkQuery.includes('products'));
+  assert.strictEqual(graphql.polls, 2);
+  assert.deepStrictEqual(products.map(p => p.shopifyId), ['1', '2']);
+  assert.strictEqual(products[0].price, 19.99);
+  assert.strictEqual(products[0].compareAtPrice, 24.99);
+  assert.strictEqual(products[0].imageUrl, 'https://cdn.example.com/mop.jpg');
+  assert.deepStrictEqual(products[0].tags, ['new', 'featured']);
+  assert.strictEqual(products[0].inStock, true);
+  assert.strictEqual(products[0].variants[0].id, 21);
+  assert.deepStrictEqual(products[0].specs.weight, { label: 'Weight', value: 1.1, unit: 'kg', position: 6 });
+  assert.deepStrictEqual(products[0].variants[0].specs.cord_length, { label: 'Cord length', value: 6, unit: 'm', position: 2 });
+  assert.deepStrictEqual(products[1].specs, {});
+  assert.strictEqual(products[1].inStock, false);
+});
+
+test('bulk order export maps line items, money and statuses for convertShopifyOrder', async () => {
+  graphql.bulkLines = [
+    {
+      id: 'gid://shopify/Order/5',
+      name: '#1005',
+      email: 'ada@example.com',
+      customer: { id: 'gid://shopify/Customer/301', firstName: 'Ada', lastName: 'Lovelace' },
+      displayFinancialStatus: 'PAID',
+      displayFulfillmentStatus: 'PARTIALLY_FULFILLED',
+      subtotalPriceSet: { shopMoney: { amount: '39.98' } },
+      totalTaxSet: { shopMoney: { amount: '5.20' } },
+      totalShippingPriceSet: { shopMoney: { amount: '10.00' } },
+      totalPriceSet: { shopMoney: { amount: '55.18' } },
+      currencyCode: 'CAD',
+      shippingAddress: { firstName: 'Ada', address1: '1 Main St', city: 'Toronto' },
+      billingAddress: null,
+      createdAt: '2024-03-01T00:00:00Z',
+      updatedAt: '2024-03-02T00:00:00Z',
+    },
+    {
+      id: 'gid://shopify/LineItem/51',
+      name: 'Mop - Default',
+      quantity: 2,
+      sku: 'MOP-1',
+      originalUnitPriceSet: { shopMoney: { amount: '19.99' } },
+      variant: { id: 'gid://shopify/ProductVariant/21' },
+      product: { id: 'gid://shopify/Product/1' },
+      __parentId: 'gid://shopify/Order/5',
+    },
+  ];
+
+  const orders = [];
+  for await (const order of shopifyBulk.exportOrders()) {
+    orders.push(shopifyWebhookHandler.convertShopifyOrder(order));
+  }
+
+  assert.strictEqual(orders.length, 1);
+  const [order] = orders;
+  assert.strictEqual(order.shopifyId, '5');
+  assert.strictEqual(order.orderNumber, 1005);
+  assert.strictEqual(order.customerId, '301');
+  assert.strictEqual(order.customerName, 'Ada Lovelace');
+  assert.strictEqual(order.status, 'paid');
+  assert.strictEqual(order.fulfillmentStatus, 'partial');
+  assert.strictEqual(order.shipping, 10);
+  assert.strictEqual(order.total, 55.18);
+  assert.strictEqual(order.shippingAddress.address1, '1 Main St');
+  assert.deepStrictEqual(order.items[0], {
+    lineItemId: '51',
+    productId: '1',
+    variantId: '21',
+    name: 'Mop - Default',
+    quantity: 2,
+    price: 19.99,
+    total: 39.98,
+    sku: 'MOP-1',
+  });
+});
+
+test('bulk customer export with no results yields nothing', async () => {
+  graphql.bulkLines = [];
+  const customers = [];
+  for await (const customer of shopifyBulk.exportCustomers()) customers.push(customer);
+  assert.deepStrictEqual(customers, []);
+});
+
+// ===== SIMULATOR =====
+
+// Point the service at a fresh simulator for one test, collecting the
+// webhooks it sends (with whether their signature checks out)
+async function withSimulator(options, fn) {
+  const webhooks = [];
+  const receiver = express();
+  receiver.post('/api/shopify/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+    const body = req.body.toString('utf8');
+    webhooks.push({
+      topic: req.get('X-Shopify-Topic'),
+      data: JSON.parse(body),
+      verified: shopifyWebhookHandler.verifyWebhook(body, req.get('X-Shopify-Hmac-Sha256')),
+    });
+    res.json({ success: true });
+  });
+  const receiverServer = receiver.listen(0, '127.0.0.1');
+  await new Promise(resolve => receiverServer.once('listening', resolve));
+
+  const simulator = new ShopifySimulator({
+    accessToken: 'stub-token',
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    webhookUrl: `http://127.0.0.1:${receiverServer.address().port}/api/shopify/webhook`,
+    ...options,
+  });
+  const server = await simulator.listen(0);
+
+  const { baseURL, primaryLocation } = shopifyService;
+  shopifyService.baseURL = `http://127.0.0.1:${server.address().port}${API_PREFIX}`;
+  shopifyService.primaryLocation = null;
+
+  try {
+    await fn(simulator, webhooks);
+  } finally {
+    shopifyService.baseURL = baseURL;
+    shopifyService.primaryLocation = primaryLocation;
+    await simulator.close();
+    await new Promise(resolve => receiverServer.close(resolve));
+  }
+}
+
+test('simulator paginates with Link headers and keeps filters in the cursor', () => withSimulator({}, async () => {
+  const products = await shopifyService.getAllProducts({ limit: 2 });
+  assert.strictEqual(products.length, 6);
+
+  const greenHome = await shopifyService.getAllProducts({ limit: 1, vendor: 'GreenHome' });
+  assert.deepStrictEqual(greenHome.map(p => p.title), ['All-Purpose Cleaner', 'Glass Cleaner']);
+
+  const orders = await shopifyService.getAllOrders();
+  assert.strictEqual(orders.length, 2);
+}));
+
+test('simulator enforces the call limit and the service rides it out', () => withSimulator({ bucketSize: 3, leakRate: 50 }, async simulator => {
+  shopifyService.scheduler.update(0, 40);
+  const shops = await Promise.all(Array.from({ length: 8 }, () => shopifyService.getShopInfo()));
+  assert.strictEqual(shops.length, 8);
+  assert.strictEqual(shopifyService.scheduler.bucketSize, 3);
+  shopifyService.scheduler.update(0, 40);
+  assert.ok(simulator.bucket.level <= 3);
+}));
+
+test('simulator rejects an unknown access token', () => withSimulator({ accessToken: 'other-token' }, async () => {
+  await assert.rejects(() => shopifyService.getShopInfo(), errors.ShopifyAuthError);
+}));
+
+test('simulator inventory changes send signed products/update webhooks', () => withSimulator({}, async (simulator, webhooks) => {
+  const location = await shopifyService.getPrimaryLocation();
+  assert.strictEqual(location.name, 'Main Store');
+
+  const level = await shopifyService.adjustInventoryLevel(3001, location.id, -2);
+  assert.strictEqual(level.available, 10);
+  await simulator.settle();
+
+  const update = webhooks.find(webhook => webhook.topic === 'products/update');
+  assert.ok(update, 'products/update should be delivered');
+  assert.strictEqual(update.verified, true);
+  // 10 at the main store + 30 in the warehouse
+  assert.strictEqual(shopifyWebhookHandler.convertShopifyProduct(update.data).stockQuantity, 40);
+}));
+
+test('the server accepts signed simulator webhooks and rejects forged ones', async () => {
+  const app = require('./server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const webhookUrl = `http://127.0.0.1:${server.address().port}/api/shopify/webhook`;
+
+  const handled = [];
+  const { handleWebhook } = shopifyWebhookHandler;
+  shopifyWebhookHandler.handleWebhook = async (topic, data) => handled.push({ topic, data });
+
+  try {
+    await withSimulator({ webhookUrl }, async simulator => {
+      await shopifyService.adjustInventoryLevel(3001, 7001, -1);
+      await simulator.settle();
+
+      const delivery = simulator.deliveries.find(d => d.topic === 'products/update');
+      assert.strictEqual(delivery.status, 200);
+      const update = handled.find(h => h.topic === 'products/update');
+      assert.strictEqual(update.data.id, 1001);
+    });
+
+    const forged = await fetch(webhookUrl, {
+      method: 'POST',
+      body: JSON.stringify({ id: 1001 }),
+      headers: { 'Content-Type': 'application/json', 'X-Shopify-Topic': 'products/delete', 'X-Shopify-Hmac-Sha256': 'forged' },
+    });
+    assert.strictEqual(forged.status, 401);
+    assert.ok(!handled.some(h => h.topic === 'products/delete'));
+  } finally {
+    shopifyWebhookHandler.handleWebhook = handleWebhook;
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('simulator orders take stock, cancel with restock and notify', () => withSimulator({}, async (simulator, webhooks) => {
+  const order = await shopifyService.createOrder({
+    customer: { id: 5003 },
+    items: [{ variantId: 2004, quantity: 3 }],
+  });
+  assert.strictEqual(order.total_price, '37.50');
+  assert.strictEqual(order.email, 'alan@example.com');
+  assert.strictEqual((await shopifyService.getProductById(1003)).variants[0].inventory_quantity, 5);
+
+  await shopifyService.cancelOrder(order.id, 'customer', { restock: true });
+  assert.strictEqual((await shopifyService.getProductById(1003)).variants[0].inventory_quantity, 8);
+
+  await simulator.settle();
+  const topics = webhooks.map(webhook => webhook.topic);
+  assert.ok(topics.includes('orders/create'));
+  assert.ok(topics.includes('orders/cancelled'));
+  assert.ok(webhooks.every(webhook => webhook.verified));
+}));
+
+test('simulator webhooks go to registered subscriptions', () => withSimulator({ webhookUrl: '' }, async simulator => {
+  await shopifyService.updateCustomer(5002, { note: 'No subscribers yet' });
+  await simulator.settle();
+  assert.strictEqual(simulator.deliveries.length, 0);
+
+  await shopifyService.createWebhook('customers/update', 'http://127.0.0.1:1/api/shopify/webhook');
+  assert.strictEqual((await shopifyService.getWebhooks()).length, 1);
+  await assert.rejects(
+    () => shopifyService.createWebhook('customers/update', 'http://127.0.0.1:1/api/shopify/webhook'),
+    errors.ShopifyValidationError
+  );
+
+  await shopifyService.updateCustomer(5002, { note: 'Now with a subscriber' });
+  await simulator.settle();
+  assert.deepStrictEqual(
+    simulator.deliveries.map(delivery => [delivery.topic, delivery.address]),
+    [['customers/update', 'http://127.0.0.1:1/api/shopify/webhook']]
+  );
+}));
+
+// ===== PRODUCT SPECS =====
+
+test('metafields listed in the spec config become specs, variant specs win', () => withSimulator({}, async () => {
+  const vacuum = await shopifyWebhookHandler.withMetafields(await shopifyService.getProductById(1005));
+  const vacuumData = shopifyWebhookHandler.convertShopifyProduct(vacuum);
+  assert.deepStrictEqual(Object.keys(vacuumData.specs), ['suction_power', 'filtration', 'battery_runtime', 'noise_level', 'weight']);
+
+  assert.deepStrictEqual(
+    new Product(vacuumData).getSpecifications().map(spec => [spec.label, spec.display]),
+    [
+      ['Suction power', '150 W'],
+      ['Filtration', 'HEPA H13'],
+      ['Battery runtime', '40 min'],
+      ['Noise level', '72.5 dB'],
+      ['Weight', '2.4 kg'],
+    ]
+  );
+
+  // Only the tank size differs between variants
+  const cleaner = new Product(shopifyWebhookHandler.convertShopifyProduct(
+    await shopifyWebhookHandler.withMetafields(await shopifyService.getProductById(1002))
+  ));
+  assert.deepStrictEqual(cleaner.getSpecifications(), []);
+  assert.strictEqual(cleaner.getSpecifications(2002)[0].display, '500 ml');
+  assert.strictEqual(cleaner.getSpecifications('2003')[0].display, '1 L');
+
+  // Metafields outside the config aren't fetched
+  const mop = await shopifyWebhookHandler.withMetafields(await shopifyService.getProductById(1001));
+  assert.deepStrictEqual(mop.metafields, []);
+  assert.deepStrictEqual(shopifyWebhookHandler.convertShopifyProduct(mop).specs, {});
+}));
+
+test('a product\'s and its variants\' metafields come in one GraphQL query', () => withSimulator({}, async simulator => {
+  const product = await shopifyService.getProductById(1002);
+  const requests = [];
+  const { send } = shopifyService;
+  shopifyService.send = (endpoint, options) => {
+    requests.push(endpoint);
+    return send.call(shopifyService, endpoint, options);
+  };
+
+  try {
+    const cleaner = await shopifyWebhookHandler.withMetafields(product);
+    assert.deepStrictEqual(requests, ['/graphql.json']);
+    assert.deepStrictEqual(cleaner.variants.map(variant => variant.metafields.map(metafield => metafield.value)), [
+      ['{"value":500,"unit":"ml"}'],
+      ['{"value":1,"unit":"l"}'],
+    ]);
+
+    // With enough keys a page only holds one variant, so the second takes another query
+    requests.length = 0;
+    const found = await shopifyService.getProductMetafields(1002, Array.from({ length: 600 }, (_, i) => `specs.key_${i}`));
+    assert.strictEqual(requests.length, 2);
+    assert.deepStrictEqual([...found.variants.keys()], ['2002', '2003']);
+
+    simulator.products.delete(1002);
+    assert.strictEqual(await shopifyService.getProductMetafields(1002, ['specs.tank_capacity']), null);
+  } finally {
+    shopifyService.send = send;
+  }
+}));
+
+test('products still save, keeping their stored specs, when metafields can\'t be fetched', () => withSimulator({}, async () => {
+  const stored = {
+    shopifyId: '1002',
+    specs: { material: { label: 'Material', value: 'Glass' } },
+    variants: [{ id: 2002, specs: { tank_capacity: { label: 'Tank capacity', value: 500, unit: 'ml' } } }],
+  };
+  const saved = [];
+  const originals = {
+    getProductMetafields: shopifyService.getProductMetafields,
+    findOne: Product.findOne,
+    findOneAndUpdate: Product.findOneAndUpdate,
+  };
+  shopifyService.getProductMetafields = async () => {
+    throw new errors.ShopifyGraphQLError('Throttled', { errors: [{ extensions: { code: 'THROTTLED' } }] });
+  };
+  Product.findOne = () => ({ lean: async () => stored });
+  Product.findOneAndUpdate = async (filter, data) => saved.push(data);
+
+  try {
+    await shopifyWebhookHandler.handleProductUpdate(await shopifyService.getProductById(1002));
+
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].name, (await shopifyService.getProductById(1002)).title);
+    assert.deepStrictEqual(saved[0].specs, stored.specs);
+    assert.deepStrictEqual(saved[0].variants.map(variant => variant.specs), [stored.variants[0].specs, {}]);
+  } finally {
+    shopifyService.getProductMetafields = originals.getProductMetafields;
+    Object.assign(Product, { findOne: originals.findOne, findOneAndUpdate: originals.findOneAndUpdate });
+  }
+}));
+
+test('metafield values are parsed by type', () => {
+  const parse = (type, value) => shopifyWebhookHandler.parseMetafieldValue({ type, value });
+
+  assert.deepStrictEqual(parse('boolean', 'true'), { value: true });
+  assert.deepStrictEqual(parse('dimension', '{"value":7.5,"unit":"m"}'), { value: 7.5, unit: 'm' });
+  assert.deepStrictEqual(parse('list.volume', '[{"value":0.5,"unit":"l"},{"value":1,"unit":"l"}]'), { value: ['0.5 L', '1 L'] });
+  assert.deepStrictEqual(parse('list.single_line_text_field', '["Carpet","Hard floors"]'), { value: ['Carpet', 'Hard floors'] });
+  assert.deepStrictEqual(parse('single_line_text_field', 'HEPA'), { value: 'HEPA' });
+  assert.deepStrictEqual(parse('json', 'not json'), { value: 'not json' });
+});
+
+// ===== DRAFT ORDERS =====
+
+test('draft orders are priced by Shopify, recalculated and completed into a pending order', () => withSimulator({}, async simulator => {
+  const synced = [];
+  const originals = { handleOrderUpdate: shopifyWebhookHandler.handleOrderUpdate, findOrder: draftOrders.findOrder };
+  shopifyWebhookHandler.handleOrderUpdate = async order => synced.push(shopifyWebhookHandler.convertShopifyOrder(order));
+  draftOrders.findOrder = async shopifyId => synced.find(order => order.shopifyId === shopifyId.toString());
+
+  try {
+    // The price sent for a catalog item is ignored
+    const draft = await draftOrders.create({
+      customer: { id: 5001 },
+      items: [{ variantId: 2001, quantity: 2, price: '0.01' }],
+      discount: { value: 10, valueType: 'percentage', title: 'Spring sale' },
+      shippingLine: { title: 'Courier', price: '15.00' },
+    });
+    assert.strictEqual(draft.shipping_address.city, simulator.customers.get(5001).default_address.city);
+
+    let totals = draftOrders.summarize(draft);
+    assert.deepStrictEqual(
+      [totals.items[0].price, totals.discount, totals.subtotal, totals.shipping, totals.tax, totals.total],
+      [39.99, 8, 71.98, 15, 11.31, 98.29]
+    );
+    assert.deepStrictEqual(totals.taxLines, [{ title: 'HST', rate: 0.13, amount: 11.31 }]);
+    assert.ok(totals.invoiceUrl);
+
+    totals = draftOrders.summarize(await draftOrders.recalculate(draft.id, { items: [{ variantId: 2004, quantity: 1 }] }));
+    assert.deepStrictEqual([totals.subtotal, totals.tax, totals.total], [11.25, 3.41, 29.66]);
+
+    const order = await draftOrders.complete(draft.id, { paymentPending: true });
+    assert.deepStrictEqual(
+      [order.status, order.subtotal, order.discount, order.shipping, order.tax, order.total],
+      ['pending', 11.25, 1.25, 15, 3.41, 29.66]
+    );
+    assert.strictEqual(order.customerId, '5001');
+    assert.strictEqual((await shopifyService.getProductById(1003)).variants[0].inventory_quantity, 7);
+
+    // Completing again (e.g. a retried request) returns the same order
+    const again = await draftOrders.complete(draft.id, { paymentPending: true });
+    assert.strictEqual(again.shopifyId, order.shopifyId);
+    assert.strictEqual(simulator.orders.size, 3);
+
+    await assert.rejects(
+      () => draftOrders.recalculate(draft.id, { note: 'Too late' }),
+      error => error instanceof DraftOrderError && error.status === 409
+    );
+  } finally {
+    shopifyWebhookHandler.handleOrderUpdate = originals.handleOrderUpdate;
+    Object.assign(draftOrders, { findOrder: originals.findOrder });
+  }
+}));
+
+test('draft invoices go to the customer and mark the draft sent', () => withSimulator({}, async () => {
+  const draft = await draftOrders.create({ email: 'guest@example.com', items: [{ variantId: 2005 }] });
+  const sent = draftOrders.summarize(await draftOrders.sendInvoice(draft.id));
+  assert.strictEqual(sent.status, 'invoice_sent');
+  assert.ok(sent.invoiceSentAt);
+  assert.strictEqual(sent.total, 7.9); // 6.99 + 13% HST
+
+  await draftOrders.discard(draft.id);
+  await assert.rejects(() => shopifyService.getDraftOrder(draft.id), errors.ShopifyNotFoundError);
+}));
+
+test('cart items need a catalog variant unless custom items are allowed', async () => {
+  await assert.rejects(() => draftOrders.resolveItems([{ title: 'Gift wrap', price: 5 }]), /variantId or productId/);
+  await assert.rejects(() => draftOrders.resolveItems([{ variantId: 2001, quantity: 0 }]), /at least 1/);
+  await assert.rejects(
+    () => draftOrders.resolveItems([{ title: 'Gift wrap' }], { allowCustomItems: true }),
+    /title and price/
+  );
+
+  assert.deepStrictEqual(
+    await draftOrders.resolveItems([{ variantId: 2001, price: 1 }, { name: 'Gift wrap', price: 5 }], { allowCustomItems: true }),
+    [{ variantId: 2001, quantity: 1 }, { title: 'Gift wrap', price: 5, sku: undefined, quantity: 1 }]
+  );
+
+  // Updates only send what changed
+  assert.deepStrictEqual(shopifyService.toShopifyDraftOrder({ note: 'Leave at the door' }), { note: 'Leave at the door' });
+});
+
+test('customers own drafts for their customer record or email', () => {
+  const draft = { customer: { id: 5001 }, email: 'Ada@Example.com' };
+  assert.strictEqual(draftOrders.isOwnedBy({ shopifyCustomerId: '5001', emailVerified: true }, draft), true);
+  assert.strictEqual(draftOrders.isOwnedBy({ email: 'ada@example.com', emailVerified: true }, draft), true);
+  assert.strictEqual(draftOrders.isOwnedBy({ shopifyCustomerId: '5002', email: 'grace@example.com', emailVerified: true }, draft), false);
+  // Anyone can sign up with someone else's address
+  assert.strictEqual(draftOrders.isOwnedBy({ email: 'ada@example.com', emailVerified: false }, draft), false);
+});
+
+// ===== REFUNDS =====
+
+// Capture orders handleOrderUpdate would store instead of writing them to MongoDB
+async function withCapturedOrders(fn) {
+  const synced = [];
+  const { handleOrderUpdate } = shopifyWebhookHandler;
+  shopifyWebhookHandler.handleOrderUpdate = async order => synced.push(shopifyWebhookHandler.convertShopifyOrder(
+    await shopifyWebhookHandler.withFulfillments(await shopifyWebhookHandler.withRefunds(order))
+  ));
+
+  try {
+    await fn(synced);
+  } finally {
+    shopifyWebhookHandler.handleOrderUpdate = handleOrderUpdate;
+  }
+}
+
+test('refunds are calculated, created with restock and synced onto the order', () => withSimulator({}, async (simulator, webhooks) => withCapturedOrders(async synced => {
+  const order = [...simulator.orders.values()].find(o => o.financial_status === 'paid');
+  const lineItem = order.line_items.find(item => item.variant_id === 2003);
+  const stock = () => simulator.available(lineItem.inventory_item_id, simulator.shop.primary_location_id);
+  const stockBefore = stock();
+
+  const calculation = await refunds.calculate(order.id, { items: [{ variantId: 2003, quantity: 1 }], restock: true });
+  assert.strictEqual(calculation.amount, 14.99);
+  assert.strictEqual(calculation.maximumRefundable, 54.98);
+  // The order has shipped, so restocked items are returns
+  assert.strictEqual(calculation.items[0].restockType, 'return');
+
+  const refund = await refunds.create(order.id, {
+    items: [{ lineItemId: lineItem.id, quantity: 1 }],
+    restock: true,
+    note: 'Damaged in transit',
+  });
+  assert.deepStrictEqual(
+    [refund.amount, refund.restock, refund.note, refund.items[0].lineItemId, refund.items[0].quantity],
+    [14.99, true, 'Damaged in transit', lineItem.id.toString(), 1]
+  );
+  assert.strictEqual(stock(), stockBefore + 1);
+
+  const stored = synced.pop();
+  assert.strictEqual(stored.status, 'partially_refunded');
+  assert.strictEqual(stored.refunds.length, 1);
+  assert.strictEqual(stored.refunds[0].amount, 14.99);
+
+  // Bulk exports leave refunds out; they are fetched for refunded orders
+  const { refunds: ignored, ...exported } = await shopifyService.getOrderById(order.id);
+  assert.strictEqual(shopifyWebhookHandler.convertShopifyOrder(await shopifyWebhookHandler.withRefunds(exported)).refunds.length, 1);
+
+  // The refunds/create webhook syncs the whole order again
+  await simulator.settle();
+  const webhook = webhooks.find(w => w.topic === 'refunds/create');
+  await shopifyWebhookHandler.handleWebhook(webhook.topic, webhook.data);
+  assert.strictEqual(synced.pop().status, 'partially_refunded');
+
+  // Shopify won't refund the same item twice
+  await assert.rejects(
+    () => refunds.create(order.id, { items: [{ lineItemId: lineItem.id }] }),
+    errors.ShopifyValidationError
+  );
+})));
+
+test('unpaid orders can only be refunded to restock unshipped items', () => withSimulator({}, async simulator => withCapturedOrders(async synced => {
+  const order = [...simulator.orders.values()].find(o => o.financial_status === 'pending');
+
+  await assert.rejects(() => refunds.create(order.id, { items: [{ variantId: 2004 }] }), RefundError);
+  await assert.rejects(() => refunds.create(order.id, { items: [{ variantId: 2001 }] }), /not on this order/);
+  await assert.rejects(() => refunds.calculate(order.id, {}), /items or shipping/);
+
+  const refund = await refunds.create(order.id, { items: [{ variantId: 2004 }], restock: true });
+  assert.deepStrictEqual([refund.amount, refund.items[0].restockType], [0, 'cancel']);
+  assert.strictEqual(synced.pop().status, 'pending');
+})));
+
+test('refund payloads convert money, shipping adjustments and restock', () => {
+  const refund = shopifyWebhookHandler.convertShopifyRefund({
+    id: 9001,
+    created_at: '2024-02-01T00:00:00Z',
+    note: null,
+    refund_line_items: [{ line_item_id: 1, quantity: 1, restock_type: 'no_restock', subtotal: '10.00', total_tax: '1.30', line_item: { name: 'Mop' } }],
+    transactions: [
+      { kind: 'refund', status: 'success', amount: '10.10' },
+      { kind: 'refund', status: 'success', amount: '6.20' },
+      { kind: 'refund', status: 'failure', amount: '3.00' },
+    ],
+    order_adjustments: [{ kind: 'shipping_refund', amount: '-5.00' }],
+  });
+
+  assert.deepStrictEqual([refund.amount, refund.shipping, refund.restock], [16.3, 5, false]);
+  assert.strictEqual(refund.items[0].name, 'Mop');
+});
+
+// ===== FULFILLMENTS =====
+
+test('items ship in parts with tracking until the order is fulfilled', () => withSimulator({}, async (simulator, webhooks) => withCapturedOrders(async synced => {
+  const order = await shopifyService.createOrder({
+    customer: { id: 5003 },
+    items: [{ variantId: 2001, quantity: 3 }, { variantId: 2004, quantity: 1 }],
+  });
+
+  await assert.rejects(
+    () => fulfillments.create(order.id, { items: [{ variantId: 2001, quantity: 4 }] }),
+    error => error instanceof FulfillmentError && /Only 3/.test(error.message)
+  );
+  await assert.rejects(() => fulfillments.create(order.id, { items: [{ variantId: 2003 }] }), /not on this order/);
+
+  const first = await fulfillments.create(order.id, {
+    items: [{ variantId: 2001, quantity: 2 }],
+    tracking: { company: 'UPS', number: '1Z999', url: 'https://ups.example/1Z999' },
+  });
+  assert.deepStrictEqual([first.status, first.trackingNumber, first.items.length, first.items[0].quantity], ['success', '1Z999', 1, 2]);
+
+  let stored = synced.pop();
+  assert.deepStrictEqual(
+    [stored.fulfillmentStatus, stored.fulfillments.length, stored.trackingCompany, stored.trackingUrl, stored.dateFulfilled],
+    ['partial', 1, 'UPS', 'https://ups.example/1Z999', null]
+  );
+
+  // No items ships everything left
+  const rest = await fulfillments.create(order.id, { tracking: { company: 'Canada Post', number: 'CP42' } });
+  assert.deepStrictEqual(rest.items.map(item => item.quantity), [1, 1]);
+
+  stored = synced.pop();
+  assert.deepStrictEqual([stored.fulfillmentStatus, stored.trackingNumber, stored.trackingUrl], ['fulfilled', 'CP42', null]);
+  assert.strictEqual(stored.dateFulfilled, rest.dateCreated);
+
+  await assert.rejects(() => fulfillments.create(order.id), error => error instanceof FulfillmentError && error.status === 409);
+
+  // The fulfillments/create webhook syncs the whole order again
+  await simulator.settle();
+  const webhook = webhooks.find(w => w.topic === 'fulfillments/create');
+  await shopifyWebhookHandler.handleWebhook(webhook.topic, webhook.data);
+  assert.strictEqual(synced.pop().fulfillments.length, 2);
+})));
+
+test('shipped orders without fulfillments in the payload fetch them', () => withSimulator({}, async simulator => {
+  const { fulfillments: ignored, ...exported } = [...simulator.orders.values()].find(o => o.fulfillment_status === 'fulfilled');
+  const order = shopifyWebhookHandler.convertShopifyOrder(await shopifyWebhookHandler.withFulfillments(exported));
+
+  assert.deepStrictEqual([order.trackingCompany, order.trackingNumber], ['Canada Post', '7023210039414604']);
+  assert.ok(order.dateFulfilled);
+
+  // Unshipped orders keep whatever is stored
+  const unshipped = [...simulator.orders.values()].find(o => !o.fulfillment_status);
+  const { fulfillments: none, ...rest } = unshipped;
+  assert.strictEqual('trackingNumber' in shopifyWebhookHandler.convertShopifyOrder(await shopifyWebhookHandler.withFulfillments(rest)), false);
+}));
+
+test('items split across fulfillment orders take from the first with stock left', () => {
+  const fulfillmentOrder = (id, fulfillable) => ({
+    id,
+    assigned_location_id: 7001,
+    line_items: [{ id: id * 10, line_item_id: 1, variant_id: 2001, fulfillable_quantity: fulfillable }],
+  });
+
+  const shipping = fulfillments.allocate([fulfillmentOrder(1, 0), fulfillmentOrder(2, 1), fulfillmentOrder(3, 2)], [{ lineItemId: 1, quantity: 2 }]);
+  assert.deepStrictEqual(
+    shipping.map(({ fulfillmentOrder: fo, items }) => [fo.id, items]),
+    [[2, [{ id: 20, quantity: 1 }]], [3, [{ id: 30, quantity: 1 }]]]
+  );
+});
+
+test('an item listed twice is only allocated what is left to ship', () => {
+  const fulfillmentOrder = { id: 1, line_items: [{ id: 10, line_item_id: 1, variant_id: 2001, fulfillable_quantity: 3 }] };
+
+  const shipping = fulfillments.allocate([fulfillmentOrder], [{ lineItemId: 1, quantity: 1 }, { variantId: 2001, quantity: 2 }]);
+  assert.deepStrictEqual(shipping.map(({ items }) => items), [[{ id: 10, quantity: 3 }]]);
+
+  assert.throws(
+    () => fulfillments.allocate([fulfillmentOrder], [{ lineItemId: 1, quantity: 2 }, { lineItemId: 1, quantity: 2 }]),
+    error => error instanceof FulfillmentError && error.status === 400 && /Only 1 of item 1 left/.test(error.message)
+  );
+  assert.throws(() => fulfillments.allocate([fulfillmentOrder], [{ lineItemId: 1 }, { lineItemId: 1 }]), /Only 0 of item 1 left/);
+});
+
+// ===== INCREMENTAL SYNC =====
+
+// Run shopifySync against an in-memory "database": the checkpoint and stored
+// products live in plain objects instead of MongoDB
+async function withFakeProductStore(fn) {
+  const state = { lastUpdatedAt: null, save: async () => {} };
+  const stored = new Map();
+  const failing = new Set();
+
+  const originals = {
+    loadState: shopifySync.loadState,
+    findExisting: shopifySync.findExisting,
+    handleProductUpdate: shopifyWebhookHandler.handleProductUpdate,
+  };
+  shopifySync.loadState = async () => state;
+  shopifySync.findExisting = async (config, shopifyId) => stored.get(shopifyId) || null;
+  shopifyWebhookHandler.handleProductUpdate = async product => {
+    if (failing.has(product.id)) throw new Error('Write failed');
+    stored.set(product.id.toString(), { lastUpdated: new Date(product.updated_at) });
+  };
+
+  try {
+    await fn({ state, stored, failing });
+  } finally {
+    Object.assign(shopifySync, { loadState: originals.loadState, findExisting: originals.findExisting });
+    shopifyWebhookHandler.handleProductUpdate = originals.handleProductUpdate;
+  }
+}
+
+const counts = result => [result.created, result.updated, result.unchanged, result.failed];
+
+test('first sync is full and sets the checkpoint', () => withSimulator({}, () => withFakeProductStore(async ({ state }) => {
+  const result = await shopifySync.syncEntity('products');
+  assert.strictEqual(result.mode, 'full');
+  assert.deepStrictEqual(counts(result), [6, 0, 0, 0]);
+  assert.strictEqual(state.lastUpdatedAt.toISOString(), '2024-01-15T15:00:00.000Z');
+  assert.deepStrictEqual(state.lastCounts, { created: 6, updated: 0, unchanged: 0, failed: 0, total: 6 });
+})));
+
+test('incremental sync asks for updated_at_min and skips unchanged records', () => withSimulator({}, () => withFakeProductStore(async ({ state }) => {
+  await shopifySync.syncEntity('products');
+
+  await shopifyService.request('/products/1002.json', {
+    method: 'PUT',
+    body: JSON.stringify({ product: { id: 1002, title: 'All-Purpose Cleaner (New Formula)' } }),
+  });
+
+  const result = await shopifySync.syncEntity('products');
+  assert.strictEqual(result.mode, 'incremental');
+  assert.deepStrictEqual(counts(result), [0, 1, 5, 0]);
+  assert.ok(state.lastUpdatedAt > new Date('2024-01-15T15:00:00Z'), 'checkpoint should move to the edit');
+
+  const next = await shopifySync.syncEntity('products');
+  assert.strictEqual(next.total, 1, 'only the edited product is at or after the checkpoint');
+  assert.deepStrictEqual(counts(next), [0, 0, 1, 0]);
+})));
+
+test('a failed record holds the checkpoint back so it is retried', () => withSimulator({}, () => withFakeProductStore(async ({ state, failing }) => {
+  await shopifySync.syncEntity('products');
+  const checkpoint = state.lastUpdatedAt;
+
+  await shopifyService.request('/products/1003.json', {
+    method: 'PUT',
+    body: JSON.stringify({ product: { id: 1003, tags: 'kitchen, sale' } }),
+  });
+  failing.add(1003);
+
+  const failed = await shopifySync.syncEntity('products');
+  assert.strictEqual(failed.failed, 1);
+  assert.strictEqual(state.lastError, '1 record(s) failed');
+  assert.strictEqual(state.lastUpdatedAt.getTime(), checkpoint.getTime());
+
+  failing.clear();
+  const retried = await shopifySync.syncEntity('products');
+  assert.strictEqual(retried.updated, 1);
+  assert.strictEqual(retried.failed, 0);
+})));
+
+test('full=true ignores the checkpoint', () => withSimulator({}, () => withFakeProductStore(async ({ state }) => {
+  state.lastUpdatedAt = new Date('2030-01-01T00:00:00Z');
+
+  const incremental = await shopifySync.syncEntity('products');
+  assert.strictEqual(incremental.total, 0);
+
+  const full = await shopifySync.syncEntity('products', { full: true });
+  assert.strictEqual(full.mode, 'full');
+  assert.deepStrictEqual(counts(full), [6, 0, 0, 0]);
+})));
+
+// ===== JOBS & SCHEDULING =====
+
+// Stand-in for the context jobQueue gives a handler
+function fakeJobContext({ cancelAfter = Infinity } = {}) {
+  const context = { updates: [], itemErrors: [] };
+  context.progress = async update => {
+    context.updates.push(update);
+    if (context.updates.length > cancelAfter) throw new JobCancelledError();
+  };
+  context.itemError = async (item, error) => context.itemErrors.push({ item, message: error.message });
+  return context;
+}
+
+test('sync job reports progress, item errors and timings per entity', () => withSimulator({}, () => withFakeProductStore(async ({ failing }) => {
+  failing.add(1004);
+  const job = fakeJobContext();
+
+  const result = await syncJobs.runSync({ entities: ['products'] }, job);
+
+  assert.deepStrictEqual(counts(result.products), [5, 0, 0, 1]);
+  assert.ok(result.products.durationMs >= 0);
+  assert.deepStrictEqual(job.itemErrors, [{ item: 'products:1004', message: 'Write failed' }]);
+  assert.strictEqual(job.updates[0].stage, 'products');
+  assert.strictEqual(job.updates[job.updates.length - 2].detail.counts.total, 6);
+  assert.strictEqual(job.updates[job.updates.length - 1].stage, 'done');
+})));
+
+test('cancelling a sync job stops it without moving the checkpoint', () => withSimulator({}, () => withFakeProductStore(async ({ state }) => {
+  await assert.rejects(
+    () => syncJobs.runSync({ entities: ['products'] }, fakeJobContext({ cancelAfter: 3 })),
+    JobCancelledError
+  );
+  assert.strictEqual(state.lastUpdatedAt, null);
+  assert.strictEqual(state.lastError, 'Job cancelled');
+})));
+
+// Run jobQueue against one in-memory Job document, claimed by this worker;
+// renewals counts lock renewals that found the job
+async function withClaimedJob(fn) {
+  const stored = {
+    _id: 'job-1',
+    type: 'test.job',
+    status: 'running',
+    lockedBy: jobQueue.workerId,
+    attempts: 1,
+    startedAt: new Date(),
+  };
+  const held = filter => Object.entries(filter).every(([key, value]) => stored[key] === value);
+  const state = { stored, renewals: 0 };
+
+  const originals = {
+    updateOne: Job.updateOne,
+    findOneAndUpdate: Job.findOneAndUpdate,
+    lockRenewIntervalMs: JOB_CONFIG.lockRenewIntervalMs,
+  };
+  Job.updateOne = async (filter, update) => {
+    if (!held(filter)) return { matchedCount: 0 };
+    if (!update.$set.status) state.renewals++;
+    Object.assign(stored, update.$set);
+    return { matchedCount: 1 };
+  };
+  Job.findOneAndUpdate = async (filter, update) => {
+    if (!held(filter)) return null;
+    Object.assign(stored, update.$set);
+    return { cancelRequested: false };
+  };
+  JOB_CONFIG.lockRenewIntervalMs = 10;
+
+  try {
+    await fn(state, { ...stored });
+  } finally {
+    Object.assign(Job, { updateOne: originals.updateOne, findOneAndUpdate: originals.findOneAndUpdate });
+    JOB_CONFIG.lockRenewIntervalMs = originals.lockRenewIntervalMs;
+    jobQueue.handlers.delete('test.job');
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a job keeps its lock while it waits without writing progress', () => withClaimedJob(async (state, job) => {
+  jobQueue.register('test.job', async () => {
+    await sleep(60);
+    return { done: true };
+  });
+
+  await jobQueue.run(job);
+
+  assert.ok(state.renewals >= 2, `renewed ${state.renewals} times`);
+  assert.strictEqual(state.stored.status, 'completed');
+  assert.deepStrictEqual(state.stored.result, { done: true });
+  assert.strictEqual(state.stored.lockedUntil, null);
+}));
+
+test('a worker that lost its job\'s lock stops, and leaves the new run\'s result alone', () => withClaimedJob(async (state, job) => {
+  const takeOver = () => Object.assign(state.stored, { lockedBy: 'other-worker', attempts: 2, status: 'running' });
+
+  // Lost while waiting: the run's outcome is not written
+  jobQueue.register('test.job', async () => {
+    takeOver();
+    await sleep(30);
+    return { done: true };
+  });
+  await jobQueue.run(job);
+  assert.strictEqual(state.stored.status, 'running');
+  assert.strictEqual(state.stored.result, undefined);
+
+  // Lost before a progress write: the handler is stopped
+  let stoppedWith;
+  jobQueue.register('test.job', async (params, context) => {
+    try {
+      await context.progress({ current: 1 }, { force: true });
+    } catch (error) {
+      stoppedWith = error;
+      throw error;
+    }
+  });
+  await jobQueue.run(job);
+  assert.ok(stoppedWith instanceof JobLockLostError);
+  assert.strictEqual(state.stored.progress, undefined);
+  assert.strictEqual(state.stored.status, 'running');
+  assert.strictEqual(state.stored.lockedBy, 'other-worker');
+}));
+
+test('parseCron matches minutes, hours, steps and lists', () => {
+  const nightly = parseCron('0 3 * * *');
+  assert.strictEqual(nightly.matches(new Date(2024, 4, 10, 3, 0)), true);
+  assert.strictEqual(nightly.matches(new Date(2024, 4, 10, 3, 1)), false);
+  assert.strictEqual(nightly.matches(new Date(2024, 4, 10, 15, 0)), false);
+
+  const quarterHourly = parseCron('*/15 9-17 * * 1-5');
+  assert.strictEqual(quarterHourly.matches(new Date(2024, 4, 10, 9, 45)), true); // Friday
+  assert.strictEqual(quarterHourly.matches(new Date(2024, 4, 11, 9, 45)), false); // Saturday
+  assert.strictEqual(quarterHourly.matches(new Date(2024, 4, 10, 9, 50)), false);
+
+  // Both day fields restricted: either may match; 7 is Sunday too
+  const firstOrSunday = parseCron('30 2 1 * 7');
+  assert.strictEqual(firstOrSunday.matches(new Date(2024, 4, 1, 2, 30)), true); // Wednesday the 1st
+  assert.strictEqual(firstOrSunday.matches(new Date(2024, 4, 12, 2, 30)), true); // Sunday
+  assert.strictEqual(firstOrSunday.matches(new Date(2024, 4, 13, 2, 30)), false);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 3 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 3 * * *'), /minute/);
+  assert.throws(() => parseCron('0 3 * * mon'), /day of week/);
+});
+
+// ===== RECONCILIATION =====
+
+test('reconciliation diff finds missing, orphaned and stale records', () => {
+  const t = iso => new Date(iso);
+  const remote = new Map([
+    ['1', t('2024-01-01')],
+    ['2', t('2024-03-01')],
+    ['3', t('2024-01-01')],
+    ['4', t('2024-01-01')],
+  ]);
+  const local = new Map([
+    ['1', t('2024-01-01')],
+    ['2', t('2024-02-01')],
+    ['4', t('2024-05-01')], // edited locally since: not stale
+    ['9', t('2024-01-01')],
+  ]);
+
+  const { missing, orphaned, stale } = reconciliation.diff(remote, local);
+  assert.deepStrictEqual(missing, ['3']);
+  assert.deepStrictEqual(orphaned, ['9']);
+  assert.deepStrictEqual(stale.map(s => s.shopifyId), ['2']);
+});
+
+test('reconciliation repairs drift against the simulator', () => withSimulator({}, async () => {
+  const fixtureTime = new Date('2024-01-15T15:00:00Z');
+  const saved = [];
+  const deleted = [];
+  const originals = {
+    loadLocal: reconciliation.loadLocal,
+    handleProductUpdate: shopifyWebhookHandler.handleProductUpdate,
+    handleProductDelete: shopifyWebhookHandler.handleProductDelete,
+  };
+
+  // Local copy: two products in step, one stale, one deleted from Shopify, two never stored
+  reconciliation.loadLocal = async () => new Map([
+    ['1001', fixtureTime],
+    ['1002', fixtureTime],
+    ['1003', new Date('2024-01-01T00:00:00Z')],
+    ['1004', fixtureTime],
+    ['8888', fixtureTime],
+  ]);
+  shopifyWebhookHandler.handleProductUpdate = async product => saved.push(product.id);
+  shopifyWebhookHandler.handleProductDelete = async data => deleted.push(data.id);
+
+  try {
+    const before = received.length;
+    const progress = [];
+    const result = await reconciliation.reconcileEntity('products', {
+      repair: true,
+      onProgress: update => progress.push(update),
+    });
+
+    assert.strictEqual(result.shopifyCount, 6);
+    assert.strictEqual(result.localCount, 5);
+    assert.deepStrictEqual(result.missing, ['1005', '1006']);
+    assert.deepStrictEqual(result.orphaned, ['8888']);
+    assert.deepStrictEqual(result.stale.map(s => s.shopifyId), ['1003']);
+    assert.deepStrictEqual(result.repaired, { created: 2, updated: 1, deleted: 1, kept: 0, failed: 0 });
+
+    // Full records fetched for the repairs, ids only for the comparison
+    assert.deepStrictEqual(saved, [1005, 1006, 1003]);
+    assert.deepStrictEqual(deleted, ['8888']);
+    assert.strictEqual(received.length, before, 'the stub server should not be used');
+    assert.deepStrictEqual(progress[progress.length - 1].detail, { step: 'repairing', done: 4, total: 4 });
+  } finally {
+    Object.assign(reconciliation, { loadLocal: originals.loadLocal });
+    shopifyWebhookHandler.handleProductUpdate = originals.handleProductUpdate;
+    shopifyWebhookHandler.handleProductDelete = originals.handleProductDelete;
+  }
+}));
+
+test('reconciliation only deletes orphans Shopify confirms are gone', () => withSimulator({}, async simulator => {
+  const Order = require('./models/Order');
+  const deleted = [];
+  const originals = { loadLocal: reconciliation.loadLocal, loadShopify: reconciliation.loadShopify };
+  const { findOneAndDelete } = Order;
+  const [orderId] = [...simulator.orders.keys()].map(String);
+
+  // A partial listing (no read_all_orders) misses an order Shopify still has
+  reconciliation.loadShopify = async () => new Map();
+  reconciliation.loadLocal = async () => new Map([[orderId, null], ['8888', null]]);
+  Order.findOneAndDelete = async filter => deleted.push(filter.shopifyId);
+
+  try {
+    const result = await reconciliation.reconcileEntity('orders', { repair: true });
+    assert.deepStrictEqual(result.orphaned, [orderId, '8888']);
+    assert.deepStrictEqual(result.repaired, { created: 0, updated: 0, deleted: 1, kept: 1, failed: 0 });
+    assert.deepStrictEqual(deleted, ['8888']);
+  } finally {
+    Object.assign(reconciliation, originals);
+    Order.findOneAndDelete = findOneAndDelete;
+  }
+}));
+
+// ===== COLLECTIONS =====
+
+// Collection writes land in a Map instead of MongoDB
+async function withFakeCollectionStore(fn) {
+  const collections = new Map();
+  const originals = {
+    findOneAndUpdate: Collection.findOneAndUpdate,
+    findOneAndDelete: Collection.findOneAndDelete,
+  };
+  Collection.findOneAndUpdate = async ({ shopifyId }, data) => collections.set(shopifyId, data).get(shopifyId);
+  Collection.findOneAndDelete = async ({ shopifyId }) => collections.delete(shopifyId);
+
+  try {
+    await fn(collections);
+  } finally {
+    Object.assign(Collection, originals);
+  }
+}
+
+test('getCollectionProducts follows pagination and keeps the collection order', () => withSimulator({}, async () => {
+  const collections = await shopifyService.getCollections({ limit: 1 });
+  assert.deepStrictEqual(collections.map(c => c.handle), ['featured-picks', 'kitchen', 'clearance', 'eco-friendly']);
+
+  const products = await shopifyService.getCollectionProducts(6001, { limit: 1, fields: 'id,title' });
+  assert.deepStrictEqual(products, [{ id: 1005, title: 'Cordless Stick Vacuum' }, { id: 1001, title: 'Microfiber Spin Mop' }]);
+
+  assert.strictEqual((await shopifyService.getCollectionById(6101)).collection_type, 'smart');
+}));
+
+test('collections sync stores type, publishing and membership on every run', () => withSimulator({}, () => withFakeProductStore(async ({ state, stored }) => withFakeCollectionStore(async collections => {
+  const save = Collection.findOneAndUpdate;
+  Collection.findOneAndUpdate = async (filter, data) => {
+    stored.set(filter.shopifyId, { lastUpdated: new Date(data.lastUpdated) });
+    return save(filter, data);
+  };
+
+  const first = await shopifySync.syncEntity('collections');
+  assert.deepStrictEqual(counts(first), [4, 0, 0, 0]);
+
+  const featured = collections.get('6001');
+  assert.strictEqual(featured.type, 'custom');
+  assert.strictEqual(featured.description, '<p>Our favourites this season.</p>');
+  assert.deepStrictEqual(featured.productIds, ['1005', '1001']);
+  assert.strictEqual(collections.get('6003').published, false);
+
+  const eco = collections.get('6101');
+  assert.strictEqual(eco.type, 'smart');
+  assert.deepStrictEqual(eco.rules, [{ column: 'tag', relation: 'equals', condition: 'eco' }]);
+  assert.deepStrictEqual(eco.productIds, ['1002', '1004']);
+
+  // Membership can change without touching updated_at, so nothing is skipped
+  const second = await shopifySync.syncEntity('collections', { bulk: true });
+  assert.ok(state.lastUpdatedAt);
+  assert.strictEqual(second.mode, 'full');
+  assert.deepStrictEqual(counts(second), [0, 4, 0, 0]);
+}))));
+
+test('collection webhooks create and delete collections', () => withSimulator({}, async (simulator, webhooks) => withFakeCollectionStore(async collections => {
+  const { custom_collection: created } = await shopifyService.request('/custom_collections.json', {
+    method: 'POST',
+    body: JSON.stringify({ custom_collection: { title: 'Bathroom', collects: [{ product_id: 1004 }, { product_id: 1003 }] } }),
+  });
+  await simulator.settle();
+  assert.deepStrictEqual(webhooks.map(webhook => webhook.topic), ['collections/create']);
+
+  // The payload has no products; the handler fetches them
+  assert.deepStrictEqual(await shopifyWebhookHandler.handleWebhook('collections/create', webhooks[0].data), { success: true });
+  assert.deepStrictEqual(collections.get(created.id.toString()).productIds, ['1004', '1003']);
+  assert.strictEqual(collections.get(created.id.toString()).handle, 'bathroom');
+
+  await shopifyService.request(`/custom_collections/${created.id}.json`, { method: 'DELETE' });
+  await simulator.settle();
+  assert.strictEqual(webhooks[1].topic, 'collections/delete');
+
+  await shopifyWebhookHandler.handleWebhook('collections/delete', webhooks[1].data);
+  assert.strictEqual(collections.size, 0);
+})));
+
+// ===== RUN =====
+
+async function run() {
+  const server = stub.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  shopifyService.baseURL = `http://127.0.0.1:${server.address().port}${API_PREFIX}`;
+  shopifyService.accessToken = 'stub-token';
+  shopifyService.retryOptions.baseDelayMs = 5;
+  process.env.SHOPIFY_WEBHOOK_SECRET = 'stub-webhook-secret';
+
+  // Keep the output to test results
+  const log = console.log;
+  const logError = console.error;
+  const logWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      log(`❌ ${name}\n   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log = log;
+  console.error = logError;
+  console.warn = logWarn;
+  server.close();
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run();